@@ -1,5 +1,6 @@
 #!/usr/bin/env node
 // AI Analysis CLI
+// Usage: node bin/analyze.js [--model provider:model] [--prompt name]   (e.g. --model mock, --prompt v2)
 import { readFileSync, existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
@@ -10,6 +11,9 @@ import { batchAnalyzeMultiTimeframe } from '../lib/multi-timeframe.js';
 import { notifySignal } from '../lib/notifications.js';
 import { detectMarketRegime, applyRegimeFilter } from '../lib/market-regime.js';
 import { generatePositionSizingRecommendations } from '../lib/risk-management.js';
+import { loadIndicatorPlugins } from '../lib/indicators.js';
+import { getUsageSummary } from '../lib/ai-usage.js';
+import { withCalibration } from '../lib/calibration.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const dataDir = join(__dirname, '..', 'data');
@@ -24,10 +28,16 @@ if (!existsSync(scanFile)) {
   process.exit(1);
 }
 
+const modelIndex = process.argv.indexOf('--model');
+const model = modelIndex >= 0 ? process.argv[modelIndex + 1] : null;
+const promptIndex = process.argv.indexOf('--prompt');
+const prompt = promptIndex >= 0 ? process.argv[promptIndex + 1] : null;
+
 const scanData = JSON.parse(readFileSync(scanFile, 'utf8'));
+await loadIndicatorPlugins();
 const { marketData, technicals } = scanData;
 
-console.log(`Analyzing ${Object.keys(marketData).length} tickers with Gemini AI...\n`);
+console.log(`Analyzing ${Object.keys(marketData).length} tickers with ${model || 'the configured AI models'}...\n`);
 
 // Run AI analysis
 try {
@@ -36,7 +46,7 @@ try {
   const tickers = Object.keys(marketData);
   const multiTimeframeData = await batchAnalyzeMultiTimeframe(tickers);
   
-  const analysisResults = await batchAnalyze(marketData, technicals, multiTimeframeData);
+  const analysisResults = await batchAnalyze(marketData, technicals, multiTimeframeData, true, { model, prompt, caller: 'cli' });
   
   // Detect market regime and apply filters
   console.log('\n🔍 Detecting market regimes and applying filters...\n');
@@ -47,7 +57,7 @@ try {
     if (!analysis.error) {
       const regime = detectMarketRegime(marketData[ticker], technicals[ticker], multiTimeframeData[ticker]);
       regimeAnalysis[ticker] = regime;
-      filteredResults[ticker] = applyRegimeFilter(analysis, regime);
+      filteredResults[ticker] = withCalibration(applyRegimeFilter(analysis, regime));
     } else {
       filteredResults[ticker] = analysis;
     }
@@ -67,8 +77,12 @@ try {
     const signalEmoji = analysis.signal === 'LONG' ? '🟢' : analysis.signal === 'SHORT' ? '🔴' : '⚪';
     const confidenceBar = '█'.repeat(analysis.confidence) + '░'.repeat(10 - analysis.confidence);
     
-    console.log(`${ticker} ${signalEmoji} ${analysis.signal}`);
+    console.log(`${ticker} ${signalEmoji} ${analysis.signal} (${analysis.model}, prompt ${analysis.promptVersion})`);
     console.log(`  Confidence: ${confidenceBar} ${analysis.confidence}/10`);
+    if (analysis.calibration) {
+      const cal = analysis.calibration;
+      console.log(`  Calibrated: ${(cal.probability * 100).toFixed(0)}% win, ${cal.expectedR >= 0 ? '+' : ''}${cal.expectedR.toFixed(2)}R expected (${cal.segment}, ${cal.samples} closed signals${cal.reliable ? '' : ', not enough history yet'})`);
+    }
     console.log(`  Pattern: ${analysis.pattern}`);
     console.log(`  Timeframe: ${analysis.timeframe}`);
     console.log(`  Entry: $${analysis.entry.toFixed(2)}`);
@@ -87,6 +101,13 @@ try {
     
     console.log(`  Reasoning: ${analysis.reasoning}`);
     
+    if (analysis.validation?.repaired) {
+      console.log(`  🔧 Repaired after validation failure`);
+    }
+    if (analysis.validation?.warnings?.length > 0) {
+      analysis.validation.warnings.forEach(warning => console.log(`  ⚠️ ${warning}`));
+    }
+    
     // Market regime information
     if (regimeAnalysis[ticker]) {
       const regime = regimeAnalysis[ticker];
@@ -139,10 +160,9 @@ try {
   // Send notifications for high-confidence signals
   let notificationsSent = 0;
   for (const [ticker, analysis] of Object.entries(filteredResults)) {
-    if (analysis && !analysis.error && analysis.signal !== 'NEUTRAL' && analysis.confidence >= 7) {
+    if (analysis && !analysis.error && analysis.signal !== 'NEUTRAL') {
       try {
-        notifySignal(analysis);
-        notificationsSent++;
+        if (notifySignal(analysis)) notificationsSent++;
       } catch (err) {
         // Notifications might fail if WebSocket server not running, that's OK
         console.warn(`⚠️ Failed to send notification for ${ticker}:`, err.message);
@@ -159,6 +179,14 @@ try {
     }
   }
   
+  // AI spend so far today, and whether a budget is holding analyses back
+  const usage = getUsageSummary({ days: 1 });
+  console.log(`\n🤖 AI usage today: ${usage.today.calls} call(s), ${usage.today.cacheHits} cache hit(s), ${usage.today.promptTokens + usage.today.completionTokens} tokens, ~$${usage.today.cost.toFixed(4)}`);
+  if (usage.budget.status !== 'ok') {
+    console.log(`⚠️ AI budget: ${usage.budget.reason} - ${usage.budget.status === 'blocked' ? 'analysis blocked' : 'cached analyses only'}`);
+  }
+  console.log('');
+  
   console.log('═══════════════════════════════════════');
   console.log('PERFORMANCE OVERVIEW');
   console.log('═══════════════════════════════════════\n');
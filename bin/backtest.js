@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+// Backtest CLI
+// Usage: node bin/backtest.js <TICKER> [--rule <preset>] [--rule-file <path.json>]
+//        [--range 1y] [--capital 10000] [--risk 1] [--slippage 0] [--commission 0] [--json]
+import { readFileSync } from 'fs';
+import { fetchHistory } from '../lib/market-data.js';
+import { runBacktest, resolveRule, getPresetRules } from '../lib/backtest.js';
+import { loadIndicatorPlugins } from '../lib/indicators.js';
+
+function parseArgs(argv) {
+  const args = { ticker: null, rule: 'rsi-supertrend', ruleFile: null, range: '1y', options: {}, json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = argv[i + 1];
+
+    switch (arg) {
+      case '--rule': args.rule = next; i++; break;
+      case '--rule-file': args.ruleFile = next; i++; break;
+      case '--range': args.range = next; i++; break;
+      case '--capital': args.options.initialCapital = parseFloat(next); i++; break;
+      case '--risk': args.options.riskPercent = parseFloat(next); i++; break;
+      case '--slippage': args.options.slippagePercent = parseFloat(next); i++; break;
+      case '--commission': args.options.commission = parseFloat(next); i++; break;
+      case '--json': args.json = true; break;
+      default:
+        if (!arg.startsWith('--')) args.ticker = arg.toUpperCase();
+    }
+  }
+
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+if (!args.ticker) {
+  console.log('Usage: node bin/backtest.js <TICKER> [--rule <preset>] [--rule-file <path.json>]');
+  console.log('       [--range 1y] [--capital 10000] [--risk 1] [--slippage 0] [--commission 0] [--json]\n');
+  console.log('Preset rules:');
+  getPresetRules().forEach(r => console.log(`  ${r.id.padEnd(18)} ${r.name} (${r.direction})`));
+  process.exit(1);
+}
+
+try {
+  const rule = args.ruleFile
+    ? JSON.parse(readFileSync(args.ruleFile, 'utf8'))
+    : resolveRule(args.rule);
+
+  await loadIndicatorPlugins();
+  const historicalData = await fetchHistory(args.ticker, { interval: '1d', range: args.range });
+
+  if (!historicalData) {
+    console.error(`❌ No historical data for ${args.ticker}`);
+    process.exit(1);
+  }
+
+  const marketData = { symbol: args.ticker, historicalData };
+
+  if (!args.json) {
+    console.log('🐾 Klaw Terminal - Backtest\n');
+    console.log('═══════════════════════════════════════');
+    console.log(`${args.ticker}: ${rule.name || 'Custom rule'} (${rule.direction})`);
+    console.log(`Replaying ${historicalData.length} bars...\n`);
+  }
+
+  const result = runBacktest(marketData, rule, args.options);
+
+  if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(0);
+  }
+
+  const { stats, trades, period } = result;
+  const fmtDate = ts => new Date(ts).toISOString().slice(0, 10);
+
+  console.log('═══════════════════════════════════════');
+  console.log('RESULTS');
+  console.log('═══════════════════════════════════════\n');
+  console.log(`Period:         ${fmtDate(period.start)} → ${fmtDate(period.end)} (${period.bars} bars)`);
+  console.log(`Trades:         ${stats.closedTrades}`);
+  console.log(`Win Rate:       ${stats.winRate.toFixed(1)}%`);
+  console.log(`Profit Factor:  ${Number.isFinite(stats.profitFactor) ? stats.profitFactor.toFixed(2) : '∞'}`);
+  console.log(`Expectancy:     $${stats.expectancy.toFixed(2)} per trade (${stats.avgRMultiple.toFixed(2)}R avg)`);
+  console.log(`Total P&L:      $${stats.totalPnL.toFixed(2)} (${stats.totalReturnPercent >= 0 ? '+' : ''}${stats.totalReturnPercent.toFixed(2)}%)`);
+  console.log(`Max Drawdown:   $${stats.maxDrawdown.toFixed(2)} (${stats.maxDrawdownPercent.toFixed(2)}%)`);
+  console.log(`Exposure:       ${stats.exposurePercent.toFixed(1)}% of bars in a position\n`);
+
+  if (trades.length > 0) {
+    console.log('═══════════════════════════════════════');
+    console.log('TRADES');
+    console.log('═══════════════════════════════════════\n');
+
+    trades.forEach(t => {
+      const icon = t.pnl > 0 ? '🟢' : '🔴';
+      console.log(`${icon} ${fmtDate(t.entryDate)} → ${fmtDate(t.exitDate)}  ${t.size} @ $${t.entryPrice.toFixed(2)} → $${t.exitPrice.toFixed(2)}  ${t.pnl >= 0 ? '+' : ''}$${t.pnl.toFixed(2)} (${t.rMultiple.toFixed(2)}R) ${t.exitReason}`);
+    });
+    console.log('');
+  }
+
+  console.log('✅ Backtest complete!\n');
+} catch (error) {
+  console.error('❌ Backtest failed:', error.message);
+  process.exit(1);
+}
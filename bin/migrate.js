@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+// Storage Migration CLI
+// Usage: node bin/migrate.js              migrate every data file to the current schema (backups in data/backups)
+//        node bin/migrate.js --status     show schema versions without changing anything
+//        node bin/migrate.js --from <dir> import the JSON files from another data directory
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { getStorageStatus, migrateAll, importStoreFile, listStores, DATA_DIR } from '../lib/storage.js';
+
+// Each module registers its own store when loaded
+import '../lib/signals.js';
+import '../lib/alerts.js';
+import '../lib/notifications.js';
+import '../lib/notification-channels.js';
+import '../lib/inbound-webhooks.js';
+import '../lib/screener.js';
+import '../lib/indicators.js';
+import '../lib/analysis-schema.js';
+import '../lib/ai-usage.js';
+import '../lib/prompts.js';
+import '../lib/strategies.js';
+import '../lib/watchlist.js';
+import '../lib/trade-journal.js';
+import '../lib/signal-performance.js';
+import '../lib/calibration.js';
+import '../lib/performance.js';
+import '../lib/paper-broker.js';
+
+const argv = process.argv.slice(2);
+const fromIndex = argv.indexOf('--from');
+
+console.log('🐾 Klaw Terminal - Storage Migration\n');
+console.log('═══════════════════════════════════════');
+console.log(`Data directory: ${DATA_DIR}\n`);
+
+function printStatus() {
+  for (const s of getStorageStatus()) {
+    const version = !s.exists ? 'not created'
+      : s.error ? `unreadable (${s.error})`
+      : s.fileVersion === 0 ? 'legacy JSON'
+      : `v${s.fileVersion}`;
+    const flag = s.needsMigration ? '⚠️ ' : '✅';
+    const records = s.records !== null ? ` (${s.records} records)` : '';
+    console.log(`${s.exists ? flag : '  '} ${s.name.padEnd(20)} ${s.file.padEnd(26)} ${version} → v${s.version}${records}`);
+  }
+  console.log('');
+}
+
+try {
+  if (argv.includes('--status')) {
+    printStatus();
+    process.exit(0);
+  }
+
+  if (fromIndex !== -1) {
+    const sourceDir = argv[fromIndex + 1];
+    if (!sourceDir || !existsSync(sourceDir)) {
+      console.error(`❌ Source directory not found: ${sourceDir}`);
+      process.exit(1);
+    }
+
+    const files = Object.fromEntries(getStorageStatus().map(s => [s.name, s.file]));
+
+    for (const name of listStores()) {
+      const source = join(sourceDir, files[name]);
+      if (!existsSync(source)) continue;
+
+      const result = importStoreFile(name, source);
+      console.log(`📦 Imported ${name} from ${source}${result.backup ? ` (previous data backed up to ${result.backup})` : ''}`);
+    }
+    console.log('');
+  }
+
+  for (const result of migrateAll()) {
+    if (result.migrated) {
+      const from = result.from === 0 ? 'legacy JSON' : `v${result.from}`;
+      console.log(`✅ ${result.name.padEnd(20)} ${from} → v${result.to} (backup: ${result.backup})`);
+    }
+  }
+
+  console.log('');
+  printStatus();
+  console.log('✅ Storage is up to date\n');
+} catch (error) {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+// Fixture Recorder CLI - saves live bars and option chains for offline replay with the file provider
+// Usage: node bin/record.js [TICKERS...] [--from yahoo] [--dir data/fixtures] [--no-options]
+import { getTickers } from '../lib/market-data.js';
+import { getProvider, getProviderSymbol } from '../lib/providers/index.js';
+import { writeBarsFixture, writeOptionsFixture, DEFAULT_FIXTURES_DIR } from '../lib/providers/file.js';
+import { TIMEFRAMES } from '../lib/multi-timeframe.js';
+
+function parseArgs(argv) {
+  const args = { tickers: [], from: 'yahoo', dir: DEFAULT_FIXTURES_DIR, options: true };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = argv[i + 1];
+
+    switch (arg) {
+      case '--from': args.from = next; i++; break;
+      case '--dir': args.dir = next; i++; break;
+      case '--no-options': args.options = false; break;
+      default:
+        if (!arg.startsWith('--')) args.tickers.push(arg.toUpperCase());
+    }
+  }
+
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const source = getProvider(args.from);
+
+if (!source || !source.fetchBars) {
+  console.error(`❌ Provider "${args.from}" cannot supply bars to record`);
+  process.exit(1);
+}
+
+const watchlist = getTickers();
+const tickers = args.tickers.length > 0 ? args.tickers : Object.keys(watchlist);
+
+console.log('🐾 Klaw Terminal - Fixture Recorder\n');
+console.log('═══════════════════════════════════════');
+console.log(`Recording ${tickers.length} tickers from ${source.name} into ${args.dir}\n`);
+
+let failures = 0;
+
+for (const ticker of tickers) {
+  const symbol = getProviderSymbol(watchlist[ticker] || {}, source.name, ticker);
+  const recorded = [];
+
+  for (const { interval, range } of Object.values(TIMEFRAMES)) {
+    const bars = await source.fetchBars(symbol, { interval, range });
+    if (bars && bars.length > 0) {
+      writeBarsFixture(ticker, interval, bars, args.dir);
+      recorded.push(`${interval} (${bars.length})`);
+    }
+  }
+
+  if (args.options && source.fetchOptionsChain) {
+    const chain = await source.fetchOptionsChain(symbol, {});
+    if (chain) {
+      writeOptionsFixture(ticker, chain, null, args.dir);
+      recorded.push('options');
+    }
+  }
+
+  if (recorded.length === 0) {
+    failures++;
+    console.log(`❌ ${ticker.padEnd(6)} nothing recorded`);
+  } else {
+    console.log(`✅ ${ticker.padEnd(6)} ${recorded.join(', ')}`);
+  }
+}
+
+console.log(`\n📦 Done. Replay offline with KLAW_DATA_PROVIDER=file${args.dir !== DEFAULT_FIXTURES_DIR ? ` KLAW_FIXTURES_DIR=${args.dir}` : ''}\n`);
+process.exit(failures === tickers.length ? 1 : 0);
@@ -2,12 +2,16 @@
 // Market Scanner CLI
 import { fetchAllTickers, TICKERS } from '../lib/market-data.js';
 import { analyzeMarketData } from '../lib/technicals.js';
+import { loadIndicatorPlugins } from '../lib/indicators.js';
 import { calculateMarketSentiment, getSentimentColor } from '../lib/sentiment.js';
+import { runStrategies } from '../lib/strategies.js';
 
 console.log('🐾 Klaw Terminal - Market Scanner\n');
 console.log('═══════════════════════════════════════');
 console.log(`Scanning ${Object.keys(TICKERS).length} tickers...\n`);
 
+await loadIndicatorPlugins();
+
 // Fetch market data
 const marketData = await fetchAllTickers();
 
@@ -129,6 +133,28 @@ if (sentiment.breakdown.neutral.length > 0) {
 
 console.log('');
 
+// Rule-based strategies (lib/strategies.js) record their signals without an AI call
+const strategyRun = runStrategies(marketData, technicals);
+
+if (strategyRun.strategies > 0 || strategyRun.errors.length > 0) {
+  console.log('═══════════════════════════════════════');
+  console.log('STRATEGY SIGNALS');
+  console.log('═══════════════════════════════════════\n');
+  
+  strategyRun.errors.forEach(e => console.log(`❌ ${e.file}: ${e.error}`));
+  
+  for (const fired of strategyRun.fired) {
+    const emoji = fired.direction === 'LONG' ? '🟢' : '🔴';
+    console.log(`${emoji} ${fired.ticker} ${fired.direction} by ${fired.strategy} - entry $${fired.entry.toFixed(2)}, stop $${fired.stopLoss.toFixed(2)}${fired.refreshed ? ' (refreshed open signal)' : ''}`);
+  }
+  strategyRun.skipped.forEach(s => console.log(`⏭️  ${s.ticker} ${s.strategy} - ${s.reason}`));
+  
+  if (strategyRun.fired.length === 0) {
+    console.log(`No strategy conditions met (${strategyRun.strategies} strategies).`);
+  }
+  console.log('');
+}
+
 // Save results to temp file for analysis step
 import { writeFileSync } from 'fs';
 import { join, dirname } from 'path';
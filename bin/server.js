@@ -8,11 +8,30 @@ import { fileURLToPath } from 'url';
 import { readFileSync, writeFileSync, existsSync } from 'fs';
 import { 
   fetchAllTickers, 
+  fetchTicker,
+  fetchHistory,
   getCacheStats as getMarketDataCacheStats, 
   clearCache as clearMarketDataCache 
 } from '../lib/market-data.js';
+import { listProviders, getProvider } from '../lib/providers/index.js';
+import { listLLMProviders, parseModelSpec } from '../lib/llm/index.js';
+import { getRejections } from '../lib/analysis-schema.js';
+import { getUsageSummary, getUsageSettings, updateUsageSettings } from '../lib/ai-usage.js';
+import { getReliabilityCurves, calibrateConfidence, updateCalibrationSettings } from '../lib/calibration.js';
+import { listPromptTemplates, getPromptTemplate, getExperiments, startExperiment, stopExperiment } from '../lib/prompts.js';
+import { listStrategies, runStrategies } from '../lib/strategies.js';
+import { getHistoryStatus, clearHistory, isValidTicker } from '../lib/history-store.js';
+import { getStorageStatus } from '../lib/storage.js';
 import { analyzeMarketData } from '../lib/technicals.js';
-import { exportSignalsSummary, getRecentSignals } from '../lib/signals.js';
+import { getStreamStats, resetStreams } from '../lib/streaming.js';
+import { getFetchQueueStats, resetCircuits } from '../lib/fetch-queue.js';
+import {
+  exportSignalsSummary,
+  getRecentSignals,
+  getOpenSignals,
+  processBatchAnalysis,
+  closeSignal
+} from '../lib/signals.js';
 import { loadPerformance, getPerformanceSummary } from '../lib/performance.js';
 import { calculateMarketSentiment } from '../lib/sentiment.js';
 import { getCacheStats, clearCache } from '../lib/gemini.js';
@@ -20,7 +39,10 @@ import {
   getPerformanceSummary as getSignalPerformanceSummary, 
   getActiveSignals, 
   getClosedSignals, 
-  getBestPatterns 
+  getBestPatterns,
+  resolveActiveSignals,
+  getOutcomeSettings,
+  updateOutcomeSettings
 } from '../lib/signal-performance.js';
 import {
   calculatePositionSize,
@@ -37,7 +59,12 @@ import {
 } from '../lib/export.js';
 import {
   loadAlerts,
-  addAlert,
+  addAlertOfType,
+  describeAlert,
+  withStatus,
+  snoozeAlert,
+  rearmAlert,
+  buildAlertContext,
   removeAlert,
   getActiveAlerts,
   getTriggeredAlerts,
@@ -45,6 +72,7 @@ import {
   clearOldTriggeredAlerts,
   getAlertsForTicker
 } from '../lib/alerts.js';
+import { listConditionFields, COMPARISON_OPERATORS, CROSSING_OPERATORS } from '../lib/conditions.js';
 import {
   getTickerSentiment,
   batchGetSentiment,
@@ -60,6 +88,7 @@ import {
   analyzeOptionsChain,
   batchAnalyzeOptions
 } from '../lib/options.js';
+import { buildStrategy, getStrategyTemplates } from '../lib/options-strategy.js';
 import {
   analyzeMultiTimeframe,
   batchAnalyzeMultiTimeframe
@@ -74,12 +103,14 @@ import {
   getTickerSymbols,
   addTicker,
   removeTicker,
+  setTickerModel,
   resetWatchlist,
   detectTickerConfig
 } from '../lib/watchlist.js';
 import {
   registerClient,
   notifySignal,
+  notifyAlert,
   notify,
   loadNotifications,
   getRecentNotifications,
@@ -88,6 +119,30 @@ import {
   clearOldNotifications,
   getNotificationStats
 } from '../lib/notifications.js';
+import {
+  verifyWebhook,
+  handleInboundWebhook,
+  getWebhookSettings,
+  setWebhookSecret,
+  addWebhookRule,
+  updateWebhookRule,
+  removeWebhookRule,
+  getWebhookEvents
+} from '../lib/inbound-webhooks.js';
+import {
+  loadChannels,
+  addChannel,
+  updateChannel,
+  removeChannel,
+  maskChannel,
+  testChannel,
+  getDeliveryLog,
+  hasEnabledChannels,
+  shellChannelsAllowed,
+  CHANNEL_TYPES,
+  PRIORITIES,
+  WEBHOOK_PRESETS
+} from '../lib/notification-channels.js';
 import {
   loadJournal,
   addTrade,
@@ -98,6 +153,19 @@ import {
   getStats,
   exportToCSV as exportJournalToCSV
 } from '../lib/trade-journal.js';
+import { tradeSignal } from '../lib/signal-trader.js';
+import {
+  placeOrder,
+  cancelOrder,
+  closePosition,
+  processMarketData as processPaperOrders,
+  getOrders,
+  getFills,
+  getPositions,
+  getAccountSummary,
+  updateBrokerSettings,
+  resetAccount
+} from '../lib/paper-broker.js';
 import {
   detectMarketRegime,
   applyRegimeFilter
@@ -106,6 +174,28 @@ import {
   scanAllDivergences,
   getDivergenceSummary
 } from '../lib/divergence-scanner.js';
+import {
+  runBacktest,
+  resolveRule,
+  getPresetRules
+} from '../lib/backtest.js';
+import {
+  buildScreenerUniverse,
+  runScreenQuery,
+  listScreenerFields,
+  loadScreens,
+  saveScreen,
+  updateScreen,
+  deleteScreen,
+  runSavedScreen,
+  runDueScreens
+} from '../lib/screener.js';
+import {
+  loadIndicatorPlugins,
+  listIndicators,
+  getIndicatorSeries,
+  updateIndicatorSettings
+} from '../lib/indicators.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const app = express();
@@ -115,7 +205,9 @@ const PORT = 3847;
 
 // Serve static files
 app.use(express.static(join(__dirname, '..', 'web')));
-app.use(express.json());
+// Keep the raw body so inbound webhooks can check HMAC signatures
+const keepRawBody = (req, res, buf) => { req.rawBody = buf.toString('utf8'); };
+app.use(express.json({ verify: keepRawBody }));
 
 // API Routes
 
@@ -129,15 +221,16 @@ app.get('/api/market-data', async (req, res) => {
   }
 });
 
-// Get technical analysis
+// Get technical analysis (query: live=true applies the live quote to the forming bar)
 app.get('/api/technicals', async (req, res) => {
   try {
     const marketData = await fetchAllTickers();
+    const live = req.query.live === 'true';
     const technicals = {};
     
     for (const [ticker, data] of Object.entries(marketData)) {
       if (data && data.historicalData) {
-        technicals[ticker] = analyzeMarketData(data);
+        technicals[ticker] = analyzeMarketData(data, { live });
       }
     }
     
@@ -147,6 +240,18 @@ app.get('/api/technicals', async (req, res) => {
   }
 });
 
+// Incremental indicator engine statistics
+app.get('/api/technicals/engine', (req, res) => {
+  res.json({ success: true, data: getStreamStats() });
+});
+
+// Drop incremental indicator state (all tickers, or ?ticker=) so the next request recomputes
+app.post('/api/technicals/engine/reset', (req, res) => {
+  const ticker = req.query.ticker || req.body.ticker;
+  const reset = resetStreams(ticker ? ticker.toUpperCase() : null);
+  res.json({ success: true, data: { reset } });
+});
+
 // Get market regime analysis
 app.get('/api/market-regime', async (req, res) => {
   try {
@@ -215,6 +320,36 @@ app.get('/api/signals/recent', (req, res) => {
   }
 });
 
+// Trade a signal: sized bracket order (paper) or order ticket, plus a linked journal trade
+app.post('/api/signals/:id/trade', async (req, res) => {
+  let result;
+  
+  try {
+    const { mode, accountSize, entryType, force } = req.body;
+    result = tradeSignal(req.params.id, {
+      mode,
+      accountSize: accountSize ? parseFloat(accountSize) : null,
+      entryType,
+      force: force === true || force === 'true'
+    });
+  } catch (error) {
+    const status = error.message === 'Signal not found' ? 404 : error.message.startsWith('Signal already traded') ? 409 : 400;
+    return res.status(status).json({ success: false, error: error.message });
+  }
+  
+  try {
+    // A marketable entry fills right away
+    if (result.orders) {
+      await processPaperTicker(result.signal.ticker);
+      const ids = new Set(result.orders.map(o => o.id));
+      result.orders = getOrders({ ticker: result.signal.ticker, limit: Infinity }).filter(o => ids.has(o.id)).reverse();
+    }
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Get performance
 app.get('/api/performance', (req, res) => {
   try {
@@ -296,6 +431,272 @@ app.get('/api/signal-performance/best-patterns', (req, res) => {
   }
 });
 
+// Outcome resolution settings (bar interval and stop/target tie-break)
+app.get('/api/signal-performance/settings', (req, res) => {
+  try {
+    res.json({ success: true, data: getOutcomeSettings() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/signal-performance/settings', (req, res) => {
+  try {
+    const { interval, tieBreak } = req.body;
+    const settings = updateOutcomeSettings({ interval, tieBreak });
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Confidence calibration: reliability curves from closed signals, per pattern and regime
+app.get('/api/calibration', (req, res) => {
+  try {
+    res.json({ success: true, data: getReliabilityCurves() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Calibrated win probability and expected R for a stated confidence (params: confidence, pattern, regime)
+app.get('/api/calibration/lookup', (req, res) => {
+  try {
+    const confidence = parseFloat(req.query.confidence);
+    if (!(confidence >= 1 && confidence <= 10)) {
+      return res.status(400).json({ success: false, error: 'confidence must be between 1 and 10' });
+    }
+    
+    const { pattern = null, regime = null } = req.query;
+    res.json({ success: true, data: calibrateConfidence(confidence, { pattern, regime }) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Calibration settings (body: minSamples, useForSizing, useForNotifications, notifyMinProbability)
+app.post('/api/calibration/settings', (req, res) => {
+  try {
+    const { minSamples, useForSizing, useForNotifications, notifyMinProbability } = req.body;
+    const settings = updateCalibrationSettings({ minSamples, useForSizing, useForNotifications, notifyMinProbability });
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Strategy Engine Endpoints
+
+// Rule-based strategies (parsed from the strategies directory), files that failed to load and recent signals
+app.get('/api/strategies', (req, res) => {
+  try {
+    res.json({ success: true, data: listStrategies() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Scan now and evaluate every enabled strategy
+app.post('/api/strategies/run', async (req, res) => {
+  try {
+    const marketData = await fetchAllTickers();
+    const technicals = {};
+    
+    for (const [ticker, data] of Object.entries(marketData)) {
+      if (data && data.historicalData) {
+        technicals[ticker] = analyzeMarketData(data);
+      }
+    }
+    
+    const result = runStrategies(marketData, technicals);
+    console.log(`📐 Strategies: ${result.fired.length} signal(s) from ${result.strategies} strategies`);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Indicator Plugin Endpoints
+
+// List registered indicator plugins with their parameters, outputs and load errors
+app.get('/api/indicators', (req, res) => {
+  try {
+    res.json({ success: true, data: listIndicators() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Reload plugins from the indicators directory
+app.post('/api/indicators/reload', async (req, res) => {
+  try {
+    const result = await loadIndicatorPlugins({ reload: true });
+    res.json({ success: true, data: { ...result, ...listIndicators() } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Chart series from plugins for one ticker, aligned with its historical bars
+app.get('/api/indicators/series/:ticker', async (req, res) => {
+  try {
+    const ticker = req.params.ticker.toUpperCase();
+    const tickerData = await fetchTicker(ticker);
+    
+    if (!tickerData || !tickerData.historicalData) {
+      return res.status(404).json({ success: false, error: `No market data for ${ticker}` });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        ticker,
+        timestamps: tickerData.historicalData.map(d => d.timestamp),
+        series: getIndicatorSeries(tickerData.historicalData)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Enable/disable a plugin or change its parameters (body: enabled, params)
+app.put('/api/indicators/:name', (req, res) => {
+  try {
+    const { enabled, params } = req.body;
+    const settings = updateIndicatorSettings(req.params.name, { enabled, params });
+    
+    if (!settings) {
+      return res.status(404).json({ success: false, error: 'Indicator not found' });
+    }
+    
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Screener Endpoints
+
+// rank as a query string: JSON, or empty for no ranking
+const parseRankParam = (rank) => {
+  if (!rank.trim()) return null;
+  try {
+    return JSON.parse(rank);
+  } catch (error) {
+    throw new Error(`rank is not valid JSON: ${error.message}`);
+  }
+};
+
+// Run a screener query: filter expression over every ticker's technicals, sort, rank, columns
+// (GET query: filter, sort, columns, limit; POST body: the same plus rank { field: weight })
+const screenerQuery = async (req, res) => {
+  const query = req.method === 'GET' ? req.query : req.body;
+  
+  let universe;
+  try {
+    universe = await buildScreenerUniverse();
+  } catch (error) {
+    return res.status(500).json({ success: false, error: error.message });
+  }
+  
+  try {
+    const result = runScreenQuery({
+      filter: query.filter,
+      sort: query.sort,
+      rank: typeof query.rank === 'string' ? parseRankParam(query.rank) : query.rank,
+      columns: query.columns,
+      limit: query.limit
+    }, universe);
+    res.json({ success: true, data: result, timestamp: Date.now() });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+};
+app.get('/api/screener', screenerQuery);
+app.post('/api/screener', screenerQuery);
+
+// Fields a screener filter can reference, with values from the first ticker
+app.get('/api/screener/fields', async (req, res) => {
+  try {
+    const universe = await buildScreenerUniverse();
+    res.json({
+      success: true,
+      data: {
+        ...listScreenerFields(universe),
+        operators: [...COMPARISON_OPERATORS, ...CROSSING_OPERATORS.filter(op => op !== 'changes')]
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get saved screens
+app.get('/api/screens', (req, res) => {
+  try {
+    res.json({ success: true, data: loadScreens() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Save a screen (body: name, filter, sort, rank, columns, limit, scheduleMinutes, notify, priority)
+app.post('/api/screens', (req, res) => {
+  try {
+    const screen = saveScreen(req.body);
+    res.json({ success: true, data: screen });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Update a saved screen
+app.put('/api/screens/:id', (req, res) => {
+  try {
+    const screen = updateScreen(req.params.id, req.body);
+    
+    if (!screen) {
+      return res.status(404).json({ success: false, error: 'Screen not found' });
+    }
+    
+    res.json({ success: true, data: screen });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a saved screen
+app.delete('/api/screens/:id', (req, res) => {
+  try {
+    const deleted = deleteScreen(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Screen not found' });
+    }
+    
+    res.json({ success: true, message: 'Screen deleted' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Run a saved screen now (records matches and notifies about new entrants)
+app.post('/api/screens/:id/run', async (req, res) => {
+  try {
+    const universe = await buildScreenerUniverse();
+    const result = runSavedScreen(req.params.id, universe);
+    
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Screen not found' });
+    }
+    
+    res.json({ success: true, data: result, timestamp: Date.now() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // RSI Divergence Scanner Endpoints
 
 // Scan all tickers for RSI divergences
@@ -455,6 +856,43 @@ app.post('/api/risk/position-sizing-recommendations', (req, res) => {
   }
 });
 
+// Backtesting Endpoints
+
+// List preset backtest rules
+app.get('/api/backtest/presets', (req, res) => {
+  try {
+    res.json({ success: true, data: getPresetRules() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Run a backtest for a ticker (params: ticker, preset or rule, range, options)
+app.post('/api/backtest', async (req, res) => {
+  try {
+    const { ticker, preset, rule, range, options } = req.body;
+    
+    if (!ticker || (!preset && !rule)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Missing required parameters: ticker and one of preset, rule' 
+      });
+    }
+    
+    const symbol = ticker.toUpperCase();
+    const historicalData = await fetchHistory(symbol, { interval: '1d', range: range || '1y' });
+    
+    if (!historicalData) {
+      return res.status(404).json({ success: false, error: `No historical data for ${symbol}` });
+    }
+    
+    const result = runBacktest({ symbol, historicalData }, resolveRule(rule || preset), options || {});
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -465,10 +903,28 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// Trigger AI analysis from web UI
+// Storage schema status (file versions, pending migrations, record counts)
+app.get('/api/storage/status', (req, res) => {
+  try {
+    res.json({ success: true, data: getStorageStatus() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Trigger AI analysis from web UI (optional body: { model: "provider:model", prompt: template name } for every ticker)
 app.post('/api/analyze', async (req, res) => {
   try {
-    console.log('🤖 AI Analysis triggered from web UI...');
+    const model = req.body?.model || null;
+    const prompt = req.body?.prompt || null;
+    try {
+      if (model) parseModelSpec(model);
+      if (prompt) getPromptTemplate(prompt);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    
+    console.log(`🤖 AI Analysis triggered from web UI${model ? ` (${model})` : ''}${prompt ? ` [prompt ${prompt}]` : ''}...`);
     
     // Fetch fresh market data
     const marketData = await fetchAllTickers();
@@ -483,23 +939,22 @@ app.post('/api/analyze', async (req, res) => {
     
     // Import Gemini module dynamically
     const { batchAnalyze } = await import('../lib/gemini.js');
-    const { saveSignals } = await import('../lib/signals.js');
     
     // Run AI analysis
-    const analysis = await batchAnalyze(marketData, technicals);
-    
-    // Save signals and send notifications
-    const signalsGenerated = [];
-    for (const [ticker, result] of Object.entries(analysis)) {
-      if (result && !result.error && result.signal !== 'NEUTRAL') {
-        signalsGenerated.push(result);
-        saveSignals([result]);
-        
-        // Send notification for high-confidence signals (7+)
-        if (result.confidence >= 7) {
-          notifySignal(result);
-        }
-      }
+    const analysis = await batchAnalyze(marketData, technicals, {}, true, { model, prompt, caller: 'api' });
+    
+    // Regimes let the lifecycle rules invalidate open signals a regime change contradicts
+    const regimes = {};
+    for (const [ticker, data] of Object.entries(marketData)) {
+      if (technicals[ticker]) regimes[ticker] = detectMarketRegime(data, technicals[ticker]);
+    }
+    
+    // Append signals (expiring, superseding or invalidating open ones, and registering new ones for performance tracking)
+    const signalsGenerated = processBatchAnalysis(analysis, marketData, regimes);
+    
+    // Send notification for high-confidence signals (7+, or calibrated probability when enabled)
+    for (const signal of signalsGenerated) {
+      notifySignal({ ...analysis[signal.ticker], calibration: signal.calibration });
     }
     
     console.log(`✅ Analysis complete. Generated ${signalsGenerated.length} signals.`);
@@ -517,82 +972,188 @@ app.post('/api/analyze', async (req, res) => {
     res.status(500).json({ 
       success: false, 
       error: error.message,
-      hint: error.message.includes('GEMINI_API_KEY') 
-        ? 'Set GEMINI_API_KEY environment variable' 
+      hint: error.message.includes('not configured') 
+        ? 'Set the API key for the model (GEMINI_API_KEY, OPENAI_API_KEY) or choose another model' 
         : 'Check server logs for details'
     });
   }
 });
 
-// Export endpoints
-
-// Export signals to CSV
-app.get('/api/export/signals', (req, res) => {
+// AI answers that failed validation (params: ticker, outcome = repaired | rejected, limit)
+app.get('/api/ai/rejections', (req, res) => {
   try {
-    const csv = exportSignalsToCSV();
-    
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="klaw-terminal-signals-${Date.now()}.csv"`);
-    res.send(csv);
+    const { ticker, outcome, limit } = req.query;
+    res.json({
+      success: true,
+      data: getRejections({ ticker: ticker ? ticker.toUpperCase() : null, outcome: outcome || null, limit: parseInt(limit) || 50 })
+    });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Export performance to CSV
-app.get('/api/export/performance', (req, res) => {
+// AI usage: tokens, latency, retries and estimated cost by day, ticker, caller and model (params: days)
+app.get('/api/ai/usage', (req, res) => {
   try {
-    const csv = exportPerformanceToCSV();
-    
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="klaw-terminal-performance-${Date.now()}.csv"`);
-    res.send(csv);
+    res.json({ success: true, data: getUsageSummary({ days: Math.min(parseInt(req.query.days) || 30, 400) }) });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Export technical analysis to CSV
-app.get('/api/export/analysis', (req, res) => {
+app.get('/api/ai/usage/settings', (req, res) => {
   try {
-    const csv = exportAnalysisToCSV();
-    
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="klaw-terminal-analysis-${Date.now()}.csv"`);
-    res.send(csv);
+    res.json({ success: true, data: getUsageSettings() });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Price Alert Endpoints
+// Set AI budgets (body: dailyBudget, monthlyBudget in USD or null, onExceeded = cache-only | block, pricing)
+app.post('/api/ai/usage/settings', (req, res) => {
+  try {
+    const { dailyBudget, monthlyBudget, onExceeded, pricing } = req.body;
+    const settings = updateUsageSettings({ dailyBudget, monthlyBudget, onExceeded, pricing });
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
 
-// Get all alerts
-app.get('/api/alerts', (req, res) => {
+// List LLM providers available for analysis (and the default model)
+app.get('/api/llm/providers', (req, res) => {
   try {
-    const alerts = loadAlerts();
-    res.json({ success: true, data: alerts });
+    res.json({ success: true, data: listLLMProviders() });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get active alerts
-app.get('/api/alerts/active', (req, res) => {
+// Prompt templates and the active A/B experiment
+app.get('/api/prompts', (req, res) => {
   try {
-    const alerts = getActiveAlerts();
-    res.json({ success: true, data: alerts });
+    res.json({ success: true, data: { templates: listPromptTemplates(), ...getExperiments() } });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get triggered alerts
+// Start a prompt experiment (body: { name, variants: ['v1', 'v2'], split: 'ticker' | 'run' })
+app.post('/api/prompts/experiment', (req, res) => {
+  try {
+    const experiment = startExperiment(req.body || {});
+    res.json({ success: true, data: experiment });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// End the active prompt experiment
+app.delete('/api/prompts/experiment', (req, res) => {
+  try {
+    const ended = stopExperiment();
+    if (!ended) {
+      return res.status(404).json({ success: false, error: 'No active prompt experiment' });
+    }
+    res.json({ success: true, data: ended });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Export endpoints
+
+// Export signals to CSV
+app.get('/api/export/signals', (req, res) => {
+  try {
+    const csv = exportSignalsToCSV();
+    
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="klaw-terminal-signals-${Date.now()}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Export performance to CSV
+app.get('/api/export/performance', (req, res) => {
+  try {
+    const csv = exportPerformanceToCSV();
+    
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="klaw-terminal-performance-${Date.now()}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Export technical analysis to CSV
+app.get('/api/export/analysis', (req, res) => {
+  try {
+    const csv = exportAnalysisToCSV();
+    
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="klaw-terminal-analysis-${Date.now()}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Price Alert Endpoints
+
+// Get all alerts
+app.get('/api/alerts', (req, res) => {
+  try {
+    const alerts = loadAlerts();
+    res.json({ success: true, data: alerts.map(withStatus) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get active alerts
+app.get('/api/alerts/active', (req, res) => {
+  try {
+    const alerts = getActiveAlerts();
+    res.json({ success: true, data: alerts.map(withStatus) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get triggered alerts
 app.get('/api/alerts/triggered', (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 50;
     const alerts = getTriggeredAlerts(limit);
-    res.json({ success: true, data: alerts });
+    res.json({ success: true, data: alerts.map(withStatus) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get the fields condition alerts can reference, with current values (query: ticker)
+app.get('/api/alerts/fields', async (req, res) => {
+  try {
+    const ticker = (req.query.ticker || 'SPY').toUpperCase();
+    const tickerData = await fetchTicker(ticker);
+    const context = buildAlertContext(tickerData);
+    
+    if (!context) {
+      return res.status(404).json({ success: false, error: `No market data for ${ticker}` });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        ticker,
+        fields: listConditionFields(context),
+        operators: [...COMPARISON_OPERATORS, ...CROSSING_OPERATORS]
+      }
+    });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -603,33 +1164,61 @@ app.get('/api/alerts/:ticker', (req, res) => {
   try {
     const ticker = req.params.ticker;
     const alerts = getAlertsForTicker(ticker);
-    res.json({ success: true, data: alerts });
+    res.json({ success: true, data: alerts.map(withStatus) });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // Add new alert
-app.post('/api/alerts', (req, res) => {
+// type price: ticker, price, condition | condition: ticker, conditions, description
+// trailing: ticker, direction, trailPercent | trailAtr | percent_move: ticker, movePercent, direction
+// Any type: note, recurring, cooldownMinutes, expiresAt
+app.post('/api/alerts', async (req, res) => {
+  try {
+    const { ticker, type } = req.body;
+    
+    // Trailing and percent-move alerts anchor on the current price when the ticker is tracked;
+    // otherwise the first check seeds it
+    let currentPrice = null;
+    if (ticker && (type === 'trailing' || type === 'percent_move')) {
+      const tickerData = await fetchTicker(ticker.toUpperCase());
+      currentPrice = tickerData?.price || null;
+    }
+    
+    const alert = addAlertOfType(ticker, req.body, currentPrice);
+    res.json({ success: true, data: withStatus(alert) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Snooze an alert (body: minutes or until)
+app.post('/api/alerts/:id/snooze', (req, res) => {
   try {
-    const { ticker, price, condition, note } = req.body;
+    const { minutes, until } = req.body;
+    const alert = snoozeAlert(req.params.id, { minutes: minutes ?? 60, until: until || null });
     
-    if (!ticker || !price || !condition) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Missing required fields: ticker, price, condition' 
-      });
+    if (!alert) {
+      return res.status(404).json({ success: false, error: 'Alert not found' });
     }
     
-    if (!['above', 'below'].includes(condition)) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Condition must be "above" or "below"' 
-      });
+    res.json({ success: true, data: withStatus(alert) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Re-arm a triggered, expired or snoozed alert (body: optional expiresAt)
+app.post('/api/alerts/:id/rearm', (req, res) => {
+  try {
+    const alert = rearmAlert(req.params.id, req.body || {});
+    
+    if (!alert) {
+      return res.status(404).json({ success: false, error: 'Alert not found' });
     }
     
-    const alert = addAlert(ticker, price, condition, note || '');
-    res.json({ success: true, data: alert });
+    res.json({ success: true, data: withStatus(alert) });
   } catch (error) {
     res.status(400).json({ success: false, error: error.message });
   }
@@ -800,7 +1389,12 @@ app.post('/api/news/refresh', async (req, res) => {
 
 // Options Chain Analysis Endpoints
 
-// Get options analysis for a specific ticker
+// List options strategy templates
+app.get('/api/options/strategies', (req, res) => {
+  res.json({ success: true, data: getStrategyTemplates() });
+});
+
+// Get options analysis for a specific ticker (query: expirations, rate)
 app.get('/api/options/:ticker', async (req, res) => {
   try {
     const ticker = req.params.ticker.toUpperCase();
@@ -816,7 +1410,16 @@ app.get('/api/options/:ticker', async (req, res) => {
       });
     }
     
-    const analysis = await analyzeOptionsChain(ticker, tickerData.price);
+    const options = {};
+    if (req.query.expirations) options.expirations = Math.min(Math.max(parseInt(req.query.expirations) || 1, 1), 12);
+    if (req.query.rate !== undefined) {
+      options.riskFreeRate = parseFloat(req.query.rate);
+      if (!Number.isFinite(options.riskFreeRate)) {
+        return res.status(400).json({ success: false, error: 'rate must be a number (e.g. 0.045)' });
+      }
+    }
+    
+    const analysis = await analyzeOptionsChain(ticker, tickerData.price, options);
     res.json({ success: true, data: analysis });
   } catch (error) {
     console.error(`Options analysis error for ${req.params.ticker}:`, error);
@@ -824,6 +1427,24 @@ app.get('/api/options/:ticker', async (req, res) => {
   }
 });
 
+// Price a multi-leg strategy off the current chain (params: legs or template/expiration/width/quantity, dates, range)
+app.post('/api/options/:ticker/strategy', async (req, res) => {
+  try {
+    const ticker = req.params.ticker.toUpperCase();
+    const tickerData = await fetchTicker(ticker);
+    
+    if (!tickerData || !tickerData.price) {
+      return res.status(404).json({ success: false, error: `No market data for ${ticker}` });
+    }
+    
+    const strategy = await buildStrategy(ticker, tickerData.price, req.body || {});
+    res.json({ success: true, data: strategy });
+  } catch (error) {
+    console.error(`Strategy error for ${req.params.ticker}:`, error.message);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
 // Batch analyze options for all watchlist tickers
 app.post('/api/options/refresh', async (req, res) => {
   try {
@@ -1070,6 +1691,78 @@ app.post('/api/market-cache/clear', (req, res) => {
   }
 });
 
+// Fetch queue state: concurrency, per-host rate limits and circuit breakers
+app.get('/api/fetch-queue/stats', (req, res) => {
+  try {
+    res.json({ success: true, data: getFetchQueueStats() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Close open circuits (all hosts, or { host })
+app.post('/api/fetch-queue/reset', (req, res) => {
+  try {
+    const reset = resetCircuits(req.body?.host || null);
+    res.json({ success: true, data: { reset } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List registered market data providers
+app.get('/api/providers', (req, res) => {
+  try {
+    res.json({ success: true, data: listProviders() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Price History Store Endpoints
+
+// Stored series summary (bar counts, coverage, gaps, split/dividend adjustments)
+app.get('/api/history/status', (req, res) => {
+  try {
+    res.json({ success: true, data: getHistoryStatus() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get stored bars for a ticker (query: interval=1d|1h|15m, range=5y|1y|1mo...)
+app.get('/api/history/:ticker', async (req, res) => {
+  try {
+    const ticker = req.params.ticker.toUpperCase();
+    const { interval = '1d', range = '1y' } = req.query;
+
+    const bars = await fetchHistory(ticker, { interval, range });
+
+    if (!bars) {
+      return res.status(404).json({ success: false, error: `No ${interval} history for ${ticker}` });
+    }
+
+    res.json({ success: true, data: { ticker, interval, range, bars } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Clear stored history (body: ticker, optional - clears everything without it)
+app.post('/api/history/clear', (req, res) => {
+  try {
+    const ticker = req.body?.ticker || null;
+    if (ticker !== null && !isValidTicker(ticker)) {
+      return res.status(400).json({ success: false, error: `Invalid ticker: ${ticker}` });
+    }
+    
+    const result = clearHistory(ticker);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Notification Endpoints
 
 // Get all notifications
@@ -1154,6 +1847,187 @@ app.post('/api/notifications/send', (req, res) => {
   }
 });
 
+// Notification Channel Endpoints
+
+// List delivery channels (secrets masked)
+app.get('/api/notifications/channels', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        channels: loadChannels().map(maskChannel),
+        types: CHANNEL_TYPES,
+        shellAllowed: shellChannelsAllowed(),
+        priorities: PRIORITIES,
+        presets: Object.keys(WEBHOOK_PRESETS)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Add a delivery channel (body: name, type, enabled, minPriority, types, retries, backoffMs, config)
+app.post('/api/notifications/channels', (req, res) => {
+  try {
+    const channel = addChannel(req.body);
+    res.json({ success: true, data: maskChannel(channel) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Update a delivery channel
+app.put('/api/notifications/channels/:id', (req, res) => {
+  try {
+    const channel = updateChannel(req.params.id, req.body);
+    
+    if (!channel) {
+      return res.status(404).json({ success: false, error: 'Channel not found' });
+    }
+    
+    res.json({ success: true, data: maskChannel(channel) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a delivery channel
+app.delete('/api/notifications/channels/:id', (req, res) => {
+  try {
+    if (!removeChannel(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Channel not found' });
+    }
+    
+    res.json({ success: true, message: 'Channel removed' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Send a test notification through a channel (waits for delivery, including retries)
+app.post('/api/notifications/channels/:id/test', async (req, res) => {
+  try {
+    const delivery = await testChannel(req.params.id);
+    
+    if (!delivery) {
+      return res.status(404).json({ success: false, error: 'Channel not found' });
+    }
+    
+    res.json({ success: true, data: delivery });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delivery log (query: channelId, status, limit)
+app.get('/api/notifications/deliveries', (req, res) => {
+  try {
+    const deliveries = getDeliveryLog({
+      channelId: req.query.channelId || null,
+      status: req.query.status || null,
+      limit: parseInt(req.query.limit) || 100
+    });
+    res.json({ success: true, data: deliveries });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Inbound Webhook Endpoints
+
+// Receive an alert from an external tool (JSON or text body; secret via signature, header, ?secret= or body)
+app.post('/api/webhooks/inbound', express.text({ type: () => true, limit: '64kb', verify: keepRawBody }), (req, res) => {
+  try {
+    const verification = verifyWebhook({
+      headers: req.headers,
+      query: req.query,
+      body: req.body,
+      rawBody: req.rawBody || ''
+    });
+    
+    if (!verification.ok) {
+      return res.status(verification.status).json({ success: false, error: verification.error });
+    }
+    
+    const event = handleInboundWebhook(req.body, {
+      publish: result => broadcast('webhook-result', result)
+    });
+    broadcast('webhook-inbound', event, event.receivedAt);
+    
+    res.json({ success: true, data: event });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Webhook settings and mapping rules (the secret is never returned)
+app.get('/api/webhooks', (req, res) => {
+  try {
+    res.json({ success: true, data: getWebhookSettings() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Set the shared secret (body: secret; omit to generate one - returned once)
+app.post('/api/webhooks/secret', (req, res) => {
+  try {
+    const secret = setWebhookSecret(req.body.secret || null);
+    res.json({ success: true, data: { secret } });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Add a mapping rule (body: name, enabled, match, pattern, action, params, stop)
+app.post('/api/webhooks/rules', (req, res) => {
+  try {
+    const rule = addWebhookRule(req.body);
+    res.json({ success: true, data: rule });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Update a mapping rule
+app.put('/api/webhooks/rules/:id', (req, res) => {
+  try {
+    const rule = updateWebhookRule(req.params.id, req.body);
+    
+    if (!rule) {
+      return res.status(404).json({ success: false, error: 'Rule not found' });
+    }
+    
+    res.json({ success: true, data: rule });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a mapping rule
+app.delete('/api/webhooks/rules/:id', (req, res) => {
+  try {
+    if (!removeWebhookRule(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Rule not found' });
+    }
+    
+    res.json({ success: true, message: 'Rule removed' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Recent inbound events with matched rules and action results
+app.get('/api/webhooks/events', (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    res.json({ success: true, data: getWebhookEvents(limit) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Watchlist Management Endpoints
 
 // Get full watchlist
@@ -1179,12 +2053,20 @@ app.get('/api/watchlist/symbols', (req, res) => {
 // Add ticker to watchlist
 app.post('/api/watchlist/add', (req, res) => {
   try {
-    const { symbol, yahoo, google, name, exchange } = req.body;
+    const { symbol, yahoo, google, name, exchange, provider, fallback, model } = req.body;
     
     if (!symbol) {
       return res.status(400).json({ success: false, error: 'Symbol is required' });
     }
     
+    if (provider && !getProvider(provider)) {
+      return res.status(400).json({ success: false, error: `Unknown data provider: ${provider}` });
+    }
+    
+    if (model) {
+      parseModelSpec(model); // Throws on an unknown LLM provider
+    }
+    
     // Auto-detect config if not fully provided
     let config;
     if (yahoo && google) {
@@ -1193,6 +2075,14 @@ app.post('/api/watchlist/add', (req, res) => {
       config = detectTickerConfig(symbol, exchange);
     }
     
+    if (provider) {
+      config = { ...config, provider, fallback };
+    }
+    
+    if (model) {
+      config = { ...config, model };
+    }
+    
     const ticker = addTicker(symbol, config);
     res.json({ success: true, data: ticker });
   } catch (error) {
@@ -1200,6 +2090,21 @@ app.post('/api/watchlist/add', (req, res) => {
   }
 });
 
+// Choose the AI model for a ticker ({ model: "provider:model" }, or null for the default)
+app.put('/api/watchlist/:symbol/model', (req, res) => {
+  try {
+    const model = req.body?.model || null;
+    if (model) {
+      parseModelSpec(model);
+    }
+    
+    const entry = setTickerModel(req.params.symbol, model);
+    res.json({ success: true, data: entry });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
 // Remove ticker from watchlist
 app.delete('/api/watchlist/remove/:symbol', (req, res) => {
   try {
@@ -1306,6 +2211,118 @@ app.get('/api/journal/export', (req, res) => {
   }
 });
 
+// Paper Trading Endpoints
+
+// Fill a newly placed order right away when the market is open to it
+async function processPaperTicker(ticker) {
+  const data = await fetchTicker(ticker);
+  if (!data) return { fills: [], rejected: [] };
+  
+  const result = processPaperOrders({ [ticker]: data });
+  if (result.fills.length > 0) broadcast('paper-fill', result.fills);
+  return result;
+}
+
+// Account summary (cash, equity, P&L)
+app.get('/api/paper/account', (req, res) => {
+  try {
+    res.json({ success: true, data: getAccountSummary() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Open positions
+app.get('/api/paper/positions', (req, res) => {
+  try {
+    res.json({ success: true, data: getPositions() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Flatten a position with a market order
+app.post('/api/paper/positions/:ticker/close', async (req, res) => {
+  try {
+    const orders = closePosition(req.params.ticker);
+    await processPaperTicker(orders[0].ticker);
+    res.json({ success: true, data: getOrders({ ticker: orders[0].ticker, limit: 1 }) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Orders (?status=OPEN&ticker=SPY&limit=100)
+app.get('/api/paper/orders', (req, res) => {
+  try {
+    const { status, ticker } = req.query;
+    const limit = parseInt(req.query.limit) || 100;
+    res.json({ success: true, data: getOrders({ status, ticker, limit }) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Place an order: MARKET, LIMIT, STOP, STOP_LIMIT, BRACKET or OCO
+app.post('/api/paper/orders', async (req, res) => {
+  let orders;
+  
+  try {
+    orders = placeOrder(req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  
+  try {
+    await processPaperTicker(orders[0].ticker);
+    const ids = new Set(orders.map(o => o.id));
+    const placed = getOrders({ ticker: orders[0].ticker, limit: Infinity }).filter(o => ids.has(o.id)).reverse();
+    res.json({ success: true, data: placed });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Cancel an order
+app.delete('/api/paper/orders/:id', (req, res) => {
+  try {
+    const cancelled = cancelOrder(req.params.id);
+    res.json({ success: true, data: cancelled });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Fill history
+app.get('/api/paper/fills', (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    res.json({ success: true, data: getFills(limit) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Slippage and commission settings
+app.post('/api/paper/settings', (req, res) => {
+  try {
+    const { slippageBps, commissionPerShare, minCommission } = req.body;
+    res.json({ success: true, data: updateBrokerSettings({ slippageBps, commissionPerShare, minCommission }) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Reset the paper account
+app.post('/api/paper/reset', (req, res) => {
+  try {
+    const startingCash = req.body.startingCash ? parseFloat(req.body.startingCash) : null;
+    res.json({ success: true, data: resetAccount(startingCash) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
 // WebSocket connection handling
 wss.on('connection', (ws) => {
   console.log('WebSocket client connected');
@@ -1344,6 +2361,47 @@ wss.on('connection', (ws) => {
   });
 });
 
+// Send a message to every connected WebSocket client
+const broadcast = (type, data, timestamp = Date.now()) => {
+  const message = JSON.stringify({ type, data, timestamp });
+  
+  wss.clients.forEach((client) => {
+    if (client.readyState === 1) { // WebSocket.OPEN
+      client.send(message);
+    }
+  });
+};
+
+// Replay bars and the latest prices over tracked signals and announce any that closed
+const trackSignalOutcomes = async (marketData) => {
+  const { closed } = await resolveActiveSignals(marketData);
+  if (closed.length === 0) return;
+  
+  // Mirror the outcome onto the signal history shown on the signals page
+  const openIds = new Set(getOpenSignals().map(s => s.id));
+  for (const signal of closed) {
+    if (openIds.has(signal.id)) {
+      const result = signal.actualReturn > 0 ? 'WIN' : signal.actualReturn < 0 ? 'LOSS' : 'BREAKEVEN';
+      closeSignal(signal.id, signal.exitPrice, result, {
+        status: signal.outcome === 'EXPIRED' ? 'EXPIRED' : 'CLOSED',
+        reason: `${signal.exitReason} (${result})`
+      });
+    }
+    
+    const sign = signal.actualReturn >= 0 ? '+' : '';
+    notify(
+      `${signal.actualReturn >= 0 ? '✅' : '❌'} ${signal.ticker} ${signal.direction} closed`,
+      `${signal.exitReason} at $${signal.exitPrice.toFixed(2)} (${sign}${signal.actualReturn.toFixed(2)}%)`,
+      'signal-closed',
+      'high'
+    );
+  }
+  
+  broadcast('signal-closed', closed);
+  console.log(`🎯 ${closed.length} signal(s) closed:`, 
+    closed.map(s => `${s.ticker} ${s.direction} (${s.exitReason})`).join(', '));
+};
+
 // Broadcast market data updates every 5 seconds
 let lastBroadcast = 0;
 const BROADCAST_INTERVAL = 5000; // 5 seconds
@@ -1351,8 +2409,15 @@ const BROADCAST_INTERVAL = 5000; // 5 seconds
 setInterval(async () => {
   const now = Date.now();
   
-  // Skip if no clients connected or too soon since last update
-  if (wss.clients.size === 0 || now - lastBroadcast < BROADCAST_INTERVAL) {
+  if (now - lastBroadcast < BROADCAST_INTERVAL) {
+    return;
+  }
+  
+  // Working paper orders and tracked signals are processed even with no browser open, so a stop
+  // crossed while the tab is closed still fills; alerts run while someone is listening (clients or channels)
+  const listening = wss.clients.size > 0 || hasEnabledChannels();
+  const working = getOrders({ status: 'OPEN', limit: 1 }).length > 0 || getActiveSignals().length > 0;
+  if (!listening && !working) {
     return;
   }
   
@@ -1360,38 +2425,29 @@ setInterval(async () => {
     const marketData = await fetchAllTickers();
     
     // Check for triggered alerts
-    const triggeredAlerts = checkAlerts(marketData);
-    
-    // Prepare market update message
-    const message = JSON.stringify({
-      type: 'market-update',
-      data: marketData,
-      timestamp: now
-    });
+    const triggeredAlerts = listening ? checkAlerts(marketData) : [];
     
     // Broadcast to all connected clients
-    wss.clients.forEach((client) => {
-      if (client.readyState === 1) { // WebSocket.OPEN
-        client.send(message);
-      }
-    });
+    broadcast('market-update', marketData, now);
     
     // Send alert notifications if any triggered
     if (triggeredAlerts.length > 0) {
-      const alertMessage = JSON.stringify({
-        type: 'alert-triggered',
-        data: triggeredAlerts,
-        timestamp: now
-      });
-      
-      wss.clients.forEach((client) => {
-        if (client.readyState === 1) {
-          client.send(alertMessage);
-        }
-      });
+      broadcast('alert-triggered', triggeredAlerts.map(withStatus), now);
+      triggeredAlerts.forEach(notifyAlert);
       
       console.log(`🔔 ${triggeredAlerts.length} alert(s) triggered:`, 
-        triggeredAlerts.map(a => `${a.ticker} ${a.condition} $${a.price}`).join(', '));
+        triggeredAlerts.map(a => `${a.ticker} ${describeAlert(a)}`).join(', '));
+    }
+    
+    // Close tracked signals on target, stop or expiry
+    await trackSignalOutcomes(marketData);
+    
+    // Fill working paper orders
+    const { fills } = processPaperOrders(marketData);
+    if (fills.length > 0) {
+      broadcast('paper-fill', fills, now);
+      console.log(`📝 ${fills.length} paper fill(s):`, 
+        fills.map(f => `${f.side} ${f.quantity} ${f.ticker} @ $${f.price.toFixed(2)}`).join(', '));
     }
     
     lastBroadcast = now;
@@ -1401,7 +2457,25 @@ setInterval(async () => {
   }
 }, 5000);
 
-// Start server
+// Re-run scheduled screens and notify about tickers entering them
+setInterval(async () => {
+  try {
+    const results = await runDueScreens();
+    const entered = results.filter(r => r.entered.length > 0);
+    if (entered.length > 0) {
+      broadcast('screen-entries', entered.map(r => ({
+        screenId: r.screen.id,
+        name: r.screen.name,
+        entered: r.entered
+      })));
+    }
+  } catch (error) {
+    console.error('Error running scheduled screens:', error);
+  }
+}, 60 * 1000);
+
+// Start server (once indicator plugins are registered)
+await loadIndicatorPlugins();
 server.listen(PORT, () => {
   console.log('\n🐾 Klaw Terminal - Web UI');
   console.log('═══════════════════════════════════════');
@@ -0,0 +1,84 @@
+// Keltner Channels - EMA midline with ATR bands (indicator plugin, see lib/indicators.js)
+
+/**
+ * Per-bar EMA midline and ATR-based bands (null until enough history)
+ */
+function keltnerSeries(bars, { period, atrPeriod, multiplier }) {
+  const k = 2 / (period + 1);
+  const middle = [], upper = [], lower = [];
+  const trueRanges = [];
+  let ema = null;
+  let trSum = 0;
+
+  bars.forEach((bar, i) => {
+    // EMA seeded with the SMA of the first `period` closes
+    if (i === period - 1) {
+      ema = bars.slice(0, period).reduce((sum, b) => sum + b.close, 0) / period;
+    } else if (i >= period) {
+      ema = bar.close * k + ema * (1 - k);
+    }
+
+    if (i > 0) {
+      const prev = bars[i - 1].close;
+      const tr = Math.max(bar.high - bar.low, Math.abs(bar.high - prev), Math.abs(bar.low - prev));
+      trueRanges.push(tr);
+      trSum += tr;
+      if (trueRanges.length > atrPeriod) trSum -= trueRanges[trueRanges.length - atrPeriod - 1];
+    }
+
+    const atr = trueRanges.length >= atrPeriod ? trSum / atrPeriod : null;
+    middle.push(ema);
+    upper.push(ema !== null && atr !== null ? ema + multiplier * atr : null);
+    lower.push(ema !== null && atr !== null ? ema - multiplier * atr : null);
+  });
+
+  return { middle, upper, lower };
+}
+
+export default {
+  name: 'keltner',
+  label: 'Keltner Channels',
+  description: 'EMA midline with bands at a multiple of ATR; closes outside the channel mark strong moves',
+  params: {
+    period: { default: 20, min: 2, max: 200, integer: true, description: 'EMA period' },
+    atrPeriod: { default: 10, min: 2, max: 100, integer: true, description: 'ATR period' },
+    multiplier: { default: 2, min: 0.5, max: 5, description: 'Band width in ATRs' }
+  },
+  outputs: {
+    upper: 'number',
+    middle: 'number',
+    lower: 'number',
+    widthPercent: 'number',
+    position: 'string'
+  },
+  minBars: ({ period, atrPeriod }) => Math.max(period, atrPeriod + 1),
+
+  calculate(bars, params, { price }) {
+    const { middle, upper, lower } = keltnerSeries(bars, params);
+    const last = bars.length - 1;
+    if (upper[last] === null) return null;
+
+    const close = price ?? bars[last].close;
+    return {
+      upper: upper[last],
+      middle: middle[last],
+      lower: lower[last],
+      widthPercent: (upper[last] - lower[last]) / middle[last] * 100,
+      position: close > upper[last] ? 'above' : close < lower[last] ? 'below' : 'inside'
+    };
+  },
+
+  prompt(value) {
+    const flag = value.position === 'above' ? '🚀BREAKOUT' : value.position === 'below' ? '🔻BREAKDOWN' : '';
+    return `Keltner: $${value.lower.toFixed(2)} / $${value.middle.toFixed(2)} / $${value.upper.toFixed(2)} | Price ${value.position.toUpperCase()}${flag ? ` ${flag}` : ''} | Width ${value.widthPercent.toFixed(1)}%`;
+  },
+
+  series(bars, params) {
+    const { middle, upper, lower } = keltnerSeries(bars, params);
+    return [
+      { label: 'KC Upper', values: upper, overlay: true, color: '#38bdf8' },
+      { label: 'KC Mid', values: middle, overlay: true, color: 'rgba(56, 189, 248, 0.5)' },
+      { label: 'KC Lower', values: lower, overlay: true, color: '#38bdf8' }
+    ];
+  }
+};
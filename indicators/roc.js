@@ -0,0 +1,42 @@
+// Rate of Change - percent change over N bars (indicator plugin, see lib/indicators.js)
+
+function rocSeries(bars, period) {
+  return bars.map((bar, i) => i >= period && bars[i - period].close
+    ? (bar.close - bars[i - period].close) / bars[i - period].close * 100
+    : null);
+}
+
+export default {
+  name: 'roc',
+  label: 'Rate of Change',
+  description: 'Percent change of the close over the last N bars, with its direction versus the previous bar',
+  params: {
+    period: { default: 12, min: 1, max: 250, integer: true, description: 'Lookback in bars' }
+  },
+  outputs: {
+    value: 'number',
+    previous: 'number',
+    direction: 'string'
+  },
+  minBars: ({ period }) => period + 2,
+
+  calculate(bars, { period }) {
+    const values = rocSeries(bars, period);
+    const value = values[values.length - 1];
+    const previous = values[values.length - 2];
+
+    return {
+      value,
+      previous,
+      direction: value > previous ? 'rising' : value < previous ? 'falling' : 'flat'
+    };
+  },
+
+  prompt(value, { period }) {
+    return `ROC(${period}) ${value.value >= 0 ? '+' : ''}${value.value.toFixed(2)}% ${value.direction.toUpperCase()}`;
+  },
+
+  series(bars, { period }) {
+    return [{ label: `ROC(${period})`, values: rocSeries(bars, period), color: '#f97316' }];
+  }
+};
@@ -0,0 +1,286 @@
+// AI Usage - token, latency and cost accounting for model calls, with daily/monthly budgets
+// Every analysis that reaches a model is recorded with its prompt/response tokens, latency,
+// retries and estimated cost, and added to per-day totals broken down by ticker, caller
+// ('cli', 'api', 'webhook') and model. Cache hits are counted too, at no cost.
+// Budgets are in USD over UTC days and months. When one is spent, analyses with paid models
+// either fall back to cached answers only ('cache-only') or are refused ('block'); local and
+// mock models are never limited.
+import { defineStore, readStore, updateStore } from './storage.js';
+
+export const BUDGET_MODES = ['cache-only', 'block'];
+
+// Estimated list prices in USD per million tokens (input, output); override with settings.pricing
+const PRICING = {
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  'gemini-2.0-flash-lite': { input: 0.075, output: 0.30 },
+  'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10 }
+};
+
+const DEFAULT_SETTINGS = {
+  dailyBudget: null,
+  monthlyBudget: null,
+  onExceeded: 'cache-only',
+  pricing: {}
+};
+
+const MAX_RECENT = 500;
+const MAX_DAYS = 400;
+
+defineStore('ai-usage', {
+  file: 'ai-usage.json',
+  version: 1,
+  defaultValue: () => ({ settings: { ...DEFAULT_SETTINGS }, days: {}, recent: [] })
+});
+
+const emptyBucket = () => ({
+  calls: 0,
+  cacheHits: 0,
+  errors: 0,
+  rejected: 0,
+  retries: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  cost: 0,
+  latencyMs: 0
+});
+
+function addToBucket(bucket, entry) {
+  if (entry.cached) {
+    bucket.cacheHits++;
+    return bucket;
+  }
+
+  bucket.calls++;
+  if (entry.outcome === 'error') bucket.errors++;
+  if (entry.outcome === 'rejected') bucket.rejected++;
+  bucket.retries += entry.retries;
+  bucket.promptTokens += entry.promptTokens;
+  bucket.completionTokens += entry.completionTokens;
+  bucket.cost += entry.cost || 0;
+  bucket.latencyMs += entry.latencyMs;
+  return bucket;
+}
+
+function mergeBuckets(target, source) {
+  for (const key of Object.keys(source)) {
+    if (typeof source[key] === 'number') target[key] = (target[key] || 0) + source[key];
+  }
+  return target;
+}
+
+function withAverages(bucket) {
+  return { ...bucket, avgLatencyMs: bucket.calls > 0 ? Math.round(bucket.latencyMs / bucket.calls) : 0 };
+}
+
+const dayKey = (time = Date.now()) => new Date(time).toISOString().slice(0, 10);
+
+function loadUsage() {
+  try {
+    return readStore('ai-usage');
+  } catch (error) {
+    console.error('Failed to load AI usage:', error.message);
+    return { settings: { ...DEFAULT_SETTINGS }, days: {}, recent: [] };
+  }
+}
+
+function getSettings(data) {
+  return { ...DEFAULT_SETTINGS, ...data.settings };
+}
+
+/**
+ * Price per million tokens for a model ("provider:model"), or null when unknown
+ */
+function priceFor(modelId, pricing) {
+  const model = modelId.split(':').slice(1).join(':');
+  if (pricing[modelId]) return pricing[modelId];
+  if (pricing[model]) return pricing[model];
+
+  // Dated and preview variants (gemini-2.5-pro-preview-05-06) use their family's price
+  const family = Object.keys(PRICING)
+    .filter(name => model === name || model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return family ? PRICING[family] : null;
+}
+
+/**
+ * Estimated cost in USD of a call's token usage (0 for local models, null for unknown prices)
+ */
+export function estimateCost(modelId, usage, { local = false, pricing = getUsageSettings().pricing } = {}) {
+  if (local) return 0;
+  if (!usage) return null;
+
+  const price = priceFor(modelId, pricing);
+  if (!price) return null;
+  return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1_000_000;
+}
+
+/**
+ * Record one analysis: a model call (with its retries and repairs) or a cache hit
+ * @param {Object} entry - { ticker, model, caller, promptVersion, usage, latencyMs, retries,
+ *                           calls, outcome: 'ok' | 'rejected' | 'error', error, cached, local }
+ */
+export function recordUsage(entry) {
+  const record = {
+    timestamp: Date.now(),
+    ticker: entry.ticker,
+    model: entry.model,
+    caller: entry.caller || 'other',
+    promptVersion: entry.promptVersion || null,
+    cached: !!entry.cached,
+    outcome: entry.outcome || 'ok',
+    calls: entry.calls || (entry.cached ? 0 : 1),
+    retries: entry.retries || 0,
+    promptTokens: entry.usage?.promptTokens || 0,
+    completionTokens: entry.usage?.completionTokens || 0,
+    latencyMs: entry.latencyMs || 0,
+    cost: entry.cached ? 0 : estimateCost(entry.model, entry.usage, { local: entry.local }),
+    error: entry.error || null
+  };
+
+  try {
+    updateStore('ai-usage', data => {
+      const date = dayKey(record.timestamp);
+      const day = data.days[date] || (data.days[date] = { ...emptyBucket(), byTicker: {}, byCaller: {}, byModel: {} });
+
+      addToBucket(day, record);
+      addToBucket(day.byTicker[record.ticker] || (day.byTicker[record.ticker] = emptyBucket()), record);
+      addToBucket(day.byCaller[record.caller] || (day.byCaller[record.caller] = emptyBucket()), record);
+      addToBucket(day.byModel[record.model] || (day.byModel[record.model] = emptyBucket()), record);
+
+      if (!record.cached) {
+        data.recent.unshift(record);
+        data.recent = data.recent.slice(0, MAX_RECENT);
+      }
+
+      for (const old of Object.keys(data.days).sort().slice(0, -MAX_DAYS)) {
+        delete data.days[old];
+      }
+    });
+  } catch (error) {
+    console.error('Failed to record AI usage:', error.message);
+  }
+
+  return record;
+}
+
+/**
+ * Spend against the daily and monthly budgets
+ * @returns {Object} { status: 'ok' | 'cache-only' | 'blocked', reason, daily: { spent, budget }, monthly: { spent, budget } }
+ */
+export function checkBudget() {
+  const data = loadUsage();
+  const settings = getSettings(data);
+  const today = dayKey();
+  const month = today.slice(0, 7);
+
+  const daily = { spent: data.days[today]?.cost || 0, budget: settings.dailyBudget };
+  const monthly = {
+    spent: Object.entries(data.days).filter(([date]) => date.startsWith(month)).reduce((sum, [, day]) => sum + day.cost, 0),
+    budget: settings.monthlyBudget
+  };
+
+  const exceeded = [
+    daily.budget !== null && daily.spent >= daily.budget && `daily budget $${daily.budget} spent ($${daily.spent.toFixed(4)})`,
+    monthly.budget !== null && monthly.spent >= monthly.budget && `monthly budget $${monthly.budget} spent ($${monthly.spent.toFixed(4)})`
+  ].filter(Boolean);
+
+  return {
+    status: exceeded.length === 0 ? 'ok' : settings.onExceeded === 'block' ? 'blocked' : 'cache-only',
+    reason: exceeded.join(', ') || null,
+    daily,
+    monthly
+  };
+}
+
+/**
+ * Usage totals for the dashboard
+ * @param {Object} options - { days: how many days of history to aggregate (default 30) }
+ */
+export function getUsageSummary({ days = 30 } = {}) {
+  const data = loadUsage();
+  const since = dayKey(Date.now() - (days - 1) * 24 * 60 * 60 * 1000);
+  const month = dayKey().slice(0, 7);
+  const dates = Object.keys(data.days).filter(date => date >= since).sort();
+
+  const total = emptyBucket();
+  const monthTotal = emptyBucket();
+  const byTicker = {};
+  const byCaller = {};
+  const byModel = {};
+
+  for (const [date, day] of Object.entries(data.days)) {
+    if (date.startsWith(month)) mergeBuckets(monthTotal, day);
+  }
+
+  for (const date of dates) {
+    const day = data.days[date];
+    mergeBuckets(total, day);
+    for (const [groups, target] of [[day.byTicker, byTicker], [day.byCaller, byCaller], [day.byModel, byModel]]) {
+      for (const [key, bucket] of Object.entries(groups)) {
+        mergeBuckets(target[key] || (target[key] = emptyBucket()), bucket);
+      }
+    }
+  }
+
+  const averaged = groups => Object.fromEntries(Object.entries(groups).map(([key, bucket]) => [key, withAverages(bucket)]));
+
+  return {
+    days,
+    today: withAverages(data.days[dayKey()] ? mergeBuckets(emptyBucket(), data.days[dayKey()]) : emptyBucket()),
+    month: withAverages(monthTotal),
+    total: withAverages(total),
+    byDay: dates.map(date => ({ date, ...withAverages(mergeBuckets(emptyBucket(), data.days[date])) })),
+    byTicker: averaged(byTicker),
+    byCaller: averaged(byCaller),
+    byModel: averaged(byModel),
+    unpricedCalls: data.recent.filter(r => r.cost === null).length,
+    recent: data.recent.slice(0, 50),
+    budget: checkBudget(),
+    settings: getSettings(data)
+  };
+}
+
+/**
+ * Get budget and pricing settings
+ */
+export function getUsageSettings() {
+  return getSettings(loadUsage());
+}
+
+/**
+ * Change budget and pricing settings
+ * @param {Object} updates - { dailyBudget, monthlyBudget (USD, null for none), onExceeded, pricing: { model: { input, output } } }
+ */
+export function updateUsageSettings(updates = {}) {
+  for (const key of ['dailyBudget', 'monthlyBudget']) {
+    if (updates[key] !== undefined && updates[key] !== null && !(typeof updates[key] === 'number' && updates[key] >= 0)) {
+      throw new Error(`Invalid ${key}: ${updates[key]} (use a dollar amount or null)`);
+    }
+  }
+  if (updates.onExceeded !== undefined && !BUDGET_MODES.includes(updates.onExceeded)) {
+    throw new Error(`Invalid onExceeded: ${updates.onExceeded} (use ${BUDGET_MODES.join(', ')})`);
+  }
+  if (updates.pricing !== undefined) {
+    for (const [model, price] of Object.entries(updates.pricing || {})) {
+      if (!(price?.input >= 0 && price?.output >= 0)) {
+        throw new Error(`Invalid pricing for ${model}: use { input, output } in USD per million tokens`);
+      }
+    }
+  }
+
+  const data = updateStore('ai-usage', data => {
+    data.settings = getSettings(data);
+    for (const key of ['dailyBudget', 'monthlyBudget', 'onExceeded', 'pricing']) {
+      if (updates[key] !== undefined) data.settings[key] = updates[key] ?? DEFAULT_SETTINGS[key];
+    }
+  });
+
+  return data.settings;
+}
@@ -1,21 +1,57 @@
 // Price Alert Management
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
+// Alert types:
+//   price        { price, condition: 'above' | 'below' }
+//   condition    { conditions } evaluated with lib/conditions.js against the ticker's technicals;
+//                the fields they reference are snapshotted (`lastState`) so crossing operators
+//                work across ticks and restarts
+//   trailing     { direction: 'below' | 'above', trailPercent | trailAtr } - a stop level that
+//                ratchets behind the best price seen (`anchorPrice`) and fires when price crosses it
+//   percent_move { movePercent, direction: 'up' | 'down' | 'either' } measured from `basePrice`
+// Every alert shares a lifecycle: one-shot or recurring with a cooldown, optional expiry,
+// snoozing and re-arming.
+import { defineStore, readStore, writeStore, updateStore } from './storage.js';
+import { analyzeMarketData, calculateATR } from './technicals.js';
+import { detectMarketRegime } from './market-regime.js';
+import {
+  buildConditionContext,
+  evaluateCondition,
+  validateCondition,
+  snapshotFields,
+  describeCondition
+} from './conditions.js';
 
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const ALERTS_FILE = join(__dirname, '..', 'data', 'alerts.json');
+export const ALERT_TYPES = ['price', 'condition', 'trailing', 'percent_move'];
+
+const DEFAULT_COOLDOWN_MINUTES = 60;
+const MAX_TRIGGER_HISTORY = 20;
+
+defineStore('alerts', {
+  file: 'alerts.json',
+  version: 3,
+  defaultValue: [],
+  migrations: {
+    // v2: alert types (existing alerts are price alerts)
+    2: alerts => alerts.map(a => ({ type: 'price', ...a })),
+    // v3: lifecycle (recurring, cooldown, expiry, snooze) and trigger history
+    3: alerts => alerts.map(a => ({
+      recurring: false,
+      cooldownMinutes: DEFAULT_COOLDOWN_MINUTES,
+      expiresAt: null,
+      expiredAt: null,
+      snoozedUntil: null,
+      triggerCount: a.triggered ? 1 : 0,
+      triggers: a.triggered ? [{ at: a.triggeredAt, price: a.triggeredPrice }] : [],
+      ...a
+    }))
+  }
+});
 
 /**
  * Load all price alerts
  */
 export function loadAlerts() {
   try {
-    if (!existsSync(ALERTS_FILE)) {
-      return [];
-    }
-    const data = readFileSync(ALERTS_FILE, 'utf8');
-    return JSON.parse(data);
+    return readStore('alerts');
   } catch (error) {
     console.error('Error loading alerts:', error.message);
     return [];
@@ -23,11 +59,11 @@ export function loadAlerts() {
 }
 
 /**
- * Save alerts to file
+ * Replace all alerts on disk
  */
 export function saveAlerts(alerts) {
   try {
-    writeFileSync(ALERTS_FILE, JSON.stringify(alerts, null, 2));
+    writeStore('alerts', alerts);
     return true;
   } catch (error) {
     console.error('Error saving alerts:', error.message);
@@ -36,116 +72,490 @@ export function saveAlerts(alerts) {
 }
 
 /**
- * Add a new price alert
+ * Parse an expiry (unix ms, or an ISO date/time string)
  */
-export function addAlert(ticker, price, condition, note = '') {
-  const alerts = loadAlerts();
+function parseExpiry(expiresAt) {
+  if (expiresAt === null || expiresAt === undefined || expiresAt === '') return null;
+  
+  const ms = typeof expiresAt === 'number' ? expiresAt : Date.parse(expiresAt);
+  if (!Number.isFinite(ms)) throw new Error(`Invalid expiresAt: ${expiresAt}`);
+  if (ms <= Date.now()) throw new Error('expiresAt must be in the future');
+  return ms;
+}
+
+/**
+ * Shared fields for a new alert
+ * @param {Object} options - { note, recurring, cooldownMinutes, expiresAt }
+ */
+function createAlert(ticker, fields, { note = '', recurring = false, cooldownMinutes = DEFAULT_COOLDOWN_MINUTES, expiresAt = null } = {}) {
+  const cooldown = parseFloat(cooldownMinutes);
+  if (!(cooldown >= 0)) throw new Error('cooldownMinutes must be zero or more');
   
   const newAlert = {
     id: Date.now().toString(36) + Math.random().toString(36).substr(2),
     ticker: ticker.toUpperCase(),
-    price: parseFloat(price),
-    condition, // 'above' or 'below'
+    ...fields,
     note,
+    recurring: !!recurring,
+    cooldownMinutes: cooldown,
+    expiresAt: parseExpiry(expiresAt),
+    expiredAt: null,
+    snoozedUntil: null,
     createdAt: Date.now(),
-    triggered: false
+    triggered: false,
+    triggerCount: 0,
+    triggers: []
   };
   
-  alerts.push(newAlert);
-  saveAlerts(alerts);
+  updateStore('alerts', alerts => {
+    alerts.push(newAlert);
+  });
   
   return newAlert;
 }
 
+/**
+ * Add a new price alert
+ * @param {Object} options - Lifecycle options ({ recurring, cooldownMinutes, expiresAt })
+ */
+export function addAlert(ticker, price, condition, note = '', options = {}) {
+  return createAlert(ticker, {
+    type: 'price',
+    price: parseFloat(price),
+    condition // 'above' or 'below'
+  }, { ...options, note });
+}
+
+/**
+ * Add an alert on indicator conditions
+ * @param {string} ticker - Ticker symbol
+ * @param {Object} conditions - Condition tree (see lib/conditions.js), e.g.
+ *   { all: [{ field: 'rsi', op: 'crosses_below', value: 30 }, { field: 'volumeRatio', op: '>', value: 2 }] }
+ * @param {Object} options - { note, description } plus lifecycle options
+ */
+export function addConditionAlert(ticker, conditions, { description = '', ...options } = {}) {
+  validateCondition(conditions);
+  
+  return createAlert(ticker, {
+    type: 'condition',
+    conditions,
+    description: description || describeCondition(conditions),
+    lastState: null,
+    lastEvaluatedAt: null
+  }, options);
+}
+
+/**
+ * Add a trailing alert that follows price by a percent or an ATR multiple
+ * direction 'below' trails under the highest price (a long's trailing stop),
+ * 'above' trails over the lowest price (a short's)
+ * @param {Object} options - { direction, trailPercent, trailAtr, currentPrice } plus lifecycle options
+ */
+export function addTrailingAlert(ticker, { direction = 'below', trailPercent = null, trailAtr = null, currentPrice = null, ...options } = {}) {
+  if (!['below', 'above'].includes(direction)) throw new Error('direction must be "below" or "above"');
+  
+  const percent = trailPercent !== null && trailPercent !== '' ? parseFloat(trailPercent) : null;
+  const atrMultiple = trailAtr !== null && trailAtr !== '' ? parseFloat(trailAtr) : null;
+  if ((percent === null) === (atrMultiple === null)) throw new Error('Provide either trailPercent or trailAtr');
+  if (percent !== null && !(percent > 0 && percent < 100)) throw new Error('trailPercent must be between 0 and 100');
+  if (atrMultiple !== null && !(atrMultiple > 0)) throw new Error('trailAtr must be positive');
+  
+  return createAlert(ticker, {
+    type: 'trailing',
+    direction,
+    trailPercent: percent,
+    trailAtr: atrMultiple,
+    anchorPrice: currentPrice || null,
+    stopPrice: null
+  }, options);
+}
+
+/**
+ * Add an alert on a percent move from the price when it was created
+ * @param {Object} options - { movePercent, direction: 'up' | 'down' | 'either', basePrice } plus lifecycle options
+ */
+export function addPercentMoveAlert(ticker, { movePercent, direction = 'either', basePrice = null, ...options } = {}) {
+  const percent = parseFloat(movePercent);
+  if (!(percent > 0)) throw new Error('movePercent must be positive');
+  if (!['up', 'down', 'either'].includes(direction)) throw new Error('direction must be "up", "down" or "either"');
+  
+  return createAlert(ticker, {
+    type: 'percent_move',
+    movePercent: percent,
+    direction,
+    basePrice: basePrice || null
+  }, options);
+}
+
+/**
+ * Add an alert of any type from request-style params
+ * @param {string} ticker - Ticker symbol
+ * @param {Object} params - { type, note, recurring, cooldownMinutes, expiresAt } plus the type's fields:
+ *   price: price, condition | condition: conditions, description |
+ *   trailing: direction, trailPercent | trailAtr | percent_move: movePercent, direction
+ * @param {number} currentPrice - Anchor for trailing and percent-move alerts (null: seeded on the first check)
+ */
+export function addAlertOfType(ticker, params, currentPrice = null) {
+  const type = params.type || (params.conditions ? 'condition' : 'price');
+  const lifecycle = {
+    note: params.note || '',
+    recurring: !!params.recurring,
+    cooldownMinutes: params.cooldownMinutes ?? undefined,
+    expiresAt: params.expiresAt
+  };
+  
+  if (!ALERT_TYPES.includes(type)) {
+    throw new Error(`Invalid type: ${type} (use ${ALERT_TYPES.join(', ')})`);
+  }
+  if (!ticker) {
+    throw new Error('Missing required field: ticker');
+  }
+  
+  switch (type) {
+    case 'condition':
+      if (!params.conditions) throw new Error('Missing required field: conditions');
+      return addConditionAlert(ticker, params.conditions, { ...lifecycle, description: params.description || '' });
+    case 'trailing':
+      return addTrailingAlert(ticker, {
+        ...lifecycle,
+        direction: params.direction || 'below',
+        trailPercent: params.trailPercent ?? null,
+        trailAtr: params.trailAtr ?? null,
+        currentPrice
+      });
+    case 'percent_move':
+      return addPercentMoveAlert(ticker, {
+        ...lifecycle,
+        movePercent: params.movePercent,
+        direction: params.direction || 'either',
+        basePrice: currentPrice
+      });
+    default:
+      if (!params.price || !params.condition) {
+        throw new Error('Missing required fields: ticker, price, condition (or ticker, conditions)');
+      }
+      if (!['above', 'below'].includes(params.condition)) {
+        throw new Error('Condition must be "above" or "below"');
+      }
+      return addAlert(ticker, params.price, params.condition, lifecycle.note, lifecycle);
+  }
+}
+
+/**
+ * One-line description of what an alert waits for
+ */
+export function describeAlert(alert) {
+  switch (alert.type) {
+    case 'condition':
+      return alert.description || describeCondition(alert.conditions);
+    case 'trailing': {
+      const trail = alert.trailPercent !== null ? `${alert.trailPercent}%` : `${alert.trailAtr}x ATR`;
+      return `price trails ${trail} ${alert.direction}${alert.stopPrice ? ` (stop $${alert.stopPrice.toFixed(2)})` : ''}`;
+    }
+    case 'percent_move': {
+      const sign = alert.direction === 'up' ? '+' : alert.direction === 'down' ? '-' : '±';
+      return `price moves ${sign}${alert.movePercent}%${alert.basePrice ? ` from $${alert.basePrice.toFixed(2)}` : ''}`;
+    }
+    default:
+      return `price ${alert.condition} $${alert.price}`;
+  }
+}
+
+/**
+ * Where an alert is in its lifecycle
+ * @returns {string} 'active' | 'snoozed' | 'cooldown' | 'triggered' | 'expired'
+ */
+export function getAlertStatus(alert, now = Date.now()) {
+  if (alert.expiredAt || (alert.expiresAt && now >= alert.expiresAt)) return 'expired';
+  if (alert.triggered) return 'triggered';
+  if (alert.snoozedUntil && now < alert.snoozedUntil) return 'snoozed';
+  if (alert.recurring && alert.triggeredAt && now - alert.triggeredAt < alert.cooldownMinutes * 60 * 1000) return 'cooldown';
+  return 'active';
+}
+
+/**
+ * Alert with its lifecycle status attached (for the API)
+ */
+export function withStatus(alert) {
+  return { ...alert, status: getAlertStatus(alert), summary: describeAlert(alert) };
+}
+
+/**
+ * Condition context for a ticker's market data (technicals, quote fields and regime)
+ * Returns null when there is no history to compute technicals from
+ */
+export function buildAlertContext(tickerData) {
+  if (!tickerData || !tickerData.historicalData) return null;
+  
+  const technicals = analyzeMarketData(tickerData);
+  if (!technicals) return null;
+  
+  return buildConditionContext(tickerData, technicals, detectMarketRegime(tickerData, technicals));
+}
+
 /**
  * Remove an alert by ID
  */
 export function removeAlert(alertId) {
-  const alerts = loadAlerts();
-  const filtered = alerts.filter(a => a.id !== alertId);
+  if (!loadAlerts().some(a => a.id === alertId)) {
+    return false;
+  }
   
-  if (filtered.length < alerts.length) {
-    saveAlerts(filtered);
-    return true;
+  updateStore('alerts', alerts => alerts.filter(a => a.id !== alertId));
+  return true;
+}
+
+/**
+ * Apply a change to one alert
+ * @returns {Object|null} Updated alert, or null if not found
+ */
+function modifyAlert(alertId, modify) {
+  let updated = null;
+  
+  updateStore('alerts', alerts => {
+    const alert = alerts.find(a => a.id === alertId);
+    if (!alert) return;
+    modify(alert);
+    updated = alert;
+  });
+  
+  return updated;
+}
+
+/**
+ * Snooze an alert: it keeps tracking (trailing levels, crossing state) but does not fire
+ * @param {Object} options - { minutes } or { until: unix ms | ISO date/time }
+ */
+export function snoozeAlert(alertId, { minutes = null, until = null } = {}) {
+  const snoozedUntil = until
+    ? (typeof until === 'number' ? until : Date.parse(until))
+    : Date.now() + parseFloat(minutes) * 60 * 1000;
+  
+  if (!Number.isFinite(snoozedUntil) || snoozedUntil <= Date.now()) {
+    throw new Error('Snooze needs a positive number of minutes or a future time');
   }
   
-  return false;
+  return modifyAlert(alertId, alert => {
+    alert.snoozedUntil = snoozedUntil;
+  });
 }
 
 /**
- * Get active (non-triggered) alerts
+ * Re-arm a triggered, expired or snoozed alert
+ * Trailing anchors and percent-move bases restart from the next price seen.
+ * @param {Object} options - { expiresAt } to set a new expiry (null clears it)
+ */
+export function rearmAlert(alertId, options = {}) {
+  const expiresAt = 'expiresAt' in options ? parseExpiry(options.expiresAt) : undefined;
+  
+  return modifyAlert(alertId, alert => {
+    alert.triggered = false;
+    alert.snoozedUntil = null;
+    alert.expiredAt = null;
+    if (expiresAt !== undefined) alert.expiresAt = expiresAt;
+    else if (alert.expiresAt && alert.expiresAt <= Date.now()) alert.expiresAt = null;
+    
+    if (alert.type === 'trailing') {
+      alert.anchorPrice = null;
+      alert.stopPrice = null;
+    }
+    if (alert.type === 'percent_move') alert.basePrice = null;
+    if (alert.type === 'condition') alert.lastState = null;
+  });
+}
+
+/**
+ * Get active (non-triggered, unexpired) alerts
  */
 export function getActiveAlerts() {
   const alerts = loadAlerts();
-  return alerts.filter(a => !a.triggered);
+  return alerts.filter(a => !a.triggered && !a.expiredAt);
 }
 
 /**
- * Get triggered alerts
+ * Get triggered alerts (including recurring alerts that have fired), most recent first
  */
 export function getTriggeredAlerts(limit = 50) {
   const alerts = loadAlerts();
   return alerts
-    .filter(a => a.triggered)
+    .filter(a => a.triggeredAt)
     .sort((a, b) => b.triggeredAt - a.triggeredAt)
     .slice(0, limit);
 }
 
+/**
+ * Trailing stop level: ratchet the anchor to the best price seen and trail it
+ * @returns {Object} { anchorPrice, stopPrice } or null without enough data (ATR trails)
+ */
+function trailLevels(alert, price, tickerData) {
+  const below = alert.direction === 'below';
+  const anchorPrice = alert.anchorPrice === null
+    ? price
+    : (below ? Math.max(alert.anchorPrice, price) : Math.min(alert.anchorPrice, price));
+  
+  let distance;
+  if (alert.trailPercent !== null) {
+    distance = anchorPrice * alert.trailPercent / 100;
+  } else {
+    const atr = tickerData.historicalData ? calculateATR(tickerData.historicalData) : null;
+    if (!atr) return null;
+    distance = atr * alert.trailAtr;
+  }
+  
+  const level = below ? anchorPrice - distance : anchorPrice + distance;
+  
+  // The stop only moves in the alert's favour, even if ATR widens
+  const stopPrice = alert.stopPrice === null
+    ? level
+    : (below ? Math.max(alert.stopPrice, level) : Math.min(alert.stopPrice, level));
+  
+  return { anchorPrice, stopPrice };
+}
+
 /**
  * Check market data against active alerts
  * Returns array of triggered alerts
  */
 export function checkAlerts(marketData) {
-  const alerts = loadAlerts();
-  const triggered = [];
+  const now = Date.now();
+  const active = loadAlerts().filter(a => !a.triggered && !a.expiredAt);
+  if (active.length === 0) return [];
   
-  for (const alert of alerts) {
-    if (alert.triggered) continue;
+  // Technicals are only computed for tickers that have condition alerts
+  const contexts = {};
+  const contextFor = ticker => {
+    if (!(ticker in contexts)) {
+      try {
+        contexts[ticker] = buildAlertContext(marketData[ticker]);
+      } catch (error) {
+        console.error(`Alert context error for ${ticker}:`, error.message);
+        contexts[ticker] = null;
+      }
+    }
+    return contexts[ticker];
+  };
+  
+  // id -> { fired, updates } for every alert whose stored state changes
+  const results = new Map();
+  
+  for (const alert of active) {
+    if (alert.expiresAt && now >= alert.expiresAt) {
+      results.set(alert.id, { fired: false, updates: { expiredAt: now } });
+      continue;
+    }
     
     const tickerData = marketData[alert.ticker];
     if (!tickerData || !tickerData.price) continue;
     
-    const currentPrice = tickerData.price;
-    let isTriggered = false;
+    const price = tickerData.price;
+    const updates = {};
+    let fired = false;
     
-    if (alert.condition === 'above' && currentPrice >= alert.price) {
-      isTriggered = true;
-    } else if (alert.condition === 'below' && currentPrice <= alert.price) {
-      isTriggered = true;
+    if (alert.type === 'condition') {
+      const context = contextFor(alert.ticker);
+      if (!context) continue;
+      
+      const state = snapshotFields(alert.conditions, context);
+      fired = evaluateCondition(alert.conditions, context, alert.lastState);
+      if (JSON.stringify(state) !== JSON.stringify(alert.lastState)) {
+        updates.lastState = state;
+        updates.lastEvaluatedAt = now;
+      }
+      if (fired) updates.triggeredValues = state;
+    } else if (alert.type === 'trailing') {
+      const levels = trailLevels(alert, price, tickerData);
+      if (!levels) continue;
+      
+      if (levels.anchorPrice !== alert.anchorPrice || levels.stopPrice !== alert.stopPrice) {
+        Object.assign(updates, levels);
+      }
+      fired = alert.direction === 'below' ? price <= levels.stopPrice : price >= levels.stopPrice;
+      if (fired) updates.triggeredValues = { anchorPrice: levels.anchorPrice, stopPrice: levels.stopPrice };
+    } else if (alert.type === 'percent_move') {
+      if (!alert.basePrice) {
+        results.set(alert.id, { fired: false, updates: { basePrice: price } });
+        continue;
+      }
+      
+      const move = (price - alert.basePrice) / alert.basePrice * 100;
+      fired = (alert.direction !== 'down' && move >= alert.movePercent) ||
+        (alert.direction !== 'up' && move <= -alert.movePercent);
+      if (fired) updates.triggeredValues = { basePrice: alert.basePrice, movePercent: move };
+    } else {
+      fired = (alert.condition === 'above' && price >= alert.price) ||
+        (alert.condition === 'below' && price <= alert.price);
     }
     
-    if (isTriggered) {
-      alert.triggered = true;
-      alert.triggeredAt = Date.now();
-      alert.triggeredPrice = currentPrice;
-      triggered.push(alert);
+    // Snoozed and cooling-down alerts keep their state current but stay quiet
+    const status = getAlertStatus(alert, now);
+    if (status === 'snoozed' || status === 'cooldown') {
+      fired = false;
+      delete updates.triggeredValues;
+    }
+    
+    if (fired || Object.keys(updates).length > 0) {
+      results.set(alert.id, { fired, updates });
     }
   }
   
-  if (triggered.length > 0) {
-    saveAlerts(alerts);
+  // Only take the write lock when something fired or stored state moved
+  if (results.size === 0) {
+    return [];
   }
   
+  const triggered = [];
+  
+  updateStore('alerts', alerts => {
+    for (const alert of alerts) {
+      const result = results.get(alert.id);
+      if (!result || alert.triggered) continue;
+      
+      Object.assign(alert, result.updates);
+      if (!result.fired) continue;
+      
+      const price = marketData[alert.ticker].price;
+      alert.triggeredAt = now;
+      alert.triggeredPrice = price;
+      alert.triggerCount = (alert.triggerCount || 0) + 1;
+      alert.triggers = [{ at: now, price, values: result.updates.triggeredValues }, ...(alert.triggers || [])]
+        .slice(0, MAX_TRIGGER_HISTORY);
+      
+      if (alert.recurring) {
+        // Start over from here so the next fire needs a fresh move
+        if (alert.type === 'trailing') {
+          alert.anchorPrice = price;
+          alert.stopPrice = null;
+        }
+        if (alert.type === 'percent_move') alert.basePrice = price;
+      } else {
+        alert.triggered = true;
+      }
+      
+      triggered.push(alert);
+    }
+  });
+  
   return triggered;
 }
 
 /**
- * Clear all triggered alerts older than X days
+ * Clear all triggered (or expired) alerts older than X days
  */
 export function clearOldTriggeredAlerts(daysOld = 7) {
-  const alerts = loadAlerts();
   const cutoff = Date.now() - (daysOld * 24 * 60 * 60 * 1000);
+  const isOld = a => (a.triggered && a.triggeredAt <= cutoff) || (a.expiredAt && a.expiredAt <= cutoff);
   
-  const filtered = alerts.filter(a => {
-    if (!a.triggered) return true;
-    return a.triggeredAt > cutoff;
-  });
+  if (!loadAlerts().some(isOld)) {
+    return 0;
+  }
   
-  const removed = alerts.length - filtered.length;
+  let removed = 0;
   
-  if (removed > 0) {
-    saveAlerts(filtered);
-  }
+  updateStore('alerts', alerts => {
+    const filtered = alerts.filter(a => !isOld(a));
+    removed = alerts.length - filtered.length;
+    return filtered;
+  });
   
   return removed;
 }
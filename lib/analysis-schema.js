@@ -0,0 +1,272 @@
+// Analysis Schema - strict validation and sanity checks for AI trade analyses
+// A model's JSON answer is checked against ANALYSIS_SCHEMA (types, enums, ranges), then against
+// trade logic: stop on the right side of entry, targets ordered in the trade direction and entry
+// near the current price. Risk/reward is recomputed from the levels instead of trusted.
+// Answers that fail are sent back to the model with the reasons (see lib/gemini.js); answers that
+// still fail are recorded in the 'ai-rejections' store and shown on the signals page.
+import { defineStore, readStore, updateStore } from './storage.js';
+
+export const SIGNALS = ['LONG', 'SHORT', 'NEUTRAL'];
+export const PATTERNS = ['Breakout', 'Reversal', 'Consolidation', 'Trend Continuation', 'Mean Reversion', 'Squeeze', 'Other'];
+export const TIMEFRAMES = ['Scalp (minutes)', 'Intraday (hours)', 'Swing (days)'];
+
+// Entry may sit this far from the current price (or 3 ATRs, whichever is wider)
+const MAX_ENTRY_DEVIATION = 0.05;
+const MAX_REJECTIONS = 200;
+
+const LEVEL = { type: 'number', exclusiveMinimum: 0 };
+
+export const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['signal', 'confidence', 'entry', 'reasoning', 'pattern', 'timeframe'],
+  properties: {
+    signal: { type: 'string', enum: SIGNALS },
+    confidence: { type: 'number', minimum: 1, maximum: 10 },
+    entry: LEVEL,
+    targets: {
+      type: 'object',
+      required: ['t1', 't2', 't3'],
+      properties: { t1: LEVEL, t2: LEVEL, t3: LEVEL }
+    },
+    stopLoss: LEVEL,
+    riskReward: { type: 'number' },
+    positionSizing: { type: 'object' },
+    reasoning: { type: 'string', minLength: 1 },
+    pattern: { type: 'string', enum: PATTERNS },
+    timeframe: { type: 'string', enum: TIMEFRAMES },
+    alerts: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+defineStore('ai-rejections', { file: 'ai-rejections.json', version: 1, defaultValue: [] });
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isFinite(value) ? 'number' : 'non-finite number';
+  return typeof value;
+}
+
+/**
+ * Check a value against a JSON-Schema subset (type, enum, required, properties, items,
+ * minimum, maximum, exclusiveMinimum, minLength)
+ * @returns {Array<string>} Error messages ("targets.t2: expected number, got string")
+ */
+export function validateSchema(value, schema, path = '') {
+  const at = path || 'response';
+  const actual = typeOf(value);
+
+  if (schema.type && actual !== schema.type) {
+    return [`${at}: expected ${schema.type}, got ${actual}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: "${value}" is not one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: ${value} is below ${schema.minimum}`);
+  if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: ${value} is above ${schema.maximum}`);
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${at}: must be greater than ${schema.exclusiveMinimum}`);
+  if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push(`${at}: must not be empty`);
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) errors.push(`${path ? `${path}.` : ''}${key}: required`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined || value[key] === null) continue;
+      errors.push(...validateSchema(value[key], sub, path ? `${path}.${key}` : key));
+    }
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${at}[${i}]`)));
+  }
+
+  return errors;
+}
+
+/**
+ * Trade-logic checks for a schema-valid answer
+ * @returns {Array<string>} Error messages
+ */
+function checkTradeLogic(answer, marketData, technicals) {
+  const errors = [];
+  const { signal, entry, targets, stopLoss } = answer;
+  const price = marketData.price;
+
+  if (signal === 'NEUTRAL') return errors;
+
+  if (!targets) errors.push(`targets: required for a ${signal} signal`);
+  if (stopLoss === undefined || stopLoss === null) errors.push(`stopLoss: required for a ${signal} signal`);
+  if (errors.length > 0) return errors;
+
+  const long = signal === 'LONG';
+  const { t1, t2, t3 } = targets;
+
+  if (long ? stopLoss >= entry : stopLoss <= entry) {
+    errors.push(`stopLoss: $${stopLoss} must be ${long ? 'below' : 'above'} entry $${entry} for a ${signal}`);
+  }
+  if (long ? !(entry < t1 && t1 < t2 && t2 < t3) : !(entry > t1 && t1 > t2 && t2 > t3)) {
+    errors.push(`targets: must ${long ? 'rise' : 'fall'} from entry (entry $${entry}, t1 $${t1}, t2 $${t2}, t3 $${t3})`);
+  }
+
+  if (price > 0) {
+    const atr = technicals?.atr || 0;
+    const tolerance = Math.max(MAX_ENTRY_DEVIATION, atr * 3 / price);
+    const deviation = Math.abs(entry - price) / price;
+    if (deviation > tolerance) {
+      errors.push(`entry: $${entry} is ${(deviation * 100).toFixed(1)}% from the current price $${price.toFixed(2)} (max ${(tolerance * 100).toFixed(1)}%)`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Risk/reward to T2 (the ratio the prompt asks for), from the levels
+ */
+export function computeRiskReward(entry, stopLoss, targets) {
+  const risk = Math.abs(entry - stopLoss);
+  if (!targets || !(risk > 0)) return null;
+  return Math.round(Math.abs(targets.t2 - entry) / risk * 100) / 100;
+}
+
+/**
+ * Position sizing for answers that leave it out: risk per share and a risk percent by confidence
+ */
+export function defaultPositionSizing(signal, entry, stopLoss, confidence) {
+  return {
+    riskPerShare: signal !== 'NEUTRAL' ? Math.abs(entry - stopLoss) : 0,
+    recommendedRiskPercent: confidence >= 8 ? 2.0 : confidence >= 6 ? 1.5 : 1.0,
+    scalingPlan: {
+      initialEntry: '50-60%',
+      scaleIn: 'On confirmation',
+      scaleOut: 'T1: 33% | T2: 33% | T3: 34%'
+    }
+  };
+}
+
+/**
+ * Strip markdown fences and parse a model's JSON answer
+ * @returns {Object} { answer } or { error }
+ */
+export function parseModelJson(text) {
+  let jsonText = (text || '').trim();
+
+  if (jsonText.startsWith('```')) {
+    jsonText = jsonText.replace(/^```json?\s*\n?/i, '').replace(/\n?```\s*$/, '');
+  }
+
+  try {
+    return { answer: JSON.parse(jsonText) };
+  } catch (error) {
+    return { error: `response is not valid JSON (${error.message})` };
+  }
+}
+
+/**
+ * Validate a model's raw answer and build the normalized analysis
+ * @returns {Object} { valid, errors, warnings, analysis } - analysis is null when invalid
+ */
+export function validateAnalysis(text, marketData, technicals = null) {
+  const parsed = parseModelJson(text);
+  if (parsed.error) return { valid: false, errors: [parsed.error], warnings: [], analysis: null };
+
+  const answer = parsed.answer;
+  const errors = validateSchema(answer, ANALYSIS_SCHEMA);
+  if (errors.length === 0) errors.push(...checkTradeLogic(answer, marketData, technicals));
+  if (errors.length > 0) return { valid: false, errors, warnings: [], analysis: null };
+
+  const warnings = [];
+  const directional = answer.signal !== 'NEUTRAL';
+  const riskReward = directional ? computeRiskReward(answer.entry, answer.stopLoss, answer.targets) : null;
+
+  if (directional && typeof answer.riskReward === 'number' && Math.abs(answer.riskReward - riskReward) > 0.25) {
+    warnings.push(`riskReward: stated ${answer.riskReward}, levels give ${riskReward}`);
+  }
+
+  const positionSizing = answer.positionSizing || defaultPositionSizing(answer.signal, answer.entry, answer.stopLoss, answer.confidence);
+
+  return {
+    valid: true,
+    errors: [],
+    warnings,
+    analysis: {
+      ticker: marketData.symbol,
+      signal: answer.signal,
+      confidence: Math.round(answer.confidence),
+      entry: answer.entry,
+      targets: answer.targets || null,
+      stopLoss: answer.stopLoss ?? null,
+      riskReward,
+      statedRiskReward: answer.riskReward ?? null,
+      positionSizing,
+      reasoning: answer.reasoning,
+      pattern: answer.pattern,
+      timeframe: answer.timeframe,
+      alerts: answer.alerts || [],
+      timestamp: Date.now(),
+      raw: text
+    }
+  };
+}
+
+/**
+ * Follow-up prompt asking the model to fix a rejected answer
+ */
+export function buildRepairPrompt(originalPrompt, text, errors) {
+  return `${originalPrompt}
+
+## PREVIOUS ANSWER REJECTED
+
+Your previous answer failed validation:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Previous answer:
+${(text || '').slice(0, 4000)}
+
+Return the corrected JSON object only. Keep the same analysis where it was valid; for a LONG the stop must be below entry and targets must rise (entry < t1 < t2 < t3), for a SHORT the reverse. Entry must be near the current price. If no valid trade exists, answer NEUTRAL.`;
+}
+
+// Rejection Log
+
+/**
+ * Record an answer that failed validation
+ * @param {Object} entry - { ticker, model, errors, raw, outcome: 'repaired' | 'rejected', attempts }
+ */
+export function recordRejection(entry) {
+  const rejection = {
+    id: `rej_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`,
+    ...entry,
+    raw: (entry.raw || '').slice(0, 4000),
+    timestamp: Date.now()
+  };
+
+  try {
+    updateStore('ai-rejections', rejections => {
+      rejections.unshift(rejection);
+      return rejections.slice(0, MAX_REJECTIONS);
+    });
+  } catch (error) {
+    console.error('Failed to record AI rejection:', error.message);
+  }
+
+  return rejection;
+}
+
+/**
+ * Recent rejected answers, newest first
+ * @param {Object} filters - { ticker, outcome, limit }
+ */
+export function getRejections({ ticker = null, outcome = null, limit = 50 } = {}) {
+  try {
+    return readStore('ai-rejections')
+      .filter(r => (!ticker || r.ticker === ticker) && (!outcome || r.outcome === outcome))
+      .slice(0, limit);
+  } catch (error) {
+    console.error('Failed to load AI rejections:', error.message);
+    return [];
+  }
+}
@@ -0,0 +1,439 @@
+// Backtesting Engine - Replay historical bars through the technicals and regime pipeline
+// Each bar only sees the history up to and including itself (no look-ahead); signals
+// raised on a bar's close are filled at the next bar's open.
+import { analyzeMarketData } from './technicals.js';
+import { detectMarketRegime } from './market-regime.js';
+import { calculatePositionSize } from './risk-management.js';
+import { calculateStats } from './trade-journal.js';
+import { buildConditionContext, evaluateCondition, validateCondition } from './conditions.js';
+
+const DEFAULT_OPTIONS = {
+  initialCapital: 10000,
+  riskPercent: 1,        // % of equity risked per trade
+  warmup: 50,            // bars skipped before the first evaluation
+  window: 250,           // max bars of history passed to the indicators per step
+  commission: 0,         // per share
+  slippagePercent: 0,    // applied against us on every fill
+  tieBreak: 'stop'       // 'stop' or 'target' when both are inside one bar
+};
+
+/**
+ * Built-in rules usable from the CLI and API by name
+ */
+export const PRESET_RULES = {
+  'rsi-supertrend': {
+    name: 'RSI Oversold + SuperTrend Flip',
+    direction: 'LONG',
+    entry: {
+      all: [
+        { field: 'rsi', op: '<', value: 30 },
+        { field: 'superTrend.trend', op: 'changes_to', value: 'bullish' }
+      ]
+    },
+    exit: { field: 'superTrend.trend', op: 'changes_to', value: 'bearish' },
+    stop: { type: 'atr', multiple: 2 },
+    targets: { type: 'r', multiples: [1, 2, 3] },
+    maxBars: 20
+  },
+  'supertrend-adx': {
+    name: 'SuperTrend Flip with ADX Trend',
+    direction: 'LONG',
+    entry: {
+      all: [
+        { field: 'superTrend.trend', op: 'changes_to', value: 'bullish' },
+        { field: 'adx.adx', op: '>', value: 20 }
+      ]
+    },
+    exit: { field: 'superTrend.trend', op: 'changes_to', value: 'bearish' },
+    stop: { type: 'atr', multiple: 2 },
+    targets: { type: 'r', multiples: [1, 2, 3] },
+    maxBars: 30
+  },
+  'macd-momentum': {
+    name: 'MACD Histogram Cross Above SMA50',
+    direction: 'LONG',
+    entry: {
+      all: [
+        { field: 'macd.histogram', op: 'crosses_above', value: 0 },
+        { field: 'price', op: '>', value: { field: 'movingAverages.sma50' } }
+      ]
+    },
+    exit: { field: 'macd.histogram', op: 'crosses_below', value: 0 },
+    stop: { type: 'atr', multiple: 1.5 },
+    targets: { type: 'r', multiples: [1.5, 3] },
+    maxBars: 20
+  },
+  'supertrend-short': {
+    name: 'SuperTrend Flip Bearish (Short)',
+    direction: 'SHORT',
+    entry: {
+      all: [
+        { field: 'superTrend.trend', op: 'changes_to', value: 'bearish' },
+        { field: 'adx.adx', op: '>', value: 20 }
+      ]
+    },
+    exit: { field: 'superTrend.trend', op: 'changes_to', value: 'bullish' },
+    stop: { type: 'atr', multiple: 2 },
+    targets: { type: 'r', multiples: [1, 2, 3] },
+    maxBars: 30
+  }
+};
+
+/**
+ * Get preset rules as a list for display
+ */
+export function getPresetRules() {
+  return Object.entries(PRESET_RULES).map(([id, rule]) => ({ id, ...rule }));
+}
+
+/**
+ * Validate a backtest rule, throwing on the first problem
+ */
+export function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('Rule must be an object');
+  }
+  if (!['LONG', 'SHORT'].includes(rule.direction)) {
+    throw new Error('Rule direction must be LONG or SHORT');
+  }
+  validateCondition(rule.entry);
+  if (rule.exit) validateCondition(rule.exit);
+
+  const stop = rule.stop || {};
+  if (!['atr', 'percent'].includes(stop.type) || !(stop.multiple > 0 || stop.percent > 0)) {
+    throw new Error('Rule stop must be { type: "atr", multiple } or { type: "percent", percent }');
+  }
+  return true;
+}
+
+/**
+ * Build the market data snapshot the pipeline would have seen at bar i
+ */
+function buildSnapshot(symbol, bars, i, window) {
+  const bar = bars[i];
+  const prev = bars[i - 1] || bar;
+  const history = bars.slice(Math.max(0, i + 1 - window), i + 1);
+
+  const recentVolumes = history.slice(-20).map(b => b.volume || 0);
+  const avgVolume = recentVolumes.reduce((a, b) => a + b, 0) / (recentVolumes.length || 1);
+  const change = bar.close - prev.close;
+
+  return {
+    source: 'backtest',
+    symbol,
+    ticker: symbol,
+    price: bar.close,
+    change,
+    changePercent: prev.close ? (change / prev.close) * 100 : 0,
+    volume: bar.volume,
+    avgVolume,
+    volumeRatio: avgVolume ? bar.volume / avgVolume : 1,
+    dayRange: { low: bar.low, high: bar.high },
+    historicalData: history,
+    timestamp: toMillis(bar.timestamp)
+  };
+}
+
+/**
+ * Bar timestamps come from Yahoo in seconds; the journal uses milliseconds
+ */
+function toMillis(timestamp) {
+  return timestamp < 1e12 ? timestamp * 1000 : timestamp;
+}
+
+/**
+ * Apply slippage against the trade direction
+ */
+function applySlippage(price, side, slippagePercent) {
+  const slip = price * (slippagePercent / 100);
+  return side === 'BUY' ? price + slip : price - slip;
+}
+
+/**
+ * Compute stop and target prices for a new position
+ */
+function buildExitLevels(rule, entryPrice, atr) {
+  const isLong = rule.direction === 'LONG';
+  const stopDistance = rule.stop.type === 'atr'
+    ? (atr || entryPrice * 0.02) * rule.stop.multiple
+    : entryPrice * (rule.stop.percent / 100);
+
+  const stopLoss = isLong ? entryPrice - stopDistance : entryPrice + stopDistance;
+
+  const targetSpec = rule.targets || { type: 'r', multiples: [1, 2, 3] };
+  const distances = targetSpec.type === 'percent'
+    ? (targetSpec.percents || []).map(p => entryPrice * (p / 100))
+    : (targetSpec.multiples || []).map(m => stopDistance * m);
+
+  const targets = distances.map(d => isLong ? entryPrice + d : entryPrice - d);
+
+  return { stopLoss, targets, riskPerShare: stopDistance };
+}
+
+/**
+ * Split a position into equal scale-out pieces, one per target
+ */
+function splitShares(shares, pieces) {
+  if (pieces === 0) return [];
+  const base = Math.floor(shares / pieces);
+  const split = new Array(pieces).fill(base);
+  split[pieces - 1] += shares - base * pieces;
+  return split;
+}
+
+/**
+ * Run a backtest of a rule over a ticker's historical data
+ * @param {Object} marketData - Result of fetchYahoo/fetchTicker (needs historicalData)
+ * @param {Object} rule - Rule definition (see PRESET_RULES)
+ * @param {Object} options - Capital, risk and execution settings
+ * @returns {Object} Equity curve, trade list and statistics
+ */
+export function runBacktest(marketData, rule, options = {}) {
+  validateRule(rule);
+
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const bars = (marketData?.historicalData || []).filter(b =>
+    b.open !== null && b.high !== null && b.low !== null && b.close !== null
+  );
+  const symbol = marketData?.symbol || marketData?.ticker || 'UNKNOWN';
+
+  if (bars.length < opts.warmup + 2) {
+    throw new Error(`Not enough history for ${symbol}: ${bars.length} bars (need ${opts.warmup + 2})`);
+  }
+
+  const isLong = rule.direction === 'LONG';
+  const trades = [];
+  const equityCurve = [];
+
+  let cash = opts.initialCapital;
+  let position = null;
+  let pendingEntry = null;
+  let pendingExit = null;
+  let previousContext = null;
+  let peakEquity = opts.initialCapital;
+  let signalsEvaluated = 0;
+
+  const closePiece = (shares, rawPrice, bar, reason) => {
+    const price = applySlippage(rawPrice, isLong ? 'SELL' : 'BUY', opts.slippagePercent);
+    const proceeds = isLong ? shares * price : shares * (2 * position.entryPrice - price);
+    cash += proceeds - shares * opts.commission;
+    position.exits.push({ shares, price, timestamp: toMillis(bar.timestamp), reason });
+    position.remaining -= shares;
+  };
+
+  const finalizeTrade = (bar, reason) => {
+    const exitShares = position.exits.reduce((sum, e) => sum + e.shares, 0);
+    const exitPrice = position.exits.reduce((sum, e) => sum + e.price * e.shares, 0) / exitShares;
+    const multiplier = isLong ? 1 : -1;
+    const commissions = (position.size + exitShares) * opts.commission;
+    const pnl = (exitPrice - position.entryPrice) * multiplier * position.size - commissions;
+
+    trades.push({
+      id: `bt_${trades.length + 1}`,
+      ticker: symbol,
+      direction: rule.direction,
+      entryDate: position.entryDate,
+      entryPrice: position.entryPrice,
+      size: position.size,
+      exitDate: toMillis(bar.timestamp),
+      exitPrice,
+      stopLoss: position.stopLoss,
+      targets: { t1: position.targets[0] || null, t2: position.targets[1] || null, t3: position.targets[2] || null },
+      status: 'CLOSED',
+      pnl,
+      pnlPercent: ((exitPrice - position.entryPrice) / position.entryPrice) * multiplier * 100,
+      rMultiple: pnl / (position.riskPerShare * position.size),
+      pattern: rule.name || 'Backtest Rule',
+      exitReason: reason,
+      barsHeld: position.barsHeld,
+      executionQuality: {
+        slippage: opts.slippagePercent,
+        timingDelay: 0,
+        targetHit: position.targetsHit > 0 ? `t${position.targetsHit}` : 'none'
+      },
+      exits: position.exits
+    });
+
+    position = null;
+  };
+
+  for (let i = opts.warmup; i < bars.length; i++) {
+    const bar = bars[i];
+
+    // 1. Fill orders queued on the previous bar's close at this bar's open
+    if (pendingExit && position) {
+      closePiece(position.remaining, bar.open, bar, pendingExit);
+      finalizeTrade(bar, pendingExit);
+      pendingExit = null;
+    }
+
+    if (pendingEntry && !position) {
+      const entryPrice = applySlippage(bar.open, isLong ? 'BUY' : 'SELL', opts.slippagePercent);
+      const levels = buildExitLevels(rule, entryPrice, pendingEntry.atr);
+      const equity = cash;
+
+      let shares = 0;
+      try {
+        shares = calculatePositionSize(equity, opts.riskPercent, entryPrice, levels.stopLoss, opts.commission).shares;
+      } catch (error) {
+        shares = 0;
+      }
+      shares = Math.min(shares, Math.floor(equity / entryPrice));
+
+      if (shares > 0) {
+        cash -= shares * entryPrice + shares * opts.commission;
+        position = {
+          entryDate: toMillis(bar.timestamp),
+          entryPrice,
+          size: shares,
+          remaining: shares,
+          stopLoss: levels.stopLoss,
+          targets: levels.targets,
+          pieces: splitShares(shares, levels.targets.length),
+          riskPerShare: levels.riskPerShare,
+          targetsHit: 0,
+          barsHeld: 0,
+          exits: []
+        };
+      }
+      pendingEntry = null;
+    }
+
+    // 2. Manage the open position against this bar's range
+    if (position) {
+      position.barsHeld++;
+      const stopHit = isLong ? bar.low <= position.stopLoss : bar.high >= position.stopLoss;
+
+      let targetsInBar = 0;
+      for (let t = position.targetsHit; t < position.targets.length; t++) {
+        const hit = isLong ? bar.high >= position.targets[t] : bar.low <= position.targets[t];
+        if (!hit) break;
+        targetsInBar++;
+      }
+
+      // When both levels sit inside one bar we can't know the order; tieBreak decides
+      const stopFirst = stopHit && (targetsInBar === 0 || opts.tieBreak === 'stop');
+
+      if (stopFirst) {
+        // Gaps through the stop fill at the open, not the stop price
+        const gapped = isLong ? bar.open < position.stopLoss : bar.open > position.stopLoss;
+        closePiece(position.remaining, gapped ? bar.open : position.stopLoss, bar, 'STOP_LOSS');
+        finalizeTrade(bar, 'STOP_LOSS');
+      } else {
+        for (let t = 0; t < targetsInBar; t++) {
+          const index = position.targetsHit;
+          const shares = index === position.targets.length - 1
+            ? position.remaining
+            : Math.min(position.pieces[index], position.remaining);
+          if (shares > 0) closePiece(shares, position.targets[index], bar, `TARGET_${index + 1}`);
+          position.targetsHit++;
+        }
+
+        if (position.remaining <= 0) {
+          finalizeTrade(bar, `TARGET_${position.targetsHit}`);
+        } else if (stopHit) {
+          closePiece(position.remaining, position.stopLoss, bar, 'STOP_LOSS');
+          finalizeTrade(bar, 'STOP_LOSS');
+        }
+      }
+    }
+
+    // 3. Evaluate the pipeline on this bar's close
+    const snapshot = buildSnapshot(symbol, bars, i, opts.window);
+    const technicals = analyzeMarketData(snapshot, { stream: false });
+    const regime = technicals ? detectMarketRegime(snapshot, technicals) : null;
+    const context = technicals ? buildConditionContext(snapshot, technicals, regime) : null;
+
+    if (context) {
+      signalsEvaluated++;
+
+      if (position) {
+        const timedOut = rule.maxBars && position.barsHeld >= rule.maxBars;
+        if (rule.exit && evaluateCondition(rule.exit, context, previousContext)) {
+          pendingExit = 'EXIT_RULE';
+        } else if (timedOut) {
+          pendingExit = 'MAX_BARS';
+        }
+      } else if (evaluateCondition(rule.entry, context, previousContext)) {
+        pendingEntry = { atr: technicals.atr, timestamp: snapshot.timestamp };
+      }
+    }
+    previousContext = context;
+
+    // 4. Mark to market
+    const openValue = position
+      ? (isLong
+        ? position.remaining * bar.close
+        : position.remaining * (2 * position.entryPrice - bar.close))
+      : 0;
+    const equity = cash + openValue;
+    peakEquity = Math.max(peakEquity, equity);
+
+    equityCurve.push({
+      timestamp: toMillis(bar.timestamp),
+      equity,
+      drawdown: peakEquity - equity,
+      drawdownPercent: ((peakEquity - equity) / peakEquity) * 100,
+      inPosition: !!position
+    });
+  }
+
+  // Close anything still open at the last close so stats include it
+  if (position) {
+    const lastBar = bars[bars.length - 1];
+    closePiece(position.remaining, lastBar.close, lastBar, 'END_OF_DATA');
+    finalizeTrade(lastBar, 'END_OF_DATA');
+
+    // The last point was marked before the exit costs; re-derive its peak and drawdown from the cash
+    const last = equityCurve[equityCurve.length - 1];
+    const peak = equityCurve.slice(0, -1).reduce((max, p) => Math.max(max, p.equity), Math.max(opts.initialCapital, cash));
+    last.equity = cash;
+    last.drawdown = peak - cash;
+    last.drawdownPercent = ((peak - cash) / peak) * 100;
+    last.inPosition = false;
+  }
+
+  const finalEquity = cash;
+  const maxDrawdown = equityCurve.reduce((max, p) => Math.max(max, p.drawdown), 0);
+  const maxDrawdownPercent = equityCurve.reduce((max, p) => Math.max(max, p.drawdownPercent), 0);
+  const exposureBars = equityCurve.filter(p => p.inPosition).length;
+
+  return {
+    ticker: symbol,
+    rule,
+    options: opts,
+    period: {
+      start: toMillis(bars[opts.warmup].timestamp),
+      end: toMillis(bars[bars.length - 1].timestamp),
+      bars: bars.length - opts.warmup
+    },
+    stats: {
+      ...calculateStats(trades),
+      initialCapital: opts.initialCapital,
+      finalEquity,
+      totalReturnPercent: ((finalEquity - opts.initialCapital) / opts.initialCapital) * 100,
+      maxDrawdown,
+      maxDrawdownPercent,
+      exposurePercent: equityCurve.length > 0 ? (exposureBars / equityCurve.length) * 100 : 0,
+      avgRMultiple: trades.length > 0 ? trades.reduce((sum, t) => sum + t.rMultiple, 0) / trades.length : 0,
+      barsEvaluated: signalsEvaluated
+    },
+    trades,
+    equityCurve,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Resolve a rule from a preset name or an inline definition
+ */
+export function resolveRule(ruleOrPreset) {
+  if (typeof ruleOrPreset === 'string') {
+    const preset = PRESET_RULES[ruleOrPreset];
+    if (!preset) {
+      throw new Error(`Unknown preset rule: ${ruleOrPreset}. Available: ${Object.keys(PRESET_RULES).join(', ')}`);
+    }
+    return preset;
+  }
+  return ruleOrPreset;
+}
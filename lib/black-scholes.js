@@ -0,0 +1,141 @@
+// Black-Scholes - European option pricing, greeks and implied volatility
+// Prices use a continuous risk-free rate and dividend yield. Time is in years,
+// volatility is annualized (0.25 = 25%).
+
+export const DEFAULT_RISK_FREE_RATE = 0.045;
+
+const MIN_VOL = 0.001;
+const MAX_VOL = 5;
+const IV_TOLERANCE = 1e-6;
+
+/**
+ * Standard normal probability density
+ */
+export function normPdf(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+ */
+export function normCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function d1d2(spot, strike, time, vol, rate, dividendYield) {
+  const sqrtT = Math.sqrt(time);
+  const d1 = (Math.log(spot / strike) + (rate - dividendYield + vol * vol / 2) * time) / (vol * sqrtT);
+  return { d1, d2: d1 - vol * sqrtT, sqrtT };
+}
+
+/**
+ * Theoretical option price
+ * @param {Object} params - { type: 'call' | 'put', spot, strike, time, vol, rate, dividendYield }
+ */
+export function bsPrice({ type, spot, strike, time, vol, rate = DEFAULT_RISK_FREE_RATE, dividendYield = 0 }) {
+  const discount = Math.exp(-rate * time);
+  const carry = Math.exp(-dividendYield * time);
+
+  // At expiry (or with no volatility) the option is worth its discounted forward intrinsic value
+  if (time <= 0 || vol <= 0) {
+    const forward = spot * carry;
+    const strikePv = strike * discount;
+    return type === 'call' ? Math.max(forward - strikePv, 0) : Math.max(strikePv - forward, 0);
+  }
+
+  const { d1, d2 } = d1d2(spot, strike, time, vol, rate, dividendYield);
+
+  return type === 'call'
+    ? spot * carry * normCdf(d1) - strike * discount * normCdf(d2)
+    : strike * discount * normCdf(-d2) - spot * carry * normCdf(-d1);
+}
+
+/**
+ * Greeks for one contract (per share)
+ * delta and gamma per $1 move, theta per calendar day, vega and rho per 1 volatility/rate point
+ * @param {Object} params - { type, spot, strike, time, vol, rate, dividendYield }
+ * @returns {Object} { price, delta, gamma, theta, vega, rho }
+ */
+export function bsGreeks({ type, spot, strike, time, vol, rate = DEFAULT_RISK_FREE_RATE, dividendYield = 0 }) {
+  const price = bsPrice({ type, spot, strike, time, vol, rate, dividendYield });
+
+  if (time <= 0 || vol <= 0) {
+    const itm = type === 'call' ? spot > strike : spot < strike;
+    return { price, delta: itm ? (type === 'call' ? 1 : -1) : 0, gamma: 0, theta: 0, vega: 0, rho: 0 };
+  }
+
+  const { d1, d2, sqrtT } = d1d2(spot, strike, time, vol, rate, dividendYield);
+  const discount = Math.exp(-rate * time);
+  const carry = Math.exp(-dividendYield * time);
+  const pdf = normPdf(d1);
+
+  const gamma = carry * pdf / (spot * vol * sqrtT);
+  const vega = spot * carry * pdf * sqrtT / 100;
+  const decay = -spot * carry * pdf * vol / (2 * sqrtT);
+
+  if (type === 'call') {
+    return {
+      price,
+      delta: carry * normCdf(d1),
+      gamma,
+      theta: (decay - rate * strike * discount * normCdf(d2) + dividendYield * spot * carry * normCdf(d1)) / 365,
+      vega,
+      rho: strike * time * discount * normCdf(d2) / 100
+    };
+  }
+
+  return {
+    price,
+    delta: -carry * normCdf(-d1),
+    gamma,
+    theta: (decay + rate * strike * discount * normCdf(-d2) - dividendYield * spot * carry * normCdf(-d1)) / 365,
+    vega,
+    rho: -strike * time * discount * normCdf(-d2) / 100
+  };
+}
+
+/**
+ * Implied volatility from an option price
+ * Newton-Raphson from a Brenner-Subrahmanyam seed, falling back to bisection when vega
+ * is too small to step on (deep ITM/OTM or very short-dated contracts).
+ * @param {Object} params - { type, price, spot, strike, time, rate, dividendYield }
+ * @returns {number|null} Annualized volatility, or null if the price is outside no-arbitrage bounds
+ */
+export function impliedVolatility({ type, price, spot, strike, time, rate = DEFAULT_RISK_FREE_RATE, dividendYield = 0 }) {
+  if (!(price > 0) || !(spot > 0) || !(strike > 0) || !(time > 0)) return null;
+
+  const base = { type, spot, strike, time, rate, dividendYield };
+  const low = bsPrice({ ...base, vol: MIN_VOL });
+  const high = bsPrice({ ...base, vol: MAX_VOL });
+  if (price < low - IV_TOLERANCE || price > high) return null;
+  if (price <= low) return MIN_VOL;
+
+  let vol = Math.min(Math.max(Math.sqrt(2 * Math.PI / time) * price / spot, 0.05), 2);
+
+  for (let i = 0; i < 20; i++) {
+    const diff = bsPrice({ ...base, vol }) - price;
+    if (Math.abs(diff) < IV_TOLERANCE) return vol;
+
+    const vega = bsGreeks({ ...base, vol }).vega * 100;
+    if (vega < 1e-8) break;
+
+    const next = vol - diff / vega;
+    if (!(next > MIN_VOL && next < MAX_VOL)) break;
+    vol = next;
+  }
+
+  let lo = MIN_VOL;
+  let hi = MAX_VOL;
+  for (let i = 0; i < 100; i++) {
+    vol = (lo + hi) / 2;
+    const diff = bsPrice({ ...base, vol }) - price;
+    if (Math.abs(diff) < IV_TOLERANCE) break;
+    if (diff > 0) hi = vol;
+    else lo = vol;
+  }
+
+  return vol;
+}
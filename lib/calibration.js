@@ -0,0 +1,243 @@
+// Confidence Calibration - maps the AI's stated 1-10 confidence to realized win probability and expected R
+// The curves are fitted from closed signals in signal-performance. For each confidence level the
+// observed win rate is shrunk toward a prior (the stated confidence read as a probability, 8 -> 80%)
+// and forced to rise with confidence (isotonic regression). Pattern, regime and pattern+regime
+// curves are shrunk toward the overall curve, so a thin segment stays close to it.
+// Calibration is always reported next to the raw score; using it for position sizing and for the
+// notification threshold (instead of confidence 7+) is opt-in, and only once enough signals have closed.
+import { defineStore, readStore, updateStore } from './storage.js';
+import { getClosedSignals, returnInR } from './signal-performance.js';
+
+const LEVELS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+const PRIOR_WEIGHT = 5;      // Pseudo-signals behind the prior at each confidence level
+const SEGMENT_WEIGHT = 10;   // Pseudo-signals pulling a segment's curve toward the overall curve
+const MIN_SEGMENT_SAMPLES = 10;
+
+const DEFAULT_SETTINGS = {
+  minSamples: 20,            // Closed signals needed before calibration is trusted
+  useForSizing: false,
+  useForNotifications: false,
+  notifyMinProbability: 0.6
+};
+
+defineStore('calibration', { file: 'calibration.json', version: 1, defaultValue: () => ({ settings: { ...DEFAULT_SETTINGS } }) });
+
+let fitted = null; // { key, model }
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+/**
+ * Pool adjacent violators: the closest non-decreasing sequence (weighted least squares)
+ */
+function isotonic(values, weights) {
+  const blocks = [];
+
+  values.forEach((value, i) => {
+    blocks.push({ value, weight: weights[i], count: 1 });
+    while (blocks.length > 1 && blocks[blocks.length - 2].value > blocks[blocks.length - 1].value) {
+      const b = blocks.pop();
+      const a = blocks.pop();
+      const weight = a.weight + b.weight;
+      blocks.push({ value: (a.value * a.weight + b.value * b.weight) / weight, weight, count: a.count + b.count });
+    }
+  });
+
+  return blocks.flatMap(block => Array(block.count).fill(block.value));
+}
+
+/**
+ * Fit win probability and expected R per confidence level
+ * @param {Array} signals - Closed tracked signals
+ * @param {Function} prior - level -> { probability, expectedR } to shrink toward
+ * @param {number} weight - Strength of the prior in pseudo-signals
+ */
+function fitCurve(signals, prior, weight) {
+  const groups = LEVELS.map(level => signals.filter(s => Math.round(s.confidence) === level));
+
+  const rawProbability = groups.map((group, i) => {
+    const wins = group.filter(s => s.actualReturn > 0).length;
+    return (wins + weight * prior(LEVELS[i]).probability) / (group.length + weight);
+  });
+  const probability = isotonic(rawProbability, groups.map(group => group.length + weight));
+
+  const points = groups.map((group, i) => {
+    const rMultiples = group.map(returnInR).filter(r => r !== null);
+    const sumR = rMultiples.reduce((sum, r) => sum + r, 0);
+
+    return {
+      confidence: LEVELS[i],
+      samples: group.length,
+      stated: LEVELS[i] / 10,
+      observed: group.length > 0 ? group.filter(s => s.actualReturn > 0).length / group.length : null,
+      probability: probability[i],
+      expectedR: (sumR + weight * prior(LEVELS[i]).expectedR) / (rMultiples.length + weight)
+    };
+  });
+
+  return { samples: signals.length, points };
+}
+
+/**
+ * Brier score of a probability per signal (lower is better)
+ */
+function brierScore(signals, probabilityOf) {
+  return signals.length > 0
+    ? average(signals.map(s => (probabilityOf(s) - (s.actualReturn > 0 ? 1 : 0)) ** 2))
+    : null;
+}
+
+/**
+ * Segment curves keyed by a signal field, each shrunk toward the overall curve
+ */
+function fitSegments(signals, overall, keyOf) {
+  const groups = {};
+  for (const signal of signals) {
+    const key = keyOf(signal);
+    if (key) (groups[key] = groups[key] || []).push(signal);
+  }
+
+  const prior = level => overall.points[level - 1];
+  return Object.fromEntries(Object.entries(groups).map(([key, group]) => [key, fitCurve(group, prior, SEGMENT_WEIGHT)]));
+}
+
+/**
+ * Fit (or reuse) the calibration model from the closed signals
+ */
+export function getCalibrationModel() {
+  const signals = getClosedSignals(Infinity).filter(s => s.confidence >= 0.5 && s.confidence < 10.5);
+  const key = `${signals.length}:${Math.max(0, ...signals.map(s => s.exitTime || 0))}`;
+  if (fitted && fitted.key === key) return fitted.model;
+
+  const meanR = average(signals.map(returnInR).filter(r => r !== null));
+  const overall = fitCurve(signals, level => ({ probability: level / 10, expectedR: meanR }), PRIOR_WEIGHT);
+  const regimeOf = s => s.regime || null;
+
+  const model = {
+    samples: signals.length,
+    fittedAt: Date.now(),
+    overall,
+    byPattern: fitSegments(signals, overall, s => s.pattern),
+    byRegime: fitSegments(signals, overall, regimeOf),
+    byPatternRegime: fitSegments(signals, overall, s => (s.pattern && regimeOf(s) ? `${s.pattern}|${regimeOf(s)}` : null)),
+    brier: {
+      stated: brierScore(signals, s => s.confidence / 10),
+      calibrated: brierScore(signals, s => overall.points[Math.round(s.confidence) - 1].probability)
+    }
+  };
+
+  fitted = { key, model };
+  return model;
+}
+
+/**
+ * Calibrated win probability and expected R for a stated confidence
+ * Uses the most specific segment with enough closed signals: pattern+regime, pattern, regime, then overall.
+ * @param {number} confidence - Stated confidence (1-10)
+ * @param {Object} context - { pattern, regime }
+ * @returns {Object} { probability, expectedR, samples, segment, reliable, useForSizing }
+ */
+export function calibrateConfidence(confidence, { pattern = null, regime = null } = {}) {
+  const model = getCalibrationModel();
+  const settings = getCalibrationSettings();
+  const level = Math.min(10, Math.max(1, Math.round(confidence)));
+
+  const candidates = [
+    ['pattern+regime', model.byPatternRegime[`${pattern}|${regime}`]],
+    ['pattern', model.byPattern[pattern]],
+    ['regime', model.byRegime[regime]]
+  ];
+  const [segment, curve] = candidates.find(([, c]) => c && c.samples >= MIN_SEGMENT_SAMPLES) || ['overall', model.overall];
+  const point = curve.points[level - 1];
+  const reliable = model.samples >= settings.minSamples;
+
+  return {
+    probability: Math.round(point.probability * 1000) / 1000,
+    expectedR: Math.round(point.expectedR * 100) / 100,
+    samples: curve.samples,
+    segment,
+    reliable,
+    useForSizing: settings.useForSizing && reliable
+  };
+}
+
+/**
+ * Attach calibration to an analysis or signal (keeps an existing one)
+ */
+export function withCalibration(analysis) {
+  if (analysis.calibration || !Number.isFinite(analysis.confidence)) return analysis;
+  return { ...analysis, calibration: calibrateConfidence(analysis.confidence, analysis) };
+}
+
+/**
+ * Whether a signal clears the notification threshold: calibrated probability when enabled
+ * and trusted, otherwise the stated confidence 7+
+ */
+export function meetsNotificationThreshold(signal) {
+  const settings = getCalibrationSettings();
+  if (settings.useForNotifications) {
+    const calibration = signal.calibration || calibrateConfidence(signal.confidence, signal);
+    if (calibration.reliable) return calibration.probability >= settings.notifyMinProbability;
+  }
+
+  return signal.confidence >= 7;
+}
+
+/**
+ * Reliability curves for the UI: stated vs observed vs calibrated win rate per confidence level
+ */
+export function getReliabilityCurves() {
+  const model = getCalibrationModel();
+  const settings = getCalibrationSettings();
+
+  return {
+    samples: model.samples,
+    reliable: model.samples >= settings.minSamples,
+    fittedAt: model.fittedAt,
+    brier: model.brier,
+    overall: model.overall,
+    byPattern: model.byPattern,
+    byRegime: model.byRegime,
+    settings
+  };
+}
+
+/**
+ * Get calibration settings
+ */
+export function getCalibrationSettings() {
+  try {
+    return { ...DEFAULT_SETTINGS, ...readStore('calibration').settings };
+  } catch (error) {
+    console.error('Failed to load calibration settings:', error.message);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Change calibration settings
+ * @param {Object} updates - { minSamples, useForSizing, useForNotifications, notifyMinProbability }
+ */
+export function updateCalibrationSettings(updates = {}) {
+  if (updates.minSamples !== undefined && !(Number.isInteger(updates.minSamples) && updates.minSamples >= 1)) {
+    throw new Error(`Invalid minSamples: ${updates.minSamples} (use a whole number of signals)`);
+  }
+  if (updates.notifyMinProbability !== undefined && !(updates.notifyMinProbability > 0 && updates.notifyMinProbability < 1)) {
+    throw new Error(`Invalid notifyMinProbability: ${updates.notifyMinProbability} (use a probability between 0 and 1)`);
+  }
+  for (const key of ['useForSizing', 'useForNotifications']) {
+    if (updates[key] !== undefined && typeof updates[key] !== 'boolean') {
+      throw new Error(`Invalid ${key}: use true or false`);
+    }
+  }
+
+  const data = updateStore('calibration', data => {
+    data.settings = { ...DEFAULT_SETTINGS, ...data.settings };
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+      if (updates[key] !== undefined) data.settings[key] = updates[key];
+    }
+  });
+
+  return data.settings;
+}
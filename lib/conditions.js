@@ -0,0 +1,384 @@
+// Rule Conditions - Declarative conditions evaluated against technical analysis output
+//
+// A condition is either a comparison or a group of conditions:
+//   { field: 'rsi', op: '<', value: 30 }
+//   { field: 'price', op: 'crosses_above', value: { field: 'vwap' } }
+//   { field: 'superTrend.trend', op: 'changes_to', value: 'bullish' }
+//   { field: 'superTrend.trend', op: 'changes' }
+//   { all: [ ...conditions ] }   { any: [ ...conditions ] }
+// Crossing operators compare against the previous evaluation's context.
+// The same trees can be written as text ("rsi < 35 and adx.adx > 25") and parsed with
+// parseConditionExpression().
+
+export const COMPARISON_OPERATORS = ['>', '>=', '<', '<=', '==', '!='];
+export const CROSSING_OPERATORS = ['crosses_above', 'crosses_below', 'changes_to', 'changes'];
+
+// Context keys that are bulky series rather than readings
+const SKIPPED_FIELDS = ['history', 'timestamp', 'levels', 'patterns', 'bars'];
+
+/**
+ * Build the context a condition is evaluated against
+ * Technicals fields are exposed as-is, plus quote fields and the market regime
+ */
+export function buildConditionContext(marketData, technicals, regime = null) {
+  return {
+    ...technicals,
+    price: marketData.price,
+    close: marketData.price,
+    change: marketData.change,
+    changePercent: marketData.changePercent,
+    volumeRatio: marketData.volumeRatio,
+    avgVolume: marketData.avgVolume,
+    regime
+  };
+}
+
+const hasOwn = (object, key) => object !== null && typeof object === 'object' && Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Read a dotted field path (e.g. "adx.adx") from a context
+ * Flat snapshot keys take precedence so stored previous values resolve too. Only own
+ * properties are walked, so prototype keys ("constructor.name") never resolve.
+ */
+export function getFieldValue(context, path) {
+  if (!context || !path) return undefined;
+  if (hasOwn(context, path)) return context[path];
+
+  let value = context;
+  for (const key of path.split('.')) {
+    if (!hasOwn(value, key)) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+/**
+ * Whether a context has a field path, even if its current value is null
+ */
+export function hasField(context, path) {
+  if (!context || !path) return false;
+  if (hasOwn(context, path)) return true;
+
+  let value = context;
+  for (const key of path.split('.')) {
+    if (!hasOwn(value, key)) return false;
+    value = value[key];
+  }
+  return true;
+}
+
+/**
+ * Resolve a condition operand - either a literal or a { field } reference
+ */
+function resolveOperand(context, operand) {
+  if (operand && typeof operand === 'object' && operand.field) {
+    return getFieldValue(context, operand.field);
+  }
+  return operand;
+}
+
+/**
+ * Unwrap indicator objects that carry their reading in `.value` (MFI, PSAR, SuperTrend...)
+ */
+function toNumber(value) {
+  if (value && typeof value === 'object' && typeof value.value === 'number') {
+    return value.value;
+  }
+  return typeof value === 'number' ? value : null;
+}
+
+/**
+ * Reading of a value for change detection (indicator objects compare by `.value`)
+ */
+function unwrap(value) {
+  return value && typeof value === 'object' && 'value' in value ? value.value : value;
+}
+
+/**
+ * Compare two values with a comparison operator
+ */
+function compare(left, op, right) {
+  if (op === '==' || op === '!=') {
+    const l = typeof right === 'number' ? toNumber(left) : left;
+    const equal = typeof l === 'string' && typeof right === 'string'
+      ? l.toLowerCase() === right.toLowerCase()
+      : l === right;
+    return op === '==' ? equal : !equal;
+  }
+
+  const l = toNumber(left);
+  const r = toNumber(right);
+  if (l === null || r === null) return false;
+
+  switch (op) {
+    case '>': return l > r;
+    case '>=': return l >= r;
+    case '<': return l < r;
+    case '<=': return l <= r;
+    default: return false;
+  }
+}
+
+/**
+ * Evaluate a condition against the current context
+ * @param {Object} condition - Comparison or { all } / { any } group
+ * @param {Object} context - Current context (see buildConditionContext)
+ * @param {Object} previous - Previous context or field snapshot (needed for crossing operators)
+ * @returns {boolean} Whether the condition is met
+ */
+export function evaluateCondition(condition, context, previous = null) {
+  if (!condition) return false;
+
+  if (Array.isArray(condition)) {
+    return condition.length > 0 && condition.every(c => evaluateCondition(c, context, previous));
+  }
+  if (condition.all) {
+    return condition.all.length > 0 && condition.all.every(c => evaluateCondition(c, context, previous));
+  }
+  if (condition.any) {
+    return condition.any.some(c => evaluateCondition(c, context, previous));
+  }
+
+  const { field, op, value } = condition;
+  const current = getFieldValue(context, field);
+  const target = resolveOperand(context, value);
+
+  if (COMPARISON_OPERATORS.includes(op)) {
+    return compare(current, op, target);
+  }
+
+  // Crossing operators need the previous evaluation
+  if (!previous) return false;
+  const prior = getFieldValue(previous, field);
+  const priorTarget = value && typeof value === 'object' && value.field
+    ? getFieldValue(previous, value.field)
+    : target;
+
+  switch (op) {
+    case 'crosses_above':
+      return compare(prior, '<=', priorTarget) && compare(current, '>', target);
+    case 'crosses_below':
+      return compare(prior, '>=', priorTarget) && compare(current, '<', target);
+    case 'changes_to':
+      return compare(current, '==', target) && !compare(prior, '==', target) && prior !== undefined;
+    case 'changes':
+      return prior !== undefined && current !== undefined && compare(unwrap(current), '!=', unwrap(prior));
+    default:
+      throw new Error(`Unknown condition operator: ${op}`);
+  }
+}
+
+/**
+ * List every field path a condition references
+ */
+export function collectFields(condition, fields = new Set()) {
+  if (!condition) return fields;
+
+  const group = Array.isArray(condition) ? condition : condition.all || condition.any;
+  if (group) {
+    group.forEach(c => collectFields(c, fields));
+    return fields;
+  }
+
+  if (condition.field) fields.add(condition.field);
+  if (condition.value && typeof condition.value === 'object' && condition.value.field) {
+    fields.add(condition.value.field);
+  }
+  return fields;
+}
+
+/**
+ * Snapshot the referenced field values so the next evaluation can detect crosses
+ * without keeping the whole technicals object around
+ */
+export function snapshotFields(condition, context) {
+  const snapshot = {};
+  for (const field of collectFields(condition)) {
+    const value = getFieldValue(context, field);
+    snapshot[field] = unwrap(value);
+  }
+  return snapshot;
+}
+
+/**
+ * Validate a condition tree, throwing a descriptive error on the first problem
+ */
+export function validateCondition(condition) {
+  if (!condition || typeof condition !== 'object') {
+    throw new Error('Condition must be an object');
+  }
+
+  const group = Array.isArray(condition) ? condition : condition.all || condition.any;
+  if (group) {
+    if (!Array.isArray(group) || group.length === 0) {
+      throw new Error('Condition groups must contain at least one condition');
+    }
+    group.forEach(validateCondition);
+    return true;
+  }
+
+  if (!condition.field || typeof condition.field !== 'string') {
+    throw new Error('Condition is missing a field');
+  }
+  if (![...COMPARISON_OPERATORS, ...CROSSING_OPERATORS].includes(condition.op)) {
+    throw new Error(`Unknown condition operator: ${condition.op}`);
+  }
+  if (condition.value === undefined && condition.op !== 'changes') {
+    throw new Error(`Condition on ${condition.field} is missing a value`);
+  }
+  return true;
+}
+
+/**
+ * Human-readable form of a condition, e.g. "rsi crosses below 30 AND volumeRatio > 2"
+ */
+export function describeCondition(condition, nested = false) {
+  if (!condition) return '';
+
+  const group = Array.isArray(condition) ? condition : condition.all || condition.any;
+  if (group) {
+    const joiner = condition.any ? ' OR ' : ' AND ';
+    const text = group.map(c => describeCondition(c, true)).join(joiner);
+    return nested && group.length > 1 ? `(${text})` : text;
+  }
+
+  const op = condition.op.replace(/_/g, ' ');
+  if (condition.op === 'changes') return `${condition.field} changes`;
+
+  const value = condition.value && typeof condition.value === 'object' && condition.value.field
+    ? condition.value.field
+    : condition.value;
+  return `${condition.field} ${op} ${value}`;
+}
+
+/**
+ * Every readable field path in a context with its current value
+ * (numbers, strings and booleans; indicator objects with a `.value` are listed as well)
+ * @returns {Array} [{ field, value, type }] sorted by path
+ */
+export function listConditionFields(context, prefix = '', depth = 0, fields = []) {
+  if (!context || typeof context !== 'object' || depth > 3) return fields;
+
+  for (const [key, value] of Object.entries(context)) {
+    if (SKIPPED_FIELDS.includes(key) || Array.isArray(value) || value === null || value === undefined) continue;
+
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (typeof value === 'object') {
+      if (typeof value.value === 'number') fields.push({ field: path, value: value.value, type: 'number' });
+      listConditionFields(value, path, depth + 1, fields);
+    } else if (['number', 'string', 'boolean'].includes(typeof value)) {
+      fields.push({ field: path, value, type: typeof value });
+    }
+  }
+
+  return depth === 0 ? fields.sort((a, b) => a.field.localeCompare(b.field)) : fields;
+}
+
+const EXPRESSION_TOKEN = /\s*(?:(>=|<=|==|!=|=|>|<|\(|\)|&&|\|\|)|(-?\d+(?:\.\d+)?)(?![\w.])|'([^']*)'|"([^"]*)"|([A-Za-z_][\w.]*))/y;
+
+/**
+ * Split a filter expression into tokens
+ */
+function tokenizeExpression(text) {
+  const tokens = [];
+  EXPRESSION_TOKEN.lastIndex = 0;
+
+  while (EXPRESSION_TOKEN.lastIndex < text.length) {
+    const position = EXPRESSION_TOKEN.lastIndex;
+    if (/^\s*$/.test(text.slice(position))) break;
+
+    const match = EXPRESSION_TOKEN.exec(text);
+    if (!match) {
+      throw new Error(`Filter syntax error at position ${position}: unexpected "${text.slice(position).trim().slice(0, 10)}"`);
+    }
+
+    const [, symbol, number, single, double, word] = match;
+    if (symbol) tokens.push({ type: 'symbol', value: symbol === '=' ? '==' : symbol === '&&' ? 'and' : symbol === '||' ? 'or' : symbol, position });
+    else if (number !== undefined) tokens.push({ type: 'literal', value: Number(number), position });
+    else if (single !== undefined || double !== undefined) tokens.push({ type: 'literal', value: single ?? double, position });
+    else tokens.push({ type: 'word', value: word, position });
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a filter expression into a condition tree
+ * e.g. "rsi < 35 and adx.adx > 25 and trend == 'uptrend' and (volumeRatio > 1.5 or price > vwap)"
+ * Comparisons are `field op value` where value is a number, a quoted string, true/false or another
+ * field; crossing operators are written as words (`price crosses_above vwap`). `and` binds tighter than `or`.
+ */
+export function parseConditionExpression(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('Filter expression is empty');
+  }
+
+  const tokens = tokenizeExpression(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const fail = (message, token = peek()) => {
+    throw new Error(`Filter syntax error${token ? ` at position ${token.position}` : ' at end'}: ${message}`);
+  };
+  const isKeyword = (token, keyword) => token && (token.type === 'word' || token.type === 'symbol') &&
+    token.value.toLowerCase() === keyword;
+
+  const parseOperand = () => {
+    const token = tokens[index++];
+    if (!token) fail('expected a value');
+    if (token.type === 'literal') return token.value;
+    if (token.type !== 'word') fail(`expected a value, got "${token.value}"`, token);
+
+    const lower = token.value.toLowerCase();
+    if (lower === 'true' || lower === 'false') return lower === 'true';
+    return { field: token.value };
+  };
+
+  const parseComparison = () => {
+    const fieldToken = tokens[index++];
+    if (!fieldToken || fieldToken.type !== 'word') fail('expected a field name', fieldToken);
+
+    const opToken = tokens[index++];
+    if (!opToken) fail('expected an operator');
+    const op = opToken.value.toLowerCase();
+
+    if (op === 'changes') return { field: fieldToken.value, op };
+    if (!COMPARISON_OPERATORS.includes(op) && !CROSSING_OPERATORS.includes(op)) {
+      fail(`unknown operator "${opToken.value}"`, opToken);
+    }
+
+    return { field: fieldToken.value, op, value: parseOperand() };
+  };
+
+  const parsePrimary = () => {
+    if (peek() && peek().value === '(') {
+      index++;
+      const inner = parseOr();
+      if (!peek() || peek().value !== ')') fail('expected ")"');
+      index++;
+      return inner;
+    }
+    return parseComparison();
+  };
+
+  const parseGroup = (keyword, parseItem, key) => {
+    const items = [parseItem()];
+    while (isKeyword(peek(), keyword)) {
+      index++;
+      items.push(parseItem());
+    }
+    if (items.length === 1) return items[0];
+
+    // Flatten nested groups of the same kind ("a and (b and c)")
+    return { [key]: items.flatMap(item => (item[key] ? item[key] : [item])) };
+  };
+
+  const parseAnd = () => parseGroup('and', parsePrimary, 'all');
+  const parseOr = () => parseGroup('or', parseAnd, 'any');
+
+  const condition = parseOr();
+  if (index < tokens.length) fail(`unexpected "${peek().value}"`);
+
+  return condition;
+}
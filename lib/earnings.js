@@ -2,6 +2,7 @@
 import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { queuedFetch } from './fetch-queue.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -18,7 +19,7 @@ export async function fetchEarningsCalendar(ticker) {
   
   try {
     const url = `https://www.alphavantage.co/query?function=EARNINGS_CALENDAR&symbol=${ticker}&apikey=${apiKey}`;
-    const response = await fetch(url);
+    const response = await queuedFetch(url);
     
     if (!response.ok) {
       throw new Error(`Alpha Vantage API error: ${response.status}`);
@@ -163,11 +164,9 @@ export async function batchFetchEarnings(tickers) {
     console.log(`Fetching earnings calendar for ${ticker}...`);
     
     try {
+      // Alpha Vantage free tier allows 5 calls/minute; the shared fetch queue paces the calls
       const earnings = await fetchEarningsCalendar(ticker);
       results[ticker] = earnings;
-      
-      // Rate limiting (Alpha Vantage free tier: 25 calls/day, 5 calls/minute)
-      await new Promise(resolve => setTimeout(resolve, 12000)); // 12s between calls = 5/min
     } catch (error) {
       console.error(`Failed to fetch earnings for ${ticker}:`, error.message);
       results[ticker] = {
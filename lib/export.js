@@ -3,6 +3,8 @@
 import { readFileSync, existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { loadSignals } from './signals.js';
+import { loadPerformance } from './performance.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -47,13 +49,7 @@ function toCSV(data, headers) {
  */
 export function exportSignalsToCSV() {
   try {
-    const signalsFile = join(__dirname, '..', 'data', 'signals.json');
-    
-    if (!existsSync(signalsFile)) {
-      throw new Error('No signals data available');
-    }
-    
-    const signals = JSON.parse(readFileSync(signalsFile, 'utf8'));
+    const signals = loadSignals();
     
     if (!Array.isArray(signals) || signals.length === 0) {
       throw new Error('No signals to export');
@@ -96,13 +92,7 @@ export function exportSignalsToCSV() {
  */
 export function exportPerformanceToCSV() {
   try {
-    const performanceFile = join(__dirname, '..', 'data', 'performance.json');
-    
-    if (!existsSync(performanceFile)) {
-      throw new Error('No performance data available');
-    }
-    
-    const performance = JSON.parse(readFileSync(performanceFile, 'utf8'));
+    const performance = loadPerformance();
     
     if (!performance.trades || performance.trades.length === 0) {
       throw new Error('No trade history to export');
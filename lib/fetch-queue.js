@@ -0,0 +1,256 @@
+// Fetch Queue - shared, rate-limited HTTP access for every market data source
+// All outbound data requests (Yahoo, Google, Alpha Vantage news/earnings, StockTwits) go through
+// queuedFetch(), which provides:
+//   - bounded concurrency across all hosts (KLAW_FETCH_CONCURRENCY, default 6)
+//   - a token bucket per host (rate and burst from HOST_LIMITS)
+//   - a circuit breaker per host: after repeated failures the host is skipped for a cooldown,
+//     then a single trial request decides whether it closes again
+// coalesce() lets simultaneous callers of the same logical request share one in-flight promise.
+
+const MAX_CONCURRENCY = parseInt(process.env.KLAW_FETCH_CONCURRENCY) || 6;
+const DEFAULT_TIMEOUT = 15000;
+
+// Requests per second and bucket size per host
+const HOST_LIMITS = {
+  'query1.finance.yahoo.com': { rate: 5, burst: 10 },
+  'query2.finance.yahoo.com': { rate: 5, burst: 10 },
+  'www.google.com': { rate: 2, burst: 4 },
+  'www.alphavantage.co': { rate: 5 / 60, burst: 1 }, // Free tier: 5 calls a minute
+  'api.stocktwits.com': { rate: 200 / 3600, burst: 10 }, // 200 calls an hour
+  default: { rate: 10, burst: 20 }
+};
+
+const BREAKER = {
+  threshold: 5, // Consecutive failures before the circuit opens
+  cooldown: 30 * 1000 // Time an open circuit rejects requests before a trial
+};
+
+const hosts = new Map();
+const waiting = [];
+const inFlight = new Map();
+let active = 0;
+let wakeTimer = null;
+let wakeAt = Infinity;
+
+/**
+ * Per-host state: token bucket, breaker and counters
+ */
+function getHost(host) {
+  if (!hosts.has(host)) {
+    const limit = HOST_LIMITS[host] || HOST_LIMITS.default;
+    hosts.set(host, {
+      host,
+      rate: limit.rate,
+      burst: limit.burst,
+      tokens: limit.burst,
+      refilledAt: Date.now(),
+      breaker: 'closed', // closed | open | half_open
+      failures: 0,
+      openedAt: null,
+      trialInFlight: false,
+      stats: { requests: 0, succeeded: 0, failed: 0, rejected: 0, totalWaitMs: 0, lastError: null }
+    });
+  }
+  return hosts.get(host);
+}
+
+function refill(state, now) {
+  const elapsed = (now - state.refilledAt) / 1000;
+  state.tokens = Math.min(state.burst, state.tokens + elapsed * state.rate);
+  state.refilledAt = now;
+}
+
+function circuitError(host) {
+  const error = new Error(`Circuit open for ${host} (too many failures, retrying later)`);
+  error.code = 'CIRCUIT_OPEN';
+  return error;
+}
+
+/**
+ * Whether a host may send now; moves an open breaker to half-open once the cooldown is over
+ * @returns {string} 'send' | 'wait' | 'reject'
+ */
+function admission(state, now) {
+  if (state.breaker === 'open') {
+    if (now - state.openedAt < BREAKER.cooldown) return 'reject';
+    state.breaker = 'half_open';
+  }
+  if (state.breaker === 'half_open' && state.trialInFlight) return 'reject';
+
+  refill(state, now);
+  return state.tokens >= 1 ? 'send' : 'wait';
+}
+
+function recordResult(state, ok, error = null) {
+  if (state.breaker === 'half_open') state.trialInFlight = false;
+
+  if (ok) {
+    state.stats.succeeded++;
+    state.failures = 0;
+    if (state.breaker !== 'closed') {
+      console.log(`✅ Circuit closed for ${state.host}`);
+      state.breaker = 'closed';
+    }
+    return;
+  }
+
+  state.stats.failed++;
+  state.stats.lastError = error;
+  state.failures++;
+
+  if (state.breaker === 'half_open' || state.failures >= BREAKER.threshold) {
+    if (state.breaker !== 'open') {
+      console.error(`❌ Circuit opened for ${state.host} after ${state.failures} failure(s): ${error}`);
+    }
+    state.breaker = 'open';
+    state.openedAt = Date.now();
+  }
+}
+
+/**
+ * Start every queued request that has a free slot, a token and a closed (or trial) circuit
+ */
+function pump() {
+  const now = Date.now();
+  let nextWake = Infinity;
+
+  for (let i = 0; i < waiting.length && active < MAX_CONCURRENCY; ) {
+    const job = waiting[i];
+    const state = getHost(job.host);
+    const decision = admission(state, now);
+
+    if (decision === 'reject') {
+      waiting.splice(i, 1);
+      state.stats.rejected++;
+      job.reject(circuitError(job.host));
+      continue;
+    }
+
+    if (decision === 'wait') {
+      nextWake = Math.min(nextWake, now + Math.ceil((1 - state.tokens) / state.rate * 1000));
+      i++;
+      continue;
+    }
+
+    waiting.splice(i, 1);
+    state.tokens -= 1;
+    if (state.breaker === 'half_open') state.trialInFlight = true;
+    run(job, state, now);
+  }
+
+  // One timer for the earliest host that can send next; a sooner wake (a fast host queued
+  // behind a slow one) re-arms it
+  if (nextWake < wakeAt) {
+    clearTimeout(wakeTimer);
+    wakeAt = nextWake;
+    wakeTimer = setTimeout(() => {
+      wakeTimer = null;
+      wakeAt = Infinity;
+      pump();
+    }, Math.max(nextWake - Date.now(), 10));
+  }
+
+  // Waiting requests keep the process alive (a CLI run would otherwise exit with them unanswered)
+  if (wakeTimer) {
+    if (waiting.length > 0) wakeTimer.ref();
+    else wakeTimer.unref();
+  }
+}
+
+async function run(job, state, now) {
+  active++;
+  state.stats.requests++;
+  state.stats.totalWaitMs += now - job.queuedAt;
+
+  try {
+    const { timeout = DEFAULT_TIMEOUT, ...options } = job.options;
+    const response = await fetch(job.url, { signal: AbortSignal.timeout(timeout), ...options });
+
+    // Server errors and throttling count against the host; 4xx answers (unknown symbol...) do not
+    const failed = response.status >= 500 || response.status === 429;
+    recordResult(state, !failed, failed ? `HTTP ${response.status}` : null);
+    job.resolve(response);
+  } catch (error) {
+    recordResult(state, false, error.message);
+    job.reject(error);
+  } finally {
+    active--;
+    pump();
+  }
+}
+
+/**
+ * fetch() through the shared queue
+ * @param {string} url - Request URL (its host picks the rate limit and breaker)
+ * @param {Object} options - fetch options plus `timeout` in ms (default 15s)
+ * @returns {Promise<Response>} Rejects with code CIRCUIT_OPEN while the host's circuit is open
+ */
+export function queuedFetch(url, options = {}) {
+  const host = new URL(url).host;
+
+  return new Promise((resolve, reject) => {
+    waiting.push({ host, url, options, resolve, reject, queuedAt: Date.now() });
+    pump();
+  });
+}
+
+/**
+ * Share one in-flight promise between simultaneous callers with the same key
+ */
+export function coalesce(key, fn) {
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const promise = Promise.resolve()
+    .then(fn)
+    .finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
+}
+
+/**
+ * Queue, limiter and breaker state per host
+ */
+export function getFetchQueueStats() {
+  const now = Date.now();
+
+  return {
+    maxConcurrency: MAX_CONCURRENCY,
+    active,
+    queued: waiting.length,
+    coalescing: inFlight.size,
+    hosts: Array.from(hosts.values()).map(state => {
+      refill(state, now);
+      return {
+        host: state.host,
+        breaker: state.breaker,
+        failures: state.failures,
+        reopensIn: state.breaker === 'open' ? Math.max(0, BREAKER.cooldown - (now - state.openedAt)) : null,
+        ratePerMinute: Math.round(state.rate * 60 * 100) / 100,
+        burst: state.burst,
+        tokens: Math.round(state.tokens * 100) / 100,
+        queued: waiting.filter(job => job.host === state.host).length,
+        ...state.stats,
+        avgWaitMs: state.stats.requests > 0 ? Math.round(state.stats.totalWaitMs / state.stats.requests) : 0
+      };
+    })
+  };
+}
+
+/**
+ * Close every circuit (or one host's) and refill its bucket
+ */
+export function resetCircuits(host = null) {
+  let reset = 0;
+
+  for (const state of hosts.values()) {
+    if (host && state.host !== host) continue;
+    state.breaker = 'closed';
+    state.failures = 0;
+    state.trialInFlight = false;
+    state.tokens = state.burst;
+    reset++;
+  }
+
+  pump();
+  return reset;
+}
@@ -1,38 +1,32 @@
-// Gemini 2.5 Pro AI Analysis Integration
-import { readFileSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
-
-function loadApiKey() {
-  if (process.env.GEMINI_API_KEY) return process.env.GEMINI_API_KEY;
-  try {
-    const __dirname = dirname(fileURLToPath(import.meta.url));
-    const envFile = readFileSync(join(__dirname, '..', '.env'), 'utf8');
-    const match = envFile.match(/GEMINI_API_KEY=(.+)/);
-    return match ? match[1].trim() : null;
-  } catch { return null; }
-}
-
-const GEMINI_API_KEY = loadApiKey();
-const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.0-flash';
-const GEMINI_ENDPOINT = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent`;
+// AI Analysis - builds the trade-setup prompt, calls the chosen LLM and parses its JSON answer
+// The model call goes through the LLM provider registry (lib/llm/): Gemini by default, or any
+// OpenAI-compatible server, a local model or the deterministic mock, chosen per request or per ticker.
+// The prompt text is a versioned template from prompts/ (see lib/prompts.js), possibly picked by an A/B experiment.
+// Every call is metered in lib/ai-usage.js, and paid models stop (or fall back to the cache) once a budget is spent.
+import { formatIndicatorPrompt } from './indicators.js';
+import { getWatchlist } from './watchlist.js';
+import { getLLMProvider, resolveModel } from './llm/index.js';
+import { validateAnalysis, buildRepairPrompt, recordRejection } from './analysis-schema.js';
+import { selectPrompt, startExperimentRun, renderPrompt } from './prompts.js';
+import { recordUsage, checkBudget } from './ai-usage.js';
 
 // Response caching to reduce API costs and improve speed
 const ANALYSIS_CACHE = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes - balance between freshness and cost
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 2000; // 2 seconds
+const MAX_REPAIRS = 1; // Follow-up prompts for an answer that fails validation
 
 /**
- * Generate cache key from market data and technicals
+ * Generate cache key from the model, prompt version, market data and technicals
  */
-function generateCacheKey(marketData, technicals, multiTimeframe) {
+function generateCacheKey(modelId, promptVersion, marketData, technicals, multiTimeframe) {
   const price = marketData.price.toFixed(2);
   const rsi = technicals.rsi?.toFixed(0) || 'N/A';
   const trend = technicals.trend;
   const mtfKey = multiTimeframe?.confluence?.direction || 'none';
   
-  return `${marketData.symbol}-${price}-${rsi}-${trend}-${mtfKey}`;
+  return `${modelId}-${promptVersion}-${marketData.symbol}-${price}-${rsi}-${trend}-${mtfKey}`;
 }
 
 /**
@@ -51,87 +45,175 @@ function cleanupCache() {
 setInterval(cleanupCache, 60000);
 
 /**
- * Analyze market data and technicals with Gemini AI (with caching and retry logic)
+ * Add token counts from two calls
+ */
+function addUsage(a, b) {
+  if (!a || !b) return a || b || null;
+  return {
+    promptTokens: a.promptTokens + b.promptTokens,
+    completionTokens: a.completionTokens + b.completionTokens
+  };
+}
+
+/**
+ * NEUTRAL placeholder for an answer that stayed invalid after repair
+ */
+function rejectedAnalysis(marketData, text, errors) {
+  return {
+    ticker: marketData.symbol,
+    signal: 'NEUTRAL',
+    confidence: 1,
+    entry: marketData.price,
+    targets: null,
+    stopLoss: null,
+    riskReward: null,
+    reasoning: `AI response rejected: ${errors.join('; ')}`,
+    pattern: 'Other',
+    timeframe: 'Unknown',
+    alerts: [],
+    rejected: true,
+    timestamp: Date.now(),
+    raw: text
+  };
+}
+
+/**
+ * Ask for a completion and validate it, sending invalid answers back for repair
+ * @returns {Promise<Object>} { analysis, usage, validation }
+ */
+async function completeAndValidate(provider, resolved, prompt, marketData, technicals, multiTimeframe) {
+  const context = { marketData, technicals, multiTimeframe };
+  const completion = await provider.complete(prompt, { model: resolved.model }, context);
+  let text = completion.text;
+  let usage = completion.usage || null;
+  let result = validateAnalysis(text, marketData, technicals);
+  const attempts = [];
+  
+  for (let repair = 1; !result.valid && repair <= MAX_REPAIRS; repair++) {
+    attempts.push({ errors: result.errors, raw: text });
+    console.warn(`⚠️ ${resolved.id} answer for ${marketData.symbol} failed validation (${result.errors.join('; ')}), asking for a repair...`);
+    
+    const repaired = await provider.complete(buildRepairPrompt(prompt, text, result.errors), { model: resolved.model }, { ...context, repair: true });
+    text = repaired.text;
+    usage = addUsage(usage, repaired.usage);
+    result = validateAnalysis(text, marketData, technicals);
+  }
+  
+  if (!result.valid) {
+    attempts.push({ errors: result.errors, raw: text });
+  }
+  
+  if (attempts.length > 0) {
+    const outcome = result.valid ? 'repaired' : 'rejected';
+    recordRejection({
+      ticker: marketData.symbol,
+      model: resolved.id,
+      outcome,
+      errors: attempts[0].errors,
+      raw: attempts[0].raw,
+      attempts
+    });
+    console.log(`${result.valid ? '🔧' : '🚫'} ${marketData.symbol}: ${resolved.id} answer ${outcome}`);
+  }
+  
+  return {
+    analysis: result.valid ? result.analysis : rejectedAnalysis(marketData, text, result.errors),
+    usage,
+    validation: {
+      valid: result.valid,
+      repaired: result.valid && attempts.length > 0,
+      errors: result.valid ? [] : result.errors,
+      warnings: result.warnings,
+      attempts: attempts.length + (result.valid ? 1 : 0)
+    }
+  };
+}
+
+/**
+ * Error for an analysis refused because an AI budget is spent
+ */
+function budgetError(budget) {
+  const error = new Error(`AI budget exceeded: ${budget.reason}${budget.status === 'cache-only' ? ' (cached analyses only)' : ''}`);
+  error.code = 'BUDGET_EXCEEDED';
+  return error;
+}
+
+/**
+ * Model an analysis of this ticker will use (request override, watchlist entry, KLAW_LLM_MODEL, Gemini)
  */
-export async function analyzeWithGemini(marketData, technicals, multiTimeframe = null, useCache = true) {
-  if (!GEMINI_API_KEY) {
-    throw new Error('GEMINI_API_KEY not found in environment');
+export function resolveAnalysisModel(ticker, model = null) {
+  return resolveModel(model, getWatchlist()[ticker]);
+}
+
+/**
+ * Analyze market data and technicals with the chosen LLM (with caching and retry logic)
+ * @param {Object} options - { model: "provider:model" override, prompt: template name override, run: experiment run from batchAnalyze,
+ *                            caller: who asked, for usage accounting ('cli', 'api', 'webhook') }
+ * @returns {Promise<Object>} Parsed analysis, with `model`, `provider`, `promptVersion` and `experiment` recording what produced it
+ */
+export async function analyzeWithGemini(marketData, technicals, multiTimeframe = null, useCache = true, { model = null, prompt: promptName = null, run = null, caller = 'other' } = {}) {
+  const resolved = resolveAnalysisModel(marketData.symbol, model);
+  const provider = getLLMProvider(resolved.provider);
+  
+  if (provider.configured && !provider.configured()) {
+    throw new Error(`${resolved.id} is not configured (${provider.description})`);
   }
   
-  // Check cache first
-  if (useCache) {
-    const cacheKey = generateCacheKey(marketData, technicals, multiTimeframe);
+  const { template, experiment } = selectPrompt(marketData.symbol, { prompt: promptName, run });
+  const cacheKey = generateCacheKey(resolved.id, template.version, marketData, technicals, multiTimeframe);
+  const usageEntry = { ticker: marketData.symbol, model: resolved.id, caller, promptVersion: template.version, local: !!provider.local };
+  
+  // Local models cost nothing and are never held back by a budget
+  const budget = provider.local ? null : checkBudget();
+  if (budget?.status === 'blocked') {
+    throw budgetError(budget);
+  }
+  
+  // Check cache first (a spent 'cache-only' budget serves the cache even when asked not to)
+  if (useCache || budget?.status === 'cache-only') {
     const cached = ANALYSIS_CACHE.get(cacheKey);
     
     if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
       console.log(`📦 Using cached analysis for ${marketData.symbol} (${Math.floor((Date.now() - cached.timestamp) / 1000)}s old)`);
+      recordUsage({ ...usageEntry, cached: true });
       return { ...cached.data, fromCache: true };
     }
   }
   
-  const prompt = buildAnalysisPrompt(marketData, technicals, multiTimeframe);
+  if (budget?.status === 'cache-only') {
+    throw budgetError(budget);
+  }
+  
+  const prompt = buildAnalysisPrompt(marketData, technicals, multiTimeframe, template);
   
   // Retry logic for transient errors
   for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+    const started = Date.now();
+    
     try {
-      const response = await fetch(`${GEMINI_ENDPOINT}?key=${GEMINI_API_KEY}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: prompt
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.7,
-            topK: 40,
-            topP: 0.95,
-            maxOutputTokens: 2048
-          }
-        })
-      });
-      
-      // Handle rate limiting (429) and server errors (5xx)
-      if (response.status === 429) {
-        const retryAfter = parseInt(response.headers.get('Retry-After') || '60', 10);
-        console.warn(`⚠️ Rate limited by Gemini API. Waiting ${retryAfter}s before retry ${attempt}/${MAX_RETRIES}...`);
-        
-        if (attempt < MAX_RETRIES) {
-          await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
-          continue;
-        }
-        throw new Error('Rate limit exceeded. Please try again later.');
-      }
-      
-      if (response.status >= 500) {
-        console.warn(`⚠️ Gemini API server error (${response.status}). Retry ${attempt}/${MAX_RETRIES}...`);
-        
-        if (attempt < MAX_RETRIES) {
-          await new Promise(resolve => setTimeout(resolve, RETRY_DELAY * attempt));
-          continue;
-        }
-      }
+      const { analysis: parsed, usage, validation } = await completeAndValidate(provider, resolved, prompt, marketData, technicals, multiTimeframe);
       
-      if (!response.ok) {
-        const error = await response.text();
-        throw new Error(`Gemini API error: ${response.status} - ${error}`);
-      }
-      
-      const data = await response.json();
-      const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-      
-      if (!text) {
-        throw new Error('No response from Gemini');
-      }
+      const analysis = {
+        ...parsed,
+        model: resolved.id,
+        provider: resolved.provider,
+        promptVersion: template.version,
+        experiment,
+        usage,
+        validation
+      };
       
-      const analysis = parseGeminiResponse(text, marketData);
+      recordUsage({
+        ...usageEntry,
+        usage,
+        latencyMs: Date.now() - started,
+        retries: attempt - 1,
+        calls: validation.attempts,
+        outcome: analysis.rejected ? 'rejected' : 'ok'
+      });
       
-      // Cache successful response
-      if (useCache) {
-        const cacheKey = generateCacheKey(marketData, technicals, multiTimeframe);
+      // Cache successful response (a rejected answer is retried on the next run)
+      if (useCache && !analysis.rejected) {
         ANALYSIS_CACHE.set(cacheKey, {
           data: analysis,
           timestamp: Date.now()
@@ -142,7 +224,21 @@ export async function analyzeWithGemini(marketData, technicals, multiTimeframe =
       return analysis;
       
     } catch (error) {
-      console.error(`Gemini analysis error (attempt ${attempt}/${MAX_RETRIES}):`, error.message);
+      console.error(`${resolved.id} analysis error (attempt ${attempt}/${MAX_RETRIES}):`, error.message);
+      
+      if (attempt === MAX_RETRIES) {
+        recordUsage({ ...usageEntry, latencyMs: Date.now() - started, retries: attempt - 1, outcome: 'error', error: error.message });
+      }
+      
+      // Handle rate limiting (429) with the server's Retry-After
+      if (error.status === 429) {
+        if (attempt === MAX_RETRIES) {
+          throw new Error('Rate limit exceeded. Please try again later.');
+        }
+        console.warn(`⚠️ Rate limited by ${resolved.provider}. Waiting ${error.retryAfter}s before retry ${attempt + 1}/${MAX_RETRIES}...`);
+        await new Promise(resolve => setTimeout(resolve, error.retryAfter * 1000));
+        continue;
+      }
       
       // If final retry failed, throw
       if (attempt === MAX_RETRIES) {
@@ -158,9 +254,9 @@ export async function analyzeWithGemini(marketData, technicals, multiTimeframe =
 }
 
 /**
- * Build optimized analysis prompt (reduced token usage, improved signal quality)
+ * Build the analysis prompt: market snapshot and indicator sections rendered into a prompt template
  */
-function buildAnalysisPrompt(marketData, technicals, multiTimeframe = null) {
+function buildAnalysisPrompt(marketData, technicals, multiTimeframe, template) {
   const { symbol, price, change, changePercent, volume, volumeRatio } = marketData;
   const { movingAverages, vwma, rsi, mfi, macd, stochastic, bollingerBands, vwap, obv, obvDivergence, cmf, atr, psar, superTrend, adx, elderRay, fibonacci, nearestFib, supportResistance, trend, candlestickPatterns, priceActionPatterns, volumeProfile, heikinAshi, ichimoku, volumeDelta } = technicals;
   
@@ -177,14 +273,12 @@ function buildAnalysisPrompt(marketData, technicals, multiTimeframe = null) {
                     volumeRatio >= 1.5 ? 'ELEVATED' : volumeRatio >= 1.2 ? 'ABOVE AVG' :
                     volumeRatio < 0.7 ? 'LOW' : 'NORMAL';
   
-  return `Systematic trader analysis for ${symbol}. Generate a precise trade signal with JSON output.
-
-## SNAPSHOT
-${symbol}: $${price.toFixed(2)} ${change >= 0 ? '+' : ''}${changePercent.toFixed(2)}% | Vol: ${volumeCtx} (${volumeRatio.toFixed(2)}x) | Trend: ${trend.toUpperCase().replace('_', ' ')}
-
-## TECHNICALS
-
-**Price Structure:** VWAP $${vwap?.toFixed(2) || 'N/A'} (${priceVsVWAP > 0 ? '+' : ''}${priceVsVWAP}%) | BB ${bbPosition}% ${bbPosition < 20 ? '⚠️OVERSOLD' : bbPosition > 80 ? '⚠️OVERBOUGHT' : ''}
+  // Plugin indicators describe themselves
+  const customIndicators = formatIndicatorPrompt(technicals, { price });
+  
+  const snapshot = `${symbol}: $${price.toFixed(2)} ${change >= 0 ? '+' : ''}${changePercent.toFixed(2)}% | Vol: ${volumeCtx} (${volumeRatio.toFixed(2)}x) | Trend: ${trend.toUpperCase().replace('_', ' ')}`;
+  
+  const technicalsSection = `**Price Structure:** VWAP $${vwap?.toFixed(2) || 'N/A'} (${priceVsVWAP > 0 ? '+' : ''}${priceVsVWAP}%) | BB ${bbPosition}% ${bbPosition < 20 ? '⚠️OVERSOLD' : bbPosition > 80 ? '⚠️OVERBOUGHT' : ''}
 
 **MAs:** EMA9 $${movingAverages.ema9?.toFixed(2)} ${price > movingAverages.ema9 ? '✓' : '✗'} | EMA21 $${movingAverages.ema21?.toFixed(2)} ${price > movingAverages.ema21 ? '✓' : '✗'} | SMA50 $${movingAverages.sma50?.toFixed(2)} ${price > movingAverages.sma50 ? '✓' : '✗'} | SMA200 $${movingAverages.sma200?.toFixed(2)} ${price > movingAverages.sma200 ? '✓BULL' : '✗BEAR'}
 
@@ -254,139 +348,14 @@ Cloud: ${ichimoku.cloud.color.toUpperCase()} ${ichimoku.cloud.color === 'bullish
 Senkou A: $${ichimoku.senkouSpanA.toFixed(2)} | Senkou B: $${ichimoku.senkouSpanB.toFixed(2)}
 ${ichimoku.signals && ichimoku.signals.length > 0 ? `🎯 ${ichimoku.signals.join(' | ')}` : ''}` : 'N/A'}
 ${obvDivergence ? `\n⚠️ **${obvDivergence.type.toUpperCase()} OBV DIVERGENCE!** ${obvDivergence.strength.toUpperCase()} (Conf: ${obvDivergence.confidence}/10) - ${obvDivergence.signal}` : ''}
-
-**Multi-Timeframe Confluence Analysis:**
-${multiTimeframe ? formatMultiTimeframeSection(multiTimeframe) : '⚠️ Not available (single timeframe analysis only)'}
-
-**SIGNAL GENERATION RULES:**
-
-**MANDATORY LONG Requirements (ALL must be met):**
-1. Price Structure: Above EMA21 OR bouncing from strong support with volume
-2. Momentum: RSI >40 OR bullish divergence with Volume Delta/OBV confirmation
-3. Trend Strength: ADX ≥20 (≥25 for trend continuation; <20 OK ONLY if OBV/Volume Delta divergence OR major pattern setup)
-4. Directional Alignment: +DI > -DI OR recent TK bullish cross with Ichimoku confirmation
-5. Volume: >1.2x average (breakouts) OR >0.8x (mean reversion from oversold with accumulation signs)
-6. Risk/Reward: Minimum 2:1 (entry to T2 vs entry to stop) - NO EXCEPTIONS
-
-**MANDATORY SHORT Requirements (ALL must be met):**
-1. Price Structure: Below EMA21 OR rejecting from strong resistance with volume
-2. Momentum: RSI <60 OR bearish divergence with Volume Delta/OBV confirmation
-3. Trend Strength: ADX ≥20 (≥25 for trend continuation; <20 OK ONLY if OBV/Volume Delta divergence OR major pattern setup)
-4. Directional Alignment: -DI > +DI OR recent TK bearish cross with Ichimoku confirmation
-5. Volume: >1.2x average (breakdowns) OR >0.8x (mean reversion from overbought with distribution signs)
-6. Risk/Reward: Minimum 2:1 (entry to T2 vs entry to stop) - NO EXCEPTIONS
-
-**AUTOMATIC NEUTRAL (Do NOT Trade):**
-• ADX <20 AND no divergence/pattern setup
-• Conflicting indicators: Trend says one thing, momentum says another, volume doesn't confirm
-• Price chopping between EMA9/EMA21 with no clear bias
-• Volume <0.6x average AND no major pattern
-• BB squeeze (<3% width) without clear directional bias
-• Price stuck in middle of value area with no catalyst
-• Risk/Reward <1.8:1 after accounting for realistic stops at S/R levels
-
-**Confidence Scoring Framework (1-10 Scale):**
-
-**Score 9-10 (ULTRA-HIGH - Elite Setups Only):**
-• Multi-Timeframe Confluence (≥7/10) + Volume Delta/CMF strong alignment (≥70% directional)
-• Major Price Action Pattern (H&S conf ≥8, Double Top/Bottom conf ≥7) + MTF + Volume confirmation
-• Ichimoku perfect setup (price above cloud + bullish TK cross + bullish cloud) + ADX ≥25 + Volume Delta accumulation
-• Multi-System Confluence: MTF + Ichimoku + Volume Profile POC + Fib golden ratio + Strong HA trend + Volume Delta
-• Base confidence: 9 | Cap at 10 for absolute perfection
-
-**Score 7-8 (HIGH - Strong Probability):**
-• Multi-Timeframe Confluence (≥6/10) OR Strong Volume Delta/CMF (≥65%) + price action pattern
-• OBV Divergence (strong) + RSI/MFI extreme + ADX ≥20 + volume confirmation
-• Ichimoku bullish/bearish + ADX ≥25 + Volume Profile support
-• Major candlestick pattern at key S/R + volume + trend alignment
-• Price Action Pattern (conf ≥6) + volume + trend confirmation
-• Base confidence: 7 | Add +1 for each major confluence factor (max 8)
-
-**Score 5-6 (MODERATE - Decent Edge):**
-• ADX ≥25 + trend indicators align + momentum agrees + volume >1.2x
-• Strong Heikin-Ashi trend (5+ consecutive) + price at S/R + volume
-• Fibonacci 61.8% bounce + RSI extreme + some volume
-• 2-3 solid confirming indicators + acceptable volume + trend
-• Base confidence: 5 | Add +1 if volume strong or at key level (max 6)
-
-**Score 3-4 (LOW - Weak Setup):**
-• ADX 20-25 + some agreement but weak volume or conflicting signals
-• Single indicator extreme (RSI/MFI) without confirmation
-• Pattern setup without volume or trend confirmation
-• Acceptable but not compelling - consider passing
-• Base confidence: 3 | Add +1 if at least 1 strong factor (max 4)
-
-**Score 1-2 (VERY WEAK - Usually NEUTRAL):**
-• ADX <20 + no divergence + no pattern
-• Conflicting signals dominate
-• Weak volume + choppy price action
-• Should almost always be NEUTRAL - only signal if extraordinary divergence/pattern
-• Base confidence: 1-2 (rarely assign directional signal)
-
-**CRITICAL FILTERS (Override to NEUTRAL):**
-1. If Risk/Reward calculation shows <1.8:1 → NEUTRAL (stop too close or targets unrealistic)
-2. If ADX <20 AND no divergence AND no major pattern → NEUTRAL (chop zone)
-3. If volume <0.6x AND no accumulation/distribution signs → NEUTRAL (no conviction)
-4. If 3+ indicators conflict AND no clear confluence → NEUTRAL (market uncertainty)
-5. If price in middle 50% of BB AND ADX <25 → NEUTRAL (consolidation, wait for breakout)
-
-**High-Confidence Boosters (Apply After Base Score):**
-• Multi-Timeframe Strong Confluence (≥7/10): +2 to +3
-• Volume Delta + CMF + OBV Triple Alignment: +2 to +3
-• VWMA Strong Institutional Confirmation (VWMA vs SMA >1.5% spread + volume confirmed): +1.5 to +2
-• Major Price Action Pattern (H&S ≥8, Dbl Top/Bot ≥7): +2
-• Ichimoku Perfect Setup (all signals aligned): +2
-• Elder-Ray Divergence (strong, conf ≥8): +1.5 to +2
-• Volume Delta Divergence (strong): +1.5 to +2
-• OBV Divergence (strong, overrides ADX): +1.5 to +2
-• Elder-Ray Bull/Bear Power Extreme (both positive or both negative, very_strong): +1
-• VWMA Trend Aligned + Volume Confirmation: +1
-• At Volume Profile POC/VAH/VAL with pattern: +1
-• At Fibonacci 61.8% with RSI/MFI extreme: +1
-• Heikin-Ashi strong trend (5+) OR reversal: +1
-
-**NOTE:** Always cap final confidence at 10. Be conservative - it's better to miss a trade than take a bad one.
-
-## REQUIRED JSON OUTPUT
-
-{
-  "signal": "LONG" | "SHORT" | "NEUTRAL",
-  "confidence": 1-10,
-  "entry": precise_entry_price,
-  "targets": {
-    "t1": first_target (conservative, 1R),
-    "t2": second_target (balanced, 2R),
-    "t3": third_target (aggressive, 3R+)
-  },
-  "stopLoss": logical_stop_below_support_or_above_resistance,
-  "riskReward": (avg_target - entry) / (entry - stop),
-  "positionSizing": {
-    "riskPerShare": Math.abs(entry - stopLoss),
-    "recommendedRiskPercent": confidence >= 8 ? 2.0 : confidence >= 6 ? 1.5 : 1.0,
-    "scalingPlan": {
-      "initialEntry": 50-70% of position (higher confidence = higher initial %),
-      "scaleIn": "On confirmation (e.g., break above resistance, volume surge)",
-      "scaleOut": "T1: 33% | T2: 33% | T3: 34% (let winners run)"
-    }
-  },
-  "reasoning": "Concise 1-2 sentence setup explanation with specific technical confluence",
-  "pattern": "Breakout" | "Reversal" | "Consolidation" | "Trend Continuation" | "Mean Reversion" | "Squeeze" | "Other",
-  "timeframe": "Scalp (minutes)" | "Intraday (hours)" | "Swing (days)",
-  "alerts": [
-    "Action trigger: e.g., 'Enter on break above $XXX with volume'",
-    "Confirmation: e.g., 'RSI hold above 50'",
-    "Risk note: e.g., 'Invalidated below VWAP'"
-  ]
-}
-
-**Position Sizing Guidelines:**
-- High confidence (8-10): 2% risk, 60-70% initial entry
-- Medium confidence (6-7): 1.5% risk, 50-60% initial entry  
-- Lower confidence (4-5): 1% risk, 40-50% initial entry
-- Scale out at targets to lock profits and reduce risk
-- Risk per share = |entry - stopLoss|
-
-**Critical:** Return ONLY the JSON object. No markdown, no extra text, just pure JSON.`;
+${customIndicators ? `\n**Custom Indicators:**\n${customIndicators}\n` : ''}`;
+  
+  return renderPrompt(template, {
+    symbol,
+    snapshot,
+    technicals: technicalsSection,
+    multiTimeframe: multiTimeframe ? formatMultiTimeframeSection(multiTimeframe) : '⚠️ Not available (single timeframe analysis only)'
+  });
 }
 
 /**
@@ -416,77 +385,14 @@ function formatMultiTimeframeSection(mtf) {
   return section;
 }
 
-/**
- * Parse Gemini response and extract structured data
- */
-function parseGeminiResponse(text, marketData) {
-  try {
-    // Extract JSON from response (handle markdown code blocks)
-    let jsonText = text.trim();
-    
-    // Remove markdown code fences if present
-    if (jsonText.startsWith('```')) {
-      jsonText = jsonText.replace(/^```json?\s*\n?/i, '').replace(/\n?```\s*$/, '');
-    }
-    
-    const analysis = JSON.parse(jsonText);
-    
-    // Validate and enrich the response
-    const positionSizing = analysis.positionSizing || {
-      riskPerShare: analysis.stopLoss ? Math.abs(analysis.entry - analysis.stopLoss) : 0,
-      recommendedRiskPercent: analysis.confidence >= 8 ? 2.0 : analysis.confidence >= 6 ? 1.5 : 1.0,
-      scalingPlan: {
-        initialEntry: '50-60%',
-        scaleIn: 'On confirmation',
-        scaleOut: 'T1: 33% | T2: 33% | T3: 34%'
-      }
-    };
-    
-    return {
-      ticker: marketData.symbol,
-      signal: analysis.signal || 'NEUTRAL',
-      confidence: Math.min(10, Math.max(1, analysis.confidence || 5)),
-      entry: analysis.entry || marketData.price,
-      targets: analysis.targets || { t1: 0, t2: 0, t3: 0 },
-      stopLoss: analysis.stopLoss || 0,
-      riskReward: analysis.riskReward || 0,
-      positionSizing: positionSizing,
-      reasoning: analysis.reasoning || 'No reasoning provided',
-      pattern: analysis.pattern || 'Other',
-      timeframe: analysis.timeframe || 'Intraday (hours)',
-      alerts: analysis.alerts || [],
-      timestamp: Date.now(),
-      raw: text
-    };
-  } catch (error) {
-    console.error('Failed to parse Gemini response:', error.message);
-    console.error('Raw response:', text);
-    
-    // Return a neutral signal if parsing fails
-    return {
-      ticker: marketData.symbol,
-      signal: 'NEUTRAL',
-      confidence: 1,
-      entry: marketData.price,
-      targets: { t1: 0, t2: 0, t3: 0 },
-      stopLoss: 0,
-      riskReward: 0,
-      reasoning: 'Failed to parse AI response',
-      pattern: 'Other',
-      timeframe: 'Unknown',
-      alerts: ['AI analysis parsing error'],
-      timestamp: Date.now(),
-      error: error.message,
-      raw: text
-    };
-  }
-}
-
 /**
  * Batch analyze multiple tickers (with optional multi-timeframe data)
+ * @param {Object} options - { model: "provider:model" for every ticker, overriding watchlist choices, prompt: template name for every ticker,
+ *                            caller: 'cli' | 'api' | 'webhook' for usage accounting }
  */
-export async function batchAnalyze(marketDataMap, technicalsMap, multiTimeframeMap = {}, useCache = true) {
+export async function batchAnalyze(marketDataMap, technicalsMap, multiTimeframeMap = {}, useCache = true, { model = null, prompt = null, caller = 'other' } = {}) {
   const results = {};
+  const run = prompt ? null : startExperimentRun(); // One variant for the whole run under a run-split experiment
   
   for (const [ticker, marketData] of Object.entries(marketDataMap)) {
     const technicals = technicalsMap[ticker];
@@ -498,14 +404,15 @@ export async function batchAnalyze(marketDataMap, technicalsMap, multiTimeframeM
     
     const multiTimeframe = multiTimeframeMap[ticker] || null;
     
-    console.log(`Analyzing ${ticker} with Gemini AI${multiTimeframe ? ' (multi-timeframe enabled)' : ''}...`);
-    
     try {
-      const analysis = await analyzeWithGemini(marketData, technicals, multiTimeframe, useCache);
+      const resolved = resolveAnalysisModel(ticker, model);
+      console.log(`Analyzing ${ticker} with ${resolved.id}${multiTimeframe ? ' (multi-timeframe enabled)' : ''}...`);
+      
+      const analysis = await analyzeWithGemini(marketData, technicals, multiTimeframe, useCache, { model, prompt, run, caller });
       results[ticker] = analysis;
       
-      // Only wait if we actually called the API (not cached)
-      if (!analysis.fromCache) {
+      // Only wait if we actually called a remote API (not cached, not a local mock)
+      if (!analysis.fromCache && !getLLMProvider(resolved.provider).local) {
         await new Promise(resolve => setTimeout(resolve, 1000));
       }
     } catch (error) {
@@ -546,6 +453,8 @@ export function getCacheStats() {
       key,
       age: now - entry.timestamp,
       ticker: entry.data.ticker,
+      model: entry.data.model,
+      promptVersion: entry.data.promptVersion,
       signal: entry.data.signal,
       confidence: entry.data.confidence
     }))
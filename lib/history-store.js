@@ -0,0 +1,364 @@
+// OHLCV History Store
+// Persists bars per ticker and interval under data/history and only fetches the missing tail
+import { readFileSync, existsSync, readdirSync, rmSync } from 'fs';
+import { join, dirname, resolve, sep } from 'path';
+import { cleanBars, rangeToSeconds } from './providers/bars.js';
+import { DATA_DIR, writeAtomic } from './storage.js';
+
+const HISTORY_DIR = resolve(DATA_DIR, 'history');
+const TICKER_PATTERN = /^[A-Z0-9.^=-]{1,15}$/;
+
+const DAY = 86400;
+
+// Stored intervals (the multi-timeframe set). seedRange is fetched for a new series,
+// maxRange is the longest range the provider serves for that interval.
+const INTERVALS = {
+  '1d': { seconds: DAY, seedRange: '5y', maxRange: '10y' },
+  '1h': { seconds: 3600, seedRange: '6mo', maxRange: '1y' },
+  '15m': { seconds: 900, seedRange: '1mo', maxRange: '1mo' }
+};
+
+const TAIL_RANGES = ['1d', '5d', '1mo', '3mo', '6mo', '1y', '2y', '5y', '10y'];
+const TAIL_OVERLAP = 3 * DAY; // Re-fetch a few days so partial bars are replaced and adjustments show up
+const SYNC_TTL = 30 * 1000; // Same freshness window as the market data cache
+const ADJUSTMENT_TOLERANCE = 0.005; // 0.5% drift on completed bars means history was re-adjusted
+
+const SERIES_CACHE = new Map();
+const LAST_SYNC = new Map();
+const IN_FLIGHT = new Map();
+
+/**
+ * Whether an interval is persisted by the store
+ */
+export function isStoredInterval(interval) {
+  return !!INTERVALS[interval];
+}
+
+/**
+ * Directory of a ticker's series; throws on anything that isn't a symbol or would leave HISTORY_DIR
+ */
+function tickerDir(ticker) {
+  const symbol = String(ticker || '').toUpperCase();
+  const dir = resolve(HISTORY_DIR, symbol);
+
+  if (!TICKER_PATTERN.test(symbol) || dirname(dir) !== HISTORY_DIR || !dir.startsWith(HISTORY_DIR + sep)) {
+    throw new Error(`Invalid ticker: ${ticker}`);
+  }
+  return dir;
+}
+
+/**
+ * Whether a ticker is a valid symbol for the history store
+ */
+export function isValidTicker(ticker) {
+  try {
+    tickerDir(ticker);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function seriesFile(ticker, interval) {
+  if (!isStoredInterval(interval)) throw new Error(`Interval ${interval} is not stored`);
+  return join(tickerDir(ticker), `${interval}.json`);
+}
+
+/**
+ * Load a stored series ({ ticker, interval, bars, gaps, events, adjustments... })
+ */
+export function loadSeries(ticker, interval) {
+  ticker = ticker.toUpperCase();
+  const key = `${ticker}:${interval}`;
+  if (SERIES_CACHE.has(key)) return SERIES_CACHE.get(key);
+
+  const file = seriesFile(ticker, interval);
+  if (!existsSync(file)) return null;
+
+  try {
+    const series = JSON.parse(readFileSync(file, 'utf8'));
+    SERIES_CACHE.set(key, series);
+    return series;
+  } catch (error) {
+    console.error(`Error loading ${ticker} ${interval} history:`, error.message);
+    return null;
+  }
+}
+
+function saveSeries(series) {
+  const file = seriesFile(series.ticker, series.interval);
+
+  try {
+    writeAtomic(file, JSON.stringify(series));
+    SERIES_CACHE.set(`${series.ticker}:${series.interval}`, series);
+  } catch (error) {
+    console.error(`Error saving ${series.ticker} ${series.interval} history:`, error.message);
+  }
+}
+
+/**
+ * Merge bars by timestamp (incoming bars replace stored ones)
+ */
+export function mergeBars(existing, incoming) {
+  const byTimestamp = new Map();
+  existing.forEach(b => byTimestamp.set(b.timestamp, b));
+  incoming.forEach(b => byTimestamp.set(b.timestamp, b));
+  return Array.from(byTimestamp.values()).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Find holes in a bar series
+ * Daily: more than 4 calendar days between bars (longer than a holiday weekend)
+ * Intraday: a skipped bar inside a session, or a whole missing session
+ */
+export function detectGaps(bars, interval) {
+  const step = INTERVALS[interval]?.seconds || DAY;
+  const gaps = [];
+
+  for (let i = 1; i < bars.length; i++) {
+    const diff = bars[i].timestamp - bars[i - 1].timestamp;
+
+    const isGap = interval === '1d'
+      ? diff > 4 * DAY
+      : (diff > step * 1.5 && diff < 12 * 3600) || diff > 4 * DAY;
+
+    if (isGap) {
+      gaps.push({
+        from: bars[i - 1].timestamp,
+        to: bars[i].timestamp,
+        missingBars: interval === '1d'
+          ? Math.round((diff / DAY) * 5 / 7) - 1
+          : Math.round(diff / step) - 1
+      });
+    }
+  }
+
+  return gaps;
+}
+
+/**
+ * Smallest provider range that reaches back to a timestamp (null if beyond maxRange)
+ */
+function rangeCovering(timestamp, interval) {
+  const needed = Math.floor(Date.now() / 1000) - timestamp + TAIL_OVERLAP;
+  const maxSeconds = rangeToSeconds(INTERVALS[interval].maxRange);
+
+  return TAIL_RANGES.find(r => rangeToSeconds(r) >= needed && rangeToSeconds(r) <= maxSeconds) || null;
+}
+
+/**
+ * Ratio between stored and freshly fetched closes on completed overlapping bars
+ * A split (or a provider re-basing its history) makes this drift away from 1
+ */
+function adjustmentFactor(stored, incoming) {
+  const fresh = new Map(incoming.slice(0, -1).map(b => [b.timestamp, b.close]));
+  const ratios = stored.slice(0, -1)
+    .filter(b => fresh.has(b.timestamp) && fresh.get(b.timestamp) > 0)
+    .map(b => b.close / fresh.get(b.timestamp))
+    .sort((a, b) => a - b);
+
+  if (ratios.length === 0) return 1;
+
+  const median = ratios[Math.floor(ratios.length / 2)];
+  return Math.abs(median - 1) > ADJUSTMENT_TOLERANCE ? median : 1;
+}
+
+/**
+ * Rescale stored bars onto the provider's new price basis
+ */
+function applyAdjustment(bars, factor) {
+  return bars.map(b => ({
+    ...b,
+    open: b.open / factor,
+    high: b.high / factor,
+    low: b.low / factor,
+    close: b.close / factor,
+    volume: Math.round(b.volume * factor)
+  }));
+}
+
+/**
+ * Collect split and dividend events flagged on bars
+ */
+function collectEvents(bars) {
+  return {
+    splits: bars.filter(b => b.split).map(b => ({ timestamp: b.timestamp, ratio: b.split })),
+    dividends: bars.filter(b => b.dividend).map(b => ({ timestamp: b.timestamp, amount: b.dividend }))
+  };
+}
+
+function buildSeries(ticker, interval, bars, previous = null, source = null) {
+  return {
+    ticker,
+    interval,
+    source: source || previous?.source || null,
+    // Closes are split-adjusted by the provider but not dividend-adjusted
+    adjusted: { splits: true, dividends: false },
+    bars,
+    gaps: detectGaps(bars, interval),
+    events: collectEvents(bars),
+    adjustments: previous?.adjustments || [],
+    createdAt: previous?.createdAt || Date.now(),
+    updatedAt: Date.now()
+  };
+}
+
+async function fetchClean(fetchBars, range) {
+  try {
+    const bars = await fetchBars(range);
+    return bars && bars.length > 0 ? cleanBars(bars) : null;
+  } catch (error) {
+    console.error(`History fetch error (${range}):`, error.message);
+    return null;
+  }
+}
+
+async function runSync(ticker, interval, fetchBars, source) {
+  const settings = INTERVALS[interval];
+  const stored = loadSeries(ticker, interval);
+
+  // New series: seed with several years (or the intraday maximum)
+  if (!stored || stored.bars.length === 0) {
+    const bars = await fetchClean(fetchBars, settings.seedRange);
+    if (!bars) return stored;
+
+    const series = buildSeries(ticker, interval, bars, null, source);
+    saveSeries(series);
+    console.log(`📦 History: seeded ${ticker} ${interval} with ${bars.length} bars`);
+    return series;
+  }
+
+  const last = stored.bars[stored.bars.length - 1].timestamp;
+  const tailRange = rangeCovering(last, interval) || settings.maxRange;
+  const incoming = await fetchClean(fetchBars, tailRange);
+  if (!incoming) return stored;
+
+  let bars = stored.bars;
+  const adjustments = [...(stored.adjustments || [])];
+
+  const factor = adjustmentFactor(stored.bars, incoming);
+  if (factor !== 1) {
+    bars = applyAdjustment(bars, factor);
+    adjustments.push({
+      detectedAt: Date.now(),
+      factor,
+      reason: incoming.some(b => b.split) ? 'split' : 'rebased'
+    });
+    console.log(`🔔 History: ${ticker} ${interval} re-adjusted by ${factor.toFixed(4)}`);
+  }
+
+  bars = mergeBars(bars, incoming);
+
+  // Try once to backfill gaps this sync introduced, if the provider still serves that far back
+  const knownGaps = new Set((stored.gaps || []).map(g => g.from));
+  for (const gap of detectGaps(bars, interval).filter(g => !knownGaps.has(g.from))) {
+    const repairRange = rangeCovering(gap.from, interval);
+    if (!repairRange || repairRange === tailRange) continue;
+
+    const repair = await fetchClean(fetchBars, repairRange);
+    if (repair) bars = mergeBars(bars, repair);
+  }
+
+  const series = buildSeries(ticker, interval, bars, { ...stored, adjustments }, source);
+  saveSeries(series);
+  return series;
+}
+
+/**
+ * Bring a stored series up to date, fetching only what is missing
+ * Concurrent calls for the same series share one request, and a series synced
+ * within the last 30 seconds is returned as-is.
+ * @param {string} ticker - Ticker symbol
+ * @param {string} interval - '1d' | '1h' | '15m'
+ * @param {Function} fetchBars - (range) => Promise<bars> from the ticker's provider
+ * @param {string} source - Provider name recorded on the series
+ */
+export async function syncHistory(ticker, interval, fetchBars, source = null) {
+  tickerDir(ticker);
+  ticker = ticker.toUpperCase();
+
+  if (!isStoredInterval(interval)) {
+    throw new Error(`Interval ${interval} is not stored (use ${Object.keys(INTERVALS).join(', ')})`);
+  }
+
+  const key = `${ticker}:${interval}`;
+
+  if (Date.now() - (LAST_SYNC.get(key) || 0) < SYNC_TTL) {
+    return loadSeries(ticker, interval);
+  }
+  if (IN_FLIGHT.has(key)) {
+    return IN_FLIGHT.get(key);
+  }
+
+  const pending = runSync(ticker, interval, fetchBars, source)
+    .then(series => {
+      if (series) LAST_SYNC.set(key, Date.now());
+      return series;
+    })
+    .finally(() => IN_FLIGHT.delete(key));
+
+  IN_FLIGHT.set(key, pending);
+  return pending;
+}
+
+/**
+ * Get bars for a ticker from the store, syncing the tail first
+ * @param {Object} options - { interval, range } (range is measured back from the latest bar)
+ */
+export async function getHistory(ticker, { interval = '1d', range = '1y' } = {}, fetchBars, source = null) {
+  const series = await syncHistory(ticker, interval, fetchBars, source);
+  if (!series || series.bars.length === 0) return null;
+
+  const cutoff = series.bars[series.bars.length - 1].timestamp - rangeToSeconds(range);
+  return series.bars.filter(b => b.timestamp >= cutoff);
+}
+
+/**
+ * Summary of every stored series (bar counts, coverage, gaps, adjustments)
+ */
+export function getHistoryStatus() {
+  if (!existsSync(HISTORY_DIR)) return [];
+
+  const status = [];
+
+  for (const ticker of readdirSync(HISTORY_DIR).filter(isValidTicker)) {
+    for (const interval of Object.keys(INTERVALS)) {
+      const series = loadSeries(ticker, interval);
+      if (!series || series.bars.length === 0) continue;
+
+      status.push({
+        ticker,
+        interval,
+        source: series.source,
+        bars: series.bars.length,
+        first: series.bars[0].timestamp,
+        last: series.bars[series.bars.length - 1].timestamp,
+        gaps: series.gaps,
+        splits: series.events?.splits.length || 0,
+        dividends: series.events?.dividends.length || 0,
+        adjustments: series.adjustments,
+        updatedAt: series.updatedAt
+      });
+    }
+  }
+
+  return status;
+}
+
+/**
+ * Delete stored history for one ticker (or everything)
+ */
+export function clearHistory(ticker = null) {
+  const target = ticker ? tickerDir(ticker) : HISTORY_DIR;
+
+  for (const key of SERIES_CACHE.keys()) {
+    if (!ticker || key.startsWith(`${ticker.toUpperCase()}:`)) {
+      SERIES_CACHE.delete(key);
+      LAST_SYNC.delete(key);
+    }
+  }
+
+  if (existsSync(target)) rmSync(target, { recursive: true, force: true });
+  console.log(`🗑️ Cleared stored history${ticker ? ` for ${ticker.toUpperCase()}` : ''}`);
+  return { cleared: ticker ? ticker.toUpperCase() : 'all' };
+}
@@ -0,0 +1,399 @@
+// Inbound Webhooks - turn alerts from external charting tools (TradingView-style) into Klaw actions
+// A payload is JSON or plain text. It is verified against a shared secret, normalized
+// (`ticker` from ticker/symbol, "NASDAQ:AAPL" split into exchange and ticker, numeric strings
+// to numbers) and run through the mapping rules in order. A rule matches on a condition tree
+// over the payload (lib/conditions.js) and/or a regex over the text, whose named groups become
+// payload fields, then performs one action:
+//   alert      create a Klaw alert (any type from lib/alerts.js)
+//   notify     send a notification through notify() (WebSocket + delivery channels)
+//   watchlist  add the ticker to the watchlist
+//   analyze    run analyzeWithGemini on the ticker (params.model picks the model) and record the signal
+// Rule params are templates: "{{ticker}}", "{{price}}" and any other payload path.
+import { createHash, createHmac, timingSafeEqual, randomBytes } from 'crypto';
+import { defineStore, readStore, updateStore } from './storage.js';
+import { validateCondition, evaluateCondition } from './conditions.js';
+import { renderTemplate } from './notification-channels.js';
+import { addAlertOfType, withStatus } from './alerts.js';
+import { notify, notifySignal } from './notifications.js';
+import { addTicker, getWatchlist, detectTickerConfig } from './watchlist.js';
+import { fetchTicker } from './market-data.js';
+import { analyzeMarketData } from './technicals.js';
+import { detectMarketRegime } from './market-regime.js';
+import { processBatchAnalysis } from './signals.js';
+
+export const WEBHOOK_ACTIONS = ['alert', 'notify', 'watchlist', 'analyze'];
+
+const MAX_EVENTS = 200;
+
+defineStore('inbound-webhooks', {
+  file: 'inbound-webhooks.json',
+  version: 1,
+  defaultValue: { secret: null, rules: [] }
+});
+defineStore('webhook-events', { file: 'webhook-events.json', version: 1, defaultValue: [] });
+
+/**
+ * Load the webhook configuration ({ secret, rules })
+ */
+function loadConfig() {
+  try {
+    return readStore('inbound-webhooks');
+  } catch (error) {
+    console.error('Failed to load inbound webhook config:', error.message);
+    return { secret: null, rules: [] };
+  }
+}
+
+/**
+ * Shared secret in effect (KLAW_WEBHOOK_SECRET overrides the stored one)
+ */
+function getSecret() {
+  return process.env.KLAW_WEBHOOK_SECRET || loadConfig().secret || null;
+}
+
+/**
+ * Webhook settings for the API (the secret itself is never returned)
+ */
+export function getWebhookSettings() {
+  const config = loadConfig();
+  return {
+    secretConfigured: !!getSecret(),
+    secretSource: process.env.KLAW_WEBHOOK_SECRET ? 'env' : config.secret ? 'store' : null,
+    rules: config.rules,
+    actions: WEBHOOK_ACTIONS
+  };
+}
+
+/**
+ * Set the shared secret (generates one when none is given)
+ * @returns {string} The secret, shown once to the caller
+ */
+export function setWebhookSecret(secret = null) {
+  const value = secret || randomBytes(24).toString('hex');
+  if (value.length < 12) throw new Error('Secret must be at least 12 characters');
+
+  updateStore('inbound-webhooks', config => {
+    config.secret = value;
+  });
+
+  return value;
+}
+
+const digest = value => createHash('sha256').update(String(value)).digest();
+
+/**
+ * "secret" field of a JSON body (parsed, or text that holds JSON)
+ */
+function bodySecret(body) {
+  if (typeof body === 'string') {
+    try {
+      return body.trim().startsWith('{') ? JSON.parse(body).secret || null : null;
+    } catch {
+      return null;
+    }
+  }
+  return body && typeof body === 'object' ? body.secret || null : null;
+}
+
+/**
+ * Verify a request against the shared secret
+ * Accepts an X-Klaw-Signature HMAC (sha256=<hex> of the raw body), an X-Klaw-Secret header,
+ * a ?secret= query parameter or a "secret" field in a JSON body - TradingView can only do the last two.
+ * @param {Object} request - { headers, query, body, rawBody }
+ * @returns {Object} { ok, status, error }
+ */
+export function verifyWebhook({ headers = {}, query = {}, body, rawBody = '' }) {
+  const secret = getSecret();
+  if (!secret) {
+    return { ok: false, status: 403, error: 'Inbound webhooks are disabled until a secret is set' };
+  }
+
+  const signature = headers['x-klaw-signature'];
+  if (signature) {
+    const expected = 'sha256=' + createHmac('sha256', secret).update(rawBody).digest('hex');
+    return timingSafeEqual(digest(signature), digest(expected))
+      ? { ok: true }
+      : { ok: false, status: 401, error: 'Invalid signature' };
+  }
+
+  const provided = headers['x-klaw-secret'] || query.secret || bodySecret(body);
+  if (!provided) {
+    return { ok: false, status: 401, error: 'Missing webhook secret' };
+  }
+
+  return timingSafeEqual(digest(provided), digest(secret))
+    ? { ok: true }
+    : { ok: false, status: 401, error: 'Invalid webhook secret' };
+}
+
+/**
+ * Normalize a JSON or text payload into a flat-ish object
+ */
+export function normalizePayload(body) {
+  let payload;
+
+  if (typeof body === 'string') {
+    const text = body.trim();
+    try {
+      payload = text.startsWith('{') ? JSON.parse(text) : { text };
+    } catch {
+      payload = { text };
+    }
+  } else if (body && typeof body === 'object' && !Array.isArray(body)) {
+    payload = { ...body };
+  } else {
+    payload = {};
+  }
+
+  delete payload.secret;
+
+  for (const [key, value] of Object.entries(payload)) {
+    if (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+      payload[key] = Number(value);
+    }
+  }
+
+  return withTicker(payload);
+}
+
+function withTicker(payload) {
+  const raw = payload.ticker || payload.symbol;
+  if (typeof raw === 'string' && raw.trim()) {
+    const [exchange, symbol] = raw.includes(':') ? raw.split(':') : [payload.exchange || null, raw];
+    payload.ticker = symbol.trim().toUpperCase();
+    if (exchange) payload.exchange = exchange.trim().toUpperCase();
+  }
+  return payload;
+}
+
+/**
+ * Validate a rule and fill in defaults
+ */
+function normalizeRule(input, existing = null) {
+  const rule = { ...(existing || {}), ...input };
+
+  if (!WEBHOOK_ACTIONS.includes(rule.action)) {
+    throw new Error(`Invalid action: ${rule.action} (use ${WEBHOOK_ACTIONS.join(', ')})`);
+  }
+  if (rule.match) validateCondition(rule.match);
+  if (rule.pattern) {
+    try {
+      new RegExp(rule.pattern, 'i');
+    } catch (error) {
+      throw new Error(`Invalid pattern: ${error.message}`);
+    }
+  }
+
+  return {
+    name: rule.name || rule.action,
+    enabled: rule.enabled ?? true,
+    match: rule.match || null,
+    pattern: rule.pattern || null,
+    action: rule.action,
+    params: rule.params || {},
+    stop: !!rule.stop
+  };
+}
+
+/**
+ * Add a mapping rule (rules run in the order they were added)
+ * @param {Object} input - { name, enabled, match, pattern, action, params, stop }
+ */
+export function addWebhookRule(input) {
+  const rule = {
+    id: `wh_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`,
+    ...normalizeRule(input),
+    createdAt: Date.now()
+  };
+
+  updateStore('inbound-webhooks', config => {
+    config.rules.push(rule);
+  });
+
+  return rule;
+}
+
+/**
+ * Update a mapping rule
+ * @returns {Object|null} Updated rule, or null if not found
+ */
+export function updateWebhookRule(ruleId, input) {
+  const existing = loadConfig().rules.find(r => r.id === ruleId);
+  if (!existing) return null;
+
+  const changes = normalizeRule(input, existing);
+  let updated = null;
+
+  updateStore('inbound-webhooks', config => {
+    const rule = config.rules.find(r => r.id === ruleId);
+    if (!rule) return;
+    Object.assign(rule, changes, { updatedAt: Date.now() });
+    updated = rule;
+  });
+
+  return updated;
+}
+
+/**
+ * Remove a mapping rule
+ */
+export function removeWebhookRule(ruleId) {
+  if (!loadConfig().rules.some(r => r.id === ruleId)) {
+    return false;
+  }
+
+  updateStore('inbound-webhooks', config => {
+    config.rules = config.rules.filter(r => r.id !== ruleId);
+  });
+  return true;
+}
+
+/**
+ * Match a rule against a payload
+ * @returns {Object|null} Payload extended with the pattern's named groups, or null when the rule does not match
+ */
+export function matchRule(rule, payload) {
+  let matched = payload;
+
+  if (rule.pattern) {
+    const text = payload.text ?? payload.message ?? JSON.stringify(payload);
+    const result = new RegExp(rule.pattern, 'i').exec(String(text));
+    if (!result) return null;
+    matched = normalizePayload({ ...payload, ...(result.groups || {}) });
+  }
+
+  if (rule.match && !evaluateCondition(rule.match, matched)) return null;
+
+  return matched;
+}
+
+/**
+ * Run analyzeWithGemini on one watchlist ticker and record the signal
+ * @param {string} model - Optional "provider:model" (defaults to the ticker's watchlist choice)
+ */
+async function analyzeTicker(ticker, model = null) {
+  const marketData = await fetchTicker(ticker);
+  if (!marketData || !marketData.historicalData) {
+    throw new Error(`No market data for ${ticker}`);
+  }
+
+  const { analyzeWithGemini } = await import('./gemini.js');
+  const technicals = analyzeMarketData(marketData);
+  const analysis = await analyzeWithGemini(marketData, technicals, null, true, { model, caller: 'webhook' });
+  const regime = detectMarketRegime(marketData, technicals);
+  const [signal] = processBatchAnalysis({ [ticker]: analysis }, { [ticker]: marketData }, { [ticker]: regime });
+
+  if (signal) {
+    notifySignal({ ...analysis, calibration: signal.calibration });
+  }
+
+  return { ticker, model: analysis.model, signal: analysis.signal, confidence: analysis.confidence, signalId: signal?.id || null };
+}
+
+/**
+ * Perform a rule's action
+ * @returns {Promise<Object>|Object} Action result
+ */
+function runAction(rule, payload, publish) {
+  const params = renderTemplate(rule.params, payload);
+  const ticker = (params.ticker || payload.ticker || '').toString().toUpperCase();
+
+  switch (rule.action) {
+    case 'alert': {
+      const alert = addAlertOfType(ticker, params, typeof payload.price === 'number' ? payload.price : null);
+      return { alert: withStatus(alert) };
+    }
+    case 'notify': {
+      const title = params.title || `📨 ${ticker || 'Webhook'} alert`;
+      const message = params.message || payload.message || payload.text || JSON.stringify(payload);
+      notify(title, String(message), params.type || 'webhook', params.priority || 'medium');
+      return { title, message };
+    }
+    case 'watchlist': {
+      if (!ticker) throw new Error('Payload has no ticker');
+      if (getWatchlist()[ticker]) return { ticker, added: false };
+      addTicker(ticker, detectTickerConfig(ticker, params.exchange || payload.exchange || null));
+      return { ticker, added: true };
+    }
+    case 'analyze': {
+      if (!ticker) throw new Error('Payload has no ticker');
+      if (!getWatchlist()[ticker]) {
+        if (!params.addToWatchlist) throw new Error(`${ticker} is not on the watchlist (set params.addToWatchlist)`);
+        addTicker(ticker, detectTickerConfig(ticker, payload.exchange || null));
+      }
+
+      // Gemini takes longer than webhook senders wait; the result is published when it lands
+      analyzeTicker(ticker, params.model || null)
+        .then(result => publish({ ruleId: rule.id, action: 'analyze', ok: true, result }))
+        .catch(error => {
+          console.error(`❌ Webhook analysis failed for ${ticker}:`, error.message);
+          publish({ ruleId: rule.id, action: 'analyze', ok: false, error: error.message });
+        });
+      return { ticker, queued: true };
+    }
+  }
+}
+
+/**
+ * Record an inbound event
+ */
+function logEvent(event) {
+  try {
+    updateStore('webhook-events', events => {
+      events.push(event);
+      return events.length > MAX_EVENTS ? events.slice(-MAX_EVENTS) : events;
+    });
+  } catch (error) {
+    console.error('Failed to write webhook event log:', error.message);
+  }
+}
+
+/**
+ * Run a verified payload through the mapping rules
+ * @param {Object|string} body - Parsed JSON body or raw text
+ * @param {Object} options - { publish: result => void } for results that arrive later (analysis)
+ * @returns {Object} Event { id, receivedAt, payload, matched, results }
+ */
+export function handleInboundWebhook(body, { publish = () => {} } = {}) {
+  const payload = normalizePayload(body);
+  const event = {
+    id: `evt_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`,
+    receivedAt: Date.now(),
+    payload,
+    matched: [],
+    results: []
+  };
+
+  for (const rule of loadConfig().rules) {
+    if (!rule.enabled) continue;
+
+    const matched = matchRule(rule, payload);
+    if (!matched) continue;
+
+    event.matched.push(rule.id);
+    try {
+      const result = runAction(rule, matched, late => publish({ eventId: event.id, ticker: matched.ticker, ...late }));
+      event.results.push({ ruleId: rule.id, name: rule.name, action: rule.action, ok: true, result });
+    } catch (error) {
+      event.results.push({ ruleId: rule.id, name: rule.name, action: rule.action, ok: false, error: error.message });
+    }
+
+    if (rule.stop) break;
+  }
+
+  logEvent(event);
+  console.log(`📨 Inbound webhook${payload.ticker ? ` for ${payload.ticker}` : ''}: ${event.matched.length} rule(s) matched`);
+  return event;
+}
+
+/**
+ * Recent inbound events, most recent first
+ */
+export function getWebhookEvents(limit = 50) {
+  try {
+    return readStore('webhook-events').slice(-limit).reverse();
+  } catch (error) {
+    console.error('Failed to load webhook events:', error.message);
+    return [];
+  }
+}
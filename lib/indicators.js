@@ -0,0 +1,311 @@
+// Indicator Plugin Registry
+//
+// A plugin is a module in the indicators directory (KLAW_INDICATORS_DIR, default ./indicators)
+// whose default export describes one indicator:
+//   name                         -> key in the technicals output (letters, digits, underscore)
+//   label, description           -> shown in the UI and the AI prompt
+//   params: { period: { default: 20, min: 2, max: 200, description } }
+//   outputs: { upper: 'number', position: 'string' }   -> fields the result carries
+//   minBars: 21 | (params) => params.period + 1        -> history needed before it reports
+//   calculate(bars, params, context)                   -> result object (or number), null if n/a
+//   prompt(value, params, context)       (optional)   -> line for the Gemini prompt
+//   series(bars, params)                 (optional)   -> [{ label, values, overlay, color }]
+// `context` carries { price, closes, technicals } with the core indicators already computed.
+// Registered indicators appear in analyzeMarketData() under their name, so /api/technicals,
+// condition alerts, the screener and the AI prompt pick them up without further wiring.
+import { readdirSync, existsSync } from 'fs';
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { defineStore, readStore, updateStore } from './storage.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const INDICATORS_DIR = process.env.KLAW_INDICATORS_DIR || join(__dirname, '..', 'indicators');
+
+// Keys analyzeMarketData() already returns; plugins may not shadow them
+const CORE_FIELDS = new Set([
+  'ticker', 'price', 'movingAverages', 'vwma', 'rsi', 'mfi', 'macd', 'stochastic', 'williamsR',
+  'bollingerBands', 'vwap', 'obv', 'obvDivergence', 'cmf', 'atr', 'psar', 'superTrend', 'adx',
+  'elderRay', 'fibonacci', 'nearestFib', 'supportResistance', 'volume', 'volumeDelta', 'trend',
+  'candlestickPatterns', 'priceActionPatterns', 'volumeProfile', 'heikinAshi', 'ichimoku',
+  'timestamp', 'regime', 'close', 'change', 'changePercent', 'volumeRatio', 'avgVolume'
+]);
+
+const INDICATORS = new Map();
+const loadErrors = [];
+let settings = null;
+let loading = null;
+
+defineStore('indicator-settings', { file: 'indicator-settings.json', version: 1, defaultValue: {} });
+
+/**
+ * Stored per-indicator settings: { [name]: { enabled, params } }
+ */
+function getSettings() {
+  if (!settings) {
+    try {
+      settings = readStore('indicator-settings');
+    } catch (error) {
+      console.error('Failed to load indicator settings:', error.message);
+      settings = {};
+    }
+  }
+  return settings;
+}
+
+/**
+ * Register an indicator plugin (replaces any plugin with the same name)
+ */
+export function registerIndicator(plugin, source = null) {
+  if (!plugin || typeof plugin !== 'object') {
+    throw new Error('Indicator plugin must export an object');
+  }
+  if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(plugin.name || '')) {
+    throw new Error('Indicator plugin needs a name made of letters, digits and underscores');
+  }
+  if (CORE_FIELDS.has(plugin.name)) {
+    throw new Error(`Indicator name "${plugin.name}" is taken by a built-in technicals field`);
+  }
+  if (typeof plugin.calculate !== 'function') {
+    throw new Error(`Indicator ${plugin.name} has no calculate() function`);
+  }
+  for (const hook of ['prompt', 'series']) {
+    if (plugin[hook] !== undefined && typeof plugin[hook] !== 'function') {
+      throw new Error(`Indicator ${plugin.name}: ${hook} must be a function`);
+    }
+  }
+  for (const [key, spec] of Object.entries(plugin.params || {})) {
+    if (!spec || typeof spec.default !== 'number') {
+      throw new Error(`Indicator ${plugin.name}: parameter "${key}" needs a numeric default`);
+    }
+  }
+
+  INDICATORS.set(plugin.name, { ...plugin, source });
+  return plugin;
+}
+
+/**
+ * Remove an indicator from the registry
+ */
+export function unregisterIndicator(name) {
+  return INDICATORS.delete(name);
+}
+
+/**
+ * Load every plugin in the indicators directory (once; pass reload to pick up changes)
+ * @returns {Promise<Object>} { loaded: [names], errors: [{ file, error }] }
+ */
+export function loadIndicatorPlugins({ dir = INDICATORS_DIR, reload = false } = {}) {
+  if (loading && !reload) return loading;
+
+  loading = (async () => {
+    loadErrors.length = 0;
+    settings = null;
+    for (const [name, plugin] of INDICATORS) {
+      if (plugin.source) INDICATORS.delete(name);
+    }
+
+    const loaded = [];
+    if (!existsSync(dir)) return { loaded, errors: [] };
+
+    const files = readdirSync(dir).filter(f => /\.(m?js)$/.test(f) && !f.startsWith('_')).sort();
+    for (const file of files) {
+      const path = resolve(dir, file);
+      try {
+        // Cache-bust so a reload sees edited files
+        const module = await import(`${pathToFileURL(path).href}${reload ? `?t=${Date.now()}` : ''}`);
+        registerIndicator(module.default, file);
+        loaded.push(module.default.name);
+      } catch (error) {
+        console.error(`❌ Indicator plugin ${file}:`, error.message);
+        loadErrors.push({ file, error: error.message });
+      }
+    }
+
+    if (loaded.length > 0) {
+      console.log(`📈 Loaded ${loaded.length} indicator plugin(s): ${loaded.join(', ')}`);
+    }
+    return { loaded, errors: [...loadErrors] };
+  })();
+
+  return loading;
+}
+
+/**
+ * Parameters for a plugin: declared defaults, overridden by stored settings, then by `overrides`
+ * Values are clamped to the declared min/max.
+ */
+export function resolveParams(plugin, overrides = {}) {
+  const stored = getSettings()[plugin.name]?.params || {};
+  const params = {};
+
+  for (const [key, spec] of Object.entries(plugin.params || {})) {
+    let value = overrides[key] ?? stored[key] ?? spec.default;
+    value = typeof value === 'number' ? value : parseFloat(value);
+    if (!Number.isFinite(value)) value = spec.default;
+    if (spec.min !== undefined) value = Math.max(spec.min, value);
+    if (spec.max !== undefined) value = Math.min(spec.max, value);
+    if (spec.integer) value = Math.round(value);
+    params[key] = value;
+  }
+
+  return params;
+}
+
+function requiredBars(plugin, params) {
+  const minBars = typeof plugin.minBars === 'function' ? plugin.minBars(params) : plugin.minBars;
+  return minBars || 1;
+}
+
+function isEnabled(plugin) {
+  return getSettings()[plugin.name]?.enabled !== false;
+}
+
+/**
+ * Enabled plugins, in registration order
+ */
+function activeIndicators() {
+  return Array.from(INDICATORS.values()).filter(isEnabled);
+}
+
+/**
+ * Run every enabled plugin over a bar series
+ * @param {Array} bars - OHLCV bars, oldest first
+ * @param {Object} context - { price, closes, technicals }
+ * @returns {Object} { [name]: result | null }
+ */
+export function computeIndicators(bars, context = {}) {
+  const results = {};
+
+  for (const plugin of activeIndicators()) {
+    const params = resolveParams(plugin);
+    if (!bars || bars.length < requiredBars(plugin, params)) {
+      results[plugin.name] = null;
+      continue;
+    }
+
+    try {
+      results[plugin.name] = plugin.calculate(bars, params, context) ?? null;
+    } catch (error) {
+      console.error(`Indicator ${plugin.name} failed:`, error.message);
+      results[plugin.name] = null;
+    }
+  }
+
+  return results;
+}
+
+function formatPromptValue(value) {
+  if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(2);
+  if (value && typeof value === 'object') {
+    return Object.entries(value)
+      .filter(([, v]) => v !== null && v !== undefined && typeof v !== 'object')
+      .map(([k, v]) => `${k} ${formatPromptValue(v)}`)
+      .join(' | ');
+  }
+  return String(value);
+}
+
+/**
+ * Prompt lines for the plugin indicators present in a technicals object
+ * Plugins without a prompt() hook get their output fields listed.
+ */
+export function formatIndicatorPrompt(technicals, context = {}) {
+  const lines = [];
+
+  for (const plugin of activeIndicators()) {
+    const value = technicals?.[plugin.name];
+    if (value === null || value === undefined) continue;
+
+    try {
+      const line = plugin.prompt
+        ? plugin.prompt(value, resolveParams(plugin), { ...context, technicals })
+        : `${plugin.label || plugin.name}: ${formatPromptValue(value)}`;
+      if (line) lines.push(`• ${line}`);
+    } catch (error) {
+      console.error(`Indicator ${plugin.name} prompt failed:`, error.message);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Chart series from the plugins that supply them, aligned with `bars`
+ * @returns {Array} [{ indicator, label, overlay, color, values }]
+ */
+export function getIndicatorSeries(bars) {
+  const series = [];
+
+  for (const plugin of activeIndicators()) {
+    if (!plugin.series) continue;
+    const params = resolveParams(plugin);
+    if (!bars || bars.length < requiredBars(plugin, params)) continue;
+
+    try {
+      for (const s of plugin.series(bars, params) || []) {
+        series.push({
+          indicator: plugin.name,
+          label: s.label || plugin.label || plugin.name,
+          overlay: !!s.overlay,
+          color: s.color || null,
+          values: s.values
+        });
+      }
+    } catch (error) {
+      console.error(`Indicator ${plugin.name} series failed:`, error.message);
+    }
+  }
+
+  return series;
+}
+
+/**
+ * Describe registered plugins (for the API)
+ */
+export function listIndicators() {
+  return {
+    dir: INDICATORS_DIR,
+    indicators: Array.from(INDICATORS.values()).map(plugin => {
+      const params = resolveParams(plugin);
+      return {
+        name: plugin.name,
+        label: plugin.label || plugin.name,
+        description: plugin.description || '',
+        source: plugin.source,
+        enabled: isEnabled(plugin),
+        params: Object.fromEntries(Object.entries(plugin.params || {}).map(([key, spec]) => [key, { ...spec, value: params[key] }])),
+        outputs: plugin.outputs || {},
+        minBars: requiredBars(plugin, params),
+        hasPrompt: !!plugin.prompt,
+        hasSeries: !!plugin.series
+      };
+    }),
+    errors: [...loadErrors]
+  };
+}
+
+/**
+ * Enable/disable a plugin or change its parameters (persisted)
+ * @returns {Object|null} Updated settings, or null for an unknown indicator
+ */
+export function updateIndicatorSettings(name, { enabled, params } = {}) {
+  const plugin = INDICATORS.get(name);
+  if (!plugin) return null;
+
+  if (params) {
+    for (const key of Object.keys(params)) {
+      if (!plugin.params?.[key]) throw new Error(`Indicator ${name} has no parameter "${key}"`);
+      if (!Number.isFinite(parseFloat(params[key]))) throw new Error(`Parameter "${key}" must be a number`);
+    }
+  }
+
+  const updated = updateStore('indicator-settings', all => {
+    const entry = all[name] || {};
+    if (enabled !== undefined) entry.enabled = !!enabled;
+    if (params) entry.params = { ...(entry.params || {}), ...Object.fromEntries(Object.entries(params).map(([k, v]) => [k, parseFloat(v)])) };
+    all[name] = entry;
+  });
+
+  settings = updated;
+  return updated[name];
+}
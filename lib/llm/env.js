@@ -0,0 +1,18 @@
+// LLM provider settings - read from the environment, falling back to the project .env file
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Value of an environment variable, or of `NAME=value` in .env
+ */
+export function readEnvValue(name) {
+  if (process.env[name]) return process.env[name];
+  try {
+    const envFile = readFileSync(join(__dirname, '..', '..', '.env'), 'utf8');
+    const match = envFile.match(new RegExp(`^${name}=(.+)$`, 'm'));
+    return match ? match[1].trim() : null;
+  } catch { return null; }
+}
@@ -0,0 +1,63 @@
+// Gemini LLM provider - Google Generative Language API (generateContent)
+import { readEnvValue } from './env.js';
+
+const GEMINI_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+export default {
+  name: 'gemini',
+  description: 'Google Gemini (GEMINI_API_KEY)',
+  defaultModel: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+
+  configured() {
+    return !!readEnvValue('GEMINI_API_KEY');
+  },
+
+  async complete(prompt, { model, temperature = 0.7, maxTokens = 2048 } = {}) {
+    const apiKey = readEnvValue('GEMINI_API_KEY');
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY not found in environment');
+    }
+
+    const response = await fetch(`${GEMINI_BASE}/${model}:generateContent?key=${apiKey}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        contents: [{
+          parts: [{
+            text: prompt
+          }]
+        }],
+        generationConfig: {
+          temperature,
+          topK: 40,
+          topP: 0.95,
+          maxOutputTokens: maxTokens
+        }
+      })
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Gemini API error: ${response.status} - ${await response.text()}`);
+      error.status = response.status;
+      error.retryAfter = parseInt(response.headers.get('Retry-After') || '60', 10);
+      throw error;
+    }
+
+    const data = await response.json();
+    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+
+    if (!text) {
+      throw new Error('No response from Gemini');
+    }
+
+    return {
+      text,
+      usage: data.usageMetadata ? {
+        promptTokens: data.usageMetadata.promptTokenCount || 0,
+        completionTokens: data.usageMetadata.candidatesTokenCount || 0
+      } : null
+    };
+  }
+};
@@ -0,0 +1,83 @@
+// LLM Provider Registry
+//
+// A provider is an object with a `name`, a `defaultModel` and:
+//   complete(prompt, { model, temperature, maxTokens }, context) -> { text, model?, usage? }
+//   configured()                                                  -> whether credentials are present
+// `context` carries { marketData, technicals, multiTimeframe } for providers that don't read the prompt (mock).
+// Failed HTTP calls throw an Error with `status` (and `retryAfter` for 429) so callers can retry.
+//
+// Models are named "provider:model" (e.g. "openai:gpt-4o-mini", "local:qwen2.5", "mock:rules");
+// a bare provider name uses that provider's default model. The model for an analysis is chosen
+// per request, then per watchlist entry (`model` in data/watchlist.json), then KLAW_LLM_MODEL,
+// then Gemini.
+import geminiProvider from './gemini.js';
+import { openaiProvider, localProvider } from './openai.js';
+import mockProvider from './mock.js';
+
+const PROVIDERS = new Map();
+const DEFAULT_PROVIDER = 'gemini';
+
+/**
+ * Register an LLM provider (replaces any provider with the same name)
+ */
+export function registerLLMProvider(provider) {
+  if (!provider || !provider.name) {
+    throw new Error('LLM provider must have a name');
+  }
+  if (typeof provider.complete !== 'function') {
+    throw new Error(`LLM provider ${provider.name} has no complete() function`);
+  }
+
+  PROVIDERS.set(provider.name, provider);
+  return provider;
+}
+
+/**
+ * Get a registered LLM provider by name
+ */
+export function getLLMProvider(name) {
+  return PROVIDERS.get(name) || null;
+}
+
+/**
+ * List registered LLM providers
+ */
+export function listLLMProviders() {
+  return {
+    defaultModel: resolveModel().id,
+    providers: Array.from(PROVIDERS.values()).map(p => ({
+      name: p.name,
+      description: p.description || '',
+      defaultModel: p.defaultModel,
+      configured: p.configured ? p.configured() : true
+    }))
+  };
+}
+
+/**
+ * Parse "provider:model" (or a bare provider name)
+ * @returns {Object} { provider, model, id }
+ */
+export function parseModelSpec(spec) {
+  const [providerName, ...rest] = String(spec).trim().split(':');
+  const provider = getLLMProvider(providerName);
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${providerName}" (available: ${Array.from(PROVIDERS.keys()).join(', ')})`);
+  }
+
+  const model = rest.join(':') || provider.defaultModel;
+  return { provider: provider.name, model, id: `${provider.name}:${model}` };
+}
+
+/**
+ * Pick the model for an analysis: request override, then the ticker's watchlist entry,
+ * then KLAW_LLM_MODEL, then the default provider
+ */
+export function resolveModel(override = null, config = {}) {
+  return parseModelSpec(override || config?.model || process.env.KLAW_LLM_MODEL || DEFAULT_PROVIDER);
+}
+
+registerLLMProvider(geminiProvider);
+registerLLMProvider(openaiProvider);
+registerLLMProvider(localProvider);
+registerLLMProvider(mockProvider);
@@ -0,0 +1,91 @@
+// Mock LLM provider - deterministic signals for offline development and tests
+// Models:
+//   rules    -> LONG/SHORT/NEUTRAL from trend, RSI and ADX, levels from ATR (same input, same output)
+//   neutral  -> always NEUTRAL
+//   broken   -> a LONG with its stop above entry, fixed (rules answer) when asked to repair
+//   invalid  -> text that is never valid JSON, to exercise rejection
+// It answers with the same JSON the real models are asked for, so responses take the normal parse path.
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Rule-based stand-in for a model's trade call
+ */
+function ruleBasedSignal(marketData, technicals) {
+  const price = marketData.price;
+  const rsi = technicals.rsi ?? 50;
+  const adx = technicals.adx?.adx ?? 0;
+  const atr = technicals.atr || price * 0.02;
+  const trend = technicals.trend || 'neutral';
+
+  let signal = 'NEUTRAL';
+  if (trend.includes('uptrend') && rsi < 70) signal = 'LONG';
+  else if (trend.includes('downtrend') && rsi > 30) signal = 'SHORT';
+
+  const confidence = signal === 'NEUTRAL'
+    ? 3
+    : Math.min(9, Math.max(4, Math.round(adx / 5) + (trend.startsWith('strong') ? 2 : 0)));
+  const side = signal === 'SHORT' ? -1 : 1;
+  const risk = atr * 1.5;
+
+  return {
+    signal,
+    confidence,
+    entry: round(price),
+    targets: {
+      t1: round(price + side * risk),
+      t2: round(price + side * risk * 2),
+      t3: round(price + side * risk * 3)
+    },
+    stopLoss: round(price - side * risk),
+    riskReward: 2,
+    reasoning: `Mock rules: ${trend.replace('_', ' ')} with RSI ${rsi.toFixed(0)} and ADX ${adx.toFixed(0)}`,
+    pattern: signal === 'NEUTRAL' ? 'Consolidation' : 'Trend Continuation',
+    timeframe: 'Swing (days)',
+    alerts: [`Invalidated ${side > 0 ? 'below' : 'above'} $${round(price - side * risk)}`]
+  };
+}
+
+export default {
+  name: 'mock',
+  description: 'Deterministic offline signals (models: rules, neutral, broken, invalid)',
+  defaultModel: 'rules',
+  local: true,
+
+  configured() {
+    return true;
+  },
+
+  async complete(prompt, { model } = {}, { marketData, technicals, repair = false } = {}) {
+    if (!marketData || !technicals) {
+      throw new Error('Mock provider needs marketData and technicals context');
+    }
+
+    let answer;
+    switch (model) {
+      case 'rules':
+        answer = ruleBasedSignal(marketData, technicals);
+        break;
+      case 'neutral':
+        answer = { ...ruleBasedSignal(marketData, technicals), signal: 'NEUTRAL', confidence: 1, reasoning: 'Mock neutral model' };
+        break;
+      case 'broken': {
+        const rules = ruleBasedSignal(marketData, technicals);
+        answer = repair ? rules : { ...rules, signal: 'LONG', confidence: 6, stopLoss: round(marketData.price * 1.05) };
+        break;
+      }
+      case 'invalid':
+        return { text: 'Looks bullish to me, buy the dip.', usage: { promptTokens: Math.ceil(prompt.length / 4), completionTokens: 8 } };
+      default:
+        throw new Error(`Unknown mock model "${model}" (use rules, neutral, broken or invalid)`);
+    }
+
+    const text = JSON.stringify(answer);
+    return {
+      text,
+      usage: { promptTokens: Math.ceil(prompt.length / 4), completionTokens: Math.ceil(text.length / 4) }
+    };
+  }
+};
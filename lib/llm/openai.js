@@ -0,0 +1,85 @@
+// OpenAI-compatible LLM providers - any server exposing /v1/chat/completions
+// `openai` targets OPENAI_BASE_URL (default api.openai.com) with OPENAI_API_KEY;
+// `local` targets a llama.cpp / Ollama / vLLM server at KLAW_LOCAL_LLM_URL and needs no key.
+import { readEnvValue } from './env.js';
+
+/**
+ * Build a provider for one OpenAI-compatible endpoint
+ * @param {Object} options - { name, description, baseUrl, apiKeyEnv, defaultModel, requiresKey, timeout, local }
+ *   local: runs on the user's machine - free, unbudgeted and not rate limited
+ */
+export function createOpenAICompatibleProvider({ name, description, baseUrl, apiKeyEnv = null, defaultModel, requiresKey = false, timeout = 120000, local = false }) {
+  return {
+    name,
+    description,
+    defaultModel,
+    local,
+
+    configured() {
+      return !requiresKey || !!readEnvValue(apiKeyEnv);
+    },
+
+    async complete(prompt, { model, temperature = 0.7, maxTokens = 2048 } = {}) {
+      const apiKey = apiKeyEnv ? readEnvValue(apiKeyEnv) : null;
+      if (requiresKey && !apiKey) {
+        throw new Error(`${apiKeyEnv} not found in environment`);
+      }
+
+      const response = await fetch(`${baseUrl().replace(/\/+$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature,
+          max_tokens: maxTokens
+        }),
+        signal: AbortSignal.timeout(timeout)
+      });
+
+      if (!response.ok) {
+        const error = new Error(`${name} API error: ${response.status} - ${await response.text()}`);
+        error.status = response.status;
+        error.retryAfter = parseInt(response.headers.get('Retry-After') || '60', 10);
+        throw error;
+      }
+
+      const data = await response.json();
+      const text = data.choices?.[0]?.message?.content;
+
+      if (!text) {
+        throw new Error(`No response from ${name}`);
+      }
+
+      return {
+        text,
+        model: data.model || model,
+        usage: data.usage ? {
+          promptTokens: data.usage.prompt_tokens || 0,
+          completionTokens: data.usage.completion_tokens || 0
+        } : null
+      };
+    }
+  };
+}
+
+export const openaiProvider = createOpenAICompatibleProvider({
+  name: 'openai',
+  description: 'OpenAI-compatible API (OPENAI_API_KEY, OPENAI_BASE_URL)',
+  baseUrl: () => readEnvValue('OPENAI_BASE_URL') || 'https://api.openai.com/v1',
+  apiKeyEnv: 'OPENAI_API_KEY',
+  defaultModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  requiresKey: true
+});
+
+export const localProvider = createOpenAICompatibleProvider({
+  name: 'local',
+  description: 'Local OpenAI-compatible server such as llama.cpp or Ollama (KLAW_LOCAL_LLM_URL)',
+  baseUrl: () => readEnvValue('KLAW_LOCAL_LLM_URL') || 'http://localhost:11434/v1',
+  apiKeyEnv: 'KLAW_LOCAL_LLM_KEY',
+  defaultModel: process.env.KLAW_LOCAL_LLM_MODEL || 'llama3.1',
+  local: true
+});
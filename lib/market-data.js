@@ -1,9 +1,13 @@
-// Market Data Fetcher - Yahoo Finance + Google Finance
-import * as cheerio from 'cheerio';
+// Market Data Fetcher - routes requests through the provider registry (Yahoo, Google, local files...)
 import { getWatchlist } from './watchlist.js';
+import { getProvider, resolveProviderChain, getProviderSymbol } from './providers/index.js';
+import { summarizeBars } from './providers/bars.js';
+import { getHistory, isStoredInterval } from './history-store.js';
+import { coalesce } from './fetch-queue.js';
 
-const YAHOO_BASE = 'https://query1.finance.yahoo.com/v8/finance/chart';
-const GOOGLE_BASE = 'https://www.google.com/finance/quote';
+// Direct provider fetchers, kept for callers that bypass the watchlist
+export { fetchYahoo } from './providers/yahoo.js';
+export { fetchGoogle } from './providers/google.js';
 
 // Market data cache to reduce API calls
 const MARKET_DATA_CACHE = new Map();
@@ -21,8 +25,8 @@ function cleanupCache() {
   }
 }
 
-// Run cache cleanup every minute
-setInterval(cleanupCache, 60000);
+// Run cache cleanup every minute (unref'd so CLI scripts can exit when done)
+setInterval(cleanupCache, 60000).unref();
 
 // Get tickers from dynamic watchlist
 export function getTickers() {
@@ -73,136 +77,51 @@ export function clearCache() {
 }
 
 /**
- * Fetch from Yahoo Finance
+ * Fetch bars from one provider, going through the on-disk history store when the
+ * interval is stored and the provider is remote (local fixtures are read directly)
  */
-export async function fetchYahoo(ticker) {
-  if (!ticker) return null;
-  
-  try {
-    const url = `${YAHOO_BASE}/${ticker}?interval=1d&range=1y`;
-    const response = await fetch(url, {
-      headers: { 'User-Agent': 'Mozilla/5.0' }
-    });
-    
-    if (!response.ok) return null;
-    
-    const data = await response.json();
-    const result = data.chart?.result?.[0];
-    
-    if (!result) return null;
-    
-    const meta = result.meta;
-    const quote = result.indicators?.quote?.[0];
-    const timestamps = result.timestamp;
-    
-    if (!meta || !quote || !timestamps) return null;
-    
-    // Get latest values
-    const latestIdx = timestamps.length - 1;
-    const previousIdx = latestIdx - 1;
-    
-    const currentPrice = meta.regularMarketPrice || quote.close[latestIdx];
-    const previousClose = meta.chartPreviousClose || quote.close[previousIdx];
-    const change = currentPrice - previousClose;
-    const changePercent = (change / previousClose) * 100;
-    
-    // Calculate 52-week range
-    const closes = quote.close.filter(c => c !== null);
-    const high52w = Math.max(...quote.high.filter(h => h !== null));
-    const low52w = Math.min(...quote.low.filter(l => l !== null));
-    
-    // Calculate day range
-    const dayHigh = meta.regularMarketDayHigh || quote.high[latestIdx];
-    const dayLow = meta.regularMarketDayLow || quote.low[latestIdx];
-    
-    // Get recent volume data for analysis
-    const volumes = quote.volume.filter(v => v !== null).slice(-20);
-    const avgVolume = volumes.reduce((a, b) => a + b, 0) / volumes.length;
-    const currentVolume = quote.volume[latestIdx];
-    
-    // Historical data for technical analysis
-    const historicalData = timestamps.map((ts, i) => ({
-      timestamp: ts,
-      open: quote.open[i],
-      high: quote.high[i],
-      low: quote.low[i],
-      close: quote.close[i],
-      volume: quote.volume[i]
-    })).filter(d => d.close !== null);
-    
-    return {
-      source: 'yahoo',
-      ticker: ticker,
-      price: currentPrice,
-      change: change,
-      changePercent: changePercent,
-      volume: currentVolume,
-      avgVolume: avgVolume,
-      volumeRatio: currentVolume / avgVolume,
-      dayRange: { low: dayLow, high: dayHigh },
-      range52w: { low: low52w, high: high52w },
-      historicalData: historicalData,
-      timestamp: Date.now()
-    };
-  } catch (error) {
-    console.error(`Yahoo fetch error for ${ticker}:`, error.message);
-    return null;
+async function fetchProviderBars(provider, symbol, ticker, interval, range) {
+  if (isStoredInterval(interval) && !provider.local) {
+    return getHistory(ticker, { interval, range },
+      r => provider.fetchBars(symbol, { interval, range: r }), provider.name);
   }
+  
+  return provider.fetchBars(symbol, { interval, range });
 }
 
 /**
- * Fetch from Google Finance (scraping)
+ * Walk a ticker's provider chain until one returns data
  */
-export async function fetchGoogle(tickerCode) {
-  if (!tickerCode) return null;
-  
-  try {
-    const url = `${GOOGLE_BASE}/${tickerCode}`;
-    const response = await fetch(url, {
-      headers: { 
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-      }
-    });
-    
-    if (!response.ok) return null;
-    
-    const html = await response.text();
-    const $ = cheerio.load(html);
-    
-    // Extract price from Google Finance page structure
-    const priceText = $('div[class*="YMlKec fxKbKc"]').first().text().trim();
-    const price = parseFloat(priceText.replace(/[^0-9.]/g, ''));
-    
-    // Extract change
-    const changeText = $('div[class*="JwB6zf"]').first().text().trim();
-    const changeMatch = changeText.match(/([-+]?[0-9.]+).*\(([-+]?[0-9.]+)%\)/);
-    
-    let change = 0;
-    let changePercent = 0;
-    
-    if (changeMatch) {
-      change = parseFloat(changeMatch[1]);
-      changePercent = parseFloat(changeMatch[2]);
+async function loadTicker(ticker, config) {
+  for (const providerName of resolveProviderChain(config)) {
+    const provider = getProvider(providerName);
+    if (!provider) continue;
+    
+    const symbol = getProviderSymbol(config, providerName, ticker);
+    let data = null;
+    
+    if (provider.fetchBars && !provider.local) {
+      const bars = await fetchProviderBars(provider, symbol, ticker, '1d', '1y');
+      // The provider's live quote (last price, previous close, day range) wins over the bar summary
+      const quote = provider.latestQuote?.(symbol) || {};
+      data = bars ? summarizeBars(symbol, bars, { ...quote, source: providerName }) : null;
+    } else if (provider.fetchMarketData) {
+      data = await provider.fetchMarketData(symbol);
     }
     
-    if (isNaN(price)) return null;
-    
-    return {
-      source: 'google',
-      ticker: tickerCode.split(':')[0],
-      price: price,
-      change: change,
-      changePercent: changePercent,
-      timestamp: Date.now()
-    };
-  } catch (error) {
-    console.error(`Google fetch error for ${tickerCode}:`, error.message);
-    return null;
+    if (data) {
+      data.symbol = ticker;
+      return data;
+    }
   }
+  
+  return null;
 }
 
 /**
- * Fetch market data for a ticker (tries Yahoo first, falls back to Google)
+ * Fetch market data for a ticker (walks the ticker's provider chain, Yahoo then Google by default)
+ * Providers with bar history are summarized from the stored daily series, so only the tail is downloaded
+ * Simultaneous calls for the same ticker share one in-flight request
  * @param {string} ticker - Ticker symbol
  * @param {boolean} useCache - Whether to use cached data (default: true)
  */
@@ -223,69 +142,73 @@ export async function fetchTicker(ticker, useCache = true) {
     }
   }
   
-  // Try Yahoo first (if available)
-  if (config.yahoo) {
-    const yahooData = await fetchYahoo(config.yahoo);
-    if (yahooData) {
-      yahooData.symbol = ticker;
-      
-      // Cache successful response
-      if (useCache) {
-        MARKET_DATA_CACHE.set(ticker, {
-          data: yahooData,
-          timestamp: Date.now()
-        });
-      }
-      
-      return yahooData;
-    }
+  const data = await coalesce(`ticker:${ticker}`, () => loadTicker(ticker, config));
+  if (!data) return null;
+  
+  // Cache successful response
+  if (useCache) {
+    MARKET_DATA_CACHE.set(ticker, {
+      data,
+      timestamp: Date.now()
+    });
   }
   
-  // Fallback to Google
-  if (config.google) {
-    const googleData = await fetchGoogle(config.google);
-    if (googleData) {
-      googleData.symbol = ticker;
-      
-      // Cache successful response
-      if (useCache) {
-        MARKET_DATA_CACHE.set(ticker, {
-          data: googleData,
-          timestamp: Date.now()
-        });
-      }
+  return { ...data };
+}
+
+/**
+ * Fetch OHLCV bars for a ticker at any interval through its provider chain
+ * Daily, hourly and 15m bars are served from the history store (years of daily history)
+ * Tickers outside the watchlist use the default chain with the symbol as-is
+ * @param {string} ticker - Ticker symbol
+ * @param {Object} options - { interval: '1d' | '1h' | '15m'..., range: '1y' | '1mo' | '5d'... }
+ */
+export function fetchHistory(ticker, { interval = '1d', range = '1y' } = {}) {
+  const config = getTickers()[ticker] || {};
+  
+  return coalesce(`history:${ticker}:${interval}:${range}`, async () => {
+    for (const providerName of resolveProviderChain(config)) {
+      const provider = getProvider(providerName);
+      if (!provider?.fetchBars) continue;
       
-      return googleData;
+      const bars = await fetchProviderBars(provider, getProviderSymbol(config, providerName, ticker), ticker, interval, range);
+      if (bars && bars.length > 0) return bars;
     }
-  }
-  
-  return null;
+    
+    return null;
+  });
 }
 
 /**
- * Fetch all configured tickers
+ * Fetch all configured tickers concurrently
+ * Requests go through the shared fetch queue, which bounds concurrency and rate-limits per host
  * @param {boolean} useCache - Whether to use cached data (default: true)
  */
 export async function fetchAllTickers(useCache = true) {
   const results = {};
-  const tickers = getTickers();
+  const tickers = Object.keys(getTickers());
   let cacheHits = 0;
   let apiCalls = 0;
   
-  for (const ticker of Object.keys(tickers)) {
-    const data = await fetchTicker(ticker, useCache);
-    if (data) {
-      results[ticker] = data;
-      
-      if (data.fromCache) {
-        cacheHits++;
-      } else {
-        apiCalls++;
-        console.log(`Fetching ${ticker}...`);
-        // Small delay to avoid rate limits (only for actual API calls)
-        await new Promise(resolve => setTimeout(resolve, 300));
-      }
+  const fetched = await Promise.all(tickers.map(ticker => fetchTicker(ticker, useCache).catch(error => {
+    console.error(`Failed to fetch ${ticker}:`, error.message);
+    return null;
+  })));
+  
+  tickers.forEach((ticker, i) => {
+    const data = fetched[i];
+    if (!data) return;
+    results[ticker] = data;
+    
+    if (data.fromCache) {
+      cacheHits++;
+    } else {
+      apiCalls++;
     }
+  });
+  
+  if (apiCalls > 0) {
+    console.log(`Fetched ${apiCalls} ticker(s)`);
   }
   
   if (useCache && cacheHits > 0) {
@@ -296,33 +219,24 @@ export async function fetchAllTickers(useCache = true) {
 }
 
 /**
- * Fetch options chain from Yahoo Finance
+ * Fetch options chain through the ticker's provider chain
+ * @param {string} ticker - Ticker symbol
+ * @param {Object} options - { date: expiration in unix seconds } (defaults to nearest expiry)
  */
-export async function fetchOptionsChain(ticker) {
+export async function fetchOptionsChain(ticker, { date = null } = {}) {
   if (!ticker) return null;
   
-  try {
-    const url = `https://query1.finance.yahoo.com/v7/finance/options/${ticker}`;
-    const response = await fetch(url, {
-      headers: { 'User-Agent': 'Mozilla/5.0' }
-    });
-    
-    if (!response.ok) return null;
-    
-    const data = await response.json();
-    const result = data.optionChain?.result?.[0];
-    
-    if (!result) return null;
+  const config = getTickers()[ticker] || {};
+  
+  return coalesce(`options:${ticker}:${date || 'nearest'}`, async () => {
+    for (const providerName of resolveProviderChain(config)) {
+      const provider = getProvider(providerName);
+      if (!provider?.fetchOptionsChain) continue;
+      
+      const chain = await provider.fetchOptionsChain(getProviderSymbol(config, providerName, ticker), { date });
+      if (chain) return { ...chain, ticker };
+    }
     
-    return {
-      ticker: ticker,
-      expirationDates: result.expirationDates,
-      strikes: result.strikes,
-      options: result.options,
-      timestamp: Date.now()
-    };
-  } catch (error) {
-    console.error(`Options chain error for ${ticker}:`, error.message);
     return null;
-  }
+  });
 }
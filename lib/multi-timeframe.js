@@ -1,50 +1,22 @@
 // Multi-Timeframe Confluence Analysis
 // Analyzes multiple timeframes to identify high-probability setups
-
-const YAHOO_BASE = 'https://query1.finance.yahoo.com/v8/finance/chart';
+import { fetchHistory } from './market-data.js';
 
 /**
  * Timeframe configurations
  */
-const TIMEFRAMES = {
+export const TIMEFRAMES = {
   daily: { interval: '1d', range: '1y', label: 'Daily', weight: 3 },
   hourly: { interval: '1h', range: '1mo', label: 'Hourly', weight: 2 },
   fifteenMin: { interval: '15m', range: '5d', label: '15min', weight: 1 }
 };
 
 /**
- * Fetch data for a specific timeframe
+ * Fetch data for a specific timeframe (through the ticker's market data provider)
  */
 async function fetchTimeframeData(ticker, interval, range) {
   try {
-    const url = `${YAHOO_BASE}/${ticker}?interval=${interval}&range=${range}`;
-    const response = await fetch(url, {
-      headers: { 'User-Agent': 'Mozilla/5.0' }
-    });
-    
-    if (!response.ok) return null;
-    
-    const data = await response.json();
-    const result = data.chart?.result?.[0];
-    
-    if (!result) return null;
-    
-    const quote = result.indicators?.quote?.[0];
-    const timestamps = result.timestamp;
-    
-    if (!quote || !timestamps) return null;
-    
-    // Build historical data array
-    const historicalData = timestamps.map((ts, i) => ({
-      timestamp: ts,
-      open: quote.open[i],
-      high: quote.high[i],
-      low: quote.low[i],
-      close: quote.close[i],
-      volume: quote.volume[i]
-    })).filter(d => d.close !== null);
-    
-    return historicalData;
+    return await fetchHistory(ticker, { interval, range });
   } catch (error) {
     console.error(`Error fetching ${interval} data for ${ticker}:`, error.message);
     return null;
@@ -280,18 +252,16 @@ function calculateConfluence(analyses) {
 export async function analyzeMultiTimeframe(ticker) {
   console.log(`\n📊 Multi-Timeframe Analysis for ${ticker}...`);
   
-  // Fetch data for all timeframes
+  // Fetch data for all timeframes concurrently (the shared fetch queue handles rate limits)
   const timeframeData = {};
+  const entries = Object.entries(TIMEFRAMES);
+  const fetched = await Promise.all(entries.map(([, config]) => fetchTimeframeData(ticker, config.interval, config.range)));
   
-  for (const [key, config] of Object.entries(TIMEFRAMES)) {
-    console.log(`  Fetching ${config.label} data...`);
-    const data = await fetchTimeframeData(ticker, config.interval, config.range);
-    if (data) {
-      timeframeData[key] = data;
+  entries.forEach(([key], i) => {
+    if (fetched[i]) {
+      timeframeData[key] = fetched[i];
     }
-    // Small delay to avoid rate limiting
-    await new Promise(resolve => setTimeout(resolve, 300));
-  }
+  });
   
   // Analyze each timeframe
   const analyses = {};
@@ -333,20 +303,16 @@ export async function analyzeMultiTimeframe(ticker) {
  * Batch analyze multiple tickers
  */
 export async function batchAnalyzeMultiTimeframe(tickers) {
-  const results = {};
-  
-  for (const ticker of tickers) {
+  const analyses = await Promise.all(tickers.map(async ticker => {
     try {
-      results[ticker] = await analyzeMultiTimeframe(ticker);
-      // Delay between tickers to avoid rate limiting
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      return await analyzeMultiTimeframe(ticker);
     } catch (error) {
       console.error(`Error analyzing ${ticker}:`, error.message);
-      results[ticker] = { error: error.message };
+      return { error: error.message };
     }
-  }
+  }));
   
-  return results;
+  return Object.fromEntries(tickers.map((ticker, i) => [ticker, analyses[i]]));
 }
 
 /**
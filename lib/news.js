@@ -4,6 +4,7 @@
 import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { queuedFetch } from './fetch-queue.js';
 
 function loadApiKey() {
   if (process.env.ALPHA_VANTAGE_API_KEY) return process.env.ALPHA_VANTAGE_API_KEY;
@@ -37,7 +38,7 @@ export async function fetchTickerNews(ticker, limit = 10) {
   try {
     const url = `https://www.alphavantage.co/query?function=NEWS_SENTIMENT&tickers=${ticker}&limit=${limit}&apikey=${ALPHA_VANTAGE_API_KEY}`;
     
-    const response = await fetch(url);
+    const response = await queuedFetch(url);
     
     if (!response.ok) {
       throw new Error(`Alpha Vantage API error: ${response.status}`);
@@ -155,11 +156,8 @@ export async function batchFetchNews(tickers, limit = 10) {
   
   for (const ticker of tickers) {
     console.log(`Fetching news for ${ticker}...`);
+    // Calls are paced by the shared Alpha Vantage rate limit (lib/fetch-queue.js)
     results[ticker] = await fetchTickerNews(ticker, limit);
-    
-    // Rate limiting: 75 calls/min max for free tier
-    // Add 1 second delay between calls to be safe
-    await new Promise(resolve => setTimeout(resolve, 1000));
   }
   
   return results;
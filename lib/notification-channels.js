@@ -0,0 +1,430 @@
+// Notification Channels - outbound delivery of notifications beyond the browser
+// Channel types:
+//   webhook  { url, method, headers, preset: 'generic' | 'slack' | 'discord', template }
+//            template is any JSON value; strings containing {{path}} are filled from the
+//            notification ("{{ticker}}", "{{targets.t1}}"), and a string that is only "{{path}}"
+//            keeps the value's type
+//   email    { host, port, secure, starttls, username, password, from, to, subject }
+//   shell    { command, timeoutMs } - notification JSON on stdin, KLAW_* fields in the environment;
+//            runs arbitrary commands, so only with KLAW_ALLOW_SHELL_CHANNELS=1 in the server's environment
+// Every channel has a priority filter (minPriority, optional types), retries with exponential
+// backoff, and each attempt chain is recorded in the delivery log.
+import { spawn } from 'child_process';
+import { defineStore, readStore, updateStore } from './storage.js';
+import { sendMail } from './smtp.js';
+
+export const CHANNEL_TYPES = ['webhook', 'email', 'shell'];
+export const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+export const WEBHOOK_PRESETS = {
+  generic: null,
+  slack: { text: '*{{title}}*\n{{message}}' },
+  discord: { content: '**{{title}}**\n{{message}}' }
+};
+
+const SECRET_MASK = '********';
+const SECRET_FIELDS = ['password'];
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BACKOFF_MS = 2000;
+const MAX_BACKOFF_MS = 60000;
+const WEBHOOK_TIMEOUT = 10000;
+const SHELL_TIMEOUT = 15000;
+const MAX_DELIVERY_LOG = 500;
+const SHELL_DISABLED = 'Shell channels are disabled (start the server with KLAW_ALLOW_SHELL_CHANNELS=1 to allow them)';
+
+defineStore('notification-channels', { file: 'notification-channels.json', version: 1, defaultValue: [] });
+defineStore('deliveries', { file: 'deliveries.json', version: 1, defaultValue: [] });
+
+/**
+ * Load configured channels
+ */
+export function loadChannels() {
+  try {
+    return readStore('notification-channels');
+  } catch (error) {
+    console.error('Failed to load notification channels:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Channel as shown by the API (secrets masked)
+ */
+export function maskChannel(channel) {
+  const config = { ...channel.config };
+  for (const field of SECRET_FIELDS) {
+    if (config[field]) config[field] = SECRET_MASK;
+  }
+  return { ...channel, config };
+}
+
+/**
+ * Whether the operator has opted in to shell channels - never settable through the API
+ */
+export function shellChannelsAllowed() {
+  return process.env.KLAW_ALLOW_SHELL_CHANNELS === '1';
+}
+
+/**
+ * Validate a channel definition and fill in defaults
+ */
+function normalizeChannel(input, existing = null) {
+  const type = input.type || existing?.type;
+  if (!CHANNEL_TYPES.includes(type)) {
+    throw new Error(`Invalid channel type: ${type} (use ${CHANNEL_TYPES.join(', ')})`);
+  }
+  // Renaming, filtering or disabling an existing shell channel stays possible without the opt-in
+  if (type === 'shell' && !shellChannelsAllowed() && (!existing || input.type !== undefined || input.config !== undefined)) {
+    throw new Error(SHELL_DISABLED);
+  }
+
+  const config = { ...(existing?.config || {}), ...(input.config || {}) };
+  // A masked secret coming back from the UI means "unchanged"
+  for (const field of SECRET_FIELDS) {
+    if (config[field] === SECRET_MASK) config[field] = existing?.config?.[field] || '';
+  }
+
+  if (type === 'webhook') {
+    if (!/^https?:\/\//.test(config.url || '')) throw new Error('Webhook url must start with http:// or https://');
+    if (config.preset && !(config.preset in WEBHOOK_PRESETS)) {
+      throw new Error(`Invalid webhook preset: ${config.preset} (use ${Object.keys(WEBHOOK_PRESETS).join(', ')})`);
+    }
+    if (typeof config.template === 'string' && config.template.trim()) {
+      try {
+        config.template = JSON.parse(config.template);
+      } catch (error) {
+        throw new Error(`Webhook template is not valid JSON: ${error.message}`);
+      }
+    }
+  } else if (type === 'email') {
+    if (!config.host) throw new Error('Email channel needs an SMTP host');
+    if (!config.from) throw new Error('Email channel needs a "from" address');
+    if (!config.to || (Array.isArray(config.to) && config.to.length === 0)) throw new Error('Email channel needs a "to" address');
+  } else if (type === 'shell') {
+    if (!config.command) throw new Error('Shell channel needs a command');
+  }
+
+  const minPriority = input.minPriority ?? existing?.minPriority ?? 'high';
+  if (!PRIORITIES.includes(minPriority)) {
+    throw new Error(`Invalid minPriority: ${minPriority} (use ${PRIORITIES.join(', ')})`);
+  }
+
+  const types = input.types ?? existing?.types ?? [];
+  if (!Array.isArray(types)) throw new Error('types must be an array of notification types');
+
+  const retries = parseInt(input.retries ?? existing?.retries ?? DEFAULT_RETRIES);
+  const backoffMs = parseInt(input.backoffMs ?? existing?.backoffMs ?? DEFAULT_BACKOFF_MS);
+  if (!(retries >= 0 && retries <= 10)) throw new Error('retries must be between 0 and 10');
+  if (!(backoffMs >= 0)) throw new Error('backoffMs must be zero or more');
+
+  return {
+    name: input.name ?? existing?.name ?? type,
+    type,
+    enabled: input.enabled ?? existing?.enabled ?? true,
+    minPriority,
+    types,
+    retries,
+    backoffMs,
+    config
+  };
+}
+
+/**
+ * Add a delivery channel
+ * @param {Object} input - { name, type, enabled, minPriority, types, retries, backoffMs, config }
+ */
+export function addChannel(input) {
+  const channel = {
+    id: `ch_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`,
+    ...normalizeChannel(input),
+    createdAt: Date.now()
+  };
+
+  updateStore('notification-channels', channels => {
+    channels.push(channel);
+  });
+
+  console.log(`📤 Added ${channel.type} channel: ${channel.name}`);
+  return channel;
+}
+
+/**
+ * Update a channel (partial)
+ * @returns {Object|null} Updated channel, or null if not found
+ */
+export function updateChannel(channelId, input) {
+  const existing = loadChannels().find(c => c.id === channelId);
+  if (!existing) return null;
+
+  const changes = normalizeChannel(input, existing);
+  let updated = null;
+
+  updateStore('notification-channels', channels => {
+    const channel = channels.find(c => c.id === channelId);
+    if (!channel) return;
+    Object.assign(channel, changes, { updatedAt: Date.now() });
+    updated = channel;
+  });
+
+  return updated;
+}
+
+/**
+ * Remove a channel
+ */
+export function removeChannel(channelId) {
+  if (!loadChannels().some(c => c.id === channelId)) {
+    return false;
+  }
+
+  updateStore('notification-channels', channels => channels.filter(c => c.id !== channelId));
+  return true;
+}
+
+/**
+ * Whether any channel would receive notifications
+ */
+export function hasEnabledChannels() {
+  return loadChannels().some(c => c.enabled);
+}
+
+/**
+ * Whether a notification passes a channel's priority and type filters
+ */
+export function channelAccepts(channel, notification) {
+  if (!channel.enabled) return false;
+
+  const priority = PRIORITIES.indexOf(notification.priority || 'medium');
+  if (priority < PRIORITIES.indexOf(channel.minPriority)) return false;
+
+  return channel.types.length === 0 || channel.types.includes(notification.type);
+}
+
+function lookup(notification, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), notification);
+}
+
+/**
+ * Fill {{path}} placeholders in a template from the notification
+ */
+export function renderTemplate(template, notification) {
+  if (typeof template === 'string') {
+    const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (whole) {
+      const value = lookup(notification, whole[1]);
+      return value === undefined ? null : value;
+    }
+
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+      const value = lookup(notification, path);
+      if (value === undefined || value === null) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+
+  if (Array.isArray(template)) return template.map(item => renderTemplate(item, notification));
+
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, notification)]));
+  }
+
+  return template;
+}
+
+/**
+ * Plain-text body for email and other text channels
+ */
+function formatText(notification) {
+  const lines = [notification.title, '', notification.message];
+  if (notification.ticker) lines.push('', `Ticker: ${notification.ticker}`);
+  if (notification.entry) lines.push(`Entry: $${notification.entry}`);
+  if (notification.stopLoss) lines.push(`Stop: $${notification.stopLoss}`);
+  if (notification.targets) lines.push(`Targets: ${Object.values(notification.targets).map(t => `$${t}`).join(' / ')}`);
+  if (notification.confidence) lines.push(`Confidence: ${notification.confidence}/10`);
+  lines.push('', `Priority: ${notification.priority} • ${new Date(notification.timestamp || Date.now()).toLocaleString()}`);
+  return lines.join('\n');
+}
+
+async function sendWebhook(config, notification) {
+  const template = config.template || WEBHOOK_PRESETS[config.preset || 'generic'];
+  const payload = template ? renderTemplate(template, notification) : notification;
+
+  const response = await fetch(config.url, {
+    method: config.method || 'POST',
+    headers: { 'Content-Type': 'application/json', ...(config.headers || {}) },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(config.timeoutMs || WEBHOOK_TIMEOUT)
+  });
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new Error(`HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+  }
+
+  return `HTTP ${response.status}`;
+}
+
+async function sendEmail(config, notification) {
+  const subject = renderTemplate(config.subject || '[Klaw] {{title}}', notification);
+  const result = await sendMail(config, {
+    from: config.from,
+    to: config.to,
+    subject: String(subject),
+    text: formatText(notification)
+  });
+  return result.response;
+}
+
+function runShell(config, notification) {
+  if (!shellChannelsAllowed()) return Promise.reject(new Error(SHELL_DISABLED));
+
+  return new Promise((resolve, reject) => {
+    const env = { ...process.env };
+    for (const key of ['id', 'type', 'priority', 'title', 'message', 'ticker', 'signal', 'confidence']) {
+      if (notification[key] !== undefined) env[`KLAW_${key.toUpperCase()}`] = String(notification[key]);
+    }
+
+    const child = spawn(config.command, { shell: true, env, stdio: ['pipe', 'pipe', 'pipe'] });
+    const timeoutMs = config.timeoutMs || SHELL_TIMEOUT;
+    let output = '';
+
+    const timer = setTimeout(() => {
+      child.kill('SIGKILL');
+      reject(new Error(`Command timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      const tail = output.trim().slice(-200);
+      if (code === 0) resolve(tail || 'exit 0');
+      else reject(new Error(`exit ${code}${tail ? `: ${tail}` : ''}`));
+    });
+
+    child.stdin.on('error', () => {}); // The command may not read stdin
+    child.stdin.end(JSON.stringify(notification));
+  });
+}
+
+const SENDERS = { webhook: sendWebhook, email: sendEmail, shell: runShell };
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Record a delivery attempt chain
+ */
+function logDelivery(entry) {
+  try {
+    updateStore('deliveries', deliveries => {
+      deliveries.push(entry);
+      return deliveries.length > MAX_DELIVERY_LOG ? deliveries.slice(-MAX_DELIVERY_LOG) : deliveries;
+    });
+  } catch (error) {
+    console.error('Failed to write delivery log:', error.message);
+  }
+}
+
+/**
+ * Deliver to one channel, retrying with exponential backoff
+ * @returns {Promise<Object>} Delivery log entry
+ */
+export async function deliverToChannel(channel, notification) {
+  const started = Date.now();
+  const attempts = [];
+  let status = 'failed';
+  let response = null;
+
+  for (let attempt = 1; attempt <= channel.retries + 1; attempt++) {
+    try {
+      response = await SENDERS[channel.type](channel.config, notification);
+      attempts.push({ at: Date.now(), ok: true });
+      status = 'delivered';
+      break;
+    } catch (error) {
+      attempts.push({ at: Date.now(), ok: false, error: error.message });
+      if (attempt <= channel.retries) {
+        await sleep(Math.min(channel.backoffMs * 2 ** (attempt - 1), MAX_BACKOFF_MS));
+      }
+    }
+  }
+
+  const entry = {
+    id: `dl_${started.toString(36)}${Math.random().toString(36).substr(2, 5)}`,
+    channelId: channel.id,
+    channelName: channel.name,
+    channelType: channel.type,
+    notificationId: notification.id,
+    notificationType: notification.type,
+    priority: notification.priority,
+    title: notification.title,
+    status,
+    attempts,
+    response,
+    error: status === 'failed' ? attempts[attempts.length - 1].error : null,
+    durationMs: Date.now() - started,
+    timestamp: started
+  };
+
+  logDelivery(entry);
+
+  if (status === 'delivered') {
+    console.log(`📤 ${channel.name} (${channel.type}) delivered: ${notification.title}`);
+  } else {
+    console.error(`❌ ${channel.name} (${channel.type}) failed after ${attempts.length} attempt(s): ${entry.error}`);
+  }
+
+  return entry;
+}
+
+/**
+ * Deliver a notification to every channel whose filters accept it
+ * Channels run in parallel; failures are logged, never thrown.
+ * @returns {Promise<Object[]>} Delivery log entries
+ */
+export async function deliverNotification(notification) {
+  const channels = loadChannels().filter(c => channelAccepts(c, notification));
+  if (channels.length === 0) return [];
+
+  return Promise.all(channels.map(channel => deliverToChannel(channel, notification)));
+}
+
+/**
+ * Send a test notification through one channel, ignoring its filters
+ * @returns {Promise<Object|null>} Delivery log entry, or null if the channel does not exist
+ */
+export async function testChannel(channelId) {
+  const channel = loadChannels().find(c => c.id === channelId);
+  if (!channel) return null;
+
+  return deliverToChannel(channel, {
+    id: `test-${Date.now()}`,
+    type: 'test',
+    priority: 'critical',
+    title: '🐾 Klaw Terminal test notification',
+    message: `Delivery channel "${channel.name}" is working.`,
+    timestamp: Date.now()
+  });
+}
+
+/**
+ * Delivery log, most recent first
+ * @param {Object} options - { channelId, status, limit }
+ */
+export function getDeliveryLog({ channelId = null, status = null, limit = 100 } = {}) {
+  let deliveries;
+  try {
+    deliveries = readStore('deliveries');
+  } catch (error) {
+    console.error('Failed to load delivery log:', error.message);
+    return [];
+  }
+
+  return deliveries
+    .filter(d => (!channelId || d.channelId === channelId) && (!status || d.status === status))
+    .slice(-limit)
+    .reverse();
+}
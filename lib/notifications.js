@@ -1,10 +1,10 @@
 // Real-Time Signal Notifications System
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
+import { defineStore, readStore, updateStore } from './storage.js';
+import { deliverNotification } from './notification-channels.js';
+import { describeAlert } from './alerts.js';
+import { calibrateConfidence, meetsNotificationThreshold } from './calibration.js';
 
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const NOTIFICATIONS_FILE = join(__dirname, '..', 'data', 'notifications.json');
+defineStore('notifications', { file: 'notifications.json', version: 1, defaultValue: [] });
 
 // In-memory WebSocket clients registry
 let wsClients = new Set();
@@ -23,7 +23,7 @@ export function registerClient(ws) {
 }
 
 /**
- * Broadcast notification to all connected clients
+ * Broadcast notification to all connected clients and the outbound delivery channels
  */
 export function broadcastNotification(notification) {
   const message = JSON.stringify({
@@ -46,35 +46,68 @@ export function broadcastNotification(notification) {
   
   // Save to history
   saveNotification(notification);
+  
+  // Webhook, email and shell channels reach people without the tab open
+  deliverNotification(notification).catch(error => {
+    console.error('Notification delivery error:', error.message);
+  });
 }
 
 /**
  * Create and broadcast a signal notification
+ * @returns {boolean} Whether the signal cleared the threshold and was sent
  */
 export function notifySignal(signal) {
-  // Only notify for high-confidence signals (7+)
-  if (signal.confidence < 7) {
-    return;
+  const calibration = signal.calibration || calibrateConfidence(signal.confidence, signal);
+  
+  // Only notify for high-confidence signals (7+, or the calibrated win probability when enabled)
+  if (!meetsNotificationThreshold({ ...signal, calibration })) {
+    return false;
   }
   
   const notification = {
     id: `signal-${Date.now()}-${signal.ticker}`,
     type: 'signal',
     priority: signal.confidence >= 9 ? 'critical' : signal.confidence >= 8 ? 'high' : 'medium',
-    title: `🎯 ${signal.signal} Signal: ${signal.ticker}`,
+    title: `🎯 ${signal.signal} Signal: ${signal.ticker}${signal.strategy ? ` (${signal.strategy})` : ''}`,
     message: `${signal.reasoning}`,
     ticker: signal.ticker,
     signal: signal.signal,
     confidence: signal.confidence,
+    calibratedProbability: calibration.probability,
     entry: signal.entry,
     targets: signal.targets,
     stopLoss: signal.stopLoss,
     pattern: signal.pattern,
     timeframe: signal.timeframe,
+    strategy: signal.strategy || null,
     timestamp: Date.now(),
     read: false
   };
   
+  broadcastNotification(notification);
+  return true;
+}
+
+/**
+ * Create and broadcast a triggered price/indicator alert notification
+ */
+export function notifyAlert(alert) {
+  const notification = {
+    id: `alert-${alert.id}-${alert.triggeredAt}`,
+    type: 'alert',
+    priority: 'high',
+    title: `🔔 ${alert.ticker} alert`,
+    message: `${describeAlert(alert)} at $${alert.triggeredPrice.toFixed(2)}${alert.note ? ` (${alert.note})` : ''}`,
+    ticker: alert.ticker,
+    alertId: alert.id,
+    alertType: alert.type,
+    price: alert.triggeredPrice,
+    triggeredValues: alert.triggeredValues,
+    timestamp: alert.triggeredAt,
+    read: false
+  };
+  
   broadcastNotification(notification);
 }
 
@@ -99,28 +132,20 @@ export function notify(title, message, type = 'info', priority = 'medium') {
  * Save notification to history
  */
 function saveNotification(notification) {
-  let notifications = loadNotifications();
-  
-  // Keep only last 100 notifications
-  if (notifications.length >= 100) {
-    notifications = notifications.slice(-99);
-  }
-  
-  notifications.push(notification);
-  
-  writeFileSync(NOTIFICATIONS_FILE, JSON.stringify(notifications, null, 2));
+  updateStore('notifications', notifications => {
+    // Keep only last 100 notifications
+    const kept = notifications.length >= 100 ? notifications.slice(-99) : notifications;
+    kept.push(notification);
+    return kept;
+  });
 }
 
 /**
  * Load notification history
  */
 export function loadNotifications() {
-  if (!existsSync(NOTIFICATIONS_FILE)) {
-    return [];
-  }
-  
   try {
-    return JSON.parse(readFileSync(NOTIFICATIONS_FILE, 'utf8'));
+    return readStore('notifications');
   } catch (error) {
     console.error('Failed to load notifications:', error);
     return [];
@@ -139,25 +164,26 @@ export function getRecentNotifications(limit = 20) {
  * Mark notification as read
  */
 export function markAsRead(notificationId) {
-  const notifications = loadNotifications();
-  const notification = notifications.find(n => n.id === notificationId);
+  let found = false;
   
-  if (notification) {
-    notification.read = true;
-    writeFileSync(NOTIFICATIONS_FILE, JSON.stringify(notifications, null, 2));
-    return true;
-  }
+  updateStore('notifications', notifications => {
+    const notification = notifications.find(n => n.id === notificationId);
+    if (notification) {
+      notification.read = true;
+      found = true;
+    }
+  });
   
-  return false;
+  return found;
 }
 
 /**
  * Mark all notifications as read
  */
 export function markAllAsRead() {
-  const notifications = loadNotifications();
-  notifications.forEach(n => n.read = true);
-  writeFileSync(NOTIFICATIONS_FILE, JSON.stringify(notifications, null, 2));
+  const notifications = updateStore('notifications', notifications => {
+    notifications.forEach(n => n.read = true);
+  });
   return notifications.length;
 }
 
@@ -166,13 +192,17 @@ export function markAllAsRead() {
  */
 export function clearOldNotifications(daysOld = 7) {
   const cutoff = Date.now() - (daysOld * 24 * 60 * 60 * 1000);
-  const notifications = loadNotifications();
-  const filtered = notifications.filter(n => n.timestamp > cutoff);
-  
-  const removed = notifications.length - filtered.length;
+  let removed = 0;
+  
+  if (loadNotifications().some(n => n.timestamp <= cutoff)) {
+    updateStore('notifications', notifications => {
+      const filtered = notifications.filter(n => n.timestamp > cutoff);
+      removed = notifications.length - filtered.length;
+      return filtered;
+    });
+  }
   
   if (removed > 0) {
-    writeFileSync(NOTIFICATIONS_FILE, JSON.stringify(filtered, null, 2));
     console.log(`🗑️ Cleared ${removed} old notifications (older than ${daysOld} days)`);
   }
   
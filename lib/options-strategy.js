@@ -0,0 +1,329 @@
+// Options Strategy Builder - multi-leg positions priced off the live chain
+// Legs are { type: 'call' | 'put' | 'stock', strike, expiration, side: 'BUY' | 'SELL', quantity }.
+// Options are priced at the chain mid with their solved IV; P&L is modelled at expiry and
+// at chosen dates with Black-Scholes, probability of profit uses a lognormal at ATM IV.
+import { fetchOptionsChain } from './market-data.js';
+import { priceContracts, buildVolatilitySurface } from './options.js';
+import { bsPrice, normCdf, DEFAULT_RISK_FREE_RATE } from './black-scholes.js';
+
+const CONTRACT_SIZE = 100;
+const YEAR_MS = 365 * 24 * 3600 * 1000;
+const DEFAULT_RANGE = 0.25; // Payoff grid spans ±25% of spot
+const GRID_STEPS = 120;
+const TAIL_MULTIPLE = 10; // Spot multiple used to test for unlimited upside/downside
+
+export const LEG_SIDES = ['BUY', 'SELL'];
+export const LEG_TYPES = ['call', 'put', 'stock'];
+
+// Strike offsets are in chain strike steps from the ATM strike (width = steps per wing)
+export const STRATEGY_TEMPLATES = {
+  long_call: { name: 'Long Call', legs: () => [['BUY', 'call', 0]] },
+  long_put: { name: 'Long Put', legs: () => [['BUY', 'put', 0]] },
+  covered_call: { name: 'Covered Call', legs: (w) => [['BUY', 'stock'], ['SELL', 'call', w]] },
+  cash_secured_put: { name: 'Cash-Secured Put', legs: (w) => [['SELL', 'put', -w]] },
+  bull_call_spread: { name: 'Bull Call Spread', legs: (w) => [['BUY', 'call', 0], ['SELL', 'call', w]] },
+  bear_put_spread: { name: 'Bear Put Spread', legs: (w) => [['BUY', 'put', 0], ['SELL', 'put', -w]] },
+  bull_put_spread: { name: 'Bull Put Spread', legs: (w) => [['SELL', 'put', 0], ['BUY', 'put', -w]] },
+  bear_call_spread: { name: 'Bear Call Spread', legs: (w) => [['SELL', 'call', 0], ['BUY', 'call', w]] },
+  long_straddle: { name: 'Long Straddle', legs: () => [['BUY', 'call', 0], ['BUY', 'put', 0]] },
+  short_straddle: { name: 'Short Straddle', legs: () => [['SELL', 'call', 0], ['SELL', 'put', 0]] },
+  long_strangle: { name: 'Long Strangle', legs: (w) => [['BUY', 'call', w], ['BUY', 'put', -w]] },
+  iron_condor: {
+    name: 'Iron Condor',
+    legs: (w) => [['BUY', 'put', -2 * w], ['SELL', 'put', -w], ['SELL', 'call', w], ['BUY', 'call', 2 * w]]
+  },
+  iron_butterfly: {
+    name: 'Iron Butterfly',
+    legs: (w) => [['BUY', 'put', -w], ['SELL', 'put', 0], ['SELL', 'call', 0], ['BUY', 'call', w]]
+  }
+};
+
+/**
+ * List the built-in strategy templates
+ */
+export function getStrategyTemplates() {
+  return Object.entries(STRATEGY_TEMPLATES).map(([id, t]) => ({
+    id,
+    name: t.name,
+    legs: t.legs(1).map(([side, type, offset]) => ({ side, type, offset: offset ?? null }))
+  }));
+}
+
+function formatDate(expiration) {
+  return new Date(expiration * 1000).toISOString().split('T')[0];
+}
+
+/**
+ * Fetch and price the chain for each expiration the legs need
+ * @returns {Map} expiration -> priced contracts
+ */
+async function loadChains(ticker, spot, expirations, rate, now) {
+  const nearest = await fetchOptionsChain(ticker);
+  if (!nearest?.options?.length) throw new Error(`No options data available for ${ticker}`);
+
+  const chains = new Map();
+  const defaultExpiration = nearest.options[0].expirationDate;
+  chains.set(defaultExpiration, priceContracts(nearest.options[0], spot, { rate, now }));
+
+  for (const expiration of expirations) {
+    if (expiration === null || chains.has(expiration)) continue;
+
+    if (!(nearest.expirationDates || []).includes(expiration)) {
+      throw new Error(`No ${ticker} expiration on ${formatDate(expiration)}`);
+    }
+
+    const chain = await fetchOptionsChain(ticker, { date: expiration });
+    const expiry = chain?.options?.[0];
+    if (!expiry) throw new Error(`No ${ticker} chain for ${formatDate(expiration)}`);
+    chains.set(expiration, priceContracts(expiry, spot, { rate, now }));
+  }
+
+  return { chains, defaultExpiration, expirationDates: nearest.expirationDates || [defaultExpiration] };
+}
+
+/**
+ * Expand a template into legs on the chain's strikes around the money
+ */
+function templateLegs(templateId, contracts, spot, { width = 1, quantity = 1 } = {}) {
+  const template = STRATEGY_TEMPLATES[templateId];
+  if (!template) {
+    throw new Error(`Unknown template: ${templateId} (use ${Object.keys(STRATEGY_TEMPLATES).join(', ')})`);
+  }
+
+  const strikes = [...new Set(contracts.filter(c => c.iv !== null).map(c => c.strike))].sort((a, b) => a - b);
+  if (strikes.length === 0) throw new Error('No priced strikes in this expiration');
+
+  const atm = strikes.reduce((best, k, i) => Math.abs(k - spot) < Math.abs(strikes[best] - spot) ? i : best, 0);
+
+  return template.legs(Math.max(1, parseInt(width) || 1)).map(([side, type, offset]) => {
+    if (type === 'stock') return { side, type, quantity: quantity * CONTRACT_SIZE };
+
+    const strike = strikes[atm + offset];
+    if (strike === undefined) throw new Error(`Not enough strikes for ${template.name} ${width} strikes wide`);
+    return { side, type, strike, expiration: contracts[0].expiration, quantity };
+  });
+}
+
+function validateLeg(leg, index) {
+  const label = `Leg ${index + 1}`;
+  if (!LEG_SIDES.includes(leg.side)) throw new Error(`${label}: side must be BUY or SELL`);
+  if (!LEG_TYPES.includes(leg.type)) throw new Error(`${label}: type must be call, put or stock`);
+  if (!(leg.quantity > 0)) throw new Error(`${label}: quantity must be positive`);
+  if (leg.type !== 'stock' && !(leg.strike > 0)) throw new Error(`${label}: strike is required`);
+}
+
+/**
+ * Attach entry price, IV and greeks from the chain to each leg
+ */
+function priceLegs(legs, chains, defaultExpiration, spot) {
+  return legs.map((leg, i) => {
+    const sign = leg.side === 'BUY' ? 1 : -1;
+
+    if (leg.type === 'stock') {
+      const price = leg.price ?? spot;
+      return {
+        ...leg,
+        sign,
+        multiplier: 1,
+        price,
+        iv: null,
+        greeks: { delta: 1, gamma: 0, theta: 0, vega: 0 }
+      };
+    }
+
+    const expiration = leg.expiration || defaultExpiration;
+    const contract = chains.get(expiration).find(c => c.type === leg.type && c.strike === leg.strike);
+    if (!contract) throw new Error(`Leg ${i + 1}: no ${leg.type} at ${leg.strike} for ${formatDate(expiration)}`);
+    if (contract.iv === null) throw new Error(`Leg ${i + 1}: ${leg.type} ${leg.strike} has no usable quote`);
+
+    return {
+      ...leg,
+      expiration,
+      expirationDate: formatDate(expiration),
+      sign,
+      multiplier: CONTRACT_SIZE,
+      price: leg.price ?? contract.mid,
+      iv: contract.iv,
+      time: contract.time,
+      greeks: { delta: contract.delta, gamma: contract.gamma, theta: contract.theta, vega: contract.vega }
+    };
+  });
+}
+
+/**
+ * Position value of the legs at an underlying price, evaluated `elapsed` years from now
+ * Options past their expiration are worth intrinsic value.
+ */
+function positionValue(legs, price, elapsed, rate) {
+  return legs.reduce((total, leg) => {
+    let value;
+    if (leg.type === 'stock') {
+      value = price;
+    } else {
+      const remaining = leg.time - elapsed;
+      value = remaining > 1e-9
+        ? bsPrice({ type: leg.type, spot: price, strike: leg.strike, time: remaining, vol: leg.iv, rate })
+        : Math.max(leg.type === 'call' ? price - leg.strike : leg.strike - price, 0);
+    }
+    return total + leg.sign * leg.quantity * leg.multiplier * value;
+  }, 0);
+}
+
+/**
+ * Zero crossings of a P&L curve (linear interpolation between grid points)
+ */
+function findBreakevens(prices, pnl) {
+  const breakevens = [];
+  for (let i = 1; i < prices.length; i++) {
+    if (pnl[i - 1] === 0 && (i === 1 || pnl[i - 2] !== 0)) breakevens.push(prices[i - 1]);
+    if (pnl[i - 1] * pnl[i] < 0) {
+      breakevens.push(prices[i - 1] + (prices[i] - prices[i - 1]) * (pnl[i - 1] / (pnl[i - 1] - pnl[i])));
+    }
+  }
+  return breakevens;
+}
+
+/**
+ * Probability that the P&L curve ends above zero, with a lognormal underlying at `vol`
+ */
+function probabilityOfProfit(prices, pnl, spot, vol, time, rate) {
+  if (!vol || !(time > 0)) return null;
+
+  const sigmaT = vol * Math.sqrt(time);
+  const cdf = (x) => x <= 0 ? 0 : normCdf((Math.log(x / spot) - (rate - vol * vol / 2) * time) / sigmaT);
+
+  let probability = 0;
+  for (let i = 1; i < prices.length; i++) {
+    if ((pnl[i - 1] + pnl[i]) / 2 > 0) probability += cdf(prices[i]) - cdf(prices[i - 1]);
+  }
+  // Beyond the top of the grid
+  if (pnl[pnl.length - 1] > 0) probability += 1 - cdf(prices[prices.length - 1]);
+
+  return Math.min(Math.max(probability, 0), 1);
+}
+
+/**
+ * Parse P&L dates: ISO dates or unix seconds, defaulting to today and halfway to expiry
+ */
+function resolveDates(dates, evaluationExpiration, now) {
+  const expiryMs = evaluationExpiration * 1000;
+
+  const parsed = (dates && dates.length > 0)
+    ? dates.map(d => typeof d === 'number' ? d * 1000 : Date.parse(d))
+    : [now, now + (expiryMs - now) / 2];
+
+  return parsed
+    .filter(ms => Number.isFinite(ms) && ms < expiryMs)
+    .map(ms => Math.max(ms, now));
+}
+
+/**
+ * Build and price a multi-leg options strategy
+ * @param {string} ticker - Underlying ticker
+ * @param {number} spot - Current underlying price
+ * @param {Object} request - { legs } or { template, expiration, width, quantity }, plus
+ *   { dates: [ISO date | unix seconds], range: fraction of spot for the payoff grid, riskFreeRate }
+ * @returns {Object} Priced legs, net premium, aggregate greeks, payoff curves, breakevens,
+ *   max profit/loss (null = unlimited) and probability of profit
+ */
+export async function buildStrategy(ticker, spot, request = {}) {
+  const { template, width, quantity = 1, dates, range = DEFAULT_RANGE, riskFreeRate: rate = DEFAULT_RISK_FREE_RATE } = request;
+  const now = Date.now();
+  const requestedExpiration = request.expiration ? Number(request.expiration) : null;
+
+  if (!template && !(Array.isArray(request.legs) && request.legs.length > 0)) {
+    throw new Error('Provide legs or a template');
+  }
+
+  const legExpirations = (request.legs || []).map(l => l.expiration ? Number(l.expiration) : null);
+  const { chains, defaultExpiration, expirationDates } = await loadChains(ticker, spot, [requestedExpiration, ...legExpirations], rate, now);
+
+  let legs = template
+    ? templateLegs(template, chains.get(requestedExpiration || defaultExpiration), spot, { width, quantity: Number(quantity) })
+    : request.legs.map(l => ({
+      side: String(l.side).toUpperCase(),
+      type: String(l.type).toLowerCase(),
+      strike: l.strike !== undefined ? Number(l.strike) : undefined,
+      expiration: l.expiration ? Number(l.expiration) : null,
+      quantity: Number(l.quantity ?? 1),
+      price: l.price !== undefined && l.price !== null && l.price !== '' ? Number(l.price) : undefined
+    }));
+
+  legs.forEach(validateLeg);
+  legs = priceLegs(legs, chains, defaultExpiration, spot);
+
+  const optionLegs = legs.filter(l => l.type !== 'stock');
+  const evaluation = optionLegs.length > 0
+    ? optionLegs.reduce((first, l) => (l.expiration < first.expiration ? l : first))
+    : null;
+  const evaluationTime = evaluation ? evaluation.time : 0;
+
+  // Net premium: positive = debit paid, negative = credit received
+  const entryCost = legs.reduce((sum, l) => sum + l.sign * l.quantity * l.multiplier * l.price, 0);
+
+  const greeks = ['delta', 'gamma', 'theta', 'vega'].reduce((totals, greek) => {
+    totals[greek] = legs.reduce((sum, l) => sum + l.sign * l.quantity * l.multiplier * l.greeks[greek], 0);
+    return totals;
+  }, {});
+
+  // Price grid around spot plus zero and every strike, so expiry payoffs are exact
+  const low = spot * (1 - range);
+  const high = spot * (1 + range);
+  const gridPrices = [0, ...Array.from({ length: GRID_STEPS + 1 }, (_, i) => low + (high - low) * i / GRID_STEPS),
+    ...legs.filter(l => l.strike).map(l => l.strike)];
+  const prices = [...new Set(gridPrices.map(p => Math.round(p * 10000) / 10000))].sort((a, b) => a - b);
+
+  const pnlAt = (elapsed) => prices.map(p => positionValue(legs, p, elapsed, rate) - entryCost);
+  const expiryPnl = pnlAt(evaluationTime);
+
+  // Charted payoff covers the requested range only
+  const visible = prices.map((p, i) => (p >= low && p <= high ? i : -1)).filter(i => i >= 0);
+  const chartPnl = (pnl) => visible.map(i => pnl[i]);
+
+  // Unlimited if P&L keeps moving beyond the grid
+  const tailLow = spot * TAIL_MULTIPLE;
+  const tailHigh = spot * (TAIL_MULTIPLE + 1);
+  const tailSlope = positionValue(legs, tailHigh, evaluationTime, rate) - positionValue(legs, tailLow, evaluationTime, rate);
+  const tailPnl = positionValue(legs, tailHigh, evaluationTime, rate) - entryCost;
+
+  const gridMax = Math.max(...expiryPnl);
+  const gridMin = Math.min(...expiryPnl);
+  const unlimitedProfit = tailSlope > 1e-6;
+  const unlimitedLoss = tailSlope < -1e-6;
+
+  const breakevens = findBreakevens(prices, expiryPnl).filter(b => b > 0);
+  const atmIV = evaluation
+    ? buildVolatilitySurface([chains.get(evaluation.expiration)], spot, now).termStructure[0]?.atmIV ?? null
+    : null;
+
+  const pnlDates = evaluation ? resolveDates(dates, evaluation.expiration, now) : [];
+
+  return {
+    ticker,
+    spot,
+    template: template || null,
+    name: template ? STRATEGY_TEMPLATES[template].name : 'Custom',
+    expirationDates,
+    legs: legs.map(({ sign, multiplier, time, ...leg }) => leg),
+    netPremium: entryCost,
+    premiumType: entryCost >= 0 ? 'DEBIT' : 'CREDIT',
+    greeks,
+    evaluationDate: evaluation ? evaluation.expirationDate : null,
+    daysToExpiry: evaluation ? Math.ceil(evaluationTime * 365) : null,
+    maxProfit: unlimitedProfit ? null : Math.max(gridMax, tailPnl),
+    maxLoss: unlimitedLoss ? null : Math.min(gridMin, tailPnl),
+    breakevens,
+    probabilityOfProfit: probabilityOfProfit(prices, expiryPnl, spot, atmIV, evaluationTime, rate),
+    atmIV,
+    payoff: {
+      prices: visible.map(i => prices[i]),
+      expiry: chartPnl(expiryPnl),
+      dates: pnlDates.map(ms => ({
+        date: new Date(ms).toISOString().split('T')[0],
+        pnl: chartPnl(pnlAt((ms - now) / YEAR_MS))
+      }))
+    },
+    riskFreeRate: rate,
+    timestamp: now
+  };
+}
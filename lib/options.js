@@ -1,10 +1,39 @@
-// Options Chain Analysis - Max Pain, P/C Ratios, Unusual Activity, Gamma Walls
+// Options Chain Analysis - Max Pain, P/C Ratios, Unusual Activity, Gamma Walls,
+// Black-Scholes greeks and IV, dealer gamma exposure, IV smile/term structure and expected move
 import { fetchOptionsChain } from './market-data.js';
+import { bsGreeks, impliedVolatility, DEFAULT_RISK_FREE_RATE } from './black-scholes.js';
+
+const CONTRACT_SIZE = 100;
+const DEFAULT_EXPIRATIONS = 6; // Expirations priced for GEX and the term structure
+const EXPIRY_CLOSE_UTC_HOURS = 20; // 4pm ET
+const MIN_PROVIDER_IV = 0.01; // Yahoo reports ~0 IV for contracts it could not price
+const STRIKE_WINDOW = 0.3; // Smile and GEX strikes within ±30% of spot
+const GEX_FLIP_STEPS = 60;
+const TERM_STRUCTURE_FLAT = 0.01; // 1 vol point between front and back ATM IV
+
+/**
+ * Fetch the nearest expiration plus the next few (each further expiry is a separate request)
+ */
+async function fetchExpirations(ticker, chainData, count) {
+  const expirations = [chainData.options[0]];
+  const dates = (chainData.expirationDates || [])
+    .filter(date => date !== chainData.options[0].expirationDate)
+    .slice(0, Math.max(count - 1, 0));
+
+  for (const date of dates) {
+    const chain = await fetchOptionsChain(ticker, { date });
+    const expiry = chain?.options?.[0];
+    if (expiry) expirations.push(expiry);
+  }
+
+  return expirations;
+}
 
 /**
  * Analyze options chain for a ticker
+ * @param {Object} options - { expirations: how many expirations to price, riskFreeRate }
  */
-export async function analyzeOptionsChain(ticker, currentPrice) {
+export async function analyzeOptionsChain(ticker, currentPrice, { expirations = DEFAULT_EXPIRATIONS, riskFreeRate = DEFAULT_RISK_FREE_RATE } = {}) {
   try {
     const chainData = await fetchOptionsChain(ticker);
     
@@ -21,6 +50,12 @@ export async function analyzeOptionsChain(ticker, currentPrice) {
     const calls = nearestExpiry.calls || [];
     const puts = nearestExpiry.puts || [];
     
+    // Price every contract with Black-Scholes across the nearest expirations
+    const now = Date.now();
+    const expiries = await fetchExpirations(ticker, chainData, expirations);
+    const priced = expiries.map(expiry => priceContracts(expiry, currentPrice, { rate: riskFreeRate, now }));
+    const allContracts = priced.flat();
+    
     // Calculate max pain
     const maxPain = calculateMaxPain(calls, puts);
     
@@ -34,13 +69,17 @@ export async function analyzeOptionsChain(ticker, currentPrice) {
     const gammaWalls = identifyGammaWalls(calls, puts, currentPrice);
     
     // Calculate total greeks and positioning
-    const greeks = calculateTotalGreeks(calls, puts, currentPrice);
+    const greeks = calculateTotalGreeks(allContracts);
+    
+    // Dealer gamma exposure and the volatility surface
+    const gammaExposure = calculateGammaExposure(allContracts, currentPrice, { rate: riskFreeRate });
+    const volatility = buildVolatilitySurface(priced, currentPrice, now);
     
     // Determine sentiment
     const sentiment = determineSentiment(pcRatios, maxPain, currentPrice, gammaWalls);
     
     // Calculate key levels
-    const keyLevels = calculateKeyLevels(maxPain, gammaWalls, currentPrice);
+    const keyLevels = calculateKeyLevels(maxPain, gammaWalls, currentPrice, gammaExposure);
     
     return {
       ticker,
@@ -57,6 +96,12 @@ export async function analyzeOptionsChain(ticker, currentPrice) {
       unusualActivity,
       gammaWalls,
       greeks,
+      gammaExposure,
+      volatility,
+      expectedMove: volatility.termStructure[0]?.expectedMove || null,
+      chain: priced[0].filter(c => Math.abs(c.strike / currentPrice - 1) <= STRIKE_WINDOW),
+      expirationsAnalyzed: priced.length,
+      riskFreeRate,
       sentiment,
       keyLevels,
       timestamp: Date.now()
@@ -274,53 +319,280 @@ function identifyGammaWalls(calls, puts, currentPrice) {
 }
 
 /**
- * Calculate total greeks and positioning
+ * Time to expiry in years, measured to the 4pm ET close on the expiration date
+ * (provider expirations are midnight UTC). Floored at one hour so expiring contracts still price.
  */
-function calculateTotalGreeks(calls, puts, currentPrice) {
-  // Simplified greeks calculation (approximation)
-  let totalCallGamma = 0;
-  let totalPutGamma = 0;
-  let totalCallDelta = 0;
-  let totalPutDelta = 0;
-  
-  for (const call of calls) {
-    // Approximate gamma (highest ATM)
-    const moneyness = call.strike / currentPrice;
-    const approxGamma = moneyness > 0.95 && moneyness < 1.05 ? 
-      (call.openInterest || 0) * 0.05 : (call.openInterest || 0) * 0.01;
-    totalCallGamma += approxGamma;
-    
-    // Approximate delta (ITM calls have delta ~1, OTM ~0)
-    const approxDelta = call.strike < currentPrice ? 0.7 : 0.3;
-    totalCallDelta += approxDelta * (call.openInterest || 0);
-  }
-  
-  for (const put of puts) {
-    const moneyness = put.strike / currentPrice;
-    const approxGamma = moneyness > 0.95 && moneyness < 1.05 ? 
-      (put.openInterest || 0) * 0.05 : (put.openInterest || 0) * 0.01;
-    totalPutGamma += approxGamma;
-    
-    const approxDelta = put.strike > currentPrice ? -0.7 : -0.3;
-    totalPutDelta += approxDelta * (put.openInterest || 0);
+function yearsToExpiry(expiration, now = Date.now()) {
+  const closeMs = (expiration + EXPIRY_CLOSE_UTC_HOURS * 3600) * 1000;
+  return Math.max(closeMs - now, 3600 * 1000) / (365 * 24 * 3600 * 1000);
+}
+
+/**
+ * Mid price of a contract, falling back to the last trade when the quote is one-sided
+ */
+function contractMid(contract) {
+  const { bid, ask, lastPrice } = contract;
+  if (bid > 0 && ask > 0 && ask >= bid) return (bid + ask) / 2;
+  return lastPrice > 0 ? lastPrice : null;
+}
+
+/**
+ * Solve implied volatility and Black-Scholes greeks for every contract in an expiration
+ * IV comes from the mid price; the provider's IV is used only when the mid has no solution.
+ * @param {Object} expiry - Chain expiration ({ expirationDate, calls, puts })
+ * @param {number} spot - Underlying price
+ * @param {Object} options - { rate, now }
+ * @returns {Array} Contracts with { type, strike, expiration, time, mid, iv, ivSource, delta, gamma, theta, vega }
+ */
+export function priceContracts(expiry, spot, { rate = DEFAULT_RISK_FREE_RATE, now = Date.now() } = {}) {
+  const time = yearsToExpiry(expiry.expirationDate, now);
+  const contracts = [
+    ...(expiry.calls || []).map(c => ({ ...c, type: 'call' })),
+    ...(expiry.puts || []).map(p => ({ ...p, type: 'put' }))
+  ];
+
+  return contracts.map(c => {
+    const mid = contractMid(c);
+    let iv = mid ? impliedVolatility({ type: c.type, price: mid, spot, strike: c.strike, time, rate }) : null;
+    let ivSource = 'mid';
+
+    if (iv === null && c.impliedVolatility > MIN_PROVIDER_IV) {
+      iv = c.impliedVolatility;
+      ivSource = 'provider';
+    }
+
+    const greeks = iv !== null
+      ? bsGreeks({ type: c.type, spot, strike: c.strike, time, vol: iv, rate })
+      : { delta: null, gamma: null, theta: null, vega: null };
+
+    return {
+      type: c.type,
+      contractSymbol: c.contractSymbol,
+      strike: c.strike,
+      expiration: expiry.expirationDate,
+      time,
+      bid: c.bid ?? null,
+      ask: c.ask ?? null,
+      mid,
+      volume: c.volume || 0,
+      openInterest: c.openInterest || 0,
+      iv,
+      ivSource: iv !== null ? ivSource : null,
+      delta: greeks.delta,
+      gamma: greeks.gamma,
+      theta: greeks.theta,
+      vega: greeks.vega
+    };
+  });
+}
+
+/**
+ * Open-interest weighted greeks across priced contracts (per 100-share contract)
+ * Delta is in shares, gamma in shares per $1, theta in $/day, vega in $ per vol point.
+ */
+function calculateTotalGreeks(contracts) {
+  const totals = { call: { delta: 0, gamma: 0, theta: 0, vega: 0 }, put: { delta: 0, gamma: 0, theta: 0, vega: 0 } };
+
+  for (const c of contracts) {
+    if (c.iv === null || !c.openInterest) continue;
+    const size = c.openInterest * CONTRACT_SIZE;
+    const side = totals[c.type];
+    side.delta += c.delta * size;
+    side.gamma += c.gamma * size;
+    side.theta += c.theta * size;
+    side.vega += c.vega * size;
   }
-  
+
+  const { call, put } = totals;
+
   return {
     gamma: {
-      calls: totalCallGamma,
-      puts: totalPutGamma,
-      net: totalCallGamma - totalPutGamma,
-      signal: totalCallGamma > totalPutGamma ? 'POSITIVE_GAMMA' : 'NEGATIVE_GAMMA'
+      calls: call.gamma,
+      puts: put.gamma,
+      // Dealers are assumed long calls and short puts, the usual GEX convention
+      net: call.gamma - put.gamma,
+      signal: call.gamma > put.gamma ? 'POSITIVE_GAMMA' : 'NEGATIVE_GAMMA'
     },
     delta: {
-      calls: totalCallDelta,
-      puts: totalPutDelta,
-      net: totalCallDelta + totalPutDelta,
-      signal: (totalCallDelta + totalPutDelta) > 0 ? 'NET_LONG' : 'NET_SHORT'
+      calls: call.delta,
+      puts: put.delta,
+      net: call.delta + put.delta,
+      signal: (call.delta + put.delta) > 0 ? 'NET_LONG' : 'NET_SHORT'
+    },
+    theta: {
+      calls: call.theta,
+      puts: put.theta,
+      net: call.theta + put.theta
+    },
+    vega: {
+      calls: call.vega,
+      puts: put.vega,
+      net: call.vega + put.vega
     }
   };
 }
 
+/**
+ * Dollar gamma exposure of one contract for a 1% move, signed for dealers (long calls, short puts)
+ */
+function contractGex(contract, gamma, spot) {
+  const exposure = gamma * contract.openInterest * CONTRACT_SIZE * spot * spot * 0.01;
+  return contract.type === 'call' ? exposure : -exposure;
+}
+
+/**
+ * Total dealer GEX if the underlying were at another price (each contract keeps its IV)
+ */
+function gexAtSpot(contracts, spot, rate) {
+  let total = 0;
+  for (const c of contracts) {
+    const { gamma } = bsGreeks({ type: c.type, spot, strike: c.strike, time: c.time, vol: c.iv, rate });
+    total += contractGex(c, gamma, spot);
+  }
+  return total;
+}
+
+/**
+ * Dealer gamma exposure (GEX) by strike, call/put walls and the gamma flip
+ * The flip is where total GEX changes sign: above it dealer hedging dampens moves,
+ * below it hedging amplifies them.
+ * @param {Array} contracts - Priced contracts from priceContracts
+ * @param {number} spot - Underlying price
+ */
+export function calculateGammaExposure(contracts, spot, { rate = DEFAULT_RISK_FREE_RATE } = {}) {
+  const priced = contracts.filter(c => c.iv !== null && c.openInterest > 0);
+  const byStrike = new Map();
+
+  for (const c of priced) {
+    const row = byStrike.get(c.strike) || { strike: c.strike, callGex: 0, putGex: 0, netGex: 0 };
+    const gex = contractGex(c, c.gamma, spot);
+    if (c.type === 'call') row.callGex += gex;
+    else row.putGex += gex;
+    row.netGex += gex;
+    byStrike.set(c.strike, row);
+  }
+
+  const strikes = Array.from(byStrike.values()).sort((a, b) => a.strike - b.strike);
+  const total = strikes.reduce((sum, s) => sum + s.netGex, 0);
+
+  const callWall = strikes.reduce((best, s) => (!best || s.callGex > best.callGex ? s : best), null);
+  const putWall = strikes.reduce((best, s) => (!best || s.putGex < best.putGex ? s : best), null);
+
+  // Scan hypothetical spot prices for the sign change nearest the current price
+  let gammaFlip = null;
+  if (priced.length > 0) {
+    const steps = GEX_FLIP_STEPS;
+    const grid = Array.from({ length: steps + 1 }, (_, i) => spot * (1 - STRIKE_WINDOW + (2 * STRIKE_WINDOW * i) / steps));
+    const values = grid.map(price => gexAtSpot(priced, price, rate));
+
+    for (let i = 1; i < grid.length; i++) {
+      if (Math.sign(values[i - 1]) === Math.sign(values[i])) continue;
+      const flip = grid[i - 1] + (grid[i] - grid[i - 1]) * (values[i - 1] / (values[i - 1] - values[i]));
+      if (gammaFlip === null || Math.abs(flip - spot) < Math.abs(gammaFlip - spot)) gammaFlip = flip;
+    }
+  }
+
+  return {
+    total,
+    regime: total >= 0 ? 'POSITIVE_GAMMA' : 'NEGATIVE_GAMMA',
+    callWall: callWall && callWall.callGex > 0 ? callWall.strike : null,
+    putWall: putWall && putWall.putGex < 0 ? putWall.strike : null,
+    gammaFlip,
+    flipDistance: gammaFlip !== null ? ((gammaFlip - spot) / spot * 100) : null,
+    byStrike: strikes.filter(s => Math.abs(s.strike / spot - 1) <= STRIKE_WINDOW)
+  };
+}
+
+/**
+ * IV for a contract type interpolated at a strike from its neighbours
+ */
+function interpolateIV(points, strike, key) {
+  const valid = points.filter(p => p[key] !== null);
+  if (valid.length === 0) return null;
+
+  const above = valid.find(p => p.strike >= strike);
+  const below = [...valid].reverse().find(p => p.strike <= strike);
+  if (!above) return below[key];
+  if (!below) return above[key];
+  if (above.strike === below.strike) return above[key];
+
+  const weight = (strike - below.strike) / (above.strike - below.strike);
+  return below[key] + (above[key] - below[key]) * weight;
+}
+
+/**
+ * IV smile, ATM IV, 25-delta skew and straddle expected move for one expiration
+ */
+function summarizeExpiration(contracts, spot, now) {
+  const { expiration, time } = contracts[0];
+  const byStrike = new Map();
+
+  for (const c of contracts) {
+    const row = byStrike.get(c.strike) || { strike: c.strike, moneyness: c.strike / spot, callIV: null, putIV: null, callMid: null, putMid: null };
+    row[`${c.type}IV`] = c.iv;
+    row[`${c.type}Mid`] = c.mid;
+    byStrike.set(c.strike, row);
+  }
+
+  const points = Array.from(byStrike.values())
+    .sort((a, b) => a.strike - b.strike)
+    .filter(p => Math.abs(p.moneyness - 1) <= STRIKE_WINDOW);
+
+  const callAtm = interpolateIV(points, spot, 'callIV');
+  const putAtm = interpolateIV(points, spot, 'putIV');
+  const atmIV = callAtm !== null && putAtm !== null ? (callAtm + putAtm) / 2 : (callAtm ?? putAtm);
+
+  // Straddle at the strike closest to spot that quotes both sides
+  const atm = points
+    .filter(p => p.callMid && p.putMid)
+    .sort((a, b) => Math.abs(a.strike - spot) - Math.abs(b.strike - spot))[0];
+  const straddle = atm ? atm.callMid + atm.putMid : null;
+
+  const nearestDelta = (type, target) => contracts
+    .filter(c => c.type === type && c.iv !== null)
+    .sort((a, b) => Math.abs(a.delta - target) - Math.abs(b.delta - target))[0];
+  const put25 = nearestDelta('put', -0.25);
+  const call25 = nearestDelta('call', 0.25);
+
+  return {
+    expiration,
+    date: new Date(expiration * 1000).toISOString().split('T')[0],
+    daysToExpiry: Math.ceil((expiration * 1000 - now) / (1000 * 60 * 60 * 24)),
+    atmIV,
+    skew25: put25 && call25 ? put25.iv - call25.iv : null,
+    expectedMove: straddle !== null ? {
+      straddleStrike: atm.strike,
+      straddle,
+      move: straddle,
+      percent: straddle / spot * 100,
+      upper: spot + straddle,
+      lower: spot - straddle,
+      // One standard deviation from ATM IV, for comparison with the straddle
+      sigmaMove: atmIV !== null ? spot * atmIV * Math.sqrt(time) : null
+    } : null,
+    smile: points.map(({ strike, moneyness, callIV, putIV }) => ({ strike, moneyness, callIV, putIV }))
+  };
+}
+
+/**
+ * IV smiles and ATM term structure across expirations
+ * @param {Array} expirations - Arrays of priced contracts, one per expiration (nearest first)
+ */
+export function buildVolatilitySurface(expirations, spot, now = Date.now()) {
+  const summaries = expirations
+    .filter(contracts => contracts.length > 0)
+    .map(contracts => summarizeExpiration(contracts, spot, now));
+
+  const term = summaries.filter(s => s.atmIV !== null);
+  const slope = term.length > 1 ? term[term.length - 1].atmIV - term[0].atmIV : 0;
+
+  return {
+    termStructure: summaries.map(({ smile, ...rest }) => rest),
+    shape: slope > TERM_STRUCTURE_FLAT ? 'CONTANGO' : slope < -TERM_STRUCTURE_FLAT ? 'BACKWARDATION' : 'FLAT',
+    smiles: summaries.map(s => ({ expiration: s.expiration, date: s.date, daysToExpiry: s.daysToExpiry, points: s.smile }))
+  };
+}
+
 /**
  * Determine overall sentiment from options data
  */
@@ -384,9 +656,12 @@ function determineSentiment(pcRatios, maxPain, currentPrice, gammaWalls) {
 /**
  * Calculate key price levels from options data
  */
-function calculateKeyLevels(maxPain, gammaWalls, currentPrice) {
+function calculateKeyLevels(maxPain, gammaWalls, currentPrice, gammaExposure) {
   const levels = {
     maxPain: maxPain.strike,
+    gammaFlip: gammaExposure.gammaFlip,
+    callWall: gammaExposure.callWall,
+    putWall: gammaExposure.putWall,
     resistance: [],
     support: []
   };
@@ -434,9 +709,6 @@ export async function batchAnalyzeOptions(tickers, priceMap) {
     try {
       const analysis = await analyzeOptionsChain(ticker, currentPrice);
       results[ticker] = analysis;
-      
-      // Rate limiting
-      await new Promise(resolve => setTimeout(resolve, 1000));
     } catch (error) {
       console.error(`Failed to analyze options for ${ticker}:`, error.message);
       results[ticker] = {
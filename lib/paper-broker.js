@@ -0,0 +1,696 @@
+// Paper Broker - simulated execution of market, limit, stop, stop-limit, bracket and OCO orders
+// Orders fill against market-update prices with slippage and commission; fills update a
+// positions/cash ledger and are written to the trade journal (linked to their signalId).
+import { defineStore, readStore, updateStore } from './storage.js';
+import { addTrade, updateTrade, deleteTrade } from './trade-journal.js';
+
+export const ORDER_TYPES = ['MARKET', 'LIMIT', 'STOP', 'STOP_LIMIT'];
+export const ORDER_SIDES = ['BUY', 'SELL'];
+
+const DEFAULT_SETTINGS = {
+  startingCash: 100000,
+  slippageBps: 5,            // Market and stop fills are 0.05% worse than the quote
+  commissionPerShare: 0.005,
+  minCommission: 1
+};
+
+const emptyAccount = (settings = DEFAULT_SETTINGS) => ({
+  settings: { ...settings },
+  cash: settings.startingCash,
+  realizedPnl: 0,
+  commissionPaid: 0,
+  orders: [],
+  positions: {},
+  fills: []
+});
+
+defineStore('paper-broker', {
+  file: 'paper-broker.json',
+  version: 1,
+  defaultValue: () => emptyAccount()
+});
+
+const MAX_FILLS = 1000;
+
+/**
+ * Load the paper account
+ */
+function loadAccount() {
+  try {
+    return readStore('paper-broker');
+  } catch (error) {
+    console.error('Error loading paper account:', error);
+    return emptyAccount();
+  }
+}
+
+const generateId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Validate a single order request
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateOrder(order) {
+  if (!order.ticker) return 'ticker is required';
+  if (!ORDER_SIDES.includes(order.side)) return `side must be one of ${ORDER_SIDES.join(', ')}`;
+  if (!ORDER_TYPES.includes(order.type)) return `type must be one of ${ORDER_TYPES.join(', ')}`;
+  if (!(order.quantity > 0) || !Number.isInteger(order.quantity)) return 'quantity must be a positive whole number';
+  if ((order.type === 'LIMIT' || order.type === 'STOP_LIMIT') && !(order.limitPrice > 0)) return `${order.type} orders need a limitPrice`;
+  if ((order.type === 'STOP' || order.type === 'STOP_LIMIT') && !(order.stopPrice > 0)) return `${order.type} orders need a stopPrice`;
+  return null;
+}
+
+function buildOrder(request, extra = {}) {
+  return {
+    id: generateId('ord'),
+    ticker: request.ticker.toUpperCase(),
+    side: request.side,
+    type: request.type,
+    quantity: request.quantity,
+    limitPrice: request.limitPrice ?? null,
+    stopPrice: request.stopPrice ?? null,
+    triggered: false,
+    status: 'OPEN',           // PENDING (bracket leg waiting on its entry), OPEN, FILLED, CANCELLED, REJECTED
+    signalId: request.signalId || null,
+    parentId: null,
+    ocoGroup: null,
+    role: null,               // ENTRY, SCALE_IN, STOP_LOSS or TAKE_PROFIT for bracket legs
+    note: request.note || null,
+    journalTradeId: request.journalTradeId || null,
+    createdAt: Date.now(),
+    filledAt: null,
+    fillPrice: null,
+    commission: null,
+    rejectReason: null,
+    ...extra
+  };
+}
+
+/**
+ * Expand a request into the orders it places
+ * Plain orders: { ticker, side, type, quantity, limitPrice, stopPrice, signalId }
+ * BRACKET: { type: 'BRACKET', ticker, side, quantity, entryType, limitPrice, stopPrice, stopLoss, takeProfit }
+ *   An entry order plus a stop-loss and take-profit that go live once the entry fills.
+ *   takeProfits: [{ price, quantity }] scales out over several targets instead of one takeProfit,
+ *   and scaleIn: { type: 'STOP' | 'LIMIT', price, quantity } adds to the position after the entry.
+ *   The stop always covers what is left of the position.
+ * OCO: { type: 'OCO', orders: [order, order] } - when one fills the other is cancelled
+ */
+function expandRequest(request) {
+  if (request.type === 'BRACKET') {
+    const entry = { ...request, type: request.entryType || 'MARKET' };
+    const exitSide = request.side === 'BUY' ? 'SELL' : 'BUY';
+    const error = validateOrder(entry);
+    if (error) throw new Error(error);
+
+    const takeProfits = Array.isArray(request.takeProfits)
+      ? request.takeProfits
+      : [{ price: request.takeProfit, quantity: request.quantity }];
+
+    if (!(request.stopLoss > 0) || takeProfits.length === 0 || !takeProfits.every(tp => tp.price > 0)) {
+      throw new Error('BRACKET orders need stopLoss and takeProfit (or takeProfits)');
+    }
+
+    const isLong = request.side === 'BUY';
+    if (takeProfits.some(tp => isLong ? request.stopLoss >= tp.price : request.stopLoss <= tp.price)) {
+      throw new Error(`stopLoss must be ${isLong ? 'below' : 'above'} takeProfit for a ${request.side} bracket`);
+    }
+
+    const scaleIn = request.scaleIn || null;
+    if (scaleIn) {
+      const scaleError = validateOrder({
+        ...request,
+        type: scaleIn.type,
+        quantity: scaleIn.quantity,
+        limitPrice: scaleIn.price,
+        stopPrice: scaleIn.price
+      });
+      if (scaleError) throw new Error(`scaleIn: ${scaleError}`);
+    }
+
+    const totalQuantity = request.quantity + (scaleIn?.quantity || 0);
+    const exitQuantity = takeProfits.reduce((sum, tp) => sum + tp.quantity, 0);
+    if (!takeProfits.every(tp => Number.isInteger(tp.quantity) && tp.quantity > 0) || exitQuantity > totalQuantity) {
+      throw new Error(`takeProfits must be whole quantities adding up to at most ${totalQuantity}`);
+    }
+
+    const parent = buildOrder(entry, {
+      role: 'ENTRY',
+      stopLoss: request.stopLoss,
+      takeProfit: takeProfits[0].price,
+      targets: takeProfits.map(tp => tp.price)
+    });
+    const leg = (order, role) => buildOrder(
+      { ...request, journalTradeId: null, ...order },
+      { status: 'PENDING', parentId: parent.id, role }
+    );
+
+    const legs = [
+      leg({ side: exitSide, type: 'STOP', quantity: request.quantity, stopPrice: request.stopLoss, limitPrice: null }, 'STOP_LOSS'),
+      ...takeProfits.map(tp =>
+        leg({ side: exitSide, type: 'LIMIT', quantity: tp.quantity, limitPrice: tp.price, stopPrice: null }, 'TAKE_PROFIT')
+      )
+    ];
+
+    if (scaleIn) {
+      legs.push(leg({
+        side: request.side,
+        type: scaleIn.type,
+        quantity: scaleIn.quantity,
+        limitPrice: scaleIn.type === 'LIMIT' ? scaleIn.price : null,
+        stopPrice: scaleIn.type === 'STOP' ? scaleIn.price : null
+      }, 'SCALE_IN'));
+    }
+
+    return [parent, ...legs];
+  }
+
+  if (request.type === 'OCO') {
+    if (!Array.isArray(request.orders) || request.orders.length !== 2) {
+      throw new Error('OCO orders need exactly two orders');
+    }
+
+    const ocoGroup = generateId('oco');
+    return request.orders.map(o => {
+      const order = { ticker: request.ticker, signalId: request.signalId, ...o };
+      const error = validateOrder(order);
+      if (error) throw new Error(error);
+      return buildOrder(order, { ocoGroup });
+    });
+  }
+
+  const error = validateOrder(request);
+  if (error) throw new Error(error);
+  return [buildOrder(request)];
+}
+
+/**
+ * Place an order (plain, BRACKET or OCO)
+ * @returns {Array} The orders created
+ */
+export function placeOrder(request) {
+  const orders = expandRequest(request);
+
+  updateStore('paper-broker', account => {
+    account.orders.push(...orders);
+  });
+
+  console.log(`📝 Paper order: ${orders.map(describeOrder).join(' + ')}`);
+  return orders;
+}
+
+function describeOrder(order) {
+  const price = order.type === 'LIMIT' ? ` @ ${order.limitPrice}` :
+                order.type === 'STOP' ? ` stop ${order.stopPrice}` :
+                order.type === 'STOP_LIMIT' ? ` stop ${order.stopPrice} limit ${order.limitPrice}` : '';
+  return `${order.side} ${order.quantity} ${order.ticker} ${order.type}${price}`;
+}
+
+/**
+ * Cancel an open or pending order (cancelling a bracket entry cancels its legs)
+ */
+export function cancelOrder(orderId) {
+  let cancelled = [];
+
+  updateStore('paper-broker', account => {
+    const order = account.orders.find(o => o.id === orderId);
+    if (!order) throw new Error('Order not found');
+    if (order.status !== 'OPEN' && order.status !== 'PENDING') {
+      throw new Error(`Order is already ${order.status}`);
+    }
+
+    cancelled = account.orders.filter(o =>
+      (o.id === orderId || o.parentId === orderId) && (o.status === 'OPEN' || o.status === 'PENDING')
+    );
+    cancelled.forEach(o => {
+      o.status = 'CANCELLED';
+      o.cancelledAt = Date.now();
+    });
+  });
+
+  cancelled.forEach(discardPlannedTrade);
+  return cancelled;
+}
+
+/**
+ * Remove the journal trade opened for an entry that will now never fill
+ */
+function discardPlannedTrade(order) {
+  if (order.role !== 'ENTRY' || !order.journalTradeId) return;
+
+  try {
+    deleteTrade(order.journalTradeId);
+  } catch (error) {
+    console.error('Error removing planned journal trade:', error.message);
+  }
+}
+
+/**
+ * Commission for a fill
+ */
+function commissionFor(settings, quantity) {
+  return Math.max(settings.minCommission, quantity * settings.commissionPerShare);
+}
+
+/**
+ * Price an order would fill at for a quote, or null if it doesn't fill
+ * Market and stop orders pay slippage; limit orders never fill worse than their limit.
+ */
+function fillPriceFor(order, price, settings) {
+  const isBuy = order.side === 'BUY';
+  const slipped = price * (1 + (isBuy ? 1 : -1) * settings.slippageBps / 10000);
+  const limitFill = () => {
+    const marketable = isBuy ? price <= order.limitPrice : price >= order.limitPrice;
+    if (!marketable) return null;
+    return isBuy ? Math.min(slipped, order.limitPrice) : Math.max(slipped, order.limitPrice);
+  };
+
+  switch (order.type) {
+    case 'MARKET':
+      return slipped;
+    case 'LIMIT':
+      return limitFill();
+    case 'STOP': {
+      const triggered = isBuy ? price >= order.stopPrice : price <= order.stopPrice;
+      return triggered ? slipped : null;
+    }
+    case 'STOP_LIMIT': {
+      if (!order.triggered) {
+        order.triggered = isBuy ? price >= order.stopPrice : price <= order.stopPrice;
+        if (order.triggered) order.triggeredAt = Date.now();
+      }
+      return order.triggered ? limitFill() : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Apply a fill to the ledger: cash, commission, position and realized P&L
+ * @returns {Object} { opened, closed, position } describing what happened to the position
+ */
+function applyFill(account, order, fillPrice) {
+  const settings = account.settings;
+  const signed = order.side === 'BUY' ? order.quantity : -order.quantity;
+  const commission = commissionFor(settings, order.quantity);
+  const existing = account.positions[order.ticker];
+  const current = existing?.quantity || 0;
+
+  account.cash -= signed * fillPrice + commission;
+  account.commissionPaid += commission;
+
+  order.status = 'FILLED';
+  order.filledAt = Date.now();
+  order.fillPrice = fillPrice;
+  order.commission = commission;
+
+  const fill = {
+    id: generateId('fill'),
+    orderId: order.id,
+    ticker: order.ticker,
+    side: order.side,
+    quantity: order.quantity,
+    price: fillPrice,
+    commission,
+    signalId: order.signalId,
+    role: order.role,
+    realizedPnl: 0,
+    timestamp: order.filledAt
+  };
+
+  const result = { fill, opened: null, closed: null, scaled: null, journalExists: false };
+
+  // Opening or adding to a position
+  if (current === 0 || Math.sign(current) === Math.sign(signed)) {
+    if (current === 0) {
+      const position = {
+        ticker: order.ticker,
+        quantity: signed,
+        avgPrice: fillPrice,
+        openedAt: order.filledAt,
+        signalId: order.signalId,
+        journalTradeId: order.journalTradeId || generateId('paper'),
+        stopLoss: order.stopLoss ?? null,
+        takeProfit: order.takeProfit ?? null,
+        targets: order.targets || null,
+        exitQuantity: 0,
+        exitValue: 0,
+        realizedPnl: 0,
+        commission,
+        lastPrice: fillPrice
+      };
+      account.positions[order.ticker] = position;
+      result.opened = position;
+      result.journalExists = !!order.journalTradeId;
+    } else {
+      const quantity = current + signed;
+      existing.avgPrice = (existing.avgPrice * current + fillPrice * signed) / quantity;
+      existing.quantity = quantity;
+      existing.commission += commission;
+      result.scaled = existing;
+    }
+
+    account.fills.push(fill);
+    return result;
+  }
+
+  // Reducing, closing or flipping
+  const closing = Math.min(Math.abs(signed), Math.abs(current));
+  const direction = Math.sign(current);
+  const pnl = (fillPrice - existing.avgPrice) * closing * direction;
+
+  fill.realizedPnl = pnl;
+  account.realizedPnl += pnl;
+  existing.realizedPnl += pnl;
+  existing.commission += commission;
+  existing.exitQuantity += closing;
+  existing.exitValue += closing * fillPrice;
+  existing.quantity = current + signed;
+
+  if (existing.quantity === 0 || Math.sign(existing.quantity) !== direction) {
+    const remainder = existing.quantity;
+    result.closed = { ...existing, quantity: current, closedAt: order.filledAt, exitRole: order.role, exitType: order.type };
+    delete account.positions[order.ticker];
+
+    // Flipped through zero: the rest opens a new position at the fill price
+    if (remainder !== 0) {
+      const position = {
+        ticker: order.ticker,
+        quantity: remainder,
+        avgPrice: fillPrice,
+        openedAt: order.filledAt,
+        signalId: order.signalId,
+        journalTradeId: generateId('paper'),
+        stopLoss: null,
+        takeProfit: null,
+        targets: null,
+        exitQuantity: 0,
+        exitValue: 0,
+        realizedPnl: 0,
+        commission: 0,
+        lastPrice: fillPrice
+      };
+      account.positions[order.ticker] = position;
+      result.opened = position;
+    }
+  }
+
+  account.fills.push(fill);
+  return result;
+}
+
+const isWorking = o => o.status === 'OPEN' || o.status === 'PENDING';
+
+function cancelWith(orders, reason) {
+  orders.forEach(o => {
+    o.status = 'CANCELLED';
+    o.cancelledAt = Date.now();
+    o.rejectReason = reason;
+  });
+}
+
+/**
+ * Keep bracket legs in step with a fill: legs go live when the entry fills, the stop
+ * grows with scale-ins and shrinks with each take-profit, and a filled stop cancels
+ * everything else in the bracket. The other side of an OCO pair is cancelled.
+ */
+function settleLinkedOrders(account, order) {
+  if (order.role === 'ENTRY') {
+    account.orders
+      .filter(o => o.parentId === order.id && o.status === 'PENDING')
+      .forEach(o => { o.status = 'OPEN'; });
+  }
+
+  if (order.parentId) {
+    const siblings = account.orders.filter(o => o.parentId === order.parentId && o.id !== order.id && isWorking(o));
+    const stop = siblings.find(o => o.role === 'STOP_LOSS');
+
+    if (order.role === 'STOP_LOSS') {
+      cancelWith(siblings, 'Stop filled');
+    } else if (stop && order.role === 'SCALE_IN') {
+      stop.quantity += order.quantity;
+    } else if (stop && order.role === 'TAKE_PROFIT') {
+      stop.quantity -= order.quantity;
+      if (stop.quantity <= 0) cancelWith([stop], 'Position exited at targets');
+    }
+  }
+
+  if (order.ocoGroup) {
+    cancelWith(
+      account.orders.filter(o => o.ocoGroup === order.ocoGroup && o.id !== order.id && isWorking(o)),
+      `OCO: ${order.id} filled`
+    );
+  }
+}
+
+/**
+ * Fill working orders against the latest prices (one write per tick)
+ * @param {Object} marketData - Map of ticker -> market data with a price
+ * @returns {Object} { fills, rejected } from this tick
+ */
+export function processMarketData(marketData) {
+  const hasPrice = o => o.status === 'OPEN' && marketData[o.ticker]?.price;
+  const account = loadAccount();
+
+  if (!account.orders.some(hasPrice) && !Object.keys(account.positions).some(t => marketData[t]?.price)) {
+    return { fills: [], rejected: [] };
+  }
+
+  const fills = [];
+  const rejected = [];
+  const journal = [];
+
+  updateStore('paper-broker', account => {
+    // Mark open positions to market
+    for (const position of Object.values(account.positions)) {
+      const price = marketData[position.ticker]?.price;
+      if (price) position.lastPrice = price;
+    }
+
+    // Oldest first, so a bracket entry fills before its legs are considered
+    for (const order of account.orders.filter(hasPrice)) {
+      // An earlier fill this tick may have cancelled this order (OCO)
+      if (order.status !== 'OPEN') continue;
+
+      const quote = fillPriceFor(order, marketData[order.ticker].price, account.settings);
+      if (quote === null) continue;
+
+      const fillPrice = Math.round(quote * 10000) / 10000;
+      const current = account.positions[order.ticker]?.quantity || 0;
+
+      // Exit legs never sell more than is left of the position (or open one the other way)
+      if (order.role === 'STOP_LOSS' || order.role === 'TAKE_PROFIT') {
+        const closesPosition = current !== 0 && (order.side === 'SELL') === (current > 0);
+        if (!closesPosition) {
+          cancelWith([order], 'No position to exit');
+          continue;
+        }
+        order.quantity = Math.min(order.quantity, Math.abs(current));
+      }
+
+      const cost = fillPrice * order.quantity + commissionFor(account.settings, order.quantity);
+      const opensLong = order.side === 'BUY' && current >= 0;
+
+      if (opensLong && cost > account.cash) {
+        order.status = 'REJECTED';
+        order.rejectReason = `Insufficient cash: need $${cost.toFixed(2)}, have $${account.cash.toFixed(2)}`;
+        cancelWith(account.orders.filter(o => o.parentId === order.id && o.status === 'PENDING'), 'Entry rejected');
+        rejected.push(order);
+        continue;
+      }
+
+      const result = applyFill(account, order, fillPrice);
+      settleLinkedOrders(account, order);
+
+      // Bracket exits left working after their position was closed some other way would reopen it
+      if (result.closed) {
+        cancelWith(account.orders.filter(o => o.ticker === order.ticker && o.parentId && o.status === 'OPEN'), 'Position closed');
+      }
+      fills.push(result.fill);
+      journal.push(result);
+    }
+
+    if (account.fills.length > MAX_FILLS) {
+      account.fills = account.fills.slice(-MAX_FILLS);
+    }
+  });
+
+  rejected.forEach(discardPlannedTrade);
+
+  for (const result of journal) {
+    recordInJournal(result);
+  }
+
+  return { fills, rejected };
+}
+
+/**
+ * Mirror position changes into the trade journal
+ */
+function recordInJournal({ opened, closed, scaled, journalExists }) {
+  try {
+    // Close first: a flip closes one journal trade and opens another
+    if (closed) {
+      const exitPrice = closed.exitValue / closed.exitQuantity;
+      const stopped = closed.exitRole === 'STOP_LOSS' || closed.exitType === 'STOP' || closed.exitType === 'STOP_LIMIT';
+      updateTrade(closed.journalTradeId, {
+        exitDate: closed.closedAt,
+        exitPrice,
+        size: closed.exitQuantity,
+        status: stopped ? 'STOPPED_OUT' : 'CLOSED',
+        notes: `Paper trade. Realized $${closed.realizedPnl.toFixed(2)}, commission $${closed.commission.toFixed(2)}`,
+        executionQuality: {
+          slippage: 0,
+          timingDelay: 0,
+          targetHit: closed.exitRole === 'TAKE_PROFIT' ? 't1' : stopped ? 'stop' : null
+        }
+      });
+    }
+
+    if (scaled) {
+      updateTrade(scaled.journalTradeId, {
+        entryPrice: scaled.avgPrice,
+        size: Math.abs(scaled.quantity)
+      });
+    }
+
+    // Trades opened from a signal already have a planned journal entry: fill in the actual entry
+    if (opened && journalExists) {
+      updateTrade(opened.journalTradeId, {
+        entryDate: opened.openedAt,
+        entryPrice: opened.avgPrice,
+        size: Math.abs(opened.quantity)
+      });
+    } else if (opened) {
+      addTrade({
+        id: opened.journalTradeId,
+        ticker: opened.ticker,
+        direction: opened.quantity > 0 ? 'LONG' : 'SHORT',
+        entryDate: opened.openedAt,
+        entryPrice: opened.avgPrice,
+        size: Math.abs(opened.quantity),
+        stopLoss: opened.stopLoss,
+        targets: {
+          t1: opened.targets?.[0] ?? opened.takeProfit,
+          t2: opened.targets?.[1] ?? null,
+          t3: opened.targets?.[2] ?? null
+        },
+        signalId: opened.signalId,
+        notes: 'Paper trade',
+        tags: ['paper']
+      });
+    }
+  } catch (error) {
+    console.error('Error recording paper trade in journal:', error.message);
+  }
+}
+
+/**
+ * Place a market order that flattens a position
+ */
+export function closePosition(ticker) {
+  const position = loadAccount().positions[ticker.toUpperCase()];
+  if (!position) throw new Error(`No open position in ${ticker.toUpperCase()}`);
+
+  return placeOrder({
+    ticker: position.ticker,
+    side: position.quantity > 0 ? 'SELL' : 'BUY',
+    type: 'MARKET',
+    quantity: Math.abs(position.quantity),
+    signalId: position.signalId,
+    note: 'Close position'
+  });
+}
+
+/**
+ * Orders, newest first
+ * @param {Object} filters - { status, ticker, limit }
+ */
+export function getOrders({ status = null, ticker = null, limit = 100 } = {}) {
+  let orders = loadAccount().orders;
+  if (status) orders = orders.filter(o => o.status === status.toUpperCase());
+  if (ticker) orders = orders.filter(o => o.ticker === ticker.toUpperCase());
+  return orders.slice().reverse().slice(0, limit);
+}
+
+/**
+ * Fills, newest first
+ */
+export function getFills(limit = 100) {
+  return loadAccount().fills.slice().reverse().slice(0, limit);
+}
+
+/**
+ * Open positions marked at their last seen price
+ */
+export function getPositions() {
+  return Object.values(loadAccount().positions).map(p => ({
+    ...p,
+    marketValue: p.quantity * p.lastPrice,
+    unrealizedPnl: (p.lastPrice - p.avgPrice) * p.quantity,
+    unrealizedPnlPercent: ((p.lastPrice - p.avgPrice) / p.avgPrice) * 100 * Math.sign(p.quantity)
+  }));
+}
+
+/**
+ * Account summary: cash, equity, P&L and open order count
+ */
+export function getAccountSummary() {
+  const account = loadAccount();
+  const positions = getPositions();
+  const marketValue = positions.reduce((sum, p) => sum + p.marketValue, 0);
+  const unrealizedPnl = positions.reduce((sum, p) => sum + p.unrealizedPnl, 0);
+  const equity = account.cash + marketValue;
+
+  return {
+    startingCash: account.settings.startingCash,
+    cash: account.cash,
+    marketValue,
+    equity,
+    realizedPnl: account.realizedPnl,
+    unrealizedPnl,
+    commissionPaid: account.commissionPaid,
+    totalReturn: ((equity - account.settings.startingCash) / account.settings.startingCash) * 100,
+    positions: positions.length,
+    workingOrders: account.orders.filter(o => o.status === 'OPEN' || o.status === 'PENDING').length,
+    settings: account.settings
+  };
+}
+
+/**
+ * Change slippage and commission settings
+ * @param {Object} updates - { slippageBps, commissionPerShare, minCommission }
+ */
+export function updateBrokerSettings(updates = {}) {
+  const allowed = ['slippageBps', 'commissionPerShare', 'minCommission'];
+
+  for (const key of allowed) {
+    if (updates[key] !== undefined && !(Number(updates[key]) >= 0)) {
+      throw new Error(`${key} must be a number >= 0`);
+    }
+  }
+
+  const account = updateStore('paper-broker', account => {
+    for (const key of allowed) {
+      if (updates[key] !== undefined) account.settings[key] = Number(updates[key]);
+    }
+  });
+
+  return account.settings;
+}
+
+/**
+ * Start over with a fresh account (orders, positions and fills are discarded)
+ */
+export function resetAccount(startingCash = null) {
+  const settings = { ...loadAccount().settings };
+  if (startingCash !== null) {
+    if (!(startingCash > 0)) throw new Error('startingCash must be positive');
+    settings.startingCash = startingCash;
+  }
+
+  updateStore('paper-broker', () => emptyAccount(settings));
+  console.log(`🗑️ Paper account reset to $${settings.startingCash.toLocaleString()}`);
+  return getAccountSummary();
+}
@@ -1,12 +1,8 @@
 // Performance Tracking and Analytics
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
+import { defineStore, readStore, writeStore, storeExists } from './storage.js';
 import { loadSignals } from './signals.js';
 
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = join(__dirname, '..', 'data');
-const PERFORMANCE_FILE = join(DATA_DIR, 'performance.json');
+defineStore('performance', { file: 'performance.json', version: 1, defaultValue: null });
 
 /**
  * Calculate performance metrics from signals
@@ -188,7 +184,7 @@ function calculateByCategory(signals, category) {
  */
 function savePerformance(performance) {
   try {
-    writeFileSync(PERFORMANCE_FILE, JSON.stringify(performance, null, 2), 'utf8');
+    writeStore('performance', performance);
   } catch (error) {
     console.error('Error saving performance:', error.message);
   }
@@ -198,13 +194,12 @@ function savePerformance(performance) {
  * Load performance from disk
  */
 export function loadPerformance() {
-  if (!existsSync(PERFORMANCE_FILE)) {
+  if (!storeExists('performance')) {
     return calculatePerformance();
   }
   
   try {
-    const data = readFileSync(PERFORMANCE_FILE, 'utf8');
-    return JSON.parse(data);
+    return readStore('performance') || calculatePerformance();
   } catch (error) {
     console.error('Error loading performance:', error.message);
     return calculatePerformance();
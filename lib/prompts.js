@@ -0,0 +1,197 @@
+// Prompt Templates - versioned analysis prompts stored as files, plus A/B experiments
+// Each file in the prompts directory (KLAW_PROMPTS_DIR, default ./prompts) is one template:
+// prompts/v1.txt is the template named "v1". Templates use {{symbol}}, {{snapshot}},
+// {{technicals}} and {{multiTimeframe}} placeholders, filled by buildAnalysisPrompt().
+// A template's version id is its name plus a hash of its text ("v1@3f9a0c2e"), so editing a
+// file produces a new version. The id is stamped on every analysis and signal, and
+// signal-performance reports hit rate, expectancy and calibration per version.
+// An experiment splits analyses across two or more templates, by ticker (each ticker always
+// gets the same variant) or by run (each batch analysis uses the next variant in turn).
+import { readdirSync, readFileSync, statSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+import { defineStore, readStore, updateStore } from './storage.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const PROMPTS_DIR = process.env.KLAW_PROMPTS_DIR || join(__dirname, '..', 'prompts');
+export const EXPERIMENT_SPLITS = ['ticker', 'run'];
+
+const REQUIRED_PLACEHOLDERS = ['symbol', 'technicals'];
+const TEMPLATES = new Map(); // name -> { mtimeMs, template }
+
+defineStore('prompt-experiments', { file: 'prompt-experiments.json', version: 1, defaultValue: { active: null, past: [] } });
+
+/**
+ * Name of the template used outside experiments
+ */
+export function getDefaultPromptName() {
+  return process.env.KLAW_PROMPT || 'v1';
+}
+
+/**
+ * Load a template by name (re-read when the file changes)
+ * @returns {Object} { name, version, text, placeholders, file }
+ */
+export function getPromptTemplate(name = getDefaultPromptName()) {
+  if (!/^[\w.-]+$/.test(name)) {
+    throw new Error(`Invalid prompt name: ${name}`);
+  }
+
+  const file = join(PROMPTS_DIR, `${name}.txt`);
+  if (!existsSync(file)) {
+    throw new Error(`Prompt template "${name}" not found in ${PROMPTS_DIR}`);
+  }
+
+  const { mtimeMs } = statSync(file);
+  const cached = TEMPLATES.get(name);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.template;
+
+  const text = readFileSync(file, 'utf8').replace(/\r\n/g, '\n').replace(/\n$/, '');
+  const placeholders = [...new Set([...text.matchAll(/\{\{(\w+)\}\}/g)].map(m => m[1]))];
+  const missing = REQUIRED_PLACEHOLDERS.filter(p => !placeholders.includes(p));
+  if (missing.length > 0) {
+    throw new Error(`Prompt template "${name}" is missing ${missing.map(p => `{{${p}}}`).join(', ')}`);
+  }
+
+  const template = {
+    name,
+    version: `${name}@${createHash('sha256').update(text).digest('hex').slice(0, 8)}`,
+    text,
+    placeholders,
+    file
+  };
+
+  TEMPLATES.set(name, { mtimeMs, template });
+  return template;
+}
+
+/**
+ * Fill a template's placeholders (unknown placeholders are left as they are)
+ */
+export function renderPrompt(template, values) {
+  return template.text.replace(/\{\{(\w+)\}\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+}
+
+/**
+ * List the templates in the prompts directory
+ */
+export function listPromptTemplates() {
+  if (!existsSync(PROMPTS_DIR)) return [];
+
+  return readdirSync(PROMPTS_DIR)
+    .filter(f => f.endsWith('.txt'))
+    .sort()
+    .map(f => {
+      const name = f.replace(/\.txt$/, '');
+      try {
+        const { version, placeholders } = getPromptTemplate(name);
+        return { name, version, placeholders, default: name === getDefaultPromptName() };
+      } catch (error) {
+        return { name, error: error.message };
+      }
+    });
+}
+
+// Experiments
+
+/**
+ * Active experiment and past ones
+ */
+export function getExperiments() {
+  try {
+    return readStore('prompt-experiments');
+  } catch (error) {
+    console.error('Failed to load prompt experiments:', error.message);
+    return { active: null, past: [] };
+  }
+}
+
+/**
+ * Start an experiment (ends the active one)
+ * @param {Object} input - { name, variants: ['v1', 'v2'], split: 'ticker' | 'run' }
+ */
+export function startExperiment({ name, variants, split = 'ticker' } = {}) {
+  if (!Array.isArray(variants) || new Set(variants).size < 2) {
+    throw new Error('An experiment needs at least two different prompt variants');
+  }
+  if (!EXPERIMENT_SPLITS.includes(split)) {
+    throw new Error(`Invalid split: ${split} (use ${EXPERIMENT_SPLITS.join(', ')})`);
+  }
+
+  const versions = Object.fromEntries(variants.map(v => [v, getPromptTemplate(v).version])); // Throws on unknown templates
+  const experiment = {
+    id: `exp_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`,
+    name: name || variants.join(' vs '),
+    variants,
+    versions,
+    split,
+    runs: 0,
+    startedAt: Date.now()
+  };
+
+  updateStore('prompt-experiments', data => {
+    if (data.active) data.past.unshift({ ...data.active, endedAt: Date.now() });
+    data.active = experiment;
+  });
+
+  console.log(`🧪 Prompt experiment "${experiment.name}" started (${variants.join(', ')} by ${split})`);
+  return experiment;
+}
+
+/**
+ * End the active experiment
+ * @returns {Object|null} The ended experiment
+ */
+export function stopExperiment() {
+  let ended = null;
+
+  updateStore('prompt-experiments', data => {
+    if (!data.active) return;
+    ended = { ...data.active, endedAt: Date.now() };
+    data.past.unshift(ended);
+    data.active = null;
+  });
+
+  return ended;
+}
+
+/**
+ * Begin an analysis run; under a run-split experiment, picks the variant for the whole run
+ * @returns {Object|null} { experiment, variant } or null outside run-split experiments
+ */
+export function startExperimentRun() {
+  const { active } = getExperiments();
+  if (!active || active.split !== 'run') return null;
+
+  let run = null;
+  updateStore('prompt-experiments', data => {
+    if (!data.active || data.active.id !== active.id) return;
+    run = { experiment: data.active.id, variant: data.active.variants[data.active.runs % data.active.variants.length] };
+    data.active.runs++;
+  });
+
+  return run;
+}
+
+/**
+ * Template for one analysis: an explicit name, else the active experiment's assignment, else the default
+ * @param {string} ticker - Ticker being analyzed
+ * @param {Object} options - { prompt: explicit template name, run: result of startExperimentRun() }
+ * @returns {Object} { template, experiment }
+ */
+export function selectPrompt(ticker, { prompt = null, run = null } = {}) {
+  if (prompt) return { template: getPromptTemplate(prompt), experiment: null };
+
+  const { active } = getExperiments();
+  if (!active) return { template: getPromptTemplate(), experiment: null };
+
+  if (active.split === 'ticker') {
+    const hash = createHash('sha256').update(`${active.id}:${ticker}`).digest();
+    const variant = active.variants[hash.readUInt32BE(0) % active.variants.length];
+    return { template: getPromptTemplate(variant), experiment: active.id };
+  }
+
+  const assigned = run && run.experiment === active.id ? run : startExperimentRun();
+  return { template: getPromptTemplate(assigned.variant), experiment: active.id };
+}
@@ -0,0 +1,75 @@
+// OHLCV helpers shared by market data providers
+
+/**
+ * Drop bars without a close and normalize field types (split/dividend flags are kept)
+ */
+export function cleanBars(bars) {
+  return (bars || [])
+    .filter(b => b && b.close !== null && b.close !== undefined && !Number.isNaN(b.close))
+    .map(b => ({
+      timestamp: b.timestamp,
+      open: b.open ?? b.close,
+      high: b.high ?? b.close,
+      low: b.low ?? b.close,
+      close: b.close,
+      volume: b.volume ?? 0,
+      ...(b.split ? { split: b.split } : {}),
+      ...(b.dividend ? { dividend: b.dividend } : {})
+    }));
+}
+
+/**
+ * Build the market data object the rest of the terminal expects from a series of daily bars
+ * @param {string} ticker - Provider symbol
+ * @param {Array} bars - Daily OHLCV bars (oldest first)
+ * @param {Object} overrides - Live quote fields that take precedence (price, previousClose, dayHigh...)
+ */
+export function summarizeBars(ticker, bars, overrides = {}) {
+  const historicalData = cleanBars(bars);
+  if (historicalData.length === 0) return null;
+
+  const latest = historicalData[historicalData.length - 1];
+  const previous = historicalData[historicalData.length - 2] || latest;
+
+  const currentPrice = overrides.price || latest.close;
+  const previousClose = overrides.previousClose || previous.close;
+  const change = currentPrice - previousClose;
+  const changePercent = (change / previousClose) * 100;
+
+  const high52w = Math.max(...historicalData.map(d => d.high));
+  const low52w = Math.min(...historicalData.map(d => d.low));
+
+  const volumes = historicalData.map(d => d.volume).slice(-20);
+  const avgVolume = volumes.reduce((a, b) => a + b, 0) / volumes.length;
+  const currentVolume = latest.volume;
+
+  return {
+    source: overrides.source || 'unknown',
+    ticker,
+    price: currentPrice,
+    change,
+    changePercent,
+    volume: currentVolume,
+    avgVolume,
+    volumeRatio: currentVolume / avgVolume,
+    dayRange: {
+      low: overrides.dayLow || latest.low,
+      high: overrides.dayHigh || latest.high
+    },
+    range52w: { low: low52w, high: high52w },
+    historicalData,
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Convert a Yahoo-style range string (5d, 1mo, 1y, max) into seconds
+ */
+export function rangeToSeconds(range) {
+  const match = /^(\d+)(d|wk|mo|y)$/.exec(range || '');
+  if (!match) return Infinity;
+
+  const value = parseInt(match[1]);
+  const unit = { d: 86400, wk: 7 * 86400, mo: 30 * 86400, y: 365 * 86400 }[match[2]];
+  return value * unit;
+}
@@ -0,0 +1,136 @@
+// Local file provider - reads recorded OHLCV bars and option chains from a fixtures directory
+//
+// Layout (one folder per symbol):
+//   <dir>/SPY/1d.csv | 1d.json      daily bars (also 1h, 15m...)
+//   <dir>/SPY/options.json          nearest-expiry chain (fetchOptionsChain format)
+//   <dir>/SPY/options-<date>.json   chain for a specific expiration (unix seconds)
+// CSV columns: timestamp (unix seconds or ISO date), open, high, low, close, volume
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { summarizeBars, cleanBars, rangeToSeconds } from './bars.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_FIXTURES_DIR = process.env.KLAW_FIXTURES_DIR || join(__dirname, '..', '..', 'data', 'fixtures');
+
+/**
+ * Parse a CSV of OHLCV bars
+ */
+function parseBarsCSV(text) {
+  const lines = text.trim().split(/\r?\n/);
+  const headers = lines.shift().split(',').map(h => h.trim().toLowerCase());
+  const col = name => headers.findIndex(h => h === name || (name === 'timestamp' && (h === 'date' || h === 'time')));
+
+  const idx = {
+    timestamp: col('timestamp'),
+    open: col('open'),
+    high: col('high'),
+    low: col('low'),
+    close: col('close'),
+    volume: col('volume')
+  };
+
+  if (idx.timestamp === -1 || idx.close === -1) {
+    throw new Error('CSV must have timestamp/date and close columns');
+  }
+
+  return lines.filter(l => l.trim()).map(line => {
+    const cells = line.split(',');
+    const num = key => idx[key] === -1 ? null : parseFloat(cells[idx[key]]);
+    const rawTs = cells[idx.timestamp].trim();
+
+    return {
+      timestamp: /^\d+$/.test(rawTs) ? parseInt(rawTs) : Math.floor(Date.parse(rawTs) / 1000),
+      open: num('open'),
+      high: num('high'),
+      low: num('low'),
+      close: num('close'),
+      volume: num('volume')
+    };
+  });
+}
+
+/**
+ * Create a file provider rooted at a directory
+ */
+export function createFileProvider(dir = DEFAULT_FIXTURES_DIR) {
+  const symbolDir = symbol => join(dir, symbol.toUpperCase());
+
+  const readBars = (symbol, interval) => {
+    const jsonFile = join(symbolDir(symbol), `${interval}.json`);
+    const csvFile = join(symbolDir(symbol), `${interval}.csv`);
+
+    try {
+      if (existsSync(jsonFile)) {
+        const data = JSON.parse(readFileSync(jsonFile, 'utf8'));
+        return cleanBars(Array.isArray(data) ? data : data.bars);
+      }
+      if (existsSync(csvFile)) {
+        return cleanBars(parseBarsCSV(readFileSync(csvFile, 'utf8')));
+      }
+    } catch (error) {
+      console.error(`Fixture read error for ${symbol} ${interval}:`, error.message);
+    }
+    return null;
+  };
+
+  const fetchBars = async (symbol, { interval = '1d', range = '1y' } = {}) => {
+    const bars = readBars(symbol, interval);
+    if (!bars || bars.length === 0) return null;
+
+    // Trim to the requested range, measured back from the last recorded bar
+    const cutoff = bars[bars.length - 1].timestamp - rangeToSeconds(range);
+    return bars.filter(b => b.timestamp >= cutoff);
+  };
+
+  return {
+    name: 'file',
+    description: `Recorded fixtures from ${dir}`,
+    dir,
+    local: true,
+    fetchMarketData: async (symbol) => {
+      const bars = await fetchBars(symbol, { interval: '1d', range: '1y' });
+      return bars ? summarizeBars(symbol, bars, { source: 'file' }) : null;
+    },
+    fetchBars,
+    fetchOptionsChain: async (symbol, { date } = {}) => {
+      const file = join(symbolDir(symbol), date ? `options-${date}.json` : 'options.json');
+      if (!existsSync(file)) return null;
+
+      try {
+        const chain = JSON.parse(readFileSync(file, 'utf8'));
+        return { ...chain, ticker: symbol, timestamp: Date.now() };
+      } catch (error) {
+        console.error(`Fixture options read error for ${symbol}:`, error.message);
+        return null;
+      }
+    }
+  };
+}
+
+/**
+ * Write bars to the fixtures directory (used to record sessions for offline replay)
+ */
+export function writeBarsFixture(symbol, interval, bars, dir = DEFAULT_FIXTURES_DIR) {
+  const target = join(dir, symbol.toUpperCase());
+  if (!existsSync(target)) mkdirSync(target, { recursive: true });
+
+  const file = join(target, `${interval}.json`);
+  writeFileSync(file, JSON.stringify(bars, null, 2));
+  return file;
+}
+
+/**
+ * Write an option chain to the fixtures directory
+ */
+export function writeOptionsFixture(symbol, chain, date = null, dir = DEFAULT_FIXTURES_DIR) {
+  const target = join(dir, symbol.toUpperCase());
+  if (!existsSync(target)) mkdirSync(target, { recursive: true });
+
+  const file = join(target, date ? `options-${date}.json` : 'options.json');
+  const { expirationDates, strikes, options } = chain;
+  writeFileSync(file, JSON.stringify({ expirationDates, strikes, options }, null, 2));
+  return file;
+}
+
+export default createFileProvider();
@@ -0,0 +1,62 @@
+// Google Finance provider - quote-only scrape used as a fallback
+import * as cheerio from 'cheerio';
+import { queuedFetch } from '../fetch-queue.js';
+
+const GOOGLE_BASE = 'https://www.google.com/finance/quote';
+
+/**
+ * Fetch from Google Finance (scraping)
+ */
+export async function fetchGoogle(tickerCode) {
+  if (!tickerCode) return null;
+
+  try {
+    const url = `${GOOGLE_BASE}/${tickerCode}`;
+    const response = await queuedFetch(url, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
+      }
+    });
+
+    if (!response.ok) return null;
+
+    const html = await response.text();
+    const $ = cheerio.load(html);
+
+    // Extract price from Google Finance page structure
+    const priceText = $('div[class*="YMlKec fxKbKc"]').first().text().trim();
+    const price = parseFloat(priceText.replace(/[^0-9.]/g, ''));
+
+    // Extract change
+    const changeText = $('div[class*="JwB6zf"]').first().text().trim();
+    const changeMatch = changeText.match(/([-+]?[0-9.]+).*\(([-+]?[0-9.]+)%\)/);
+
+    let change = 0;
+    let changePercent = 0;
+
+    if (changeMatch) {
+      change = parseFloat(changeMatch[1]);
+      changePercent = parseFloat(changeMatch[2]);
+    }
+
+    if (isNaN(price)) return null;
+
+    return {
+      source: 'google',
+      ticker: tickerCode.split(':')[0],
+      price: price,
+      change: change,
+      changePercent: changePercent,
+      timestamp: Date.now()
+    };
+  } catch (error) {
+    console.error(`Google fetch error for ${tickerCode}:`, error.message);
+    return null;
+  }
+}
+
+export default {
+  name: 'google',
+  description: 'Google Finance quote page (price and change only, no history)',
+  fetchMarketData: (symbol) => fetchGoogle(symbol)
+};
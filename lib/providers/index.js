@@ -0,0 +1,77 @@
+// Market Data Provider Registry
+//
+// A provider is an object with a `name` and any of:
+//   fetchMarketData(symbol)                       -> quote + daily historicalData
+//   fetchBars(symbol, { interval, range })        -> OHLCV bars (oldest first)
+//   fetchOptionsChain(symbol, { date })           -> { expirationDates, strikes, options }
+//   latestQuote(symbol)                           -> { price, previousClose, dayHigh, dayLow } seen with the last bars
+// Remote bar providers are cached in the on-disk history store; set `local: true` to skip it.
+// Each watchlist entry can pick one with `provider: 'file'` (and optionally `fallback`),
+// otherwise KLAW_DATA_PROVIDER or the default Yahoo → Google chain is used.
+import yahooProvider from './yahoo.js';
+import googleProvider from './google.js';
+import fileProvider from './file.js';
+
+const PROVIDERS = new Map();
+const DEFAULT_CHAIN = ['yahoo', 'google'];
+
+/**
+ * Register a market data provider (replaces any provider with the same name)
+ */
+export function registerProvider(provider) {
+  if (!provider || !provider.name) {
+    throw new Error('Provider must have a name');
+  }
+  if (!provider.fetchMarketData && !provider.fetchBars && !provider.fetchOptionsChain) {
+    throw new Error(`Provider ${provider.name} implements no fetch methods`);
+  }
+
+  PROVIDERS.set(provider.name, provider);
+  return provider;
+}
+
+/**
+ * Get a registered provider by name
+ */
+export function getProvider(name) {
+  return PROVIDERS.get(name) || null;
+}
+
+/**
+ * List registered providers and their capabilities
+ */
+export function listProviders() {
+  return Array.from(PROVIDERS.values()).map(p => ({
+    name: p.name,
+    description: p.description || '',
+    capabilities: {
+      quotes: !!p.fetchMarketData,
+      bars: !!p.fetchBars,
+      options: !!p.fetchOptionsChain
+    }
+  }));
+}
+
+/**
+ * Resolve the ordered list of providers to try for a ticker config
+ */
+export function resolveProviderChain(config = {}) {
+  if (config.provider) {
+    return [config.provider, ...(config.fallback || [])];
+  }
+  if (process.env.KLAW_DATA_PROVIDER) {
+    return process.env.KLAW_DATA_PROVIDER.split(',').map(p => p.trim()).filter(Boolean);
+  }
+  return DEFAULT_CHAIN;
+}
+
+/**
+ * Symbol a provider should be asked for (e.g. config.google = 'SPY:NYSEARCA')
+ */
+export function getProviderSymbol(config = {}, providerName, ticker) {
+  return config.symbols?.[providerName] || config[providerName] || ticker;
+}
+
+registerProvider(yahooProvider);
+registerProvider(googleProvider);
+registerProvider(fileProvider);
@@ -0,0 +1,142 @@
+// Yahoo Finance provider - quotes, OHLCV history and option chains
+import { summarizeBars } from './bars.js';
+import { queuedFetch } from '../fetch-queue.js';
+
+const YAHOO_CHART_BASE = 'https://query1.finance.yahoo.com/v8/finance/chart';
+const YAHOO_OPTIONS_BASE = 'https://query1.finance.yahoo.com/v7/finance/options';
+
+// Live quote fields from the latest chart response per symbol (laid over stored daily bars)
+const LIVE_QUOTES = new Map();
+
+/**
+ * Mark split (ratio, e.g. 4 for 4:1) and dividend (cash amount) events on the bar they fall on
+ */
+function flagEvents(bars, events) {
+  if (!events || bars.length === 0) return;
+
+  const barFor = ts => bars.find(b => b.timestamp >= ts) || null;
+
+  Object.values(events.splits || {}).forEach(s => {
+    const bar = barFor(s.date);
+    if (bar && s.denominator) bar.split = s.numerator / s.denominator;
+  });
+
+  Object.values(events.dividends || {}).forEach(d => {
+    const bar = barFor(d.date);
+    if (bar) bar.dividend = d.amount;
+  });
+}
+
+/**
+ * Fetch a chart (meta + OHLCV bars) from Yahoo Finance
+ */
+export async function fetchChart(ticker, interval = '1d', range = '1y') {
+  if (!ticker) return null;
+
+  try {
+    const url = `${YAHOO_CHART_BASE}/${ticker}?interval=${interval}&range=${range}&events=div%2Csplits`;
+    const response = await queuedFetch(url, {
+      headers: { 'User-Agent': 'Mozilla/5.0' }
+    });
+
+    if (!response.ok) return null;
+
+    const data = await response.json();
+    const result = data.chart?.result?.[0];
+
+    if (!result) return null;
+
+    const meta = result.meta;
+    const quote = result.indicators?.quote?.[0];
+    const timestamps = result.timestamp;
+
+    if (!meta || !quote || !timestamps) return null;
+
+    LIVE_QUOTES.set(ticker, {
+      price: meta.regularMarketPrice,
+      previousClose: meta.regularMarketPreviousClose ?? meta.previousClose,
+      dayHigh: meta.regularMarketDayHigh,
+      dayLow: meta.regularMarketDayLow
+    });
+
+    const bars = timestamps.map((ts, i) => ({
+      timestamp: ts,
+      open: quote.open[i],
+      high: quote.high[i],
+      low: quote.low[i],
+      close: quote.close[i],
+      volume: quote.volume[i]
+    })).filter(d => d.close !== null);
+
+    flagEvents(bars, result.events);
+
+    return { meta, bars };
+  } catch (error) {
+    console.error(`Yahoo ${interval} fetch error for ${ticker}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Fetch from Yahoo Finance
+ */
+export async function fetchYahoo(ticker) {
+  const chart = await fetchChart(ticker, '1d', '1y');
+  if (!chart) return null;
+
+  const { meta, bars } = chart;
+
+  return summarizeBars(ticker, bars, {
+    source: 'yahoo',
+    price: meta.regularMarketPrice,
+    previousClose: meta.chartPreviousClose,
+    dayHigh: meta.regularMarketDayHigh,
+    dayLow: meta.regularMarketDayLow
+  });
+}
+
+/**
+ * Fetch options chain from Yahoo Finance
+ * @param {string} ticker - Yahoo symbol
+ * @param {number} date - Optional expiration (unix seconds); defaults to the nearest
+ */
+export async function fetchYahooOptions(ticker, date = null) {
+  if (!ticker) return null;
+
+  try {
+    const url = `${YAHOO_OPTIONS_BASE}/${ticker}${date ? `?date=${date}` : ''}`;
+    const response = await queuedFetch(url, {
+      headers: { 'User-Agent': 'Mozilla/5.0' }
+    });
+
+    if (!response.ok) return null;
+
+    const data = await response.json();
+    const result = data.optionChain?.result?.[0];
+
+    if (!result) return null;
+
+    return {
+      ticker: ticker,
+      expirationDates: result.expirationDates,
+      strikes: result.strikes,
+      options: result.options,
+      timestamp: Date.now()
+    };
+  } catch (error) {
+    console.error(`Options chain error for ${ticker}:`, error.message);
+    return null;
+  }
+}
+
+export default {
+  name: 'yahoo',
+  description: 'Yahoo Finance chart and options APIs',
+  fetchMarketData: (symbol) => fetchYahoo(symbol),
+  fetchBars: async (symbol, { interval = '1d', range = '1y' } = {}) => {
+    const chart = await fetchChart(symbol, interval, range);
+    return chart ? chart.bars : null;
+  },
+  fetchOptionsChain: (symbol, { date } = {}) => fetchYahooOptions(symbol, date),
+  latestQuote: (symbol) => LIVE_QUOTES.get(symbol) || null
+};
@@ -303,8 +303,9 @@ export function analyzeSignalRisk(signal, accountSize, riskPercent = 1) {
   const rr2 = Math.abs(t2Return / stopReturn);
   const rr3 = Math.abs(t3Return / stopReturn);
   
-  // Expected value calculation (assuming 60% win rate for high confidence, 45% for low)
-  const estimatedWinRate = confidence >= 7 ? 0.6 : confidence >= 5 ? 0.5 : 0.45;
+  // Expected value calculation (calibrated win rate when enabled, else 60% for high confidence, 45% for low)
+  const estimatedWinRate = signal.calibration?.useForSizing ? signal.calibration.probability :
+                           confidence >= 7 ? 0.6 : confidence >= 5 ? 0.5 : 0.45;
   const avgTarget = (t1Profit + t2Profit + t3Profit) / 3;
   const expectedValue = (avgTarget * estimatedWinRate) + (stopLossAmount * (1 - estimatedWinRate));
   
@@ -326,6 +327,15 @@ export function analyzeSignalRisk(signal, accountSize, riskPercent = 1) {
   };
 }
 
+/**
+ * Risk % from a calibrated win probability; negative expected R gets a token size
+ * (a missing expected R is no estimate, not a negative one, and sizes by probability alone)
+ */
+function calibratedRiskPercent({ probability, expectedR }) {
+  if (typeof expectedR === 'number' && expectedR < 0) return 0.5;
+  return probability >= 0.6 ? 2.0 : probability >= 0.5 ? 1.5 : 1.0;
+}
+
 /**
  * Generate detailed position sizing recommendations for a signal
  * @param {object} signal - AI signal with entry, stopLoss, targets, confidence, positionSizing
@@ -342,8 +352,10 @@ export function generatePositionSizingRecommendations(signal, accountSize = 1000
     };
   }
   
-  // Get recommended risk % from AI or use confidence-based defaults
-  const riskPercent = positionSizing?.recommendedRiskPercent || 
+  // Calibrated win probability and expected R when enabled (lib/calibration.js), else the AI's
+  // recommended risk % or confidence-based defaults
+  const riskPercent = signal.calibration?.useForSizing ? calibratedRiskPercent(signal.calibration) :
+                      positionSizing?.recommendedRiskPercent || 
                       (confidence >= 8 ? 2.0 : confidence >= 6 ? 1.5 : 1.0);
   
   // Calculate full position size
@@ -374,6 +386,7 @@ export function generatePositionSizingRecommendations(signal, accountSize = 1000
   return {
     accountSize,
     riskPercent,
+    sizedByCalibration: !!signal.calibration?.useForSizing,
     riskAmount: fullPosition.riskAmount,
     fullPosition: {
       shares: fullPosition.shares,
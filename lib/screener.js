@@ -0,0 +1,376 @@
+// Screener - server-side query engine over every ticker's technicals, plus saved screens
+// A query is a filter (expression text or condition tree, see lib/conditions.js), optional
+// sort keys, an optional ranking (weighted percentile score over fields), the columns to return
+// and a limit. Saved screens keep a query under a name; a screen with a schedule is re-run
+// periodically and notifies when tickers enter it.
+import { defineStore, readStore, updateStore } from './storage.js';
+import { fetchAllTickers } from './market-data.js';
+import { analyzeMarketData } from './technicals.js';
+import { detectMarketRegime } from './market-regime.js';
+import {
+  buildConditionContext,
+  evaluateCondition,
+  validateCondition,
+  parseConditionExpression,
+  describeCondition,
+  collectFields,
+  getFieldValue,
+  hasField,
+  listConditionFields
+} from './conditions.js';
+import { notify } from './notifications.js';
+
+export const DEFAULT_COLUMNS = ['price', 'changePercent', 'volumeRatio', 'rsi', 'adx.adx', 'trend'];
+
+const MIN_SCHEDULE_MINUTES = 1;
+
+defineStore('screens', { file: 'screens.json', version: 1, defaultValue: [] });
+
+/**
+ * Normalize a filter (expression string, condition tree or empty for "everything")
+ * @returns {Object|null} Condition tree
+ */
+export function parseFilter(filter) {
+  if (filter === null || filter === undefined || filter === '') return null;
+
+  const condition = typeof filter === 'string' ? parseConditionExpression(filter) : filter;
+  validateCondition(condition);
+  return condition;
+}
+
+/**
+ * Parse sort keys: "volumeRatio desc, rsi" / "-volumeRatio,rsi" / [{ field, direction }]
+ * @returns {Array} [{ field, direction: 'asc' | 'desc' }]
+ */
+export function parseSort(sort) {
+  if (!sort) return [];
+  if (Array.isArray(sort) && sort.every(s => typeof s === 'object')) {
+    return sort.map(s => ({ field: s.field, direction: s.direction === 'desc' ? 'desc' : 'asc' }));
+  }
+
+  const parts = Array.isArray(sort) ? sort : String(sort).split(',');
+  return parts.map(part => part.trim()).filter(Boolean).map(part => {
+    const [key, dir] = part.split(/\s+/);
+    if (key.startsWith('-')) return { field: key.slice(1), direction: 'desc' };
+    return { field: key, direction: (dir || '').toLowerCase() === 'desc' ? 'desc' : 'asc' };
+  });
+}
+
+/**
+ * Parse a column list ("rsi,adx.adx" or an array)
+ */
+function parseColumns(columns) {
+  if (!columns || columns.length === 0) return DEFAULT_COLUMNS;
+  return (Array.isArray(columns) ? columns : String(columns).split(',')).map(c => c.trim()).filter(Boolean);
+}
+
+/**
+ * Readable value of a field (indicator objects report their `.value`)
+ */
+function readField(context, field) {
+  const value = getFieldValue(context, field);
+  if (value && typeof value === 'object' && 'value' in value) return value.value;
+  return value;
+}
+
+/**
+ * Build the condition context of every ticker that has enough history
+ * @returns {Promise<Object>} ticker -> context
+ */
+export async function buildScreenerUniverse(marketData = null) {
+  const data = marketData || await fetchAllTickers();
+  const universe = {};
+
+  for (const [ticker, tickerData] of Object.entries(data)) {
+    if (!tickerData || !tickerData.historicalData) continue;
+
+    try {
+      const technicals = analyzeMarketData(tickerData);
+      if (!technicals) continue;
+      universe[ticker] = buildConditionContext(tickerData, technicals, detectMarketRegime(tickerData, technicals));
+    } catch (error) {
+      console.error(`Screener context error for ${ticker}:`, error.message);
+    }
+  }
+
+  return universe;
+}
+
+/**
+ * Fields available to screens, with values from one ticker
+ */
+export function listScreenerFields(universe) {
+  const [ticker, context] = Object.entries(universe)[0] || [];
+  return context ? { ticker, fields: listConditionFields(context) } : { ticker: null, fields: [] };
+}
+
+/**
+ * Reject field paths that no ticker in the universe has (misspellings would silently match nothing)
+ */
+function checkFields(fields, universe, what) {
+  const contexts = Object.values(universe);
+  if (contexts.length === 0) return;
+
+  const unknown = [...fields].filter(field => !contexts.some(context => hasField(context, field)));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown ${what} field${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')} (see /api/screener/fields)`);
+  }
+}
+
+/**
+ * Percentile of each value within its column (0 = lowest, 1 = highest); missing values get null
+ */
+function percentiles(values) {
+  const present = values.filter(v => typeof v === 'number').sort((a, b) => a - b);
+  return values.map(v => {
+    if (typeof v !== 'number') return null;
+    if (present.length === 1) return 1;
+    const below = present.filter(p => p < v).length;
+    const equal = present.filter(p => p === v).length;
+    return (below + (equal - 1) / 2) / (present.length - 1);
+  });
+}
+
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Run a screen over a universe
+ * @param {Object} query - { filter, sort, rank: { field: weight }, columns, limit }
+ *   rank weights apply to each field's percentile across the matches (negative = lower is better);
+ *   without `sort`, ranked results are ordered by score
+ * @param {Object} universe - ticker -> condition context (see buildScreenerUniverse)
+ * @returns {Object} { filter, description, columns, total, matched, results: [{ ticker, rank, score, values }] }
+ */
+export function runScreenQuery({ filter = null, sort = null, rank = null, columns = null, limit = null } = {}, universe) {
+  const condition = parseFilter(filter);
+  const sortKeys = parseSort(sort);
+  const cols = parseColumns(columns);
+
+  if (rank && (typeof rank !== 'object' || Object.values(rank).some(w => typeof w !== 'number'))) {
+    throw new Error('rank must map fields to numeric weights, e.g. { "volumeRatio": 2, "rsi": -1 }');
+  }
+  if (condition) checkFields(collectFields(condition), universe, 'filter');
+  if (rank) checkFields(Object.keys(rank), universe, 'rank');
+
+  let matches = Object.entries(universe)
+    .filter(([, context]) => !condition || evaluateCondition(condition, context))
+    .map(([ticker, context]) => ({ ticker, context }));
+
+  if (rank && Object.keys(rank).length > 0) {
+    const scores = matches.map(() => 0);
+    for (const [field, weight] of Object.entries(rank)) {
+      const pct = percentiles(matches.map(m => readField(m.context, field)));
+      pct.forEach((p, i) => { scores[i] += (p ?? 0) * weight; });
+    }
+    matches.forEach((m, i) => { m.score = Math.round(scores[i] * 1000) / 1000; });
+  }
+
+  const keys = sortKeys.length > 0 ? sortKeys : (rank ? [{ field: 'score', direction: 'desc' }] : []);
+  if (keys.length > 0) {
+    matches.sort((a, b) => {
+      for (const { field, direction } of keys) {
+        const av = field === 'score' ? a.score : readField(a.context, field);
+        const bv = field === 'score' ? b.score : readField(b.context, field);
+
+        // Missing values sort last either way
+        if (av === undefined || av === null) { if (bv !== undefined && bv !== null) return 1; continue; }
+        if (bv === undefined || bv === null) return -1;
+
+        const diff = compareValues(av, bv);
+        if (diff !== 0) return direction === 'desc' ? -diff : diff;
+      }
+      return a.ticker.localeCompare(b.ticker);
+    });
+  }
+
+  const matched = matches.length;
+  if (limit) matches = matches.slice(0, parseInt(limit));
+
+  return {
+    filter: condition,
+    description: condition ? describeCondition(condition) : 'all tickers',
+    columns: cols,
+    sort: keys,
+    total: Object.keys(universe).length,
+    matched,
+    results: matches.map((m, i) => ({
+      ticker: m.ticker,
+      rank: i + 1,
+      ...(m.score !== undefined ? { score: m.score } : {}),
+      values: Object.fromEntries(cols.map(col => [col, readField(m.context, col) ?? null]))
+    }))
+  };
+}
+
+/**
+ * Fetch market data and run a screen
+ */
+export async function runScreener(query, marketData = null) {
+  return runScreenQuery(query, await buildScreenerUniverse(marketData));
+}
+
+// Saved Screens
+
+/**
+ * Load saved screens
+ */
+export function loadScreens() {
+  try {
+    return readStore('screens');
+  } catch (error) {
+    console.error('Failed to load screens:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Validate a screen definition and fill in defaults
+ */
+function normalizeScreen(input, existing = null) {
+  const screen = { ...(existing || {}), ...input };
+
+  if (!screen.name || !String(screen.name).trim()) throw new Error('Screen needs a name');
+  parseFilter(screen.filter); // Throws on a bad expression
+
+  let schedule = screen.scheduleMinutes ?? null;
+  if (schedule !== null && schedule !== '' && schedule !== 0) {
+    schedule = parseFloat(schedule);
+    if (!(schedule >= MIN_SCHEDULE_MINUTES)) throw new Error(`scheduleMinutes must be at least ${MIN_SCHEDULE_MINUTES}`);
+  } else {
+    schedule = null;
+  }
+
+  return {
+    name: String(screen.name).trim(),
+    filter: screen.filter || '',
+    sort: screen.sort || null,
+    rank: screen.rank || null,
+    columns: screen.columns ? parseColumns(screen.columns) : null,
+    limit: screen.limit ? parseInt(screen.limit) : null,
+    scheduleMinutes: schedule,
+    notify: screen.notify ?? true,
+    priority: screen.priority || 'medium'
+  };
+}
+
+/**
+ * Save a new screen
+ * @param {Object} input - { name, filter, sort, rank, columns, limit, scheduleMinutes, notify, priority }
+ */
+export function saveScreen(input) {
+  const screen = {
+    id: `scr_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`,
+    ...normalizeScreen(input),
+    lastRunAt: null,
+    lastMatches: null,
+    createdAt: Date.now()
+  };
+
+  updateStore('screens', screens => {
+    screens.push(screen);
+  });
+
+  return screen;
+}
+
+/**
+ * Update a saved screen
+ * @returns {Object|null} Updated screen, or null if not found
+ */
+export function updateScreen(screenId, input) {
+  const existing = loadScreens().find(s => s.id === screenId);
+  if (!existing) return null;
+
+  const changes = normalizeScreen(input, existing);
+  let updated = null;
+
+  updateStore('screens', screens => {
+    const screen = screens.find(s => s.id === screenId);
+    if (!screen) return;
+    // A different filter is a different screen: start a new baseline
+    if (JSON.stringify(changes.filter) !== JSON.stringify(screen.filter)) screen.lastMatches = null;
+    Object.assign(screen, changes, { updatedAt: Date.now() });
+    updated = screen;
+  });
+
+  return updated;
+}
+
+/**
+ * Delete a saved screen
+ */
+export function deleteScreen(screenId) {
+  if (!loadScreens().some(s => s.id === screenId)) {
+    return false;
+  }
+
+  updateStore('screens', screens => screens.filter(s => s.id !== screenId));
+  return true;
+}
+
+/**
+ * Run a saved screen, record its matches and notify about tickers that entered it
+ * The first run only records a baseline (nothing "entered" yet).
+ * @returns {Object} Screen result plus { screen, entered, exited }
+ */
+export function runSavedScreen(screenId, universe) {
+  const screen = loadScreens().find(s => s.id === screenId);
+  if (!screen) return null;
+
+  // Entry is judged on every match, not only the first `limit` rows
+  const result = runScreenQuery({ ...screen, limit: null }, universe);
+  const tickers = result.results.map(r => r.ticker);
+  const previous = screen.lastMatches;
+  const entered = previous ? tickers.filter(t => !previous.includes(t)) : [];
+  const exited = previous ? previous.filter(t => !tickers.includes(t)) : [];
+
+  updateStore('screens', screens => {
+    const stored = screens.find(s => s.id === screenId);
+    if (!stored) return;
+    stored.lastRunAt = Date.now();
+    stored.lastMatches = tickers;
+    if (entered.length > 0) stored.lastEnteredAt = Date.now();
+  });
+
+  if (entered.length > 0 && screen.notify) {
+    notify(
+      `🔎 ${entered.join(', ')} entered "${screen.name}"`,
+      `${result.description} (${tickers.length} match${tickers.length === 1 ? '' : 'es'})`,
+      'screen',
+      screen.priority
+    );
+  }
+
+  if (screen.limit) result.results = result.results.slice(0, screen.limit);
+  return { ...result, screen: { ...screen, lastMatches: tickers }, entered, exited };
+}
+
+/**
+ * Run every scheduled screen that is due
+ * @returns {Promise<Array>} Results of the screens that ran
+ */
+export async function runDueScreens(now = Date.now()) {
+  const due = loadScreens().filter(s => s.scheduleMinutes &&
+    (!s.lastRunAt || now - s.lastRunAt >= s.scheduleMinutes * 60 * 1000));
+  if (due.length === 0) return [];
+
+  const universe = await buildScreenerUniverse();
+  const results = [];
+
+  for (const screen of due) {
+    try {
+      const result = runSavedScreen(screen.id, universe);
+      results.push(result);
+      if (result.entered.length > 0) {
+        console.log(`🔎 Screen "${screen.name}": ${result.entered.join(', ')} entered`);
+      }
+    } catch (error) {
+      console.error(`❌ Screen "${screen.name}" failed:`, error.message);
+    }
+  }
+
+  return results;
+}
@@ -1,32 +1,51 @@
 // Signal Performance Tracking & Analysis
 // Measures actual vs predicted outcomes for AI-generated signals
 
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
+import { defineStore, readStore, updateStore, storeExists } from './storage.js';
+import { fetchHistory } from './market-data.js';
 
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const PERFORMANCE_FILE = join(__dirname, '..', 'data', 'signal-performance.json');
+// How outcomes are resolved: interval of the bars replayed since each signal was created
+// ('1m' | '5m' | '15m' | '1h' | '1d', or 'price' for the live price only) and which side
+// wins when a single bar reaches both the stop and a target
+export const OUTCOME_INTERVALS = ['1m', '5m', '15m', '1h', '1d', 'price'];
+export const TIE_BREAKS = ['conservative', 'optimistic'];
+
+const DEFAULT_OUTCOME_SETTINGS = {
+  interval: '15m',
+  tieBreak: 'conservative'
+};
+
+const emptyPerformanceData = () => ({
+  settings: { ...DEFAULT_OUTCOME_SETTINGS },
+  signals: [],
+  stats: {
+    total: 0,
+    profitable: 0,
+    unprofitable: 0,
+    breakeven: 0,
+    avgAccuracy: 0,
+    byPattern: {},
+    byTimeframe: {},
+    byTicker: {}
+  }
+});
+
+defineStore('signal-performance', {
+  file: 'signal-performance.json',
+  version: 2,
+  defaultValue: emptyPerformanceData,
+  migrations: {
+    // v2: outcome resolution settings
+    2: data => ({ settings: { ...DEFAULT_OUTCOME_SETTINGS }, ...data })
+  }
+});
 
 /**
  * Initialize signal performance tracking
  */
 export function initializePerformanceTracking() {
-  if (!existsSync(PERFORMANCE_FILE)) {
-    const initialData = {
-      signals: [],
-      stats: {
-        total: 0,
-        profitable: 0,
-        unprofitable: 0,
-        breakeven: 0,
-        avgAccuracy: 0,
-        byPattern: {},
-        byTimeframe: {},
-        byTicker: {}
-      }
-    };
-    savePerformanceData(initialData);
+  if (!storeExists('signal-performance')) {
+    updateStore('signal-performance', data => data);
   }
 }
 
@@ -35,45 +54,70 @@ export function initializePerformanceTracking() {
  */
 function loadPerformanceData() {
   try {
-    if (!existsSync(PERFORMANCE_FILE)) {
-      initializePerformanceTracking();
-    }
-    return JSON.parse(readFileSync(PERFORMANCE_FILE, 'utf8'));
+    return readStore('signal-performance');
   } catch (error) {
     console.error('Error loading signal performance:', error);
-    return { signals: [], stats: {} };
+    return { settings: { ...DEFAULT_OUTCOME_SETTINGS }, signals: [], stats: {} };
   }
 }
 
+function getSettings(data) {
+  return { ...DEFAULT_OUTCOME_SETTINGS, ...data.settings };
+}
+
 /**
- * Save signal performance data
+ * Get outcome resolution settings ({ interval, tieBreak })
  */
-function savePerformanceData(data) {
-  try {
-    writeFileSync(PERFORMANCE_FILE, JSON.stringify(data, null, 2));
-  } catch (error) {
-    console.error('Error saving signal performance:', error);
+export function getOutcomeSettings() {
+  return getSettings(loadPerformanceData());
+}
+
+/**
+ * Change outcome resolution settings
+ * @param {Object} updates - { interval, tieBreak }
+ */
+export function updateOutcomeSettings(updates = {}) {
+  if (updates.interval !== undefined && !OUTCOME_INTERVALS.includes(updates.interval)) {
+    throw new Error(`Invalid interval: ${updates.interval} (use ${OUTCOME_INTERVALS.join(', ')})`);
+  }
+  if (updates.tieBreak !== undefined && !TIE_BREAKS.includes(updates.tieBreak)) {
+    throw new Error(`Invalid tieBreak: ${updates.tieBreak} (use ${TIE_BREAKS.join(', ')})`);
   }
+  
+  const data = updateStore('signal-performance', data => {
+    data.settings = getSettings(data);
+    if (updates.interval !== undefined) data.settings.interval = updates.interval;
+    if (updates.tieBreak !== undefined) data.settings.tieBreak = updates.tieBreak;
+  });
+  
+  return data.settings;
 }
 
 /**
  * Track a new signal for performance monitoring
+ * Accepts tracker-shaped signals (entryPrice, targetPrices) or signals from
+ * signals.js (entry, targets { t1, t2, t3 }, entryTime)
  */
 export function trackSignal(signal, currentPrice) {
-  const data = loadPerformanceData();
+  const targets = signal.targets || {};
   
   const trackedSignal = {
     id: signal.id || Date.now(),
     ticker: signal.ticker,
-    timestamp: signal.timestamp || Date.now(),
+    timestamp: signal.timestamp || signal.entryTime || Date.now(),
     direction: signal.direction,
     pattern: signal.pattern,
     timeframe: signal.timeframe,
     confidence: signal.confidence,
-    entryPrice: signal.entryPrice || currentPrice,
-    targetPrices: signal.targetPrices || [],
+    entryPrice: signal.entryPrice || signal.entry || currentPrice,
+    targetPrices: signal.targetPrices || [targets.t1, targets.t2, targets.t3].filter(Number.isFinite),
     stopLoss: signal.stopLoss,
     riskReward: signal.riskReward,
+    model: signal.model || null,
+    promptVersion: signal.promptVersion || null,
+    experiment: signal.experiment || null,
+    regime: signal.regime || null,
+    strategy: signal.strategy || null,
     status: 'ACTIVE',
     outcome: null,
     actualReturn: null,
@@ -83,8 +127,11 @@ export function trackSignal(signal, currentPrice) {
     durationHours: null
   };
   
-  data.signals.push(trackedSignal);
-  savePerformanceData(data);
+  updateStore('signal-performance', data => {
+    // Already tracked (e.g. re-processed analysis)
+    if (data.signals.some(s => s.id === trackedSignal.id)) return;
+    data.signals.push(trackedSignal);
+  });
   
   return trackedSignal.id;
 }
@@ -93,79 +140,226 @@ export function trackSignal(signal, currentPrice) {
  * Update signal outcome based on price movement
  */
 export function updateSignalOutcome(signalId, currentPrice, marketData) {
-  const data = loadPerformanceData();
-  const signal = data.signals.find(s => s.id === signalId);
+  const isActive = s => s && s.status === 'ACTIVE';
   
-  if (!signal || signal.status !== 'ACTIVE') {
+  if (!isActive(loadPerformanceData().signals.find(s => s.id === signalId))) {
     return null;
   }
   
-  const entryPrice = signal.entryPrice;
-  const currentReturn = ((currentPrice - entryPrice) / entryPrice) * 100;
-  const isLong = signal.direction === 'LONG';
-  const isShort = signal.direction === 'SHORT';
+  let signal = null;
   
-  // Check if stop loss hit
-  if (signal.stopLoss) {
-    const stopHit = isLong ? currentPrice <= signal.stopLoss : currentPrice >= signal.stopLoss;
+  updateStore('signal-performance', data => {
+    signal = data.signals.find(s => s.id === signalId);
+    if (!isActive(signal)) {
+      signal = null;
+      return;
+    }
     
-    if (stopHit) {
-      signal.status = 'CLOSED';
-      signal.outcome = 'STOP_LOSS';
-      signal.exitPrice = signal.stopLoss;
-      signal.exitReason = 'Stop Loss Hit';
-      signal.actualReturn = ((signal.stopLoss - entryPrice) / entryPrice) * 100;
-      if (isShort) signal.actualReturn = -signal.actualReturn;
-      signal.durationHours = (Date.now() - signal.timestamp) / (1000 * 60 * 60);
+    resolveSignal(signal, [], currentPrice, getSettings(data).tieBreak);
+    
+    // Recalculate stats if signal was closed
+    if (signal.status === 'CLOSED') {
+      recalculateStats(data);
     }
+  });
+  
+  return signal;
+}
+
+/**
+ * Update every active signal against the latest market data (one write per tick)
+ * @param {Object} marketData - Map of ticker -> market data with a price
+ * @param {Object} barsByTicker - Map of ticker -> OHLC bars to replay (optional)
+ * @returns {Object} { updated, closed } - closed holds signals a target, stop or expiry just closed
+ */
+export function updateActiveSignals(marketData, barsByTicker = {}) {
+  const hasData = s => s.status === 'ACTIVE' && (marketData[s.ticker]?.price || barsByTicker[s.ticker]?.length);
+  
+  if (!loadPerformanceData().signals.some(hasData)) {
+    return { updated: 0, closed: [] };
   }
   
-  // Check if targets hit
-  if (signal.targetPrices && signal.status === 'ACTIVE') {
-    for (let i = 0; i < signal.targetPrices.length; i++) {
-      const target = signal.targetPrices[i];
-      const targetHit = isLong ? currentPrice >= target : currentPrice <= target;
+  let updated = 0;
+  const closed = [];
+  
+  updateStore('signal-performance', data => {
+    const { tieBreak } = getSettings(data);
+    
+    for (const signal of data.signals.filter(hasData)) {
+      resolveSignal(signal, barsByTicker[signal.ticker] || [], marketData[signal.ticker]?.price, tieBreak);
+      updated++;
       
-      if (targetHit && !signal.hitTargets.includes(i + 1)) {
-        signal.hitTargets.push(i + 1);
-        
-        // Close on final target
-        if (i === signal.targetPrices.length - 1) {
-          signal.status = 'CLOSED';
-          signal.outcome = 'TARGET_HIT';
-          signal.exitPrice = target;
-          signal.exitReason = `Target ${i + 1} Hit`;
-          signal.actualReturn = ((target - entryPrice) / entryPrice) * 100;
-          if (isShort) signal.actualReturn = -signal.actualReturn;
-          signal.durationHours = (Date.now() - signal.timestamp) / (1000 * 60 * 60);
-        }
+      if (signal.status === 'CLOSED') {
+        closed.push(signal);
+      }
+    }
+    
+    if (closed.length > 0) {
+      recalculateStats(data);
+    }
+  });
+  
+  return { updated, closed };
+}
+
+/**
+ * Fetch bars covering every active signal and resolve them against bars and live prices
+ * Bars come from the configured outcome interval; if they can't be fetched the live
+ * price is still applied.
+ * @param {Object} marketData - Map of ticker -> market data with a price
+ * @returns {Promise<Object>} { updated, closed }
+ */
+export async function resolveActiveSignals(marketData) {
+  const { interval } = getOutcomeSettings();
+  const active = getActiveSignals();
+  const barsByTicker = {};
+  
+  if (interval !== 'price') {
+    const oldest = {};
+    for (const signal of active) {
+      oldest[signal.ticker] = Math.min(oldest[signal.ticker] ?? Infinity, signal.timestamp);
+    }
+    
+    for (const [ticker, since] of Object.entries(oldest)) {
+      try {
+        const bars = await fetchHistory(ticker, { interval, range: rangeSince(since, interval) });
+        if (bars) barsByTicker[ticker] = bars;
+      } catch (error) {
+        console.error(`Error fetching ${ticker} ${interval} bars for outcome tracking:`, error.message);
       }
     }
   }
   
-  // Auto-close signals older than timeframe threshold
-  const ageHours = (Date.now() - signal.timestamp) / (1000 * 60 * 60);
-  const maxAge = signal.timeframe === 'SCALP' ? 2 :
-                 signal.timeframe === 'INTRADAY' ? 8 :
-                 signal.timeframe === 'SWING' ? 72 : 24;
+  return updateActiveSignals(marketData, barsByTicker);
+}
+
+/**
+ * Smallest chart range reaching back to a timestamp (1m bars are only served for a week)
+ */
+function rangeSince(timestamp, interval) {
+  const days = (Date.now() - timestamp) / (24 * HOUR);
+  const range = days < 1 ? '1d' : days < 5 ? '5d' : days < 28 ? '1mo' : '3mo';
+  return interval === '1m' && range !== '1d' ? '5d' : range;
+}
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Hours a signal stays open before it expires
+ * Matches the AI's timeframes ("Scalp (minutes)", "Intraday (hours)", "Swing (days)") by their first word
+ */
+export function maxAgeHours(timeframe) {
+  const kind = String(timeframe || '').trim().split(/\s+/)[0].toUpperCase();
+  return kind === 'SCALP' ? 2 :
+         kind === 'INTRADAY' ? 8 :
+         kind === 'SWING' ? 72 : 24;
+}
+
+function closeAt(signal, outcome, price, reason, time) {
+  const change = ((price - signal.entryPrice) / signal.entryPrice) * 100;
   
-  if (ageHours > maxAge && signal.status === 'ACTIVE') {
-    signal.status = 'CLOSED';
-    signal.outcome = 'EXPIRED';
-    signal.exitPrice = currentPrice;
-    signal.exitReason = 'Timeframe Expired';
-    signal.actualReturn = currentReturn;
-    if (isShort) signal.actualReturn = -signal.actualReturn;
-    signal.durationHours = ageHours;
+  signal.status = 'CLOSED';
+  signal.outcome = outcome;
+  signal.exitPrice = price;
+  signal.exitReason = reason;
+  signal.exitTime = time;
+  signal.actualReturn = signal.direction === 'SHORT' ? -change : change;
+  signal.durationHours = (time - signal.timestamp) / HOUR;
+}
+
+/**
+ * Replay price action since a signal was created: targets, stop, expiry and MFE/MAE
+ * Bars are OHLC ({ timestamp in unix seconds }) and only those opening at or after the
+ * signal are used; the live price is appended as a final flat bar. Everything is
+ * recomputed on each call, but targets and excursions already recorded are kept.
+ * @param {Object} signal - Active tracked signal (mutated)
+ * @param {Array} bars - OHLC bars, oldest first
+ * @param {number} currentPrice - Latest price (optional)
+ * @param {string} tieBreak - 'conservative' (stop first) or 'optimistic' (targets first)
+ *                            when one bar reaches both the stop and a target
+ */
+export function resolveSignal(signal, bars = [], currentPrice = null, tieBreak = 'conservative') {
+  const entry = signal.entryPrice;
+  const dir = signal.direction === 'SHORT' ? -1 : 1;
+  const targets = signal.targetPrices || [];
+  const expiresAt = signal.timestamp + maxAgeHours(signal.timeframe) * HOUR;
+  
+  const path = bars.filter(b => b.timestamp >= Math.floor(signal.timestamp / 1000));
+  if (currentPrice) {
+    path.push({
+      timestamp: Math.floor(Date.now() / 1000),
+      open: currentPrice, high: currentPrice, low: currentPrice, close: currentPrice,
+      live: true
+    });
   }
   
-  savePerformanceData(data);
+  // (price - level) * dir >= 0 means price is at or beyond level in the trade's favour
+  const reached = (price, level) => (price - level) * dir >= 0;
+  const hitTargets = new Set(signal.hitTargets || []);
+  let best = signal.mfe?.price ?? entry;
+  let worst = signal.mae?.price ?? entry;
+  let ambiguousBars = 0;
   
-  // Recalculate stats if signal was closed
-  if (signal.status === 'CLOSED') {
-    recalculateStats();
+  for (const bar of path) {
+    const time = bar.timestamp * 1000;
+    
+    if (time >= expiresAt) {
+      closeAt(signal, 'EXPIRED', bar.open, 'Timeframe Expired', time);
+      break;
+    }
+    
+    const favorable = dir === 1 ? bar.high : bar.low;
+    const adverse = dir === 1 ? bar.low : bar.high;
+    const open = targets.map((t, i) => i + 1).filter(n => !hitTargets.has(n));
+    const finalTarget = targets.length;
+    
+    // A bar that opens through the stop fills at the open, before anything else in it
+    if (signal.stopLoss && !bar.live && reached(signal.stopLoss, bar.open)) {
+      worst = dir === 1 ? Math.min(worst, bar.open) : Math.max(worst, bar.open);
+      closeAt(signal, 'STOP_LOSS', bar.open, 'Stop Loss Hit (gap)', time);
+      break;
+    }
+    
+    // Targets the bar opened beyond happened first; the rest depend on the tie-break
+    const atOpen = open.filter(n => reached(bar.open, targets[n - 1]));
+    const inBar = open.filter(n => !atOpen.includes(n) && reached(favorable, targets[n - 1]));
+    const stopHit = signal.stopLoss && reached(signal.stopLoss, adverse);
+    
+    atOpen.forEach(n => hitTargets.add(n));
+    if (stopHit && inBar.length > 0) ambiguousBars++;
+    
+    const targetsFirst = !stopHit || tieBreak === 'optimistic';
+    if (targetsFirst) inBar.forEach(n => hitTargets.add(n));
+    
+    if (hitTargets.has(finalTarget) && finalTarget > 0 && (targetsFirst || atOpen.includes(finalTarget))) {
+      const exit = targets[finalTarget - 1];
+      best = dir === 1 ? Math.max(best, exit) : Math.min(best, exit);
+      if (!stopHit) worst = dir === 1 ? Math.min(worst, adverse) : Math.max(worst, adverse);
+      closeAt(signal, 'TARGET_HIT', exit, `Target ${finalTarget} Hit`, time);
+      break;
+    }
+    
+    if (stopHit) {
+      worst = signal.stopLoss;
+      if (targetsFirst) best = dir === 1 ? Math.max(best, favorable) : Math.min(best, favorable);
+      closeAt(signal, 'STOP_LOSS', signal.stopLoss, 'Stop Loss Hit', time);
+      break;
+    }
+    
+    best = dir === 1 ? Math.max(best, favorable) : Math.min(best, favorable);
+    worst = dir === 1 ? Math.min(worst, adverse) : Math.max(worst, adverse);
   }
   
+  signal.hitTargets = Array.from(hitTargets).sort((a, b) => a - b);
+  signal.mfe = { price: best, percent: ((best - entry) / entry) * 100 * dir };
+  signal.mae = { price: worst, percent: ((entry - worst) / entry) * 100 * dir };
+  signal.resolution = {
+    tieBreak,
+    bars: path.length,
+    ambiguousBars: Math.max(ambiguousBars, signal.resolution?.ambiguousBars || 0),
+    checkedAt: Date.now()
+  };
+  
   return signal;
 }
 
@@ -173,33 +367,95 @@ export function updateSignalOutcome(signalId, currentPrice, marketData) {
  * Manually close a signal
  */
 export function closeSignal(signalId, exitPrice, reason = 'Manual Close') {
-  const data = loadPerformanceData();
-  const signal = data.signals.find(s => s.id === signalId);
+  let signal = null;
   
-  if (!signal || signal.status !== 'ACTIVE') {
-    return null;
-  }
+  updateStore('signal-performance', data => {
+    const found = data.signals.find(s => s.id === signalId);
+    if (!found || found.status !== 'ACTIVE') return;
+    
+    signal = found;
+    signal.status = 'CLOSED';
+    signal.outcome = reason.includes('Target') ? 'TARGET_HIT' : 
+                    reason.includes('Stop') ? 'STOP_LOSS' :
+                    reason.startsWith('Superseded') ? 'SUPERSEDED' :
+                    reason.startsWith('Invalidated') ? 'INVALIDATED' : 'MANUAL_CLOSE';
+    signal.exitPrice = exitPrice;
+    signal.exitReason = reason;
+    signal.actualReturn = ((exitPrice - signal.entryPrice) / signal.entryPrice) * 100;
+    if (signal.direction === 'SHORT') signal.actualReturn = -signal.actualReturn;
+    signal.exitTime = Date.now();
+    signal.durationHours = (Date.now() - signal.timestamp) / (1000 * 60 * 60);
+    
+    recalculateStats(data);
+  });
   
-  signal.status = 'CLOSED';
-  signal.outcome = reason.includes('Target') ? 'TARGET_HIT' : 
-                  reason.includes('Stop') ? 'STOP_LOSS' : 'MANUAL_CLOSE';
-  signal.exitPrice = exitPrice;
-  signal.exitReason = reason;
-  signal.actualReturn = ((exitPrice - signal.entryPrice) / signal.entryPrice) * 100;
-  if (signal.direction === 'SHORT') signal.actualReturn = -signal.actualReturn;
-  signal.durationHours = (Date.now() - signal.timestamp) / (1000 * 60 * 60);
+  return signal;
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+/**
+ * Return in R multiples (1R = the planned distance from entry to stop), null without a stop
+ */
+export function returnInR(signal) {
+  const riskPercent = Math.abs(signal.entryPrice - signal.stopLoss) / signal.entryPrice * 100;
+  return Number.isFinite(riskPercent) && riskPercent > 0 ? signal.actualReturn / riskPercent : null;
+}
+
+/**
+ * Outcome stats for comparing prompt versions: win rate, target hit rate, expectancy and
+ * calibration (Brier score of confidence / 10 as a win probability, lower is better)
+ */
+function summarizeGroup(signals) {
+  const wins = signals.filter(s => s.actualReturn > 0);
+  const losses = signals.filter(s => s.actualReturn < 0);
+  const rMultiples = signals.map(returnInR).filter(r => r !== null);
+  const calibration = {};
   
-  savePerformanceData(data);
-  recalculateStats();
+  for (const [bucket, min, max] of [['1-3', 1, 3], ['4-6', 4, 6], ['7-10', 7, 10]]) {
+    const inBucket = signals.filter(s => s.confidence >= min && s.confidence <= max);
+    if (inBucket.length === 0) continue;
+    calibration[bucket] = {
+      total: inBucket.length,
+      predicted: average(inBucket.map(s => s.confidence * 10)),
+      actual: (inBucket.filter(s => s.actualReturn > 0).length / inBucket.length) * 100
+    };
+  }
   
-  return signal;
+  return {
+    total: signals.length,
+    profitable: wins.length,
+    winRate: (wins.length / signals.length) * 100,
+    hitRate: (signals.filter(s => s.hitTargets?.length > 0).length / signals.length) * 100,
+    avgReturn: average(signals.map(s => s.actualReturn)),
+    avgWin: average(wins.map(s => s.actualReturn)),
+    avgLoss: average(losses.map(s => s.actualReturn)),
+    expectancyR: rMultiples.length > 0 ? average(rMultiples) : null,
+    brierScore: average(signals.map(s => ((s.confidence || 0) / 10 - (s.actualReturn > 0 ? 1 : 0)) ** 2)),
+    calibration
+  };
 }
 
 /**
- * Recalculate performance statistics
+ * Group signals by a key and summarize each group (signals without the key are skipped)
  */
-function recalculateStats() {
-  const data = loadPerformanceData();
+function groupStats(signals, keyOf) {
+  const groups = {};
+  for (const signal of signals) {
+    const key = keyOf(signal);
+    if (!key) continue;
+    (groups[key] = groups[key] || []).push(signal);
+  }
+  
+  return Object.fromEntries(Object.entries(groups).map(([key, group]) => [key, summarizeGroup(group)]));
+}
+
+/**
+ * Recalculate performance statistics (updates data.stats in place)
+ */
+function recalculateStats(data) {
   const closedSignals = data.signals.filter(s => s.status === 'CLOSED');
   
   if (closedSignals.length === 0) {
@@ -218,12 +474,25 @@ function recalculateStats() {
     avgLoss: closedSignals.filter(s => s.actualReturn < 0).reduce((sum, s) => sum + s.actualReturn, 0) / 
              (closedSignals.filter(s => s.actualReturn < 0).length || 1),
     avgDuration: closedSignals.reduce((sum, s) => sum + s.durationHours, 0) / closedSignals.length,
+    // Excursions are only recorded on signals resolved since MFE/MAE tracking was added
+    avgMFE: average(closedSignals.filter(s => s.mfe).map(s => s.mfe.percent)),
+    avgMAE: average(closedSignals.filter(s => s.mae).map(s => s.mae.percent)),
     byPattern: {},
     byTimeframe: {},
     byTicker: {},
-    byConfidence: {}
+    byConfidence: {},
+    // Signals tracked before prompt versioning have no promptVersion and are left out
+    byPromptVersion: groupStats(closedSignals, s => s.promptVersion),
+    byExperiment: {},
+    // Rule-based signals (lib/strategies.js) per strategy
+    byStrategy: groupStats(closedSignals, s => s.strategy)
   };
   
+  // Each experiment's variants, compared only on the signals the experiment produced
+  for (const experiment of new Set(closedSignals.map(s => s.experiment).filter(Boolean))) {
+    stats.byExperiment[experiment] = groupStats(closedSignals.filter(s => s.experiment === experiment), s => s.promptVersion);
+  }
+  
   // Group by pattern
   for (const signal of closedSignals) {
     if (!stats.byPattern[signal.pattern]) {
@@ -316,7 +585,6 @@ function recalculateStats() {
   }
   
   data.stats = stats;
-  savePerformanceData(data);
 }
 
 /**
@@ -380,14 +648,20 @@ export function getPerformanceSummary() {
       avgWin: stats.avgWin || 0,
       avgLoss: stats.avgLoss || 0,
       avgDuration: stats.avgDuration || 0,
+      avgMFE: stats.avgMFE || 0,
+      avgMAE: stats.avgMAE || 0,
       profitFactor: Math.abs(stats.avgWin / (stats.avgLoss || -1)) || 0
     },
     active: activeSignals.length,
     recentClosed: closedSignals,
+    outcomeSettings: getOutcomeSettings(),
     bestPatterns: bestPatterns.slice(0, 5),
     byTimeframe: stats.byTimeframe || {},
     byTicker: stats.byTicker || {},
-    byConfidence: stats.byConfidence || {}
+    byConfidence: stats.byConfidence || {},
+    byPromptVersion: stats.byPromptVersion || {},
+    byExperiment: stats.byExperiment || {},
+    byStrategy: stats.byStrategy || {}
   };
 }
 
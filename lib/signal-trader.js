@@ -0,0 +1,191 @@
+// Signal Trader - turns an AI signal into a sized, scaled bracket order and a linked journal trade
+// Sizing comes from generatePositionSizingRecommendations: the initial entry and the scale-in
+// follow the signal's scaling plan, the stop covers the whole position and the position scales
+// out over T1/T2/T3. Orders go to the paper broker or come back as an order ticket to export.
+import { loadSignals, updateSignal } from './signals.js';
+import { generatePositionSizingRecommendations } from './risk-management.js';
+import { placeOrder, getAccountSummary } from './paper-broker.js';
+import { addTrade, deleteTrade } from './trade-journal.js';
+
+export const TRADE_MODES = ['paper', 'ticket'];
+
+const DEFAULT_TICKET_ACCOUNT = 10000;
+
+const round = (price) => Math.round(price * 100) / 100;
+
+/**
+ * Plan the orders for a signal without placing anything
+ * @param {Object} signal - Signal from signals.js (entry, targets, stopLoss, confidence, positionSizing)
+ * @param {Object} options - { accountSize, entryType: 'LIMIT' | 'MARKET' }
+ * @returns {Object} { sizing, order } - order is a BRACKET request for the paper broker
+ */
+export function planSignalTrade(signal, { accountSize = DEFAULT_TICKET_ACCOUNT, entryType = 'LIMIT' } = {}) {
+  if (signal.direction !== 'LONG' && signal.direction !== 'SHORT') {
+    throw new Error(`Signal direction ${signal.direction} cannot be traded`);
+  }
+
+  const sizing = generatePositionSizingRecommendations(signal, accountSize);
+  if (!sizing.canTrade) {
+    throw new Error(sizing.error || `Position size rounds to 0 shares on a $${accountSize} account`);
+  }
+
+  const isLong = signal.direction === 'LONG';
+  const { targets } = signal;
+  let initialShares = sizing.scaling.initial.shares;
+  let scaleInShares = sizing.scaling.scaleIn.shares;
+
+  // Too small to split: take the whole position up front
+  if (initialShares === 0) {
+    initialShares = sizing.fullPosition.shares;
+    scaleInShares = 0;
+  }
+
+  // Scale in on confirmation: halfway from entry to T1
+  const confirmation = round(signal.entry + (targets.t1 - signal.entry) / 2);
+
+  const takeProfits = ['t1', 't2', 't3']
+    .map(t => ({ price: sizing.exits[t].price, quantity: sizing.exits[t].shares }))
+    .filter(tp => tp.quantity > 0);
+
+  const order = {
+    type: 'BRACKET',
+    ticker: signal.ticker,
+    side: isLong ? 'BUY' : 'SELL',
+    quantity: initialShares,
+    entryType,
+    limitPrice: entryType === 'LIMIT' ? signal.entry : undefined,
+    stopLoss: signal.stopLoss,
+    takeProfits,
+    scaleIn: scaleInShares > 0 ? { type: 'STOP', price: confirmation, quantity: scaleInShares } : null,
+    signalId: signal.id
+  };
+
+  return { sizing, order };
+}
+
+/**
+ * Order ticket rows for a planned bracket, for placing the trade at a real broker
+ */
+export function buildOrderTicket(signal, order) {
+  const exitAction = order.side === 'BUY' ? 'SELL' : 'BUY';
+  const rows = [
+    {
+      leg: 'Entry',
+      action: order.side,
+      quantity: order.quantity,
+      type: order.entryType,
+      price: order.entryType === 'LIMIT' ? order.limitPrice : null,
+      condition: 'Now'
+    }
+  ];
+
+  if (order.scaleIn) {
+    rows.push({
+      leg: 'Scale-in',
+      action: order.side,
+      quantity: order.scaleIn.quantity,
+      type: order.scaleIn.type,
+      price: order.scaleIn.price,
+      condition: signal.positionSizing?.scalingPlan?.scaleIn || 'On confirmation'
+    });
+  }
+
+  rows.push({
+    leg: 'Stop loss',
+    action: exitAction,
+    quantity: order.quantity + (order.scaleIn?.quantity || 0),
+    type: 'STOP',
+    price: order.stopLoss,
+    condition: 'After entry fills; reduce as targets fill'
+  });
+
+  order.takeProfits.forEach((tp, i) => {
+    rows.push({
+      leg: `Target ${i + 1}`,
+      action: exitAction,
+      quantity: tp.quantity,
+      type: 'LIMIT',
+      price: tp.price,
+      condition: 'After entry fills'
+    });
+  });
+
+  const header = 'Leg,Ticker,Action,Quantity,Type,Price,Condition';
+  const csv = [header, ...rows.map(r =>
+    [r.leg, signal.ticker, r.action, r.quantity, r.type, r.price ?? '', `"${r.condition.replace(/"/g, '""')}"`].join(',')
+  )].join('\n');
+
+  return { ticker: signal.ticker, signalId: signal.id, rows, csv };
+}
+
+/**
+ * Trade a signal: size it, open a linked journal trade and either place the
+ * orders with the paper broker or return an order ticket
+ * @param {string} signalId - Signal id from signals.js
+ * @param {Object} options - { mode: 'paper' | 'ticket', accountSize, entryType: 'LIMIT' | 'MARKET', force }
+ *   A signal that was already traded is only traded again with force: true
+ * @returns {Object} { signal, sizing, orders | ticket, journalTrade }
+ */
+export function tradeSignal(signalId, { mode = 'paper', accountSize = null, entryType = 'LIMIT', force = false } = {}) {
+  if (!TRADE_MODES.includes(mode)) {
+    throw new Error(`Invalid mode: ${mode} (use ${TRADE_MODES.join(', ')})`);
+  }
+  if (entryType !== 'LIMIT' && entryType !== 'MARKET') {
+    throw new Error(`Invalid entryType: ${entryType} (use LIMIT, MARKET)`);
+  }
+
+  const signal = loadSignals().find(s => s.id === signalId);
+  if (!signal) throw new Error('Signal not found');
+  if (signal.status !== 'OPEN') throw new Error(`Signal is ${signal.status}`);
+  if (signal.trade && !force) {
+    throw new Error(`Signal already traded (${signal.trade.mode}, journal trade ${signal.trade.journalTradeId}) - use force to trade it again`);
+  }
+
+  const size = accountSize || (mode === 'paper' ? getAccountSummary().equity : DEFAULT_TICKET_ACCOUNT);
+  const { sizing, order } = planSignalTrade(signal, { accountSize: size, entryType });
+
+  const journalTrade = addTrade({
+    id: `${mode}_${signal.id}_${Date.now()}`,
+    ticker: signal.ticker,
+    direction: signal.direction,
+    entryDate: Date.now(),
+    entryPrice: signal.entry,
+    size: sizing.fullPosition.shares,
+    stopLoss: signal.stopLoss,
+    targets: signal.targets,
+    signalId: signal.id,
+    signalConfidence: signal.confidence,
+    pattern: signal.pattern,
+    timeframe: signal.timeframe,
+    notes: `${sizing.recommendation} ${signal.reasoning || ''}`.trim(),
+    tags: [mode, 'signal']
+  });
+
+  const result = { signal, sizing, journalTrade };
+
+  if (mode === 'paper') {
+    // Don't leave a journal trade behind for orders that were never placed
+    try {
+      result.orders = placeOrder({ ...order, journalTradeId: journalTrade.id });
+    } catch (error) {
+      deleteTrade(journalTrade.id);
+      throw error;
+    }
+  } else {
+    result.ticket = buildOrderTicket(signal, order);
+  }
+
+  updateSignal(signal.id, {
+    trade: {
+      mode,
+      accountSize: size,
+      shares: sizing.fullPosition.shares,
+      journalTradeId: journalTrade.id,
+      orderIds: result.orders ? result.orders.map(o => o.id) : [],
+      tradedAt: Date.now()
+    }
+  });
+
+  console.log(`🎯 Traded signal ${signal.id}: ${signal.direction} ${sizing.fullPosition.shares} ${signal.ticker} (${mode})`);
+  return result;
+}
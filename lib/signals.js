@@ -1,28 +1,45 @@
 // Signal Generation and Tracking
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
+// Lifecycle: a signal is OPEN until its outcome closes it (CLOSED), a newer signal in the same
+// direction replaces it (SUPERSEDED), an opposite signal or a regime change contradicts it
+// (INVALIDATED), or its timeframe runs out (EXPIRED). A same-direction signal at the same levels
+// only refreshes the open one. Every change is appended to the signal's statusHistory.
+import { defineStore, readStore, writeStore, updateStore } from './storage.js';
+import { trackSignal, closeSignal as closeTrackedSignal, maxAgeHours } from './signal-performance.js';
+import { calibrateConfidence } from './calibration.js';
 
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = join(__dirname, '..', 'data');
-const SIGNALS_FILE = join(DATA_DIR, 'signals.json');
+export const SIGNAL_STATUSES = ['OPEN', 'CLOSED', 'SUPERSEDED', 'INVALIDATED', 'EXPIRED'];
 
-// Ensure data directory exists
-if (!existsSync(DATA_DIR)) {
-  mkdirSync(DATA_DIR, { recursive: true });
-}
+// Same-direction signals whose entry and stop are this close (share of the entry) are the same setup
+const DUPLICATE_TOLERANCE = 0.005;
+
+// Regimes (detectMarketRegime().overall) that contradict an open signal in each direction
+const CONFLICTING_REGIMES = {
+  LONG: ['STRONG_BEAR_TREND', 'BEAR_TREND', 'AVOID_TRADING'],
+  SHORT: ['STRONG_BULL_TREND', 'BULL_TREND', 'AVOID_TRADING']
+};
+
+defineStore('signals', {
+  file: 'signals.json',
+  version: 2,
+  defaultValue: [],
+  migrations: {
+    // v2: status history
+    2: signals => signals.map(signal => ({
+      ...signal,
+      statusHistory: signal.statusHistory || [
+        { status: 'OPEN', at: signal.entryTime, reason: 'Generated' },
+        ...(signal.status !== 'OPEN' ? [{ status: signal.status, at: signal.exitTime, reason: signal.result }] : [])
+      ]
+    }))
+  }
+});
 
 /**
  * Load all signals from disk
  */
 export function loadSignals() {
-  if (!existsSync(SIGNALS_FILE)) {
-    return [];
-  }
-  
   try {
-    const data = readFileSync(SIGNALS_FILE, 'utf8');
-    return JSON.parse(data);
+    return readStore('signals');
   } catch (error) {
     console.error('Error loading signals:', error.message);
     return [];
@@ -30,11 +47,11 @@ export function loadSignals() {
 }
 
 /**
- * Save signals to disk
+ * Replace all signals on disk
  */
 export function saveSignals(signals) {
   try {
-    writeFileSync(SIGNALS_FILE, JSON.stringify(signals, null, 2), 'utf8');
+    writeStore('signals', signals);
   } catch (error) {
     console.error('Error saving signals:', error.message);
   }
@@ -58,11 +75,21 @@ export function generateSignal(analysis, marketData) {
     targets: analysis.targets,
     stopLoss: analysis.stopLoss,
     riskReward: analysis.riskReward,
+    positionSizing: analysis.positionSizing,
     reasoning: analysis.reasoning,
     pattern: analysis.pattern,
     timeframe: analysis.timeframe,
     alerts: analysis.alerts,
+    model: analysis.model || null,
+    promptVersion: analysis.promptVersion || null,
+    experiment: analysis.experiment || null,
+    regime: analysis.regime || null,
+    // Rule-based strategy that produced the signal (lib/strategies.js), null for AI analyses
+    strategy: analysis.strategy || null,
+    // Win probability and expected R realized by past signals with this confidence (lib/calibration.js)
+    calibration: analysis.calibration || calibrateConfidence(analysis.confidence, analysis),
     status: 'OPEN',
+    statusHistory: [{ status: 'OPEN', at: Date.now(), reason: `Generated${analysis.model ? ` by ${analysis.model}` : ''}` }],
     entryTime: Date.now(),
     exitTime: null,
     result: null,
@@ -84,9 +111,9 @@ export function generateSignal(analysis, marketData) {
  * Add a new signal
  */
 export function addSignal(signal) {
-  const signals = loadSignals();
-  signals.push(signal);
-  saveSignals(signals);
+  updateStore('signals', signals => {
+    signals.push(signal);
+  });
   return signal;
 }
 
@@ -94,54 +121,76 @@ export function addSignal(signal) {
  * Update signal status
  */
 export function updateSignal(signalId, updates) {
-  const signals = loadSignals();
-  const index = signals.findIndex(s => s.id === signalId);
+  let updated = null;
+  
+  updateStore('signals', signals => {
+    const index = signals.findIndex(s => s.id === signalId);
+    if (index === -1) return;
+    
+    signals[index] = { ...signals[index], ...updates };
+    updated = signals[index];
+  });
   
-  if (index === -1) {
+  if (!updated) {
     console.error(`Signal ${signalId} not found`);
-    return null;
   }
   
-  signals[index] = { ...signals[index], ...updates };
-  saveSignals(signals);
-  
-  return signals[index];
+  return updated;
+}
+
+/**
+ * Profit of a signal exited at a price
+ */
+function pnlAt(signal, exitPrice) {
+  const pnl = signal.direction === 'LONG' ? exitPrice - signal.entry : signal.entry - exitPrice;
+  return { pnl, pnlPercent: (pnl / signal.entry) * 100 };
+}
+
+/**
+ * Move a signal to a new status and record the change in its history (mutates)
+ */
+function transition(signal, status, reason, updates = {}) {
+  Object.assign(signal, updates, { status });
+  signal.statusHistory = [...(signal.statusHistory || []), { status, at: Date.now(), reason }];
+  return signal;
+}
+
+/**
+ * End an open signal without an outcome (superseded, invalidated or expired), marked at a price when known
+ */
+function endSignal(signal, status, reason, price, updates = {}) {
+  return transition(signal, status, reason, {
+    ...updates,
+    exitTime: Date.now(),
+    exitPrice: price || null,
+    ...(price ? pnlAt(signal, price) : {})
+  });
 }
 
 /**
  * Close a signal
+ * @param {Object} options - { status: 'CLOSED' or 'EXPIRED', reason for the status history (defaults to the result) }
  */
-export function closeSignal(signalId, exitPrice, result = 'WIN') {
-  const signals = loadSignals();
-  const signal = signals.find(s => s.id === signalId);
+export function closeSignal(signalId, exitPrice, result = 'WIN', { status = 'CLOSED', reason = null } = {}) {
+  let closed = null;
   
-  if (!signal) {
-    console.error(`Signal ${signalId} not found`);
-    return null;
-  }
-  
-  // Calculate P&L
-  const entryPrice = signal.entry;
-  let pnl, pnlPercent;
+  updateStore('signals', signals => {
+    const signal = signals.find(s => s.id === signalId);
+    if (!signal) return;
+    
+    closed = transition(signal, status, reason || result, {
+      exitTime: Date.now(),
+      exitPrice: exitPrice,
+      result: result,
+      ...pnlAt(signal, exitPrice)
+    });
+  });
   
-  if (signal.direction === 'LONG') {
-    pnl = exitPrice - entryPrice;
-    pnlPercent = (pnl / entryPrice) * 100;
-  } else {
-    pnl = entryPrice - exitPrice;
-    pnlPercent = (pnl / entryPrice) * 100;
+  if (!closed) {
+    console.error(`Signal ${signalId} not found`);
   }
   
-  const updates = {
-    status: 'CLOSED',
-    exitTime: Date.now(),
-    exitPrice: exitPrice,
-    result: result,
-    pnl: pnl,
-    pnlPercent: pnlPercent
-  };
-  
-  return updateSignal(signalId, updates);
+  return closed;
 }
 
 /**
@@ -183,27 +232,174 @@ function generateSignalId() {
   return `sig_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
+/**
+ * Whether two same-direction signals describe the same setup (entry and stop within DUPLICATE_TOLERANCE)
+ */
+function isSameSetup(a, b) {
+  const near = (x, y) => Math.abs(x - y) <= a.entry * DUPLICATE_TOLERANCE;
+  return a.direction === b.direction && near(a.entry, b.entry) && near(a.stopLoss, b.stopLoss);
+}
+
+/**
+ * Overall regime name from a detectMarketRegime() result or a plain regime string
+ */
+function regimeName(regime) {
+  return (typeof regime === 'string' ? regime : regime?.overall) || null;
+}
+
+/**
+ * Whether a regime contradicts a signal and differs from the regime it was generated in
+ * (signals without a recorded regime are never invalidated - there is no change to detect)
+ */
+function regimeConflicts(signal, regime) {
+  return !!regime && !!signal.regime && regime !== signal.regime && (CONFLICTING_REGIMES[signal.direction] || []).includes(regime);
+}
+
+/**
+ * Expire open signals older than their timeframe allows
+ * Outcome tracking expires them too; this covers runs without the server's tracking loop.
+ * @param {Object} marketDataMap - Map of ticker -> market data, to mark expired signals at the price (optional)
+ * @returns {Array} Expired signals
+ */
+export function expireSignals(marketDataMap = {}) {
+  const now = Date.now();
+  const isDue = s => s.status === 'OPEN' && now - s.entryTime >= maxAgeHours(s.timeframe) * 60 * 60 * 1000;
+  
+  if (!loadSignals().some(isDue)) return [];
+  
+  const expired = [];
+  updateStore('signals', signals => {
+    for (const signal of signals.filter(isDue)) {
+      endSignal(signal, 'EXPIRED', `Timeframe expired (${signal.timeframe}, ${maxAgeHours(signal.timeframe)}h)`, marketDataMap[signal.ticker]?.price);
+      expired.push(signal);
+    }
+  });
+  
+  expired.forEach(s => console.log(`⌛ Expired ${s.direction} signal for ${s.ticker} (${s.timeframe})`));
+  return expired;
+}
+
+/**
+ * Invalidate open signals that a ticker's new market regime contradicts
+ * (a LONG in a bear trend, a SHORT in a bull trend, anything under AVOID_TRADING)
+ * @param {string} ticker - Ticker
+ * @param {Object|string} regime - detectMarketRegime() result or its overall regime
+ * @param {number} price - Current price (optional)
+ * @returns {Array} Invalidated signals
+ */
+export function applyRegimeChange(ticker, regime, price = null) {
+  const overall = regimeName(regime);
+  const conflicts = s => s.ticker === ticker && s.status === 'OPEN' && regimeConflicts(s, overall);
+  
+  if (!loadSignals().some(conflicts)) return [];
+  
+  const invalidated = [];
+  updateStore('signals', signals => {
+    for (const signal of signals.filter(conflicts)) {
+      endSignal(signal, 'INVALIDATED', `Invalidated by regime change: ${signal.regime || 'UNKNOWN'} → ${overall}`, price, { invalidatedBy: overall });
+      invalidated.push(signal);
+    }
+  });
+  
+  for (const signal of invalidated) {
+    if (price) closeTrackedSignal(signal.id, price, `Invalidated by regime change (${overall})`);
+    console.log(`🚫 Invalidated ${signal.direction} signal for ${ticker} - regime changed to ${overall}`);
+  }
+  
+  return invalidated;
+}
+
+/**
+ * Apply a new signal to the ticker's open signals
+ * A same-direction signal at the same levels refreshes the open one (and is not added); otherwise
+ * open signals in the same direction are superseded and opposite ones invalidated. Ended signals
+ * are also closed in signal-performance at the current price.
+ * @returns {Object} { signal: the signal to add, or null when it refreshed an open one, refreshed, superseded, invalidated }
+ */
+function applyNewSignal(signal, price) {
+  const result = { signal, refreshed: null, superseded: [], invalidated: [] };
+  
+  updateStore('signals', signals => {
+    const open = signals.filter(s => s.ticker === signal.ticker && s.status === 'OPEN');
+    const duplicate = open.find(s => isSameSetup(s, signal));
+    
+    if (duplicate) {
+      const change = duplicate.confidence !== signal.confidence ? ` (confidence ${duplicate.confidence} → ${signal.confidence})` : '';
+      result.refreshed = transition(duplicate, 'OPEN', `Confirmed by a new analysis${change}`, {
+        confidence: signal.confidence,
+        reasoning: signal.reasoning,
+        alerts: signal.alerts,
+        calibration: signal.calibration,
+        confirmations: (duplicate.confirmations || 0) + 1,
+        confirmedAt: Date.now()
+      });
+      result.signal = null;
+      return;
+    }
+    
+    for (const old of open) {
+      if (old.direction === signal.direction) {
+        endSignal(old, 'SUPERSEDED', `Superseded by ${signal.id} (entry $${signal.entry.toFixed(2)}, stop $${signal.stopLoss.toFixed(2)})`, price, { supersededBy: signal.id });
+        result.superseded.push(old);
+      } else {
+        endSignal(old, 'INVALIDATED', `Invalidated by opposite ${signal.direction} signal ${signal.id}`, price, { invalidatedBy: signal.id });
+        result.invalidated.push(old);
+      }
+    }
+    
+    if (result.superseded.length > 0) signal.supersedes = result.superseded.map(s => s.id);
+    signals.push(signal);
+  });
+  
+  if (price) {
+    result.superseded.forEach(old => closeTrackedSignal(old.id, price, `Superseded by ${signal.id}`));
+    result.invalidated.forEach(old => closeTrackedSignal(old.id, price, `Invalidated by opposite signal ${signal.id}`));
+  }
+  
+  return result;
+}
+
 /**
  * Process batch of AI analyses and generate signals
+ * Runs the lifecycle rules first: expiry, then regime changes (regimes[ticker], or the regime
+ * applyRegimeFilter stamped on the analysis), then supersede/invalidate/refresh per new signal.
+ * Every new signal is also registered with signal-performance for outcome tracking.
+ * @param {Object} regimes - Map of ticker -> detectMarketRegime() result or overall regime (optional)
+ * @returns {Array} New signals (refreshed ones are not included)
  */
-export function processBatchAnalysis(analysisResults, marketDataMap) {
+export function processBatchAnalysis(analysisResults, marketDataMap, regimes = {}) {
   const newSignals = [];
   
+  expireSignals(marketDataMap);
+  
   for (const [ticker, analysis] of Object.entries(analysisResults)) {
     if (analysis.error) continue;
     
     const marketData = marketDataMap[ticker];
     if (!marketData) continue;
     
-    const signal = generateSignal(analysis, marketData);
+    applyRegimeChange(ticker, regimes[ticker] || analysis.regime, marketData.price);
     
-    if (signal) {
-      addSignal(signal);
-      newSignals.push(signal);
-      console.log(`✅ Generated ${signal.direction} signal for ${ticker} (confidence: ${signal.confidence}/10)`);
-    } else {
+    // Record the regime the signal was generated in so later regime changes can be detected
+    const signal = generateSignal({ ...analysis, regime: analysis.regime || regimeName(regimes[ticker]) }, marketData);
+    
+    if (!signal) {
       console.log(`⏭️  Skipped ${ticker} - ${analysis.signal} signal with confidence ${analysis.confidence}`);
+      continue;
     }
+    
+    const { refreshed, superseded, invalidated } = applyNewSignal(signal, marketData.price);
+    
+    if (refreshed) {
+      console.log(`🔁 Refreshed open ${refreshed.direction} signal for ${ticker} (confidence: ${refreshed.confidence}/10, ${refreshed.confirmations} confirmation(s))`);
+      continue;
+    }
+    
+    trackSignal(signal, marketData.price);
+    newSignals.push(signal);
+    console.log(`✅ Generated ${signal.direction} signal for ${ticker} (confidence: ${signal.confidence}/10)`);
+    if (superseded.length > 0) console.log(`   ↪ Superseded ${superseded.length} open ${signal.direction} signal(s)`);
+    if (invalidated.length > 0) console.log(`   🚫 Invalidated ${invalidated.length} opposite signal(s)`);
   }
   
   return newSignals;
@@ -216,11 +412,13 @@ export function exportSignalsSummary() {
   const signals = loadSignals();
   const open = signals.filter(s => s.status === 'OPEN');
   const closed = signals.filter(s => s.status === 'CLOSED');
+  const byStatus = Object.fromEntries(SIGNAL_STATUSES.map(status => [status, signals.filter(s => s.status === status).length]));
   
   return {
     total: signals.length,
     open: open.length,
     closed: closed.length,
+    byStatus,
     openSignals: open,
     recentClosed: closed.slice(-10).reverse()
   };
@@ -0,0 +1,179 @@
+// SMTP - minimal mail client for notification email (no dependencies)
+// Speaks plain SMTP with optional implicit TLS (port 465) or STARTTLS, and AUTH LOGIN.
+import net from 'net';
+import tls from 'tls';
+import { hostname } from 'os';
+
+const DEFAULT_TIMEOUT = 15000;
+
+/**
+ * Read SMTP replies off a socket (multi-line replies end with "<code> text")
+ */
+function createReader(socket) {
+  let buffer = '';
+  let pending = null;
+  const replies = [];
+
+  const flush = () => {
+    while (pending && replies.length > 0) {
+      const reply = replies.shift();
+      const { resolve, reject } = pending;
+      pending = null;
+      if (reply instanceof Error) reject(reply);
+      else resolve(reply);
+    }
+  };
+
+  const onData = chunk => {
+    buffer += chunk.toString('utf8');
+    let lines = [];
+    let index;
+
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line);
+
+      // "250-..." continues, "250 ..." ends the reply
+      if (/^\d{3}(?: |$)/.test(line)) {
+        replies.push({ code: parseInt(line.slice(0, 3)), text: lines.map(l => l.slice(4)).join('\n') });
+        lines = [];
+      }
+    }
+    if (lines.length > 0) buffer = lines.join('\r\n') + '\r\n' + buffer;
+    flush();
+  };
+
+  const onError = error => {
+    replies.push(error);
+    flush();
+  };
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', () => onError(new Error('SMTP connection closed')));
+
+  return {
+    next: () => new Promise((resolve, reject) => {
+      pending = { resolve, reject };
+      flush();
+    }),
+    detach: () => {
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.removeAllListeners('close');
+    }
+  };
+}
+
+/**
+ * Send a command and check the reply code
+ */
+async function command(socket, reader, line, expected) {
+  if (line !== null) socket.write(line + '\r\n');
+  const reply = await reader.next();
+  if (!expected.includes(reply.code)) {
+    const shown = line && line.startsWith('AUTH') ? 'AUTH' : line || 'greeting';
+    throw new Error(`SMTP ${shown}: ${reply.code} ${reply.text}`);
+  }
+  return reply;
+}
+
+function connect({ host, port, secure, timeout }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.setTimeout(timeout, () => socket.destroy(new Error(`SMTP timeout after ${timeout}ms`)));
+    socket.once('error', reject);
+  });
+}
+
+function upgrade(socket, host, timeout) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+    secured.setTimeout(timeout, () => secured.destroy(new Error(`SMTP timeout after ${timeout}ms`)));
+    secured.once('error', reject);
+  });
+}
+
+/**
+ * Format an RFC 5322 message
+ */
+function buildMessage({ from, to, subject, text }) {
+  const encodedSubject = /^[\x20-\x7e]*$/.test(subject)
+    ? subject
+    : `=?UTF-8?B?${Buffer.from(subject, 'utf8').toString('base64')}?=`;
+
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodedSubject}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${Date.now().toString(36)}.${Math.random().toString(36).slice(2)}@klaw-terminal>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64'
+  ];
+
+  const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+  return headers.join('\r\n') + '\r\n\r\n' + body;
+}
+
+/**
+ * Send one email
+ * @param {Object} server - { host, port, secure, starttls, username, password, timeout }
+ *   secure: implicit TLS (port 465); starttls: upgrade a plain connection (default when not secure)
+ * @param {Object} mail - { from, to: string | string[], subject, text }
+ * @returns {Promise<Object>} { accepted, response }
+ */
+export async function sendMail(server, mail) {
+  const { host, username, password } = server;
+  const secure = !!server.secure;
+  const port = server.port || (secure ? 465 : 587);
+  const timeout = server.timeout || DEFAULT_TIMEOUT;
+  const to = (Array.isArray(mail.to) ? mail.to : String(mail.to).split(',')).map(a => a.trim()).filter(Boolean);
+
+  if (!host) throw new Error('SMTP host is required');
+  if (!mail.from) throw new Error('Email "from" address is required');
+  if (to.length === 0) throw new Error('Email "to" address is required');
+
+  let socket = await connect({ host, port, secure, timeout });
+  let reader = createReader(socket);
+
+  try {
+    await command(socket, reader, null, [220]);
+    let ehlo = await command(socket, reader, `EHLO ${hostname()}`, [250]);
+
+    if (!secure && server.starttls !== false && /STARTTLS/i.test(ehlo.text)) {
+      await command(socket, reader, 'STARTTLS', [220]);
+      reader.detach();
+      socket = await upgrade(socket, host, timeout);
+      reader = createReader(socket);
+      ehlo = await command(socket, reader, `EHLO ${hostname()}`, [250]);
+    }
+
+    if (username) {
+      await command(socket, reader, 'AUTH LOGIN', [334]);
+      await command(socket, reader, Buffer.from(username).toString('base64'), [334]);
+      await command(socket, reader, Buffer.from(password || '').toString('base64'), [235]);
+    }
+
+    const address = value => (value.match(/<([^>]+)>/) || [null, value])[1];
+    await command(socket, reader, `MAIL FROM:<${address(mail.from)}>`, [250]);
+    for (const recipient of to) {
+      await command(socket, reader, `RCPT TO:<${address(recipient)}>`, [250, 251]);
+    }
+
+    await command(socket, reader, 'DATA', [354]);
+    // Dot-stuff lines that start with "." (base64 bodies never do, headers might)
+    const message = buildMessage({ ...mail, to }).replace(/\r\n\./g, '\r\n..');
+    const reply = await command(socket, reader, `${message}\r\n.`, [250]);
+
+    await command(socket, reader, 'QUIT', [221]).catch(() => {});
+    return { accepted: to, response: `${reply.code} ${reply.text}` };
+  } finally {
+    reader.detach();
+    socket.destroy();
+  }
+}
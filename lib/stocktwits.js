@@ -6,6 +6,7 @@
 // 1. Register for API access at https://stocktwits.com/developers
 // 2. Add API token to requests
 // 3. Use demo mode (set STOCKTWITS_DEMO=true)
+import { queuedFetch } from './fetch-queue.js';
 
 const STOCKTWITS_API_BASE = 'https://api.stocktwits.com/api/2';
 const DEMO_MODE = process.env.STOCKTWITS_DEMO === 'true';
@@ -64,7 +65,7 @@ export async function getTrendingStocks() {
   }
   
   try {
-    const response = await fetch(`${STOCKTWITS_API_BASE}/trending/symbols.json`);
+    const response = await queuedFetch(`${STOCKTWITS_API_BASE}/trending/symbols.json`);
     
     if (!response.ok) {
       throw new Error(`StockTwits API error: ${response.status}`);
@@ -88,7 +89,7 @@ export async function getTrendingStocks() {
  */
 export async function getTickerStream(ticker, limit = 30) {
   try {
-    const response = await fetch(`${STOCKTWITS_API_BASE}/streams/symbol/${ticker}.json?limit=${limit}`);
+    const response = await queuedFetch(`${STOCKTWITS_API_BASE}/streams/symbol/${ticker}.json?limit=${limit}`);
     
     if (!response.ok) {
       throw new Error(`StockTwits API error: ${response.status}`);
@@ -248,10 +249,6 @@ export async function batchGetSentiment(tickers) {
     try {
       const sentiment = await getTickerSentiment(ticker);
       results[ticker] = sentiment;
-      
-      // Rate limiting - StockTwits allows 200 req/hour = ~3.3/min
-      // Wait 1 second between requests to be safe
-      await new Promise(resolve => setTimeout(resolve, 1000));
     } catch (error) {
       console.error(`Failed to get sentiment for ${ticker}:`, error.message);
       results[ticker] = {
@@ -0,0 +1,354 @@
+// Storage Layer - versioned JSON stores with atomic writes and cross-process file locking
+//
+// Each module defines its store once (file, default value, schema version, migrations):
+//   defineStore('alerts', { file: 'alerts.json', version: 1, defaultValue: [] });
+// and then reads with readStore() and changes data only through updateStore(), which
+// re-reads the file under a lock so the server, WebSocket loop and CLIs never lose writes.
+//
+// On disk a store is an envelope: { schemaVersion, updatedAt, data }.
+// Files written before the storage layer (bare JSON) are read as schema version 0
+// and migrated on the next write, or all at once with `npm run migrate`.
+import {
+  readFileSync, existsSync, mkdirSync, openSync, writeSync, fsyncSync, closeSync,
+  renameSync, unlinkSync, statSync, copyFileSync
+} from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const DATA_DIR = process.env.KLAW_DATA_DIR || join(__dirname, '..', 'data');
+const BACKUP_DIR = join(DATA_DIR, 'backups');
+
+const LOCK_TIMEOUT = 5000; // Give up waiting for another process after 5s
+const LOCK_STALE = 15000; // A lock older than this (or whose owner died) is abandoned
+const LOCK_RETRY = 20;
+
+const STORES = new Map();
+const HELD_LOCKS = new Set();
+
+/**
+ * Register a store
+ * @param {string} name - Store name
+ * @param {Object} definition - { file, version, defaultValue, migrations: { [toVersion]: data => data } }
+ */
+export function defineStore(name, { file, version = 1, defaultValue = null, migrations = {} }) {
+  if (!file) {
+    throw new Error(`Store ${name} needs a file`);
+  }
+
+  const definition = { name, file, path: join(DATA_DIR, file), version, defaultValue, migrations };
+  STORES.set(name, definition);
+  return definition;
+}
+
+function getDefinition(name) {
+  const definition = STORES.get(name);
+  if (!definition) {
+    throw new Error(`Unknown store: ${name}`);
+  }
+  return definition;
+}
+
+/**
+ * List registered stores
+ */
+export function listStores() {
+  return Array.from(STORES.keys());
+}
+
+function defaultData(definition) {
+  const value = typeof definition.defaultValue === 'function'
+    ? definition.defaultValue()
+    : definition.defaultValue;
+  return value === null || value === undefined ? value : structuredClone(value);
+}
+
+function isEnvelope(raw) {
+  return raw !== null && typeof raw === 'object' && !Array.isArray(raw) &&
+    Number.isInteger(raw.schemaVersion) && 'data' in raw;
+}
+
+/**
+ * Bring an envelope up to the store's current schema version
+ */
+function migrate(definition, envelope) {
+  if (envelope.schemaVersion > definition.version) {
+    throw new Error(`${definition.file} has schema v${envelope.schemaVersion}, newer than supported v${definition.version}`);
+  }
+
+  let data = envelope.data;
+  for (let v = envelope.schemaVersion + 1; v <= definition.version; v++) {
+    const step = definition.migrations[v];
+    if (step) data = step(data);
+  }
+
+  return { schemaVersion: definition.version, fromVersion: envelope.schemaVersion, data };
+}
+
+/**
+ * Parse a store file (envelope or legacy bare JSON) without migrating it
+ */
+function readRaw(path) {
+  const raw = JSON.parse(readFileSync(path, 'utf8'));
+  return isEnvelope(raw) ? raw : { schemaVersion: 0, data: raw };
+}
+
+/**
+ * Move an unreadable file aside so the next write doesn't destroy it
+ */
+function quarantine(definition, error) {
+  const target = join(BACKUP_DIR, `${definition.file}.corrupt-${Date.now()}`);
+  console.error(`❌ ${definition.file} is unreadable (${error.message}), moved to ${target}`);
+
+  try {
+    if (!existsSync(BACKUP_DIR)) mkdirSync(BACKUP_DIR, { recursive: true });
+    renameSync(definition.path, target);
+  } catch (moveError) {
+    console.error(`Failed to quarantine ${definition.file}:`, moveError.message);
+  }
+}
+
+function readEnvelope(definition) {
+  if (!existsSync(definition.path)) {
+    return { schemaVersion: definition.version, fromVersion: null, data: defaultData(definition) };
+  }
+
+  let envelope;
+  try {
+    envelope = readRaw(definition.path);
+  } catch (error) {
+    quarantine(definition, error);
+    return { schemaVersion: definition.version, fromVersion: null, data: defaultData(definition) };
+  }
+
+  return migrate(definition, envelope);
+}
+
+/**
+ * Write a file atomically: write + fsync a temp file, then rename over the target
+ * (also used for files kept outside the stores, such as the history series)
+ */
+export function writeAtomic(path, content) {
+  const dir = dirname(path);
+  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+
+  const tmp = `${path}.${process.pid}.tmp`;
+  const fd = openSync(tmp, 'w');
+
+  try {
+    writeSync(fd, content);
+    fsyncSync(fd);
+  } finally {
+    closeSync(fd);
+  }
+
+  renameSync(tmp, path);
+}
+
+function writeEnvelope(definition, data) {
+  const envelope = { schemaVersion: definition.version, updatedAt: Date.now(), data };
+  writeAtomic(definition.path, JSON.stringify(envelope, null, 2));
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function isStaleLock(lockPath) {
+  try {
+    const pid = parseInt(readFileSync(lockPath, 'utf8'));
+
+    if (pid && pid !== process.pid) {
+      try {
+        process.kill(pid, 0); // Signal 0 only checks the owner is still alive
+      } catch (error) {
+        if (error.code === 'ESRCH') return true;
+      }
+    }
+
+    return Date.now() - statSync(lockPath).mtimeMs > LOCK_STALE;
+  } catch (error) {
+    return false; // Lock released while we were looking
+  }
+}
+
+function acquireLock(definition) {
+  if (HELD_LOCKS.has(definition.name)) {
+    throw new Error(`Nested update of store ${definition.name}`);
+  }
+
+  const lockPath = `${definition.path}.lock`;
+  const started = Date.now();
+
+  if (!existsSync(DATA_DIR)) mkdirSync(DATA_DIR, { recursive: true });
+
+  while (true) {
+    try {
+      const fd = openSync(lockPath, 'wx');
+      writeSync(fd, String(process.pid));
+      closeSync(fd);
+      HELD_LOCKS.add(definition.name);
+      return lockPath;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      if (isStaleLock(lockPath)) {
+        try { unlinkSync(lockPath); } catch (unlinkError) { /* another process got there first */ }
+        continue;
+      }
+
+      if (Date.now() - started > LOCK_TIMEOUT) {
+        throw new Error(`Timed out waiting for lock on ${definition.file}`);
+      }
+
+      sleepSync(LOCK_RETRY);
+    }
+  }
+}
+
+function releaseLock(definition, lockPath) {
+  HELD_LOCKS.delete(definition.name);
+  try {
+    unlinkSync(lockPath);
+  } catch (error) {
+    console.error(`Failed to release lock on ${definition.file}:`, error.message);
+  }
+}
+
+/**
+ * Run a function while holding a store's lock
+ */
+function withLock(definition, fn) {
+  const lockPath = acquireLock(definition);
+  try {
+    return fn();
+  } finally {
+    releaseLock(definition, lockPath);
+  }
+}
+
+/**
+ * Whether a store has been written to disk yet
+ */
+export function storeExists(name) {
+  return existsSync(getDefinition(name).path);
+}
+
+/**
+ * Read a store's current data (migrated in memory if the file is older)
+ */
+export function readStore(name) {
+  return readEnvelope(getDefinition(name)).data;
+}
+
+/**
+ * Replace a store's data
+ */
+export function writeStore(name, data) {
+  const definition = getDefinition(name);
+  withLock(definition, () => writeEnvelope(definition, data));
+  return data;
+}
+
+/**
+ * Read-modify-write a store under its lock
+ * The updater receives the freshest data and may mutate it or return a replacement.
+ * @returns {*} The data that was written
+ */
+export function updateStore(name, updater) {
+  const definition = getDefinition(name);
+
+  return withLock(definition, () => {
+    const current = readEnvelope(definition).data;
+    const result = updater(current);
+    const next = result === undefined ? current : result;
+    writeEnvelope(definition, next);
+    return next;
+  });
+}
+
+/**
+ * Copy a store file into data/backups before it is rewritten
+ */
+function backupFile(definition, label) {
+  if (!existsSync(definition.path)) return null;
+
+  if (!existsSync(BACKUP_DIR)) mkdirSync(BACKUP_DIR, { recursive: true });
+  const target = join(BACKUP_DIR, `${definition.file}.${label}-${Date.now()}`);
+  copyFileSync(definition.path, target);
+  return target;
+}
+
+/**
+ * Schema status of every registered store
+ */
+export function getStorageStatus() {
+  return Array.from(STORES.values()).map(definition => {
+    const status = {
+      name: definition.name,
+      file: definition.file,
+      exists: existsSync(definition.path),
+      version: definition.version,
+      fileVersion: null,
+      needsMigration: false,
+      records: null
+    };
+
+    if (!status.exists) return status;
+
+    try {
+      const raw = readRaw(definition.path);
+      status.fileVersion = raw.schemaVersion;
+      status.needsMigration = raw.schemaVersion < definition.version;
+      status.records = Array.isArray(raw.data) ? raw.data.length : Object.keys(raw.data || {}).length;
+    } catch (error) {
+      status.error = error.message;
+    }
+
+    return status;
+  });
+}
+
+/**
+ * Rewrite a store file at the current schema version (legacy files are backed up first)
+ */
+export function migrateStore(name) {
+  const definition = getDefinition(name);
+
+  return withLock(definition, () => {
+    if (!existsSync(definition.path)) {
+      return { name, migrated: false, reason: 'missing' };
+    }
+
+    const envelope = readEnvelope(definition);
+    if (envelope.fromVersion === definition.version) {
+      return { name, migrated: false, reason: 'current' };
+    }
+
+    const backup = backupFile(definition, `v${envelope.fromVersion}`);
+    writeEnvelope(definition, envelope.data);
+    return { name, migrated: true, from: envelope.fromVersion, to: definition.version, backup };
+  });
+}
+
+/**
+ * Migrate every registered store
+ */
+export function migrateAll() {
+  return listStores().map(name => migrateStore(name));
+}
+
+/**
+ * Import a JSON file (legacy or envelope) into a store, replacing its data
+ * The existing file is backed up first.
+ */
+export function importStoreFile(name, sourcePath) {
+  const definition = getDefinition(name);
+  const envelope = migrate(definition, readRaw(sourcePath));
+
+  return withLock(definition, () => {
+    const backup = backupFile(definition, 'pre-import');
+    writeEnvelope(definition, envelope.data);
+    return { name, imported: true, from: envelope.fromVersion, to: definition.version, backup };
+  });
+}
@@ -0,0 +1,362 @@
+// Strategy Engine - rule-based signals from declarative strategies, evaluated on each scan (no AI call)
+// Each file in the strategies directory (KLAW_STRATEGIES_DIR, default ./strategies) is one strategy,
+// in JSON (.json) or YAML (.yaml/.yml); files starting with "_" are skipped. A strategy has a direction,
+// an entry condition in the alert/screener condition language (text or a condition tree, see
+// lib/conditions.js), a stop (ATR multiple, percent or an indicator level) and targets in R multiples.
+// When the condition is met for a ticker, the engine builds an analysis shaped like an AI answer and
+// records it through processBatchAnalysis, so the signal gets the lifecycle rules, signals.json,
+// performance tracking and notifications like any other, tagged with the strategy name.
+// Crossing operators compare with the fields snapshotted at the previous scan of the same ticker.
+import { readdirSync, readFileSync, existsSync } from 'fs';
+import { join, dirname, extname, basename } from 'path';
+import { fileURLToPath } from 'url';
+import { defineStore, readStore, updateStore } from './storage.js';
+import {
+  buildConditionContext,
+  evaluateCondition,
+  snapshotFields,
+  validateCondition,
+  describeCondition,
+  parseConditionExpression,
+  getFieldValue
+} from './conditions.js';
+import { detectMarketRegime } from './market-regime.js';
+import { PATTERNS, TIMEFRAMES, computeRiskReward, defaultPositionSizing } from './analysis-schema.js';
+import { processBatchAnalysis } from './signals.js';
+import { notifySignal } from './notifications.js';
+import { parseYaml } from './yaml.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const STRATEGIES_DIR = process.env.KLAW_STRATEGIES_DIR || join(__dirname, '..', 'strategies');
+export const STOP_TYPES = ['atr', 'percent', 'field'];
+
+const DEFAULTS = {
+  enabled: true,
+  tickers: null,
+  targets: [1, 2, 3],
+  confidence: 6,
+  pattern: 'Other',
+  timeframe: 'Swing (days)',
+  cooldownMinutes: 60
+};
+
+const MAX_RECENT = 200;
+
+defineStore('strategies', { file: 'strategy-state.json', version: 1, defaultValue: () => ({ tickers: {}, recent: [] }) });
+
+/**
+ * Read an indicator reading as a number (indicator objects carry it in `.value`)
+ */
+function readNumber(context, field) {
+  const value = getFieldValue(context, field);
+  const number = value && typeof value === 'object' ? value.value : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Validate a stop: { atr: 2 }, { percent: 1.5 } or { field: 'superTrend' }
+ */
+function normalizeStop(stop) {
+  const types = stop && typeof stop === 'object' ? STOP_TYPES.filter(type => stop[type] !== undefined) : [];
+  if (types.length !== 1) {
+    throw new Error('Invalid stop: use one of { atr: multiple }, { percent: distance } or { field: indicator level }');
+  }
+
+  const [type] = types;
+  if (type === 'field') {
+    if (typeof stop.field !== 'string' || !stop.field) throw new Error('Invalid stop field');
+    return { type, field: stop.field };
+  }
+  if (!(typeof stop[type] === 'number' && stop[type] > 0)) {
+    throw new Error(`Invalid stop ${type}: ${stop[type]} (use a positive number)`);
+  }
+  return { type, value: stop[type] };
+}
+
+/**
+ * Validate targets: three increasing R multiples (numbers or "2R")
+ */
+function normalizeTargets(targets) {
+  const multiples = Array.isArray(targets)
+    ? targets.map(t => (typeof t === 'string' && /^\d+(\.\d+)?R$/i.test(t.trim()) ? parseFloat(t) : t))
+    : [];
+
+  if (multiples.length !== 3 || !multiples.every((r, i) => typeof r === 'number' && r > 0 && (i === 0 || r > multiples[i - 1]))) {
+    throw new Error(`Invalid targets: ${JSON.stringify(targets)} (use three increasing R multiples, e.g. [1, 2, 3])`);
+  }
+  return multiples;
+}
+
+/**
+ * Validate a strategy definition and fill in defaults
+ * @param {Object} raw - Parsed strategy file
+ * @param {string} name - Name to use when the file has none (its file name)
+ * @returns {Object} Normalized strategy
+ */
+export function normalizeStrategy(raw, name = null) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('A strategy must be an object');
+  }
+
+  const strategy = { ...DEFAULTS, ...raw, name: raw.name || name };
+
+  if (typeof strategy.name !== 'string' || !/^[\w.-]+$/.test(strategy.name)) {
+    throw new Error(`Invalid strategy name: ${strategy.name} (use letters, digits, ".", "_" and "-")`);
+  }
+  if (!['LONG', 'SHORT'].includes(strategy.direction)) {
+    throw new Error(`Invalid direction: ${strategy.direction} (use LONG or SHORT)`);
+  }
+  if (!strategy.when) {
+    throw new Error('Strategy is missing its "when" condition');
+  }
+  if (!(Number.isInteger(strategy.confidence) && strategy.confidence >= 5 && strategy.confidence <= 10)) {
+    throw new Error(`Invalid confidence: ${strategy.confidence} (use 5-10; signals below 5 are not recorded)`);
+  }
+  if (!TIMEFRAMES.includes(strategy.timeframe)) {
+    throw new Error(`Invalid timeframe: ${strategy.timeframe} (use ${TIMEFRAMES.join(', ')})`);
+  }
+  if (!PATTERNS.includes(strategy.pattern)) {
+    throw new Error(`Invalid pattern: ${strategy.pattern} (use ${PATTERNS.join(', ')})`);
+  }
+  if (strategy.tickers !== null && !(Array.isArray(strategy.tickers) && strategy.tickers.every(t => typeof t === 'string'))) {
+    throw new Error('Invalid tickers: use a list of symbols, or leave it out for every ticker');
+  }
+  if (!(typeof strategy.cooldownMinutes === 'number' && strategy.cooldownMinutes >= 0)) {
+    throw new Error(`Invalid cooldownMinutes: ${strategy.cooldownMinutes}`);
+  }
+  if (typeof strategy.enabled !== 'boolean') {
+    throw new Error(`Invalid enabled: ${strategy.enabled} (use true or false)`);
+  }
+
+  let when;
+  try {
+    when = typeof strategy.when === 'string' ? parseConditionExpression(strategy.when) : strategy.when;
+    validateCondition(when);
+  } catch (error) {
+    throw new Error(`Invalid "when" condition: ${error.message}`);
+  }
+
+  return {
+    name: strategy.name,
+    description: strategy.description || '',
+    enabled: strategy.enabled,
+    direction: strategy.direction,
+    when,
+    condition: describeCondition(when),
+    stop: normalizeStop(strategy.stop),
+    targets: normalizeTargets(strategy.targets),
+    confidence: strategy.confidence,
+    pattern: strategy.pattern,
+    timeframe: strategy.timeframe,
+    tickers: strategy.tickers ? strategy.tickers.map(t => t.toUpperCase()) : null,
+    cooldownMinutes: strategy.cooldownMinutes
+  };
+}
+
+/**
+ * Parse a strategy file's text by its extension
+ */
+export function parseStrategyText(text, file) {
+  return extname(file) === '.json' ? JSON.parse(text) : parseYaml(text);
+}
+
+/**
+ * Load every strategy file in the strategies directory
+ * @returns {Object} { strategies: normalized strategies (with file), errors: [{ file, error }] }
+ */
+export function loadStrategies() {
+  const strategies = [];
+  const errors = [];
+  if (!existsSync(STRATEGIES_DIR)) return { strategies, errors };
+
+  const files = readdirSync(STRATEGIES_DIR).filter(f => /\.(json|ya?ml)$/.test(f) && !f.startsWith('_')).sort();
+
+  for (const file of files) {
+    try {
+      const raw = parseStrategyText(readFileSync(join(STRATEGIES_DIR, file), 'utf8'), file);
+      const strategy = normalizeStrategy(raw, basename(file, extname(file)));
+      if (strategies.some(s => s.name === strategy.name)) {
+        throw new Error(`Duplicate strategy name "${strategy.name}"`);
+      }
+      strategies.push({ ...strategy, file });
+    } catch (error) {
+      errors.push({ file, error: error.message });
+    }
+  }
+
+  return { strategies, errors };
+}
+
+/**
+ * Stop price for a strategy at the current price, or null when it can't be placed
+ * (missing indicator, or an indicator level on the wrong side of the price)
+ */
+function stopPrice(strategy, price, context) {
+  const dir = strategy.direction === 'LONG' ? 1 : -1;
+  const { type, value, field } = strategy.stop;
+
+  if (type === 'atr') {
+    const atr = readNumber(context, 'atr');
+    return atr ? price - dir * atr * value : null;
+  }
+  if (type === 'percent') {
+    return price * (1 - dir * value / 100);
+  }
+
+  const level = readNumber(context, field);
+  return level !== null && (price - level) * dir > 0 ? level : null;
+}
+
+/**
+ * Evaluate one strategy for one ticker
+ * @param {Object} strategy - Normalized strategy
+ * @param {Object} context - Condition context (see buildConditionContext)
+ * @param {Object} previous - Field snapshot from the previous scan (for crossing operators)
+ * @returns {Object} { met, state: snapshot for the next scan, analysis (when met and placeable), skipped: reason }
+ */
+export function evaluateStrategy(strategy, ticker, context, previous = null) {
+  const state = snapshotFields(strategy.when, context);
+  const met = evaluateCondition(strategy.when, context, previous);
+  if (!met) return { met, state, analysis: null, skipped: null };
+
+  const entry = context.price;
+  const stopLoss = entry ? stopPrice(strategy, entry, context) : null;
+  if (!stopLoss) {
+    return { met, state, analysis: null, skipped: `no ${strategy.stop.type === 'field' ? `${strategy.stop.field} level on the right side of the price` : 'ATR'} for the stop` };
+  }
+
+  const risk = Math.abs(entry - stopLoss);
+  const dir = strategy.direction === 'LONG' ? 1 : -1;
+  const [t1, t2, t3] = strategy.targets.map(r => entry + dir * r * risk);
+  const targets = { t1, t2, t3 };
+  const readings = Object.entries(state)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([field, value]) => `${field} ${typeof value === 'number' ? Math.round(value * 100) / 100 : value}`);
+
+  return {
+    met,
+    state,
+    skipped: null,
+    analysis: {
+      ticker,
+      signal: strategy.direction,
+      confidence: strategy.confidence,
+      entry,
+      targets,
+      stopLoss,
+      riskReward: computeRiskReward(entry, stopLoss, targets),
+      positionSizing: defaultPositionSizing(strategy.direction, entry, stopLoss, strategy.confidence),
+      reasoning: `Strategy ${strategy.name}: ${strategy.condition} (${readings.join(', ')})${strategy.description ? ` - ${strategy.description}` : ''}`,
+      pattern: strategy.pattern,
+      timeframe: strategy.timeframe,
+      alerts: [],
+      model: null,
+      strategy: strategy.name,
+      regime: context.regime?.overall || null,
+      timestamp: Date.now()
+    }
+  };
+}
+
+function loadState() {
+  try {
+    return readStore('strategies');
+  } catch (error) {
+    console.error('Failed to load strategy state:', error.message);
+    return { tickers: {}, recent: [] };
+  }
+}
+
+/**
+ * Evaluate every enabled strategy against a scan and record the signals they produce
+ * @param {Object} marketDataMap - Map of ticker -> market data
+ * @param {Object} technicalsMap - Map of ticker -> analyzeMarketData() output
+ * @returns {Object} { strategies: count evaluated, fired: [{ strategy, ticker, direction, signalId, refreshed }],
+ *                     skipped: [{ strategy, ticker, reason }], errors: [{ file, error }] }
+ */
+export function runStrategies(marketDataMap, technicalsMap) {
+  const { strategies, errors } = loadStrategies();
+  const enabled = strategies.filter(s => s.enabled);
+  const result = { strategies: enabled.length, fired: [], skipped: [], errors };
+  if (enabled.length === 0) return result;
+
+  const state = loadState();
+  const now = Date.now();
+  const states = {};
+  const triggered = [];
+
+  for (const [ticker, technicals] of Object.entries(technicalsMap)) {
+    const marketData = marketDataMap[ticker];
+    if (!marketData || !technicals) continue;
+
+    const regime = detectMarketRegime(marketData, technicals);
+    const context = buildConditionContext(marketData, technicals, regime);
+
+    for (const strategy of enabled) {
+      if (strategy.tickers && !strategy.tickers.includes(ticker)) continue;
+
+      const key = `${strategy.name}:${ticker}`;
+      const previous = state.tickers[key] || {};
+      const evaluation = evaluateStrategy(strategy, ticker, context, previous.lastState || null);
+      states[key] = evaluation.state;
+
+      if (!evaluation.met) continue;
+      if (evaluation.skipped) {
+        result.skipped.push({ strategy: strategy.name, ticker, reason: evaluation.skipped });
+      } else if (previous.lastSignalAt && now - previous.lastSignalAt < strategy.cooldownMinutes * 60 * 1000) {
+        result.skipped.push({ strategy: strategy.name, ticker, reason: `cooldown (${strategy.cooldownMinutes} min)` });
+      } else {
+        triggered.push({ key, ticker, strategy, analysis: evaluation.analysis, marketData, regime });
+      }
+    }
+  }
+
+  for (const { key, ticker, strategy, analysis, marketData, regime } of triggered) {
+    const [signal] = processBatchAnalysis({ [ticker]: analysis }, { [ticker]: marketData }, { [ticker]: regime });
+    if (signal) notifySignal({ ...analysis, calibration: signal.calibration });
+
+    result.fired.push({
+      strategy: strategy.name,
+      ticker,
+      direction: strategy.direction,
+      entry: analysis.entry,
+      stopLoss: analysis.stopLoss,
+      signalId: signal?.id || null,
+      refreshed: !signal,
+      at: now,
+      key
+    });
+  }
+
+  updateStore('strategies', data => {
+    for (const [key, lastState] of Object.entries(states)) {
+      data.tickers[key] = { ...data.tickers[key], lastState, lastEvaluatedAt: now };
+    }
+    for (const fired of result.fired) {
+      data.tickers[fired.key].lastSignalAt = now;
+    }
+    data.recent = [...result.fired.map(({ key, ...fired }) => fired), ...data.recent].slice(0, MAX_RECENT);
+  });
+
+  result.fired = result.fired.map(({ key, ...fired }) => fired);
+  return result;
+}
+
+/**
+ * Strategies with their last signals, for the API
+ * @returns {Object} { dir, strategies: [{ ...strategy, lastSignalAt, recentSignals }], errors, recent }
+ */
+export function listStrategies() {
+  const { strategies, errors } = loadStrategies();
+  const state = loadState();
+
+  return {
+    dir: STRATEGIES_DIR,
+    strategies: strategies.map(strategy => {
+      const fired = state.recent.filter(r => r.strategy === strategy.name);
+      return { ...strategy, lastSignalAt: fired[0]?.at || null, recentSignals: fired.length };
+    }),
+    errors,
+    recent: state.recent.slice(0, 50)
+  };
+}
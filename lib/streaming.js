@@ -0,0 +1,418 @@
+// Incremental Indicator Engine
+//
+// Keeps per-key (usually per-ticker) indicator state so a new bar or tick only costs one step
+// instead of a recompute over the whole history. The last bar of a series is treated as the
+// forming bar: closed bars are committed to the state, the forming bar is applied to a copy,
+// so intraday ticks never corrupt it. If the committed history changes (different first bar,
+// an edited bar, a shorter series) the state is rebuilt from scratch.
+//
+// Each step replicates the full calculation in technicals.js operation for operation, so the
+// results are identical to calculateEMA/RSI/MACD/ATR/OBV/VWAP/SuperTrend/ParabolicSAR.
+// A live price can be applied to the forming bar, which only re-runs that one step.
+
+const MAX_STREAMS = 1000;
+const STREAMS = new Map();
+const stats = { full: 0, incremental: 0, cached: 0, barsProcessed: 0 };
+
+// Indicator Steps
+
+function createSMA(period) {
+  return { period, window: [] };
+}
+
+function pushSMA(state, value) {
+  state.window.push(value);
+  if (state.window.length > state.period) state.window.shift();
+}
+
+function readSMA(state) {
+  if (state.window.length < state.period) return null;
+  return state.window.reduce((a, b) => a + b, 0) / state.period;
+}
+
+function createEMA(period) {
+  return { period, k: 2 / (period + 1), count: 0, seedSum: 0, value: null };
+}
+
+// SMA seed over the first `period` values, then the usual smoothing
+function pushEMA(state, value) {
+  state.count++;
+  if (state.count < state.period) {
+    state.seedSum += value;
+  } else if (state.count === state.period) {
+    state.seedSum += value;
+    state.value = state.seedSum / state.period;
+  } else {
+    state.value = (value * state.k) + (state.value * (1 - state.k));
+  }
+}
+
+function createRSI(period) {
+  return { period, count: 0, prevClose: null, gains: 0, losses: 0, avgGain: null, avgLoss: null };
+}
+
+// Wilder smoothing after a simple average of the first `period` changes
+function pushRSI(state, close) {
+  state.count++;
+  if (state.count > 1) {
+    const change = close - state.prevClose;
+    const changes = state.count - 1;
+    const p = state.period;
+
+    if (changes <= p) {
+      if (change > 0) state.gains += change;
+      else state.losses -= change;
+      if (changes === p) {
+        state.avgGain = state.gains / p;
+        state.avgLoss = state.losses / p;
+      }
+    } else if (change > 0) {
+      state.avgGain = (state.avgGain * (p - 1) + change) / p;
+      state.avgLoss = (state.avgLoss * (p - 1)) / p;
+    } else {
+      state.avgGain = (state.avgGain * (p - 1)) / p;
+      state.avgLoss = (state.avgLoss * (p - 1) - change) / p;
+    }
+  }
+  state.prevClose = close;
+}
+
+function readRSI(state) {
+  if (state.avgGain === null) return null;
+  if (state.avgLoss === 0) return 100;
+  return 100 - (100 / (1 + state.avgGain / state.avgLoss));
+}
+
+function createMACD(fast = 12, slow = 26, signal = 9) {
+  return { slow, signalPeriod: signal, count: 0, fast: createEMA(fast), slowEma: createEMA(slow), signal: createEMA(signal) };
+}
+
+function pushMACD(state, close) {
+  state.count++;
+  pushEMA(state.fast, close);
+  pushEMA(state.slowEma, close);
+  // The signal line averages MACD values from the (slow + 1)th close on
+  if (state.count > state.slow) {
+    pushEMA(state.signal, state.fast.value - state.slowEma.value);
+  }
+}
+
+function readMACD(state) {
+  if (state.count < state.slow + state.signalPeriod) return null;
+  const macd = state.fast.value - state.slowEma.value;
+  return { macd, signal: state.signal.value, histogram: macd - state.signal.value };
+}
+
+function trueRange(bar, previous) {
+  return Math.max(
+    bar.high - bar.low,
+    Math.abs(bar.high - previous.close),
+    Math.abs(bar.low - previous.close)
+  );
+}
+
+// ATR as in calculateATR: mean of the last `period` true ranges
+function createATR(period) {
+  return { period, ranges: [] };
+}
+
+function pushATR(state, bar, previous) {
+  if (!previous) return;
+  state.ranges.push(trueRange(bar, previous));
+  if (state.ranges.length > state.period) state.ranges.shift();
+}
+
+function readATR(state, barCount) {
+  if (barCount < state.period + 1) return null;
+  return state.ranges.reduce((a, b) => a + b, 0) / state.period;
+}
+
+function createOBV() {
+  return { obv: 0, values: [0] };
+}
+
+function pushOBV(state, bar, previous) {
+  if (!previous) return;
+  if (!bar.close || !previous.close || !bar.volume) return;
+
+  if (bar.close > previous.close) state.obv += bar.volume;
+  else if (bar.close < previous.close) state.obv -= bar.volume;
+  state.values.push(state.obv);
+}
+
+function createVWAP() {
+  return { volume: 0, volumePrice: 0 };
+}
+
+function pushVWAP(state, bar) {
+  if (!bar.high || !bar.low || !bar.close || !bar.volume) return;
+  state.volumePrice += ((bar.high + bar.low + bar.close) / 3) * bar.volume;
+  state.volume += bar.volume;
+}
+
+function createSuperTrend(period = 10, multiplier = 3) {
+  return { period, multiplier, atr: createATR(period), history: [], upper: null, lower: null, value: null, trend: 1 };
+}
+
+function pushSuperTrend(state, bar, previous, index) {
+  pushATR(state.atr, bar, previous);
+  if (index < state.period) return;
+
+  const atr = readATR(state.atr, index + 1);
+  if (!atr) return;
+
+  const hl2 = (bar.high + bar.low) / 2;
+  const basicUpper = hl2 + (state.multiplier * atr);
+  const basicLower = hl2 - (state.multiplier * atr);
+
+  let upper = basicUpper;
+  let lower = basicLower;
+  if (state.upper !== null) {
+    upper = basicUpper < state.upper || previous.close > state.upper ? basicUpper : state.upper;
+  }
+  if (state.lower !== null) {
+    lower = basicLower > state.lower || previous.close < state.lower ? basicLower : state.lower;
+  }
+
+  let value;
+  let trend;
+  if (state.value === null) {
+    value = bar.close <= hl2 ? upper : lower;
+    trend = bar.close <= hl2 ? -1 : 1;
+  } else if (state.trend === 1) {
+    trend = bar.close <= lower ? -1 : 1;
+    value = trend === 1 ? lower : upper;
+  } else {
+    trend = bar.close >= upper ? 1 : -1;
+    value = trend === 1 ? lower : upper;
+  }
+
+  state.history.push({ timestamp: bar.timestamp, value, trend, upperBand: upper, lowerBand: lower });
+  state.upper = upper;
+  state.lower = lower;
+  state.value = value;
+  state.trend = trend;
+}
+
+function createPSAR(acceleration = 0.02, maximum = 0.2) {
+  return {
+    acceleration, maximum,
+    trend: 1, sar: null, ep: null, af: acceleration,
+    current: null, previous: null, consecutiveTrend: 0
+  };
+}
+
+function pushPSAR(state, bar, prev1, prev2, index) {
+  if (index === 1) {
+    // Initial trend from the first two closes
+    if (bar.close > prev1.close) {
+      state.trend = 1;
+      state.sar = prev1.low;
+      state.ep = bar.high;
+    } else {
+      state.trend = -1;
+      state.sar = prev1.high;
+      state.ep = bar.low;
+    }
+    return;
+  }
+  if (index < 2) return;
+
+  state.sar = state.sar + state.af * (state.ep - state.sar);
+  let reversed = false;
+
+  if (state.trend === 1) {
+    if (state.sar > prev1.low) state.sar = prev1.low;
+    if (index > 2 && state.sar > prev2.low) state.sar = prev2.low;
+
+    if (bar.low < state.sar) {
+      state.trend = -1;
+      state.sar = state.ep;
+      state.ep = bar.low;
+      state.af = state.acceleration;
+      reversed = true;
+    } else if (bar.high > state.ep) {
+      state.ep = bar.high;
+      state.af = Math.min(state.af + state.acceleration, state.maximum);
+    }
+  } else {
+    if (state.sar < prev1.high) state.sar = prev1.high;
+    if (index > 2 && state.sar < prev2.high) state.sar = prev2.high;
+
+    if (bar.high > state.sar) {
+      state.trend = 1;
+      state.sar = state.ep;
+      state.ep = bar.high;
+      state.af = state.acceleration;
+      reversed = true;
+    } else if (bar.low < state.ep) {
+      state.ep = bar.low;
+      state.af = Math.min(state.af + state.acceleration, state.maximum);
+    }
+  }
+
+  const point = { index, sar: state.sar, trend: state.trend, ep: state.ep, af: state.af, reversed };
+  state.consecutiveTrend = state.current && state.current.trend === point.trend ? state.consecutiveTrend + 1 : 1;
+  state.previous = state.current;
+  state.current = point;
+}
+
+// Stream State
+
+function createState() {
+  return {
+    count: 0,
+    prev1: null,
+    prev2: null,
+    sma20: createSMA(20),
+    sma50: createSMA(50),
+    sma200: createSMA(200),
+    ema9: createEMA(9),
+    ema21: createEMA(21),
+    rsi: createRSI(14),
+    macd: createMACD(),
+    atr: createATR(14),
+    obv: createOBV(),
+    vwap: createVWAP(),
+    superTrend: createSuperTrend(10, 3),
+    psar: createPSAR()
+  };
+}
+
+/**
+ * Copy a state so the forming bar can be applied without touching the committed one
+ * (arrays are copied shallowly: their entries are never mutated)
+ */
+function cloneState(value) {
+  if (Array.isArray(value)) return value.slice();
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, cloneState(v)]));
+}
+
+function pushBar(state, bar) {
+  const index = state.count;
+  const previous = state.prev1;
+
+  pushSMA(state.sma20, bar.close);
+  pushSMA(state.sma50, bar.close);
+  pushSMA(state.sma200, bar.close);
+  pushEMA(state.ema9, bar.close);
+  pushEMA(state.ema21, bar.close);
+  pushRSI(state.rsi, bar.close);
+  pushMACD(state.macd, bar.close);
+  pushATR(state.atr, bar, previous);
+  pushOBV(state.obv, bar, previous);
+  pushVWAP(state.vwap, bar);
+  pushSuperTrend(state.superTrend, bar, previous, index);
+  pushPSAR(state.psar, bar, previous, state.prev2, index);
+
+  state.prev2 = state.prev1;
+  state.prev1 = bar;
+  state.count++;
+  stats.barsProcessed++;
+}
+
+/**
+ * Indicator readings of a state (raw inputs; technicals.js builds its usual objects from them)
+ */
+function readState(state) {
+  const n = state.count;
+  const st = state.superTrend;
+  const psar = state.psar;
+
+  return {
+    bars: n,
+    sma20: readSMA(state.sma20),
+    sma50: readSMA(state.sma50),
+    sma200: readSMA(state.sma200),
+    ema9: state.ema9.value,
+    ema21: state.ema21.value,
+    rsi: n >= 15 ? readRSI(state.rsi) : null,
+    macd: readMACD(state.macd),
+    atr: readATR(state.atr, n),
+    obv: n >= 2 ? { current: state.obv.obv, values: state.obv.values } : null,
+    vwap: state.vwap.volume === 0 ? null : state.vwap.volumePrice / state.vwap.volume,
+    superTrend: n >= st.period + 1 && st.history.length > 0 ? { history: st.history } : null,
+    psar: n >= 5 && psar.current
+      ? { current: psar.current, previous: psar.previous, consecutiveTrend: psar.consecutiveTrend }
+      : null
+  };
+}
+
+function barSignature(bar) {
+  return `${bar.timestamp}|${bar.open}|${bar.high}|${bar.low}|${bar.close}|${bar.volume}`;
+}
+
+/**
+ * Bring a stream up to date with a bar series and read its indicators
+ * @param {string} key - Stream key (ticker, or ticker:interval)
+ * @param {Array} bars - OHLCV bars, oldest first; the last one is the forming bar
+ * @param {Object} options - { price } to apply a live price to the forming bar
+ * @returns {Object|null} Indicator readings (see readState) plus { mode: 'full' | 'incremental' | 'cached' }
+ */
+export function updateStream(key, bars, { price = null } = {}) {
+  if (!key || !bars || bars.length === 0) return null;
+
+  const closedCount = bars.length - 1;
+  let stream = STREAMS.get(key);
+
+  // Reuse the committed state only if every bar it covers is unchanged
+  const reusable = stream &&
+    stream.signatures.length <= closedCount &&
+    stream.signatures.every((signature, i) => signature === barSignature(bars[i]));
+
+  let mode = 'incremental';
+  if (!reusable) {
+    stream = { state: createState(), signatures: [], forming: null };
+    mode = 'full';
+  }
+
+  for (let i = stream.state.count; i < closedCount; i++) {
+    pushBar(stream.state, bars[i]);
+    stream.signatures.push(barSignature(bars[i]));
+    stream.forming = null;
+  }
+
+  let forming = bars[closedCount];
+  if (price !== null && price !== undefined && price !== forming.close) {
+    forming = { ...forming, close: price, high: Math.max(forming.high, price), low: Math.min(forming.low, price) };
+  }
+
+  const formingSignature = barSignature(forming);
+  if (stream.forming && stream.forming.signature === formingSignature) {
+    if (mode !== 'full') mode = 'cached';
+  } else {
+    const state = cloneState(stream.state);
+    pushBar(state, forming);
+    stream.forming = { signature: formingSignature, values: readState(state) };
+  }
+
+  // Most recently used streams stay; the oldest is dropped past the cap
+  STREAMS.delete(key);
+  STREAMS.set(key, stream);
+  if (STREAMS.size > MAX_STREAMS) STREAMS.delete(STREAMS.keys().next().value);
+
+  stats[mode]++;
+  return { ...stream.forming.values, mode };
+}
+
+/**
+ * Drop one stream (or all of them), forcing a full recompute next time
+ */
+export function resetStreams(key = null) {
+  if (key) return STREAMS.delete(key);
+  const count = STREAMS.size;
+  STREAMS.clear();
+  return count;
+}
+
+/**
+ * Engine statistics
+ */
+export function getStreamStats() {
+  return {
+    streams: STREAMS.size,
+    maxStreams: MAX_STREAMS,
+    ...stats
+  };
+}
@@ -1,4 +1,6 @@
 // Technical Analysis Indicators
+import { computeIndicators } from './indicators.js';
+import { updateStream } from './streaming.js';
 
 /**
  * Calculate Simple Moving Average
@@ -910,12 +912,6 @@ export function calculateParabolicSAR(historicalData, acceleration = 0.02, maxim
   
   // Get current PSAR values
   const current = psarData[psarData.length - 1];
-  const currentPrice = historicalData[len - 1].close;
-  const distance = Math.abs(currentPrice - current.sar);
-  const distancePercent = (distance / currentPrice) * 100;
-  
-  // Determine signal strength based on trend consistency and distance
-  let strength = 'weak';
   let consecutiveTrend = 1;
   
   // Count consecutive periods in same trend
@@ -927,6 +923,20 @@ export function calculateParabolicSAR(historicalData, acceleration = 0.02, maxim
     }
   }
   
+  return summarizeParabolicSAR(current, psarData[psarData.length - 2] || null, consecutiveTrend, historicalData[len - 1].close);
+}
+
+/**
+ * Signal, strength and description for the latest Parabolic SAR point
+ * (shared by the full calculation and the incremental engine)
+ */
+function summarizeParabolicSAR(current, previous, consecutiveTrend, currentPrice) {
+  const distance = Math.abs(currentPrice - current.sar);
+  const distancePercent = (distance / currentPrice) * 100;
+  
+  // Determine signal strength based on trend consistency and distance
+  let strength = 'weak';
+  
   // Strong trend = 5+ consecutive periods in same direction
   // Moderate trend = 3-4 consecutive periods
   if (consecutiveTrend >= 5 && distancePercent >= 1.0) {
@@ -940,7 +950,7 @@ export function calculateParabolicSAR(historicalData, acceleration = 0.02, maxim
   const trailStop = current.sar;
   
   // Check if recent reversal (high conviction signal)
-  const recentReversal = current.reversed || (psarData.length > 1 && psarData[psarData.length - 2].reversed);
+  const recentReversal = current.reversed || (previous !== null && previous.reversed);
   
   return {
     value: current.sar,
@@ -1050,8 +1060,15 @@ export function calculateSuperTrend(historicalData, period = 10, multiplier = 3)
   }
   
   // Get the latest values
+  return summarizeSuperTrend(superTrendData, historicalData[historicalData.length - 1]);
+}
+
+/**
+ * Signal and strength for the latest SuperTrend point
+ * (shared by the full calculation and the incremental engine)
+ */
+function summarizeSuperTrend(superTrendData, current) {
   const latest = superTrendData[superTrendData.length - 1];
-  const current = historicalData[historicalData.length - 1];
   
   // Calculate signal strength based on distance from SuperTrend line
   const distancePercent = Math.abs((current.close - latest.value) / current.close) * 100;
@@ -1836,8 +1853,12 @@ function getElderRayDescription(signal, strength, bullPower, bearPower) {
 
 /**
  * Calculate all technical indicators for market data
+ * @param {Object} marketData - Quote plus historicalData
+ * @param {Object} options
+ *   stream - incremental engine key (default: the ticker); false recomputes everything from the bars
+ *   live - apply the live quote price to the forming bar (intraday readings)
  */
-export function analyzeMarketData(marketData) {
+export function analyzeMarketData(marketData, { stream = null, live = false } = {}) {
   if (!marketData) {
     return null;
   }
@@ -1847,15 +1868,29 @@ export function analyzeMarketData(marketData) {
     return analyzeBasicMarketData(marketData);
   }
   
-  const closes = marketData.historicalData.map(d => d.close);
+  // Incremental readings for the stateful indicators (see lib/streaming.js)
+  const streamKey = stream === false ? null : (stream || marketData.symbol || marketData.ticker);
+  const fast = streamKey
+    ? updateStream(streamKey, marketData.historicalData, { price: live ? marketData.price : null })
+    : null;
+  
+  let historicalData = marketData.historicalData;
+  if (live && marketData.price) {
+    const last = historicalData[historicalData.length - 1];
+    const price = marketData.price;
+    historicalData = [...historicalData.slice(0, -1), { ...last, close: price, high: Math.max(last.high, price), low: Math.min(last.low, price) }];
+    marketData = { ...marketData, historicalData };
+  }
+  
+  const closes = historicalData.map(d => d.close);
   const currentPrice = marketData.price;
   
   // Moving Averages
-  const sma20 = calculateSMA(closes, 20);
-  const sma50 = calculateSMA(closes, 50);
-  const sma200 = calculateSMA(closes, 200);
-  const ema9 = calculateEMA(closes, 9);
-  const ema21 = calculateEMA(closes, 21);
+  const sma20 = fast ? fast.sma20 : calculateSMA(closes, 20);
+  const sma50 = fast ? fast.sma50 : calculateSMA(closes, 50);
+  const sma200 = fast ? fast.sma200 : calculateSMA(closes, 200);
+  const ema9 = fast ? fast.ema9 : calculateEMA(closes, 9);
+  const ema21 = fast ? fast.ema21 : calculateEMA(closes, 21);
   
   // Volume Weighted Moving Averages
   const vwma20 = calculateVWMA(marketData.historicalData, 20);
@@ -1863,9 +1898,9 @@ export function analyzeMarketData(marketData) {
   const vwmaAnalysis = analyzeVWMA(currentPrice, vwma20, vwma50, sma20, sma50);
   
   // Oscillators
-  const rsi = calculateRSI(closes, 14);
+  const rsi = fast ? fast.rsi : calculateRSI(closes, 14);
   const mfi = calculateMFI(marketData.historicalData, 14);
-  const macd = calculateMACD(closes);
+  const macd = fast ? fast.macd : calculateMACD(closes);
   const stochastic = calculateStochastic(marketData.historicalData);
   const williamsR = calculateWilliamsR(marketData.historicalData, 14);
   
@@ -1873,10 +1908,12 @@ export function analyzeMarketData(marketData) {
   const bb = calculateBollingerBands(closes);
   
   // VWAP
-  const vwap = calculateVWAP(marketData.historicalData);
+  const vwap = fast ? fast.vwap : calculateVWAP(marketData.historicalData);
   
   // OBV (On-Balance Volume)
-  const obv = calculateOBV(marketData.historicalData);
+  const obv = fast
+    ? (fast.obv && { ...fast.obv, trend: determineOBVTrend(fast.obv.values) })
+    : calculateOBV(marketData.historicalData);
   const obvDivergence = obv ? detectOBVDivergence(marketData.historicalData, obv) : null;
   
   // CMF (Chaikin Money Flow)
@@ -1893,13 +1930,17 @@ export function analyzeMarketData(marketData) {
   const volumeAnalysis = detectUnusualVolume(marketData.volume, marketData.avgVolume);
   
   // Volatility
-  const atr = calculateATR(marketData.historicalData);
+  const atr = fast ? fast.atr : calculateATR(marketData.historicalData);
   
   // Parabolic SAR - trend following with dynamic stops
-  const psar = calculateParabolicSAR(marketData.historicalData);
+  const psar = fast
+    ? (fast.psar && summarizeParabolicSAR(fast.psar.current, fast.psar.previous, fast.psar.consecutiveTrend, closes[closes.length - 1]))
+    : calculateParabolicSAR(marketData.historicalData);
   
   // SuperTrend - trend following indicator
-  const superTrend = calculateSuperTrend(marketData.historicalData, 10, 3);
+  const superTrend = fast
+    ? (fast.superTrend && summarizeSuperTrend(fast.superTrend.history, historicalData[historicalData.length - 1]))
+    : calculateSuperTrend(marketData.historicalData, 10, 3);
   
   // Trend Strength
   const adx = calculateADX(marketData.historicalData);
@@ -1929,7 +1970,7 @@ export function analyzeMarketData(marketData) {
   // Price Action Patterns (Double Tops/Bottoms, H&S, Triangles, Wedges, etc.)
   const priceActionPatterns = detectPriceActionPatterns(marketData.historicalData, 50);
   
-  return {
+  const technicals = {
     ticker: marketData.symbol,
     price: currentPrice,
     movingAverages: {
@@ -1970,6 +2011,12 @@ export function analyzeMarketData(marketData) {
     ichimoku,
     timestamp: Date.now()
   };
+  
+  // Plugin indicators (lib/indicators.js) sit alongside the built-in ones
+  return {
+    ...technicals,
+    ...computeIndicators(marketData.historicalData, { price: currentPrice, closes, technicals })
+  };
 }
 
 /**
@@ -1,54 +1,30 @@
 // Trade Journal - Log actual trades, track execution vs signals, learn from outcomes
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
+import { defineStore, readStore, updateStore } from './storage.js';
 
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = join(__dirname, '..', 'data');
-const JOURNAL_FILE = join(DATA_DIR, 'trade-journal.json');
-
-// Ensure data directory exists
-if (!existsSync(DATA_DIR)) {
-  mkdirSync(DATA_DIR, { recursive: true });
-}
+defineStore('trade-journal', {
+  file: 'trade-journal.json',
+  version: 1,
+  defaultValue: { trades: [], stats: null }
+});
 
 /**
  * Load trade journal from disk
  */
 export function loadJournal() {
-  if (!existsSync(JOURNAL_FILE)) {
-    return { trades: [], stats: null };
-  }
-  
   try {
-    const data = readFileSync(JOURNAL_FILE, 'utf8');
-    return JSON.parse(data);
+    return readStore('trade-journal');
   } catch (error) {
     console.error('Failed to load trade journal:', error);
     return { trades: [], stats: null };
   }
 }
 
-/**
- * Save trade journal to disk
- */
-function saveJournal(journal) {
-  try {
-    writeFileSync(JOURNAL_FILE, JSON.stringify(journal, null, 2));
-  } catch (error) {
-    console.error('Failed to save trade journal:', error);
-    throw error;
-  }
-}
-
 /**
  * Add a new trade to the journal
  */
 export function addTrade(trade) {
-  const journal = loadJournal();
-  
   const newTrade = {
-    id: Date.now().toString(),
+    id: trade.id || Date.now().toString(), // callers such as the paper broker may assign their own id
     ticker: trade.ticker,
     direction: trade.direction, // LONG or SHORT
     entryDate: trade.entryDate || Date.now(),
@@ -83,10 +59,11 @@ export function addTrade(trade) {
     newTrade.pnlPercent = ((newTrade.exitPrice - newTrade.entryPrice) / newTrade.entryPrice) * multiplier * 100;
   }
   
-  journal.trades.push(newTrade);
-  journal.stats = calculateStats(journal.trades);
+  updateStore('trade-journal', journal => {
+    journal.trades.push(newTrade);
+    journal.stats = calculateStats(journal.trades);
+  });
   
-  saveJournal(journal);
   return newTrade;
 }
 
@@ -94,33 +71,35 @@ export function addTrade(trade) {
  * Update an existing trade
  */
 export function updateTrade(tradeId, updates) {
-  const journal = loadJournal();
-  const tradeIndex = journal.trades.findIndex(t => t.id === tradeId);
-  
-  if (tradeIndex === -1) {
-    throw new Error('Trade not found');
-  }
-  
-  const trade = journal.trades[tradeIndex];
+  let trade;
   
-  // Merge updates
-  Object.assign(trade, updates);
-  
-  // Recalculate P&L if exit info updated
-  if (trade.exitPrice && trade.entryPrice && trade.size) {
-    const multiplier = trade.direction === 'LONG' ? 1 : -1;
-    trade.pnl = (trade.exitPrice - trade.entryPrice) * multiplier * trade.size;
-    trade.pnlPercent = ((trade.exitPrice - trade.entryPrice) / trade.entryPrice) * multiplier * 100;
+  updateStore('trade-journal', journal => {
+    const tradeIndex = journal.trades.findIndex(t => t.id === tradeId);
     
-    if (!trade.status || trade.status === 'OPEN') {
-      trade.status = 'CLOSED';
+    if (tradeIndex === -1) {
+      throw new Error('Trade not found');
     }
-  }
-  
-  journal.trades[tradeIndex] = trade;
-  journal.stats = calculateStats(journal.trades);
+    
+    trade = journal.trades[tradeIndex];
+    
+    // Merge updates
+    Object.assign(trade, updates);
+    
+    // Recalculate P&L if exit info updated
+    if (trade.exitPrice && trade.entryPrice && trade.size) {
+      const multiplier = trade.direction === 'LONG' ? 1 : -1;
+      trade.pnl = (trade.exitPrice - trade.entryPrice) * multiplier * trade.size;
+      trade.pnlPercent = ((trade.exitPrice - trade.entryPrice) / trade.entryPrice) * multiplier * 100;
+      
+      if (!trade.status || trade.status === 'OPEN') {
+        trade.status = 'CLOSED';
+      }
+    }
+    
+    journal.trades[tradeIndex] = trade;
+    journal.stats = calculateStats(journal.trades);
+  });
   
-  saveJournal(journal);
   return trade;
 }
 
@@ -128,17 +107,17 @@ export function updateTrade(tradeId, updates) {
  * Delete a trade
  */
 export function deleteTrade(tradeId) {
-  const journal = loadJournal();
-  const initialLength = journal.trades.length;
-  
-  journal.trades = journal.trades.filter(t => t.id !== tradeId);
-  
-  if (journal.trades.length === initialLength) {
-    throw new Error('Trade not found');
-  }
-  
-  journal.stats = calculateStats(journal.trades);
-  saveJournal(journal);
+  const journal = updateStore('trade-journal', journal => {
+    const initialLength = journal.trades.length;
+    
+    journal.trades = journal.trades.filter(t => t.id !== tradeId);
+    
+    if (journal.trades.length === initialLength) {
+      throw new Error('Trade not found');
+    }
+    
+    journal.stats = calculateStats(journal.trades);
+  });
   
   return { deleted: true, remainingTrades: journal.trades.length };
 }
@@ -212,8 +191,9 @@ export function getTrade(tradeId) {
 
 /**
  * Calculate comprehensive journal statistics
+ * Also used by the backtester so simulated and real trades are scored the same way
  */
-function calculateStats(trades) {
+export function calculateStats(trades) {
   if (trades.length === 0) {
     return {
       totalTrades: 0,
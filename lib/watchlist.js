@@ -1,11 +1,5 @@
 // Dynamic Watchlist Management
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = join(__dirname, '..', 'data');
-const WATCHLIST_FILE = join(DATA_DIR, 'watchlist.json');
+import { defineStore, readStore, writeStore, updateStore, storeExists } from './storage.js';
 
 // Default tickers (initial watchlist)
 const DEFAULT_TICKERS = {
@@ -18,30 +12,20 @@ const DEFAULT_TICKERS = {
   HOVR: { yahoo: 'HOVR', google: 'HOVR:NYSEARCA', name: 'Innovator Premium Income 20', exchange: 'NYSEARCA' }
 };
 
-/**
- * Ensure data directory exists
- */
-function ensureDataDir() {
-  if (!existsSync(DATA_DIR)) {
-    mkdirSync(DATA_DIR, { recursive: true });
-  }
-}
+defineStore('watchlist', { file: 'watchlist.json', version: 1, defaultValue: DEFAULT_TICKERS });
 
 /**
  * Load watchlist from file (or create default)
  */
 export function loadWatchlist() {
-  ensureDataDir();
-  
-  if (!existsSync(WATCHLIST_FILE)) {
-    // Create default watchlist
-    saveWatchlist(DEFAULT_TICKERS);
-    return DEFAULT_TICKERS;
-  }
-  
   try {
-    const data = readFileSync(WATCHLIST_FILE, 'utf8');
-    const watchlist = JSON.parse(data);
+    if (!storeExists('watchlist')) {
+      // Create default watchlist
+      saveWatchlist(DEFAULT_TICKERS);
+      return DEFAULT_TICKERS;
+    }
+    
+    const watchlist = readStore('watchlist');
     
     // Validate structure
     if (!watchlist || typeof watchlist !== 'object') {
@@ -53,7 +37,6 @@ export function loadWatchlist() {
     return watchlist;
   } catch (error) {
     console.error('Error loading watchlist:', error.message);
-    saveWatchlist(DEFAULT_TICKERS);
     return DEFAULT_TICKERS;
   }
 }
@@ -62,11 +45,8 @@ export function loadWatchlist() {
  * Save watchlist to file
  */
 export function saveWatchlist(watchlist) {
-  ensureDataDir();
-  
   try {
-    const data = JSON.stringify(watchlist, null, 2);
-    writeFileSync(WATCHLIST_FILE, data);
+    writeStore('watchlist', watchlist);
     return true;
   } catch (error) {
     console.error('Error saving watchlist:', error.message);
@@ -78,8 +58,6 @@ export function saveWatchlist(watchlist) {
  * Add ticker to watchlist
  */
 export function addTicker(symbol, config) {
-  const watchlist = loadWatchlist();
-  
   // Validate symbol
   if (!symbol || typeof symbol !== 'string') {
     throw new Error('Invalid ticker symbol');
@@ -87,43 +65,80 @@ export function addTicker(symbol, config) {
   
   const upperSymbol = symbol.toUpperCase();
   
-  // Check if already exists
-  if (watchlist[upperSymbol]) {
-    throw new Error(`Ticker ${upperSymbol} already in watchlist`);
-  }
-  
-  // Validate config
-  if (!config || !config.yahoo || !config.google) {
+  // Validate config (yahoo/google symbols are only required without an explicit provider)
+  if (!config || (!config.provider && (!config.yahoo || !config.google))) {
     throw new Error('Invalid ticker configuration (missing yahoo or google)');
   }
   
-  // Add to watchlist
-  watchlist[upperSymbol] = {
-    yahoo: config.yahoo,
-    google: config.google,
+  const entry = {
+    yahoo: config.yahoo || upperSymbol,
+    google: config.google || null,
     name: config.name || upperSymbol,
     exchange: config.exchange || 'UNKNOWN',
     addedAt: Date.now()
   };
   
-  saveWatchlist(watchlist);
-  return watchlist[upperSymbol];
+  if (config.provider) {
+    entry.provider = config.provider;
+    if (config.fallback) entry.fallback = config.fallback;
+    if (config.symbols) entry.symbols = config.symbols;
+  }
+  
+  if (config.model) {
+    entry.model = config.model;
+  }
+  
+  loadWatchlist(); // Seeds the default watchlist on first use
+  
+  updateStore('watchlist', watchlist => {
+    // Check if already exists
+    if (watchlist[upperSymbol]) {
+      throw new Error(`Ticker ${upperSymbol} already in watchlist`);
+    }
+    
+    watchlist[upperSymbol] = entry;
+  });
+  
+  return entry;
+}
+
+/**
+ * Set the AI model used for a ticker ("provider:model"), or clear it with null
+ */
+export function setTickerModel(symbol, model) {
+  const upperSymbol = symbol.toUpperCase();
+  let entry = null;
+  
+  updateStore('watchlist', watchlist => {
+    if (!watchlist[upperSymbol]) {
+      throw new Error(`Ticker ${upperSymbol} not found in watchlist`);
+    }
+    
+    if (model) {
+      watchlist[upperSymbol].model = model;
+    } else {
+      delete watchlist[upperSymbol].model;
+    }
+    entry = watchlist[upperSymbol];
+  });
+  
+  return entry;
 }
 
 /**
  * Remove ticker from watchlist
  */
 export function removeTicker(symbol) {
-  const watchlist = loadWatchlist();
-  
   const upperSymbol = symbol.toUpperCase();
   
-  if (!watchlist[upperSymbol]) {
-    throw new Error(`Ticker ${upperSymbol} not found in watchlist`);
-  }
+  updateStore('watchlist', watchlist => {
+    if (!watchlist[upperSymbol]) {
+      throw new Error(`Ticker ${upperSymbol} not found in watchlist`);
+    }
+    
+    delete watchlist[upperSymbol];
+  });
   
-  delete watchlist[upperSymbol];
-  saveWatchlist(watchlist);
   return true;
 }
 
@@ -0,0 +1,243 @@
+// YAML - minimal parser for hand-written config files such as strategies (no dependencies)
+// Supports block mappings and sequences by indentation ("- key: value" items included), flow
+// [lists] and { maps }, quoted and plain scalars, numbers, booleans, null, | and > block scalars
+// and # comments. Anchors, tags, multiple documents and multi-line plain scalars are not supported.
+
+const KEY_VALUE = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#[\]{},][^:]*?)\s*:(?:\s+|$)/;
+const NUMBER = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?$/;
+
+/**
+ * Remove a trailing # comment (a # at the start or after whitespace, outside quotes)
+ */
+function stripComment(line) {
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i).trimEnd();
+    }
+  }
+
+  return line.trimEnd();
+}
+
+/**
+ * Scalar value: quoted string, null, boolean, number or plain string
+ */
+function parseScalar(text) {
+  const value = text.trim();
+
+  if (value.startsWith('"')) return JSON.parse(value);
+  if (value.startsWith("'")) return value.slice(1, -1).replace(/''/g, "'");
+  if (value === '' || value === '~' || /^null$/i.test(value)) return null;
+  if (/^true$/i.test(value)) return true;
+  if (/^false$/i.test(value)) return false;
+  if (NUMBER.test(value)) return Number(value);
+  return value;
+}
+
+/**
+ * Flow collection ([a, b] or { key: value }), nested collections included
+ */
+function parseFlow(text, fail) {
+  let i = 0;
+
+  const skipSpace = () => {
+    while (i < text.length && /\s/.test(text[i])) i++;
+  };
+
+  // Quoted string or plain scalar up to one of the stop characters
+  const token = stops => {
+    skipSpace();
+    const start = i;
+    if (text[i] === '"' || text[i] === "'") {
+      const quote = text[i++];
+      while (i < text.length && text[i] !== quote) i += text[i] === '\\' && quote === '"' ? 2 : 1;
+      if (i >= text.length) fail('unterminated quoted string');
+      i++;
+    } else {
+      while (i < text.length && !stops.includes(text[i])) i++;
+    }
+    return parseScalar(text.slice(start, i));
+  };
+
+  const value = () => {
+    skipSpace();
+
+    if (text[i] === '[') {
+      i++;
+      const list = [];
+      skipSpace();
+      if (text[i] === ']') {
+        i++;
+        return list;
+      }
+      for (;;) {
+        list.push(value());
+        skipSpace();
+        if (text[i] === ',') i++;
+        else if (text[i] === ']') return i++, list;
+        else fail(`expected "," or "]" in ${text}`);
+      }
+    }
+
+    if (text[i] === '{') {
+      i++;
+      const map = {};
+      skipSpace();
+      if (text[i] === '}') {
+        i++;
+        return map;
+      }
+      for (;;) {
+        const key = token([':', ',', '}']);
+        if (text[i] !== ':') fail(`expected ":" after "${key}" in ${text}`);
+        i++;
+        map[key] = value();
+        skipSpace();
+        if (text[i] === ',') i++;
+        else if (text[i] === '}') return i++, map;
+        else fail(`expected "," or "}" in ${text}`);
+      }
+    }
+
+    return token([',', ']', '}']);
+  };
+
+  const result = value();
+  skipSpace();
+  if (i < text.length) fail(`unexpected "${text.slice(i)}"`);
+  return result;
+}
+
+/**
+ * Parse a YAML document into plain objects, arrays and scalars
+ * @param {string} text - YAML source
+ * @returns {*} Parsed value (null for an empty document)
+ * @throws {Error} With the line number of the first problem
+ */
+export function parseYaml(text) {
+  const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+  let pos = 0;
+
+  const fail = message => {
+    throw new Error(`YAML error on line ${Math.min(pos, lines.length - 1) + 1}: ${message}`);
+  };
+  const isSequenceItem = content => content === '-' || content.startsWith('- ');
+
+  // Next line with content (skipping blanks, comments and "---"), without consuming it
+  const peek = () => {
+    while (pos < lines.length) {
+      const content = stripComment(lines[pos]);
+      if (content.trim() && content.trim() !== '---') {
+        const indent = content.length - content.trimStart().length;
+        if (content.slice(0, indent).includes('\t')) fail('tabs are not allowed for indentation');
+        return { indent, content: content.trim() };
+      }
+      pos++;
+    }
+    return null;
+  };
+
+  const parseValue = text => (text.startsWith('[') || text.startsWith('{') ? parseFlow(text, fail) : parseScalar(text));
+
+  // | keeps line breaks, > folds lines into one; both end with a single newline
+  const parseBlockScalar = (parentIndent, folded) => {
+    const block = [];
+    let indent = null;
+
+    while (pos < lines.length) {
+      const line = lines[pos];
+      if (line.trim()) {
+        const lineIndent = line.length - line.trimStart().length;
+        if (lineIndent <= parentIndent) break;
+        indent = indent ?? lineIndent;
+        block.push(line.slice(Math.min(indent, lineIndent)).trimEnd());
+      } else {
+        block.push('');
+      }
+      pos++;
+    }
+
+    while (block.length > 0 && block[block.length - 1] === '') block.pop();
+    const body = folded
+      ? block.reduce((out, line) => (line === '' ? `${out}\n` : out && !out.endsWith('\n') ? `${out} ${line}` : out + line), '')
+      : block.join('\n');
+    return `${body}\n`;
+  };
+
+  const parseBlock = () => {
+    const line = peek();
+    return isSequenceItem(line.content) ? parseSequence(line.indent) : parseMapping(line.indent);
+  };
+
+  // Value after "key:" or "-" with nothing else on the line: a nested block, or null
+  const parseNested = (indent, sequenceAtSameIndent) => {
+    const next = peek();
+    if (next && next.indent > indent) return parseBlock();
+    if (next && sequenceAtSameIndent && next.indent === indent && isSequenceItem(next.content)) return parseSequence(indent);
+    return null;
+  };
+
+  const parseSequence = indent => {
+    const items = [];
+    let line;
+
+    while ((line = peek()) && line.indent === indent && isSequenceItem(line.content)) {
+      const rest = line.content.slice(1).trim();
+
+      if (!rest) {
+        pos++;
+        items.push(parseNested(indent, false));
+      } else if (KEY_VALUE.test(rest) || isSequenceItem(rest)) {
+        // "- key: value" opens a mapping (or "- - x" a sequence) aligned after the dash
+        const itemIndent = indent + line.content.length - rest.length;
+        lines[pos] = ' '.repeat(itemIndent) + rest;
+        items.push(parseBlock());
+      } else {
+        pos++;
+        items.push(parseValue(rest));
+      }
+    }
+
+    if (line && line.indent > indent) fail('unexpected indentation');
+    return items;
+  };
+
+  const parseMapping = indent => {
+    const map = {};
+    let line;
+
+    while ((line = peek()) && line.indent === indent && !isSequenceItem(line.content)) {
+      const match = line.content.match(KEY_VALUE);
+      if (!match) fail(`expected "key: value", got "${line.content}"`);
+
+      const key = String(parseScalar(match[1]));
+      if (Object.prototype.hasOwnProperty.call(map, key)) fail(`duplicate key "${key}"`);
+
+      const rest = line.content.slice(match[0].length).trim();
+      pos++;
+
+      if (/^[|>][+-]?$/.test(rest)) map[key] = parseBlockScalar(indent, rest[0] === '>');
+      else if (rest) map[key] = parseValue(rest);
+      else map[key] = parseNested(indent, true);
+    }
+
+    if (line && line.indent > indent) fail('unexpected indentation');
+    if (line && line.indent === indent && isSequenceItem(line.content)) fail('unexpected sequence item in a mapping');
+    return map;
+  };
+
+  if (!peek()) return null;
+
+  const first = peek();
+  const result = isSequenceItem(first.content) || KEY_VALUE.test(first.content) ? parseBlock() : (pos++, parseValue(first.content));
+  if (peek()) fail('unexpected content after the document');
+  return result;
+}
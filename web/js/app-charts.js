@@ -65,6 +65,8 @@ async function loadChart(ticker) {
     if (window.rsiChart) window.rsiChart.destroy();
     if (window.macdChart) window.macdChart.destroy();
     if (window.volumeChart) window.volumeChart.destroy();
+    if (window.pluginChart) window.pluginChart.destroy();
+    window.pluginChart = null;
     
     // Common chart options
     const commonOptions = {
@@ -506,6 +508,9 @@ async function loadChart(ticker) {
       }
     });
     
+    // Indicator plugin series: overlays on the price panel, the rest in their own panel
+    await addPluginSeries(ticker, dates, commonOptions);
+    
     // Update legend
     updateChartLegend(ticker, tickerMarketData, tickerTechData);
     
@@ -514,6 +519,56 @@ async function loadChart(ticker) {
   }
 }
 
+// Draw series supplied by indicator plugins (aligned with the price bars)
+async function addPluginSeries(ticker, dates, commonOptions) {
+  const panel = document.getElementById('pluginPanel');
+  
+  try {
+    const response = await fetch(`/api/indicators/series/${ticker}`);
+    const result = await response.json();
+    if (!result.success) return;
+    
+    const toDataset = (s, order) => ({
+      label: s.label,
+      data: s.values.map((y, i) => y === null ? null : { x: dates[i], y }),
+      borderColor: s.color || '#9ca3af',
+      borderWidth: 1.5,
+      fill: false,
+      pointRadius: 0,
+      type: 'line',
+      order
+    });
+    
+    const overlays = result.data.series.filter(s => s.overlay);
+    const separate = result.data.series.filter(s => !s.overlay);
+    
+    overlays.forEach((s, i) => window.priceChart.data.datasets.push(toDataset(s, 10 + i)));
+    if (overlays.length > 0) window.priceChart.update();
+    
+    if (!panel) return;
+    panel.style.display = separate.length > 0 ? '' : 'none';
+    if (separate.length === 0) return;
+    
+    window.pluginChart = new Chart(document.getElementById('pluginChart').getContext('2d'), {
+      type: 'line',
+      data: { datasets: separate.map(toDataset) },
+      options: {
+        ...commonOptions,
+        plugins: { ...commonOptions.plugins, legend: { display: true, labels: { color: '#9ca3af' } } },
+        scales: {
+          ...commonOptions.scales,
+          y: {
+            grid: { color: 'rgba(42, 49, 80, 0.3)' },
+            ticks: { color: '#6b7280' }
+          }
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Failed to load indicator plugin series:', error);
+  }
+}
+
 // Calculate historical RSI values
 function calculateHistoricalRSI(closes, period = 14) {
   const rsi = [];
@@ -29,6 +29,8 @@ function initWebSocket() {
         
         if (message.type === 'market-update') {
           handleMarketUpdate(message.data, message.timestamp);
+        } else if (message.type === 'signal-closed') {
+          handleSignalClosed(message.data);
         }
       } catch (error) {
         console.error('Error parsing WebSocket message:', error);
@@ -61,6 +63,17 @@ function initWebSocket() {
   }
 }
 
+// Handle signals closed by a target, stop or expiry
+function handleSignalClosed(closedSignals) {
+  closedSignals.forEach(s => {
+    console.log(`Signal closed: ${s.ticker} ${s.direction} - ${s.exitReason} (${s.actualReturn.toFixed(2)}%)`);
+  });
+  
+  loadActiveSignals();
+  loadRecentSignals();
+  loadPerformance();
+}
+
 // Handle real-time market data update
 function handleMarketUpdate(marketData, timestamp) {
   // Update watchlist with new data
@@ -444,7 +457,7 @@ async function loadActiveSignals() {
                 <span class="badge ${directionClass}">${signal.direction}</span>
               </div>
               <div class="signal-meta">
-                Confidence: ${signal.confidence}/10
+                Confidence: ${signal.confidence}/10${signal.calibration ? ` · ${(signal.calibration.probability * 100).toFixed(0)}% cal.` : ''}
               </div>
             </div>
             <div class="signal-body">
@@ -486,7 +499,7 @@ async function loadRecentSignals() {
         const directionClass = signal.direction === 'LONG' ? 'long' : 'short';
         const statusBadge = signal.status === 'OPEN' ? 
           '<span class="badge open">OPEN</span>' : 
-          `<span class="badge closed">${signal.result}</span>`;
+          `<span class="badge closed">${signal.result || signal.status}</span>`;
         
         const pnlText = signal.pnlPercent !== null ? 
           `<span class="${signal.pnlPercent > 0 ? 'positive' : 'negative'}">
@@ -837,6 +850,27 @@ async function populateChartTickers() {
   }
 }
 
+// Fill the AI model picker from the registered LLM providers
+async function populateModelOptions() {
+  try {
+    const response = await fetch('/api/llm/providers');
+    const result = await response.json();
+    const select = document.getElementById('analysisModel');
+    if (!result.success || !select) return;
+    
+    select.options[0].textContent = `Default (${result.data.defaultModel})`;
+    for (const provider of result.data.providers) {
+      const option = document.createElement('option');
+      option.value = `${provider.name}:${provider.defaultModel}`;
+      option.textContent = `${provider.name}:${provider.defaultModel}${provider.configured ? '' : ' (not configured)'}`;
+      option.disabled = !provider.configured;
+      select.appendChild(option);
+    }
+  } catch (error) {
+    console.error('Failed to load AI models:', error);
+  }
+}
+
 // Run AI Analysis from web UI
 async function runAIAnalysis() {
   const btn = document.getElementById('analyzeBtn');
@@ -848,7 +882,8 @@ async function runAIAnalysis() {
     // Disable button and show loading state
     btn.disabled = true;
     btn.textContent = '🔄 Analyzing...';
-    statusEl.innerHTML = '<div class="analysis-loading">🤖 Running Gemini AI analysis on all tickers...</div>';
+    const model = document.getElementById('analysisModel')?.value || null;
+    statusEl.innerHTML = `<div class="analysis-loading">🤖 Running AI analysis (${model || 'default model'}) on all tickers...</div>`;
     statusEl.className = 'analysis-status loading';
     
     // Trigger analysis
@@ -856,7 +891,8 @@ async function runAIAnalysis() {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
-      }
+      },
+      body: JSON.stringify({ model })
     });
     
     const result = await response.json();
@@ -925,3 +961,4 @@ window.refreshMarket = refreshMarket;
 window.updateTimestamp = updateTimestamp;
 window.loadChart = loadChart;
 window.runAIAnalysis = runAIAnalysis;
+window.populateModelOptions = populateModelOptions;